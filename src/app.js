@@ -11,11 +11,14 @@ document.addEventListener('DOMContentLoaded', function() {
 // Import core modules
 import * as DataService from './core/data-service.js';
 import * as RiskModel from './core/risk-model.js';
+import * as RiskSource from './core/risk-source.js';
 import * as EventDatabase from './core/event-database.js';
+import * as Assets from './core/assets.js';
 import { walletBalance } from './components/wallet-balance.js';
 
 import { initializeEnhancedModel } from './core/integration-module.js';
 import { integrateOnChainRiskIntoGauge } from './core/enhanced-risk-model.js';
+import { formatRiskConstants } from './core/poisson-gamma.js';
 
 // Import components
 import * as Calendar from './components/calendar.js';
@@ -26,6 +29,11 @@ import * as Sentiment from './components/sentiment.js';
 import * as RektLegends from './components/rekt-legends.js'; 
 import * as SocialShare from './components/social-share.js'; 
 import * as RektBot from './components/rektbot.js';
+import * as DataHealth from './components/data-health.js';
+import * as ModelComparison from './components/model-comparison.js';
+import * as AssetSelector from './components/asset-selector.js';
+import * as EventDefinition from './components/event-definition.js';
+import * as RiskSourceSelector from './components/risk-source-selector.js';
 
 // Import utilities
 import * as Statistics from './utils/statistics.js';
@@ -35,37 +43,46 @@ import * as Accessibility from './utils/accessibility.js';
 // Import adblock detector
 import * as AdblockDetector from './utils/adblock-detector.js';
 
-// Global state (shared across components)
-export const state = {
-  bitcoinData: [],
-  riskByMonth: {},
-  historicalCrashes: {},
-  timelineData: {},
-  currentTimeframe: 30, // Default to 30 days
-  sentimentData: null,
-  mostSevereMonthlyData: {},
-  // Constants for risk calculation
-  riskConstants: {
-    a0: 1.0,       // baseline prior shape
-    b0: 1.0,       // baseline prior scale
-  }
-};
-
-// Month names for global use
-export const monthNames = [
-  "January", "February", "March", "April", "May", "June",
-  "July", "August", "September", "October", "November", "December"
-];
+// Global state (shared across components and with the forecaster page)
+import { state, monthNames } from './core/state.js';
+export { state, monthNames };
 
 // Application initialization
 document.addEventListener('DOMContentLoaded', async function() {
   try {
-    // 1. Load Bitcoin data
+    // 0. Re-run the model when a background refresh merges newer rows into the cache
+    document.addEventListener('bitcoinDataUpdated', function(event) {
+      state.bitcoinData = event.detail.data;
+      console.log(`Bitcoin data refreshed: ${event.detail.added} new, ${event.detail.revised} revised rows`);
+      refreshRiskViews().catch(showRiskUpdateError);
+    });
+    
+    // Re-run the model when the extreme event definition changes
+    document.addEventListener('eventDefinitionChanged', function() {
+      refreshRiskViews().catch(showRiskUpdateError);
+    });
+    
+    // Show the risk source the user picked once its risk is ready
+    document.addEventListener('riskSourceChanged', function() {
+      Calendar.renderCalendar(RiskSource.getRiskByMonth(), state.historicalCrashes);
+      updateCurrentMonthGauge();
+    });
+    
+    // Retry the refresh once the connection comes back
+    window.addEventListener('online', function() {
+      if (state.dataStatus && state.dataStatus.offline) {
+        DataService.refreshBitcoinDataInBackground(state.dataSource && state.dataSource.id);
+      }
+    });
+    
+    // 1. Load price data for the selected asset
+    Assets.activateAsset();
+    AssetSelector.initialize();
     const bitcoinData = await DataService.fetchBitcoinData();
     state.bitcoinData = bitcoinData;
     
     // 2. Calculate risk for all timeframes using enhanced model
-    RiskModel.calculateRiskForAllTimeframes();
+    await RiskModel.calculateRiskForAllTimeframes();
     
     // Force a refresh of all UI components with final data
     setTimeout(() => {
@@ -95,11 +112,11 @@ document.addEventListener('DOMContentLoaded', async function() {
     // 4. Update the data info text to mention enhanced model
     const dataInfoText = document.querySelector('#data-info .data-info-content p:last-of-type');
     if (dataInfoText) {
-      dataInfoText.innerHTML = 'Risk calculation uses an enhanced Poisson-Gamma Bayesian model with volatility weighting and sentiment integration (a₀=1.0, b₀=1.0, τ=<span id="tauValue">30</span>) to predict extreme market events.';
+      dataInfoText.innerHTML = `Risk calculation uses an enhanced Poisson-Gamma Bayesian model with volatility weighting and sentiment integration (<span id="priorValues">${formatRiskConstants()}</span>, τ=<span id="tauValue">30</span>) to predict extreme market events.`;
     }
 
     // 5. Find historical crashes
-    state.historicalCrashes = EventDatabase.findHistoricalCrashes(state.bitcoinData);
+    state.historicalCrashes = EventDatabase.findHistoricalCrashes(state.bitcoinData, state.dataQuality && state.dataQuality.report);
     DataService.updateYoutuberCrashData(new Date().getMonth() + 1);
     
     // 6. Generate timeline data
@@ -136,6 +153,30 @@ document.addEventListener('DOMContentLoaded', async function() {
     } else {
       Gauge.updateGauge(riskPercentage);
     }
+    // Hide loading indicator, show content - the remaining components load
+    // from the network and must not hold back the calendar (e.g. when offline)
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('calendar').style.display = 'grid';
+    document.getElementById('data-info').style.display = 'block';
+    updateDataSummary();
+    DataService.updateDataAgeLabel();
+    DataHealth.initialize();
+    ModelComparison.initialize();
+    EventDefinition.initialize();
+    RiskSourceSelector.initialize();
+    
+    // Load hourly candles for the 1- and 7-day horizons without holding back the page
+    DataService.fetchHourlyData().then(hourlyData => {
+      if (!hourlyData) return;
+      state.hourlyData = hourlyData;
+      
+      RiskSource.recalculateRisk().then(() => {
+        Calendar.renderCalendar(RiskSource.getRiskByMonth(), state.historicalCrashes);
+        updateCurrentMonthGauge();
+        updateDataSummary();
+      }).catch(showRiskUpdateError);
+    });
+    
     // Force a second update with a slight delay to ensure CI appears
     setTimeout(() => {
       console.log("Re-updating gauge to ensure credible interval visibility");
@@ -225,47 +266,23 @@ document.addEventListener('DOMContentLoaded', async function() {
       console.error('Error initializing component:', componentError);
     }
     
-    // 14. Hide loading indicator, show content
-    document.getElementById('loading').style.display = 'none';
-    document.getElementById('calendar').style.display = 'grid';
-    document.getElementById('data-info').style.display = 'block';
-    
-    // 15. Add data summary
-    const dataSummary = document.getElementById('data-summary');
-    dataSummary.textContent = `Analysis based on ${state.bitcoinData.length.toLocaleString()} data points spanning from ${Formatting.formatDate(state.bitcoinData[0].date)} to ${Formatting.formatDate(state.bitcoinData[state.bitcoinData.length-1].date)}.`;
-    
-    // 16. Add event listener to recalculate risk when sentiment is updated
-    document.addEventListener('sentimentUpdated', function() {
-      // Recalculate risk with the new sentiment data
-      RiskModel.calculateRiskForAllTimeframes();
+    // 14. Add event listener to recalculate risk when sentiment is updated
+    document.addEventListener('sentimentUpdated', async function() {
+      try {
+        // Recalculate risk with the new sentiment data
+        await RiskSource.recalculateRisk();
+      } catch (error) {
+        showRiskUpdateError(error);
+        return;
+      }
       
       // Update the calendar display with new risk values
-      Calendar.renderCalendar(state.riskByMonth[state.currentTimeframe], state.historicalCrashes);
+      Calendar.renderCalendar(RiskSource.getRiskByMonth(), state.historicalCrashes);
       
-    // Update gauge for current month
-    const currentMonthIndex = new Date().getMonth();
-    const currentMonthRiskData = state.riskByMonth[state.currentTimeframe][currentMonthIndex + 1];
-          
-    let riskPercentage, credibleInterval;
-    if (currentMonthRiskData && typeof currentMonthRiskData === 'object' && currentMonthRiskData.risk !== undefined) {
-      riskPercentage = (currentMonthRiskData.risk * 100).toFixed(1);
-      
-      if (currentMonthRiskData.lower !== undefined && currentMonthRiskData.upper !== undefined) {
-        credibleInterval = {
-          lower: (currentMonthRiskData.lower * 100).toFixed(1) + '%',
-          upper: (currentMonthRiskData.upper * 100).toFixed(1) + '%'
-        };
-      }
-    } else {
-      riskPercentage = ((currentMonthRiskData || 0) * 100).toFixed(1);
-    }
-
-    if (credibleInterval) {
-      Gauge.updateGauge(riskPercentage, credibleInterval);
-    } else {
-      Gauge.updateGauge(riskPercentage);
-    }
+      // Update gauge for current month
+      updateCurrentMonthGauge();
     });
+    
         await RektBot.initialize();
         
         // Initialize donation nag
@@ -288,6 +305,88 @@ document.addEventListener('DOMContentLoaded', async function() {
   }
 });
 
+/**
+ * Report a risk recalculation that failed (in its worker or on the main
+ * thread); the views keep showing the previous risk
+ * @param {Error} error - Rejection reason
+ */
+function showRiskUpdateError(error) {
+  console.error('Error recalculating risk:', error);
+  
+  const dataAge = document.getElementById('data-age');
+  if (dataAge) {
+    dataAge.textContent = `Risk update failed (${error.message}) - showing the previous risk`;
+    dataAge.classList.add('stale');
+  }
+}
+
+/**
+ * Recalculate risk and crash history from state.bitcoinData and re-render the views
+ */
+async function refreshRiskViews() {
+  await RiskModel.calculateRiskForAllTimeframes();
+  RiskSource.invalidateModels();
+  state.historicalCrashes = EventDatabase.findHistoricalCrashes(state.bitcoinData, state.dataQuality && state.dataQuality.report);
+  DataService.generateTimelineData(state.bitcoinData);
+  
+  Calendar.renderCalendar(RiskSource.getRiskByMonth(), state.historicalCrashes);
+  RektLegends.populateRektLegends(state.historicalCrashes);
+  updateCurrentMonthGauge();
+  updateDataSummary();
+  updatePriorValues();
+  DataHealth.renderDataHealth();
+  
+  // The selected model depends on the data and event definition, so it is refitted
+  RiskSourceSelector.ensureRiskSource();
+}
+
+/**
+ * Show the prior the risk model is using (it is refitted whenever the data or event definition change)
+ */
+function updatePriorValues() {
+  const priorValues = document.getElementById('priorValues');
+  if (priorValues) {
+    priorValues.textContent = formatRiskConstants();
+  }
+}
+
+/**
+ * Update the gauge with the current month's risk for the selected timeframe
+ */
+function updateCurrentMonthGauge() {
+  const currentMonthIndex = new Date().getMonth();
+  const currentMonthRiskData = RiskSource.getMonthRisk(currentMonthIndex + 1);
+        
+  let riskPercentage, credibleInterval;
+  if (currentMonthRiskData && typeof currentMonthRiskData === 'object' && currentMonthRiskData.risk !== undefined) {
+    riskPercentage = (currentMonthRiskData.risk * 100).toFixed(1);
+    
+    if (currentMonthRiskData.lower !== undefined && currentMonthRiskData.upper !== undefined) {
+      credibleInterval = {
+        lower: (currentMonthRiskData.lower * 100).toFixed(1) + '%',
+        upper: (currentMonthRiskData.upper * 100).toFixed(1) + '%'
+      };
+    }
+  } else {
+    riskPercentage = ((currentMonthRiskData || 0) * 100).toFixed(1);
+  }
+
+  if (credibleInterval) {
+    Gauge.updateGauge(riskPercentage, credibleInterval);
+  } else {
+    Gauge.updateGauge(riskPercentage);
+  }
+}
+
+/**
+ * Describe the loaded dataset in #data-summary
+ */
+function updateDataSummary() {
+  const dataSummary = document.getElementById('data-summary');
+  if (!dataSummary || state.bitcoinData.length === 0) return;
+  dataSummary.textContent = `Analysis based on ${state.bitcoinData.length.toLocaleString()} ${state.asset ? `${state.asset.label} ` : ''}data points spanning from ${Formatting.formatDate(state.bitcoinData[0].date)} to ${Formatting.formatDate(state.bitcoinData[state.bitcoinData.length-1].date)}${state.dataSource ? ` (source: ${state.dataSource.label})` : ''}.${state.hourlyData && state.hourlyData.length > 0 ? ` 1- and 7-day risk uses ${state.hourlyData.length.toLocaleString()} hourly candles${state.hourlySource ? ` from ${state.hourlySource.label}` : ''}.` : ''}`;
+}
+
 // Set up event handlers for global elements
 document.addEventListener('DOMContentLoaded', function() {
   // Popup close event
@@ -314,7 +413,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const youtuberProgressFill = document.getElementById('youtuberProgressFill');
         
         // Get the current month's risk percentage
-        const currentMonthRiskData = state.riskByMonth[state.currentTimeframe][currentMonthIndex + 1];
+        const currentMonthRiskData = RiskSource.getMonthRisk(currentMonthIndex + 1);
         let riskPercentage;
               
         if (currentMonthRiskData && typeof currentMonthRiskData === 'object' && currentMonthRiskData.risk !== undefined) {
@@ -0,0 +1,43 @@
+/**
+ * Asset Selector Component
+ * Lets the user switch the calendar to another asset (BTC, ETH, ...).
+ */
+
+import { state } from '../core/state.js';
+import { listAssets, setActiveAsset, getActiveAsset } from '../core/assets.js';
+
+/**
+ * Initialize the asset selector
+ * Switching assets stores the choice and reloads the page, since every
+ * component is built from the loaded asset's data.
+ */
+function initialize() {
+  const asset = state.asset || getActiveAsset();
+  const assetName = document.getElementById('assetName');
+  if (assetName) {
+    assetName.textContent = asset.label;
+  }
+
+  const assetSelect = document.getElementById('assetSelect');
+  if (!assetSelect) return;
+
+  assetSelect.innerHTML = listAssets()
+    .map(option => `<option value="${option.id}">${option.label} (${option.symbol})</option>`)
+    .join('');
+  assetSelect.value = asset.id;
+
+  assetSelect.addEventListener('change', function() {
+    try {
+      setActiveAsset(this.value);
+
+      // Drop ?asset= so the stored choice applies after the reload
+      const url = new URL(window.location.href);
+      url.searchParams.delete('asset');
+      window.location.href = url.toString();
+    } catch (error) {
+      console.error('Error switching asset:', error);
+    }
+  });
+}
+
+export { initialize };
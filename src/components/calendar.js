@@ -2,8 +2,19 @@
  * Calendar Component
  */
 
-import { state, monthNames } from '../app.js';
+import { state, monthNames } from '../core/state.js';
 import { createRiskDisplay } from '../core/risk-model.js';
+import { getMonthRisk } from '../core/risk-source.js';
+import { formatDriver } from '../core/lstm-inference.js';
+
+// Posterior density chart in the month popup
+let posteriorChart = null;
+
+const ENSEMBLE_MODEL_LABELS = {
+  poissonGamma: 'Poisson-Gamma',
+  markov: 'Markov',
+  lstm: 'LSTM'
+};
 
 /**
  * Renders the risk calendar with month cards showing risk percentages
@@ -26,8 +37,10 @@ function renderCalendar(riskByMonth, historicalCrashes) {
     let riskPercentage, lowerBound, upperBound;
     if (typeof riskData === 'object' && riskData !== null) {
       riskPercentage = ((riskData.risk || 0) * 100).toFixed(1);
-      lowerBound = ((riskData.lower || 0) * 100).toFixed(1);
-      upperBound = ((riskData.upper || 0) * 100).toFixed(1);
+      // Models without a credible interval (e.g. Markov) leave lower/upper unset
+      const hasInterval = riskData.lower !== undefined && riskData.upper !== undefined;
+      lowerBound = hasInterval ? (riskData.lower * 100).toFixed(1) : "N/A";
+      upperBound = hasInterval ? (riskData.upper * 100).toFixed(1) : "N/A";
     } else {
       riskPercentage = ((riskData || 0) * 100).toFixed(1);
       lowerBound = "N/A";
@@ -70,8 +83,8 @@ function renderCalendar(riskByMonth, historicalCrashes) {
               <span class="component-value">${components.cycleFactor}×</span>
             </div>
             <div class="component-item total">
-              <span class="component-label">Crashes:</span>
-              <span class="component-value">${components.extremeEvents}/${components.totalDays}</span>
+              <span class="component-label">${components.resolution === 'hourly' ? '24h Crashes:' : 'Crashes:'}</span>
+              <span class="component-value">${components.extremeEvents}/${components.resolution === 'hourly' ? `${components.exposureHours}h` : components.totalDays}</span>
             </div>
             ${components.credibleInterval ? `
             <div class="component-item interval">
@@ -84,6 +97,14 @@ function renderCalendar(riskByMonth, historicalCrashes) {
       `;
     }
     
+    // Models behind an ensemble risk and their weights
+    const ensembleContent = riskData && riskData.ensemble ? `
+        <div class="ensemble-breakdown">
+          ${Object.entries(riskData.ensemble.weights).map(([id, weight]) =>
+            `<span>${ENSEMBLE_MODEL_LABELS[id] || id}: ${(riskData.ensemble.components[id] * 100).toFixed(1)}% × ${(weight * 100).toFixed(0)}%</span>`).join('')}
+        </div>
+      ` : '';
+    
     // Create the month card
     const monthCard = document.createElement('div');
     monthCard.className = `month-card ${riskClass} ${highRiskClass}`;
@@ -106,6 +127,7 @@ function renderCalendar(riskByMonth, historicalCrashes) {
           <span>100%</span>
         </div>
       </div>
+      ${ensembleContent}
       ${breakdownContent}
     `;
       // Force immediate animation completion after a very short delay
@@ -151,13 +173,149 @@ function renderCalendar(riskByMonth, historicalCrashes) {
   }, 500);
 }
 
+/**
+ * Build the posterior summary shown at the top of the month popup
+ * @param {Object} riskData - Month risk ({risk, lower, upper, posterior})
+ * @param {number} timeframe - Horizon in days
+ * @returns {string} HTML (empty when no posterior is available)
+ */
+function renderPosteriorSection(riskData, timeframe) {
+  if (!riskData || !riskData.posterior) return '';
+
+  const { posterior } = riskData;
+  const { fit } = state.riskConstants;
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  const perDay = posterior.tau === timeframe ? 1 : posterior.tau / timeframe;
+
+  const priorNote = fit ? (fit.method === 'empirical-bayes' ?
+    `Prior Gamma(a₀=${fit.a0.toFixed(2)}, b₀=${fit.b0.toFixed(1)} days) fitted by empirical Bayes over ${fit.cellCount} month × regime cells ` +
+      `(log marginal likelihood ${fit.logLikelihood.toFixed(1)} vs ${fit.fixedLogLikelihood.toFixed(1)} for a₀=b₀=1)${fit.atBoundary ? ', at the edge of the search range' : ''}.` :
+    `Fixed prior Gamma(a₀=${fit.a0.toFixed(2)}, b₀=${fit.b0.toFixed(1)} days).`) : '';
+
+  return `
+    <div class="posterior-section">
+      <div class="posterior-title">Crash rate posterior (next ${timeframe} day${timeframe === 1 ? '' : 's'})${riskData.ensemble ? ', Poisson-Gamma model' : ''}</div>
+      ${posterior.density.length > 0 ? '<div class="posterior-chart"><canvas id="posteriorChart"></canvas></div>' : ''}
+      <div class="posterior-stats">
+        <span>Mean: ${percent(posterior.risk.atMean)}</span>
+        <span>Mode: ${percent(posterior.risk.atMode)}</span>
+        <span>Median: ${percent(posterior.quantiles[0.5].risk)}</span>
+        <span>50%: ${percent(posterior.quantiles[0.25].risk)}-${percent(posterior.quantiles[0.75].risk)}</span>
+        <span>95%: ${percent(posterior.quantiles[0.025].risk)}-${percent(posterior.quantiles[0.975].risk)}</span>
+        <span>Rate: ${(posterior.mean * perDay).toFixed(4)} ± ${(posterior.sd * perDay).toFixed(4)} / day</span>
+      </div>
+      ${priorNote ? `<div class="posterior-prior">${priorNote}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Build the ensemble summary shown at the top of the month popup
+ * @param {Object} riskData - Month risk from an ensemble ({risk, lower, upper, ensemble})
+ * @returns {string} HTML (empty when the risk is not from an ensemble)
+ */
+function renderEnsembleSection(riskData) {
+  if (!riskData || !riskData.ensemble) return '';
+
+  const { method, weights, components } = riskData.ensemble;
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  return `
+    <div class="posterior-section">
+      <div class="posterior-title">Ensemble (${method === 'bma' ? 'Bayesian model averaging' : 'stacking'}): ${percent(riskData.risk)}</div>
+      <div class="posterior-stats">
+        ${Object.entries(weights).map(([id, weight]) =>
+          `<span>${ENSEMBLE_MODEL_LABELS[id] || id}: ${percent(components[id])} (weight ${(weight * 100).toFixed(0)}%)</span>`).join('')}
+        <span>95%: ${percent(riskData.lower)}-${percent(riskData.upper)}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Build the summary of what drove a month's LSTM forecast
+ * @param {Object} riskData - Month risk from the pretrained LSTM ({risk, lstm})
+ * @returns {string} HTML (empty when the risk has no LSTM attributions)
+ */
+function renderLstmSection(riskData) {
+  if (!riskData || !riskData.lstm || !riskData.lstm.drivers) return '';
+
+  const { explanation, drivers } = riskData.lstm;
+  const percent = value => `${(value * 100).toFixed(2)}%`;
+
+  return `
+    <div class="posterior-section">
+      <div class="posterior-title">LSTM drivers (${explanation.horizon}-day output: ${percent(explanation.probability)}, ${percent(explanation.baselineProbability)} at average inputs)</div>
+      <div class="posterior-stats">
+        ${drivers.map(driver => `<span>${formatDriver(driver)}</span>`).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Plot a posterior's density on the risk scale
+ * @param {Object} posterior - Posterior from summarizePosterior
+ */
+function drawPosteriorChart(posterior) {
+  const canvas = document.getElementById('posteriorChart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (posteriorChart) {
+    posteriorChart.destroy();
+  }
+
+  posteriorChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      datasets: [{
+        label: 'Posterior density',
+        data: posterior.density.map(point => ({ x: point.risk * 100, y: point.riskDensity })),
+        borderColor: 'rgba(247, 147, 26, 1)',
+        backgroundColor: 'rgba(247, 147, 26, 0.2)',
+        fill: true,
+        pointRadius: 0,
+        tension: 0.3
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: items => `Risk ${items[0].parsed.x.toFixed(1)}%`,
+            label: item => `Density ${item.parsed.y.toFixed(2)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          title: { display: true, text: 'Crash probability (%)', color: 'rgba(255, 255, 255, 0.7)' },
+          grid: { color: 'rgba(255, 255, 255, 0.1)' },
+          ticks: { color: 'rgba(255, 255, 255, 0.7)' }
+        },
+        y: {
+          display: false
+        }
+      }
+    }
+  });
+}
+
 function openMonthPopup(month, crashEvents) {
     // Set popup title
     popupTitle.textContent = `${monthNames[month-1]} Historical Crashes`;
     
+    const timeframe = state.currentTimeframe || 30;
+    const riskData = getMonthRisk(month, timeframe);
+    const posteriorHTML = renderEnsembleSection(riskData) + renderLstmSection(riskData) + renderPosteriorSection(riskData, timeframe);
+    
     // Create popup content
     if (crashEvents.length > 0) {
-      popupContent.innerHTML = crashEvents.map((event, index) => {
+      popupContent.innerHTML = posteriorHTML + crashEvents.map((event, index) => {
         // Create HTML for links if available
         const linksHTML = event.links && event.links.length > 0 
           ? `
@@ -186,6 +344,7 @@ function openMonthPopup(month, crashEvents) {
               <span class="crash-date">${event.date}</span>
               <span class="crash-percentage">${event.percentage}%</span>
             </div>
+            ${event.artifact ? `<div class="crash-artifact">⚠️ Possible data artifact: ${event.artifact}</div>` : ''}
             ${event.description ? `<div class="crash-description">${event.description}</div>` : ''}
             ${contextHTML}
             ${linksHTML}
@@ -193,7 +352,11 @@ function openMonthPopup(month, crashEvents) {
         `;
       }).join('');
     } else {
-      popupContent.innerHTML = '<div>No significant historical crashes recorded for this month.</div>';
+      popupContent.innerHTML = posteriorHTML + '<div>No significant historical crashes recorded for this month.</div>';
+    }
+    
+    if (riskData && riskData.posterior && riskData.posterior.density.length > 0) {
+      drawPosteriorChart(riskData.posterior);
     }
     
     // Show modal overlay and popup
@@ -0,0 +1,159 @@
+/**
+ * Data Health Component
+ * Shows the data quality report for the loaded price series and lets the
+ * user switch the gap repair policy.
+ */
+
+import { state } from '../core/state.js';
+import { REPAIR_POLICIES } from '../core/data-quality.js';
+import { reprocessBitcoinData } from '../core/data-service.js';
+
+// Longest list shown per issue type
+const MAX_LISTED = 5;
+
+const POLICY_LABELS = {
+  'drop': 'Drop (leave gaps, average returns across them)',
+  'forward-fill': 'Forward-fill (repeat last known day)',
+  'interpolate': 'Interpolate (geometric price, linear metrics)'
+};
+
+/**
+ * Initialize the data health panel
+ */
+function initialize() {
+  const policySelect = document.getElementById('repairPolicy');
+  if (!policySelect) return;
+
+  policySelect.innerHTML = REPAIR_POLICIES
+    .map(policy => `<option value="${policy}">${POLICY_LABELS[policy]}</option>`)
+    .join('');
+
+  if (state.dataQuality) {
+    policySelect.value = state.dataQuality.policy;
+  }
+
+  policySelect.addEventListener('change', function() {
+    try {
+      reprocessBitcoinData(this.value);
+    } catch (error) {
+      console.error('Error applying repair policy:', error);
+    }
+  });
+
+  renderDataHealth();
+}
+
+/**
+ * Render a capped list of items
+ * @param {Array} items - Items to list
+ * @param {Function} format - item => HTML string
+ * @returns {string} HTML list
+ */
+function renderList(items, format) {
+  const shown = items.slice(0, MAX_LISTED).map(item => `<li>${format(item)}</li>`).join('');
+  const more = items.length > MAX_LISTED ? `<li class="data-health-more">…and ${items.length - MAX_LISTED} more</li>` : '';
+  return `<ul>${shown}${more}</ul>`;
+}
+
+/**
+ * Collect crash markers that are flagged as possible data artifacts
+ * @returns {Array} Flagged crashes
+ */
+function getSuspectCrashes() {
+  const suspects = [];
+  Object.keys(state.historicalCrashes || {}).forEach(month => {
+    state.historicalCrashes[month].forEach(crash => {
+      if (crash.artifact) {
+        suspects.push(crash);
+      }
+    });
+  });
+  return suspects;
+}
+
+/**
+ * Render the data quality report into the panel
+ */
+function renderDataHealth() {
+  const status = document.getElementById('data-health-status');
+  const content = document.getElementById('data-health-content');
+  if (!status || !content || !state.dataQuality) return;
+
+  const { report, policy } = state.dataQuality;
+  const suspects = getSuspectCrashes();
+  const issues = report.issueCount + suspects.length;
+
+  status.textContent = issues === 0 ? 'no issues found' : `${issues} issue${issues === 1 ? '' : 's'} found`;
+  status.className = issues === 0 ? 'data-health-ok' : 'data-health-warn';
+
+  const policySelect = document.getElementById('repairPolicy');
+  if (policySelect) policySelect.value = policy;
+
+  const sections = [];
+
+  if (suspects.length > 0) {
+    sections.push(`
+      <div class="data-health-section">
+        <strong>Crash markers that may be data artifacts (${suspects.length})</strong>
+        ${renderList(suspects, crash => `${crash.date} (${crash.percentage}%): ${crash.artifact}`)}
+      </div>
+    `);
+  }
+
+  if (report.missingRanges.length > 0) {
+    sections.push(`
+      <div class="data-health-section">
+        <strong>Missing dates: ${report.missingDayCount} day${report.missingDayCount === 1 ? '' : 's'} in ${report.missingRanges.length} gap${report.missingRanges.length === 1 ? '' : 's'}</strong>
+        ${renderList(report.missingRanges, range => range.days === 1 ? range.from : `${range.from} to ${range.to} (${range.days} days)`)}
+      </div>
+    `);
+  }
+
+  if (report.duplicateDates.length > 0) {
+    sections.push(`
+      <div class="data-health-section">
+        <strong>Duplicate dates (${report.duplicateDates.length}) - last row kept</strong>
+        ${renderList(report.duplicateDates, date => date)}
+      </div>
+    `);
+  }
+
+  if (report.nonPositivePrices.length > 0) {
+    sections.push(`
+      <div class="data-health-section">
+        <strong>Non-positive prices (${report.nonPositivePrices.length}) - removed</strong>
+        ${renderList(report.nonPositivePrices, row => `${row.date}: ${row.price}`)}
+      </div>
+    `);
+  }
+
+  if (report.outlierJumps.length > 0) {
+    sections.push(`
+      <div class="data-health-section">
+        <strong>Outlier jumps (${report.outlierJumps.length})</strong>
+        ${renderList(report.outlierJumps, jump =>
+          `${jump.date}: ${((Math.exp(jump.logReturn) - 1) * 100).toFixed(1)}%` +
+          `${jump.spanDays > 1 ? ` over ${jump.spanDays} days` : ''}` +
+          `${jump.reverted ? ` - reverted on ${jump.revertedOn}` : ''}`)}
+      </div>
+    `);
+  }
+
+  if (report.partialColumns.length > 0) {
+    sections.push(`
+      <div class="data-health-section">
+        <strong>Partially filled on-chain columns (${report.partialColumns.length})</strong>
+        ${renderList(report.partialColumns, field => {
+          const coverage = report.columnCoverage[field];
+          return `${field}: ${(coverage.ratio * 100).toFixed(1)}% filled since ${coverage.firstDate}`;
+        })}
+      </div>
+    `);
+  }
+
+  content.innerHTML = sections.length > 0 ?
+    sections.join('') :
+    `<p>${report.totalRecords.toLocaleString()} daily records from ${report.firstDate} to ${report.lastDate} passed all checks.</p>`;
+}
+
+export { initialize, renderDataHealth };
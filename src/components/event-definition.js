@@ -0,0 +1,95 @@
+/**
+ * Event Definition Component
+ * Controls for choosing what counts as an extreme event (crash).
+ * Applying a definition dispatches `eventDefinitionChanged`; app.js then
+ * recalculates the risk models and re-renders the views.
+ */
+
+import { getEventDefinition, setEventDefinition, describeEventDefinition, EVENT_DEFAULTS } from '../core/extreme-events.js';
+
+// Input shown for each definition type (percent values are entered in percent)
+const VALUE_FIELDS = {
+  percentile: { key: 'level', percent: true, unit: '% worst days' },
+  absolute: { key: 'drop', percent: true, unit: '% in a day' },
+  drawdown: { key: 'drop', percent: true, unit: '%' },
+  sigma: { key: 'k', percent: false, unit: 'σ below the mean' }
+};
+
+/**
+ * Initialize the event definition controls
+ */
+function initialize() {
+  const typeSelect = document.getElementById('eventType');
+  const applyButton = document.getElementById('eventApply');
+  if (!typeSelect || !applyButton) return;
+
+  showDefinition(getEventDefinition());
+  updateDescription();
+
+  typeSelect.addEventListener('change', function() {
+    showDefinition({ type: this.value, ...EVENT_DEFAULTS[this.value] });
+  });
+
+  applyButton.addEventListener('click', applyDefinition);
+}
+
+/**
+ * Fill the controls with a definition
+ * @param {Object} definition - Event definition
+ */
+function showDefinition(definition) {
+  const field = VALUE_FIELDS[definition.type];
+  const value = definition[field.key];
+
+  document.getElementById('eventType').value = definition.type;
+  document.getElementById('eventValue').value = field.percent ? +(value * 100).toFixed(4) : value;
+  document.getElementById('eventValueUnit').textContent = field.unit;
+
+  const daysGroup = document.getElementById('eventDaysGroup');
+  if (daysGroup) {
+    daysGroup.style.display = definition.type === 'drawdown' ? 'inline' : 'none';
+    document.getElementById('eventDays').value = definition.days || EVENT_DEFAULTS.drawdown.days;
+  }
+}
+
+/**
+ * Read the controls, make the definition active and announce the change
+ */
+function applyDefinition() {
+  const description = document.getElementById('eventDefinitionDescription');
+  const type = document.getElementById('eventType').value;
+  const field = VALUE_FIELDS[type];
+  const rawValue = parseFloat(document.getElementById('eventValue').value);
+
+  const definition = { type };
+  definition[field.key] = field.percent ? rawValue / 100 : rawValue;
+  if (type === 'drawdown') {
+    definition.days = parseInt(document.getElementById('eventDays').value, 10);
+  }
+
+  try {
+    const applied = setEventDefinition(definition);
+    showDefinition(applied);
+    updateDescription();
+    document.dispatchEvent(new CustomEvent('eventDefinitionChanged', { detail: { definition: applied } }));
+  } catch (error) {
+    console.error('Invalid extreme event definition:', error);
+    if (description) {
+      description.textContent = error.message;
+      description.classList.add('error');
+    }
+  }
+}
+
+/**
+ * Show the active definition in words
+ */
+function updateDescription() {
+  const description = document.getElementById('eventDefinitionDescription');
+  if (!description) return;
+
+  description.textContent = `Crashes counted: ${describeEventDefinition(getEventDefinition())}.`;
+  description.classList.remove('error');
+}
+
+export { initialize, updateDescription };
@@ -2,7 +2,7 @@
  * Gauge Component
  */
 
-import { state } from '../app.js';
+import { state } from '../core/state.js';
 
 function updateGauge(riskPercentage, credibleInterval = null) {
   // Add error checking for the gauge elements
@@ -0,0 +1,231 @@
+/**
+ * Model Comparison Component
+ * Runs the crash models side by side over the last few years (see
+ * core/model-comparison.js) and shows their scores, calibration curves and
+ * ROC curves.
+ */
+
+import { state } from '../core/state.js';
+import { compareModels } from '../core/model-comparison.js';
+import { describeEventDefinition } from '../core/extreme-events.js';
+
+// Years of forecasts scored in the browser (each forecast refits the models)
+const COMPARISON_YEARS = 3;
+
+const MODEL_COLORS = {
+  poissonGamma: 'rgba(247, 147, 26, 1)',
+  markov: 'rgba(90, 200, 250, 1)',
+  lstm: 'rgba(175, 82, 222, 1)',
+  climatology: 'rgba(255, 255, 255, 0.6)'
+};
+
+const GRID_COLOR = 'rgba(255, 255, 255, 0.1)';
+const TICK_COLOR = 'rgba(255, 255, 255, 0.7)';
+
+let calibrationChart = null;
+let rocChart = null;
+let running = false;
+
+/**
+ * Initialize the model comparison panel
+ */
+function initialize() {
+  const button = document.getElementById('runModelComparison');
+  if (!button) return;
+
+  button.addEventListener('click', () => {
+    runComparison().catch(error => console.error('Error comparing models:', error));
+  });
+}
+
+/**
+ * Score the models on the loaded data for the selected timeframe
+ */
+async function runComparison() {
+  const status = document.getElementById('model-comparison-status');
+  const button = document.getElementById('runModelComparison');
+  if (running || !state.bitcoinData || state.bitcoinData.length === 0) return;
+
+  running = true;
+  button.disabled = true;
+  status.textContent = 'running (the page may pause for a minute)...';
+  status.className = 'model-comparison-running';
+
+  try {
+    // Let the status paint before the forecasts block the page
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const lastDate = state.bitcoinData[state.bitcoinData.length - 1].date;
+    const start = new Date(lastDate);
+    start.setFullYear(start.getFullYear() - COMPARISON_YEARS);
+
+    const result = await compareModels(state.bitcoinData, {
+      timeframe: state.currentTimeframe,
+      start: start.toISOString().slice(0, 10)
+    });
+
+    status.textContent = `${result.count} forecasts scored`;
+    status.className = '';
+    renderComparison(result);
+  } catch (error) {
+    console.error('Error running model comparison:', error);
+    status.textContent = `failed: ${error.message}`;
+    status.className = 'model-comparison-error';
+  } finally {
+    running = false;
+    button.disabled = false;
+  }
+}
+
+const formatNumber = (value, digits = 3) => (isNaN(value) ? 'n/a' : value.toFixed(digits));
+const formatPercent = value => (isNaN(value) ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Render the scores table and charts
+ * @param {Object} result - Result of compareModels
+ */
+function renderComparison(result) {
+  const content = document.getElementById('model-comparison-content');
+  if (!content) return;
+
+  const rows = result.models.map(({ id, label }) => {
+    const score = result.scores[id];
+    return `
+      <tr>
+        <td><span class="model-comparison-swatch" style="background: ${MODEL_COLORS[id] || TICK_COLOR}"></span>${label}</td>
+        <td>${formatNumber(score.brier)}</td>
+        <td>${formatNumber(score.logLoss)}</td>
+        <td>${formatNumber(score.auroc)}</td>
+        <td>${formatNumber(score.calibrationError)}</td>
+        <td>${formatPercent(score.sharpness.mean)}</td>
+        <td>${formatPercent(score.sharpness.sd)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  content.innerHTML = `
+    <p>
+      ${result.timeframe}-day horizon, ${result.count} monthly forecasts from
+      ${result.records[0].date.toISOString().slice(0, 10)}; ${result.eventCount} followed by an event
+      (${describeEventDefinition(result.definition)}).
+    </p>
+    <table class="model-comparison-table">
+      <thead>
+        <tr><th>Model</th><th>Brier</th><th>Log loss</th><th>AUROC</th><th>Calib. err.</th><th>Mean</th><th>Sharpness (sd)</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="model-comparison-charts">
+      <div class="model-comparison-chart"><canvas id="calibrationChart"></canvas></div>
+      <div class="model-comparison-chart"><canvas id="rocChart"></canvas></div>
+    </div>
+    <p class="model-comparison-note">
+      Lower Brier, log loss and calibration error are better; an AUROC of 0.5 is no better than chance.
+      The Markov crash state is the regime's 1st percentile daily return, so it matches the target exactly only for the default event definition.
+      The LSTM needs TensorFlow for Node and is compared from the command line (<code>backtest-cli.js --compare --lstm</code>).
+    </p>
+  `;
+
+  drawCalibrationChart(result);
+  drawRocChart(result);
+}
+
+/**
+ * Shared Chart.js options for a unit square plot
+ * @param {string} xLabel - X axis title
+ * @param {string} yLabel - Y axis title
+ * @param {Function} label - Tooltip label callback
+ * @returns {Object} Chart options
+ */
+function unitSquareOptions(xLabel, yLabel, label) {
+  const axis = text => ({
+    type: 'linear',
+    min: 0,
+    max: 1,
+    title: { display: true, text, color: TICK_COLOR },
+    grid: { color: GRID_COLOR },
+    ticks: { color: TICK_COLOR }
+  });
+
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { labels: { color: TICK_COLOR, boxWidth: 12 } },
+      tooltip: { callbacks: { label } }
+    },
+    scales: {
+      x: axis(xLabel),
+      y: axis(yLabel)
+    }
+  };
+}
+
+// Dashed y = x reference line (perfect calibration / chance)
+const diagonal = label => ({
+  label,
+  data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+  borderColor: GRID_COLOR,
+  borderDash: [4, 4],
+  pointRadius: 0
+});
+
+/**
+ * Draw the reliability curves (mean forecast vs observed frequency per bin)
+ * @param {Object} result - Result of compareModels
+ */
+function drawCalibrationChart(result) {
+  const canvas = document.getElementById('calibrationChart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (calibrationChart) {
+    calibrationChart.destroy();
+  }
+
+  const datasets = result.models.map(({ id, label }) => ({
+    label,
+    data: result.scores[id].reliability
+      .filter(bin => bin.count > 0)
+      .map(bin => ({ x: bin.meanForecast, y: bin.observedFrequency, count: bin.count })),
+    borderColor: MODEL_COLORS[id] || TICK_COLOR,
+    backgroundColor: MODEL_COLORS[id] || TICK_COLOR,
+    pointRadius: 3
+  }));
+
+  calibrationChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { datasets: [...datasets, diagonal('Perfect calibration')] },
+    options: unitSquareOptions('Forecast probability', 'Observed frequency', item =>
+      item.raw.count ? `${item.dataset.label}: ${formatPercent(item.raw.y)} observed (${item.raw.count} forecasts)` : item.dataset.label)
+  });
+}
+
+/**
+ * Draw the ROC curves
+ * @param {Object} result - Result of compareModels
+ */
+function drawRocChart(result) {
+  const canvas = document.getElementById('rocChart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (rocChart) {
+    rocChart.destroy();
+  }
+
+  const datasets = result.models.map(({ id, label }) => ({
+    label: `${label} (AUROC ${formatNumber(result.scores[id].auroc, 2)})`,
+    data: result.scores[id].roc.points.map(point => ({ x: point.fpr, y: point.tpr, threshold: point.threshold })),
+    borderColor: MODEL_COLORS[id] || TICK_COLOR,
+    backgroundColor: MODEL_COLORS[id] || TICK_COLOR,
+    pointRadius: 0
+  }));
+
+  rocChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { datasets: [...datasets, diagonal('Chance')] },
+    options: unitSquareOptions('False positive rate', 'True positive rate', item =>
+      isFinite(item.raw.threshold) ? `${item.dataset.label}: threshold ${formatPercent(item.raw.threshold)}` : item.dataset.label)
+  });
+}
+
+export { initialize, renderComparison };
@@ -2,7 +2,7 @@
  * Portfolio Component
  */
 
-import { state } from '../app.js';
+import { state } from '../core/state.js';
 
 /**
  * Initialize portfolio calculator component
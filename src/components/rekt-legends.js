@@ -3,7 +3,7 @@
  * Displays legendary Bitcoin crashes
  */
 
-import { state, monthNames } from '../app.js';
+import { state, monthNames } from '../core/state.js';
 
 /**
  * Initialize the Rekt Legends component
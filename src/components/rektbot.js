@@ -8,10 +8,12 @@
  * @copyright 2025 Ciphernom
  */
 
-import { state, monthNames } from '../app.js';
+import { state, monthNames } from '../core/state.js';
 import { formatDate, formatPercentage } from '../utils/formatting.js';
 import { calculateStandardDeviation } from '../utils/statistics.js';
 import { NaiveBayesClassifier } from '../core/naive-bayes-classifier.js';
+import { getRiskByMonth, getMonthRisk } from '../core/risk-source.js';
+import { formatDriver } from '../core/lstm-inference.js';
 import { ConversationContext } from './conversationContext.js';
 import { knowledgeGraph } from './knowledgeGraph.js';
 import { EnhancedNLU } from './enhancedNLU.js';
@@ -1264,7 +1266,7 @@ function updateRiskContext() {
   const currentMonth = new Date().getMonth() + 1;
   
   // Get risk data from application state
-  const monthRiskData = state.riskByMonth?.[timeframe]?.[currentMonth];
+  const monthRiskData = getMonthRisk(currentMonth, timeframe);
   
   // Get risk components
   const riskComponents = state.riskComponents?.[timeframe]?.[currentMonth] || {};
@@ -1273,10 +1275,12 @@ function updateRiskContext() {
   let riskValue, riskPercentage, credibleInterval;
   if (monthRiskData && typeof monthRiskData === 'object' && monthRiskData.risk !== undefined) {
     riskValue = monthRiskData.risk;
-    credibleInterval = {
-      lower: monthRiskData.lower,
-      upper: monthRiskData.upper
-    };
+    if (monthRiskData.lower !== undefined && monthRiskData.upper !== undefined) {
+      credibleInterval = {
+        lower: monthRiskData.lower,
+        upper: monthRiskData.upper
+      };
+    }
   } else {
     // Old format - direct number
     riskValue = monthRiskData || 0;
@@ -2393,7 +2397,7 @@ function handleRiskAssessment(message, sentiment, processedMessage) {
   // Get current risk from application state
     const monthEntity = processedMessage.entities.month;
     const currentMonth = monthEntity ? monthEntity.index + 1 : new Date().getMonth() ;
-    const currentRisk = state.riskByMonth[timeframe][currentMonth];
+    const currentRisk = getMonthRisk(currentMonth, timeframe);
   const riskValue = typeof currentRisk === 'object' ? currentRisk.risk : currentRisk;
   const riskPercentage = (riskValue * 100).toFixed(1);
   
@@ -2475,6 +2479,9 @@ function handleRiskAssessment(message, sentiment, processedMessage) {
     topRiskFactors = topRiskFactors.slice(0, 3);
   }
   
+  // Inputs that moved the LSTM's forecast most, when it is the risk source
+  const lstmDrivers = currentRisk && currentRisk.lstm && currentRisk.lstm.drivers ? currentRisk.lstm.drivers : [];
+  
   // Create gauge HTML with enhanced information
   gaugeContainer.innerHTML = `
     <div class="gauge-container">
@@ -2505,6 +2512,19 @@ function handleRiskAssessment(message, sentiment, processedMessage) {
       </div>
     </div>
     
+    ${lstmDrivers.length > 0 ? `
+    <div style="margin-top: 15px; background: rgba(30, 30, 30, 0.7); padding: 12px; border-radius: 8px;">
+      <div style="margin-bottom: 8px; font-weight: bold; color: var(--btc-orange);">LSTM Drivers (${currentRisk.lstm.explanation.horizon}-day output):</div>
+      <div style="display: flex; flex-direction: column; gap: 8px;">
+        ${lstmDrivers.map(driver => `
+          <div style="padding: 6px 10px; background: rgba(0,0,0,0.2); border-radius: 4px; border-left: 4px solid ${driver.contribution >= 0 ? 'var(--btc-orange)' : 'rgba(255, 255, 255, 0.3)'};">
+            ${formatDriver(driver)}
+          </div>
+        `).join('')}
+      </div>
+    </div>
+    ` : ''}
+    
     <div style="margin-top: 15px; background: rgba(30, 30, 30, 0.7); padding: 12px; border-radius: 8px;">
       <div style="margin-bottom: 8px; font-weight: bold; color: var(--btc-orange);">Market Context:</div>
       <div style="font-size: 0.9rem;">
@@ -2569,6 +2589,11 @@ function handleRiskAssessment(message, sentiment, processedMessage) {
     text += `Key factors contributing to current risk assessment include ${topRiskFactors.map(f => f.name).join(', ')}. `;
   }
   
+  if (lstmDrivers.length > 0) {
+    text += `The LSTM's ${monthNames[currentMonth - 1]} forecast is driven most by ${lstmDrivers.map(formatDriver).join(', ')}, ` +
+      `in points of its ${currentRisk.lstm.explanation.horizon}-day crash probability against inputs at their training averages. `;
+  }
+  
   // Add market cycle context
   text += `Current market positioning indicates a ${marketPhase.replace(/_/g, ' ')} phase.`;
   
@@ -2619,7 +2644,7 @@ function getRiskLevelDescription(riskValue) {
 function updateRiskGauge(gauge, days) {
   // Get current risk for new timeframe
   const currentMonth = new Date().getMonth() + 1;
-  const currentRisk = state.riskByMonth[days][currentMonth];
+  const currentRisk = getMonthRisk(currentMonth, days);
   const riskValue = typeof currentRisk === 'object' ? currentRisk.risk : currentRisk;
   const riskPercentage = (riskValue * 100).toFixed(1);
   
@@ -2657,7 +2682,7 @@ function updateRiskGauge(gauge, days) {
 function handleStrategyAdvice(message, sentiment, processedMessage) {
   // Get current risk level
   const currentMonth = new Date().getMonth() + 1;
-  const currentRisk = state.riskByMonth[30][currentMonth];
+  const currentRisk = getMonthRisk(currentMonth, 30);
   const riskValue = typeof currentRisk === 'object' ? currentRisk.risk : currentRisk;
   const riskPercentage = (riskValue * 100).toFixed(1);
   
@@ -3287,7 +3312,7 @@ function handleMarketPrediction(message, sentiment, processedMessage) {
   visual.appendChild(chartContainer);
   
 // Get current risk levels for all months
-const allMonthsRisk = state.riskByMonth[timeframe];
+const allMonthsRisk = getRiskByMonth(timeframe);
 const monthEntity = processedMessage.entities.month;
 const currentMonth = monthEntity ? monthEntity.index + 1 : new Date().getMonth() + 1;
   
@@ -3904,7 +3929,7 @@ setTimeout(async () => {
     // Calculate risk change based on scenario
     const monthEntity = processedMessage.entities.month;
     const currentMonth = monthEntity ? monthEntity.index + 1 : new Date().getMonth() + 1;
-    const currentRisk = state.riskByMonth[30][currentMonth];
+    const currentRisk = getMonthRisk(currentMonth, 30);
   const currentRiskValue = typeof currentRisk === 'object' ? currentRisk.risk : currentRisk;
   const adjustedRisk = Math.max(0.05, Math.min(0.95, currentRiskValue + riskAdjustment));
   
@@ -6435,12 +6460,12 @@ function getMetricSimilarityAssessment(metrics) {
 }
 
 /**
- * Get current risk from state
+ * Get current risk from the active risk source (calendar model or ensemble)
  * @returns {number} Current risk value
  */
 function getCurrentRisk() {
   const currentMonth = new Date().getMonth() + 1;
-  const currentRisk = state.riskByMonth[state.currentTimeframe || 30][currentMonth];
+  const currentRisk = getMonthRisk(currentMonth, state.currentTimeframe || 30);
   
   if (typeof currentRisk === 'object' && currentRisk !== null) {
     return currentRisk.risk;
@@ -0,0 +1,113 @@
+/**
+ * Risk Source Selector Component
+ * Lets the user choose which registered crash model (core/model-registry.js)
+ * the calendar, gauge and RektBot show. Once the selected model is ready it
+ * dispatches `riskSourceChanged`; app.js then re-renders the views.
+ */
+
+import { state } from '../core/state.js';
+import { listModels, describeInputs } from '../core/model-registry.js';
+import { getRiskSource, setRiskSource, getActiveDescriptor, supportsTimeframe, getActiveModel, ensureActiveModel } from '../core/risk-source.js';
+import { isAbortError } from '../workers/compute.js';
+
+/**
+ * Initialize the risk source selector
+ */
+function initialize() {
+  const select = document.getElementById('riskSource');
+  if (!select) return;
+
+  renderOptions();
+
+  select.addEventListener('change', function() {
+    try {
+      setRiskSource(this.value);
+      ensureRiskSource();
+    } catch (error) {
+      console.error('Error switching risk source:', error);
+    }
+  });
+
+  // Each timeframe has its own fit, and not every model forecasts every timeframe
+  document.querySelectorAll('.timeframe-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      renderOptions();
+      ensureRiskSource();
+    });
+  });
+
+  ensureRiskSource();
+}
+
+/**
+ * List the registered models, marking those that do not forecast the current timeframe
+ */
+function renderOptions() {
+  const select = document.getElementById('riskSource');
+  if (!select) return;
+
+  select.innerHTML = listModels()
+    .map(model => {
+      const supported = model.horizons.includes(state.currentTimeframe);
+      return `<option value="${model.id}"${supported ? '' : ' disabled'}>${model.label}${supported ? '' : ` (no ${state.currentTimeframe}-day forecast)`}</option>`;
+    })
+    .join('');
+  select.value = getRiskSource();
+}
+
+/**
+ * Make sure the selected model has risk for the current timeframe, fitting it if needed
+ * @returns {Promise<void>}
+ */
+async function ensureRiskSource() {
+  const timeframe = state.currentTimeframe;
+  const status = document.getElementById('riskSourceStatus');
+
+  if (supportsTimeframe(timeframe) && !getActiveModel(timeframe) && state.bitcoinData.length > 0) {
+    if (status) {
+      status.textContent = 'fitting...';
+      status.className = 'risk-source-fitting';
+    }
+
+    try {
+      const model = await ensureActiveModel(timeframe, (done, total) => {
+        if (status && state.currentTimeframe === timeframe) {
+          status.textContent = `fitting (${done}/${total})...`;
+        }
+      });
+      if (!model) return; // Superseded by a newer choice or data
+    } catch (error) {
+      if (isAbortError(error)) return; // The data changed; the model is fitted again for it
+      console.error('Error fitting model:', error);
+      if (status) {
+        status.textContent = `model unavailable (${error.message}), showing the calendar model`;
+        status.className = 'risk-source-error';
+      }
+      return;
+    }
+  }
+
+  if (state.currentTimeframe !== timeframe) return;
+  renderRiskSourceStatus();
+  document.dispatchEvent(new CustomEvent('riskSourceChanged', { detail: { source: getRiskSource(), timeframe } }));
+}
+
+/**
+ * Show what the selected model reads and, once fitted, its summary (e.g. ensemble weights)
+ */
+function renderRiskSourceStatus() {
+  const status = document.getElementById('riskSourceStatus');
+  const details = document.getElementById('riskSourceDetails');
+  if (!status || !details) return;
+
+  const descriptor = getActiveDescriptor();
+  status.className = '';
+  status.textContent = supportsTimeframe() ? '' : `no ${state.currentTimeframe}-day forecast, showing the calendar model`;
+
+  const model = getActiveModel();
+  const summary = model ? model.getSummary() : '';
+  details.textContent = `${descriptor.description}. Reads ${describeInputs(descriptor)}; ` +
+    `horizons ${descriptor.horizons.join(', ')} days.` + (summary ? ` ${summary}` : '');
+}
+
+export { initialize, ensureRiskSource, renderRiskSourceStatus };
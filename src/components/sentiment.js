@@ -3,7 +3,7 @@
  * Shows the full power of the Naive Bayes Classifier
  */
 
-import { state } from '../app.js';
+import { state } from '../core/state.js';
 import { NaiveBayesClassifier } from '../core/naive-bayes-classifier.js';
 
 /**
@@ -481,7 +481,11 @@ function updateSentimentDisplay(sentimentData) {
     });
   }
 }
-document.dispatchEvent(new CustomEvent('sentimentUpdated'));
+
+// Guarded so the module can also be imported headless (e.g. by the backtest in Node)
+if (typeof document !== 'undefined') {
+  document.dispatchEvent(new CustomEvent('sentimentUpdated'));
+}
 
 
 
@@ -3,7 +3,7 @@
  * Handles social sharing functionality
  */
 
-import { state } from '../app.js';
+import { state } from '../core/state.js';
 
 /**
  * Initialize the Social Share component
@@ -2,8 +2,9 @@
  * Timeline Component
  */
 
-import { state } from '../app.js';
+import { state } from '../core/state.js';
 import { updateGauge } from './gauge.js';
+import { getRiskByMonth } from '../core/risk-source.js';
 
 /**
  * Initialize timeline component
@@ -49,7 +50,7 @@ function initialize() {
         });
       } else {
         // If no data, project based on current patterns
-        const currentRisk = state.riskByMonth[state.currentTimeframe];
+        const currentRisk = getRiskByMonth();
         
         // Apply a year-specific modifier to simulate different market cycles
         let yearModifier = 1.0;
@@ -126,7 +127,7 @@ function initialize() {
       if (tauValue) tauValue.textContent = timeframeDays;
       
       // Get risk data for this timeframe
-      const timeframeRisk = state.riskByMonth[timeframeDays];
+      const timeframeRisk = getRiskByMonth(timeframeDays);
       
   if (timeframeRisk) {
     // Update all cards with the risk data for this timeframe
@@ -141,14 +142,19 @@ function initialize() {
         riskPercentage = (risk * 100).toFixed(1);
         
         // Update credible interval if available
+        const hasInterval = riskData.lower !== undefined && riskData.upper !== undefined;
         const intervalElement = card.querySelector('.credible-interval');
-        if (intervalElement) {
+        if (intervalElement && !hasInterval) {
+          intervalElement.remove();
+        } else if (intervalElement) {
           intervalElement.textContent = `(${(riskData.lower * 100).toFixed(1)}%-${(riskData.upper * 100).toFixed(1)}%)`;
         }
         
         // Update interval range if available
         const rangeElement = card.querySelector('.interval-range');
-        if (rangeElement) {
+        if (rangeElement && !hasInterval) {
+          rangeElement.remove();
+        } else if (rangeElement) {
           rangeElement.style.left = `${(riskData.lower * 100).toFixed(1)}%`;
           rangeElement.style.width = `${((riskData.upper - riskData.lower) * 100).toFixed(1)}%`;
         }
@@ -202,10 +208,10 @@ function initialize() {
     let riskPercentage, credibleInterval;
     if (currentMonthRiskData && typeof currentMonthRiskData === 'object') {
       riskPercentage = ((currentMonthRiskData.risk || 0) * 100).toFixed(1);
-      credibleInterval = {
-        lower: ((currentMonthRiskData.lower || 0) * 100).toFixed(1) + '%',
-        upper: ((currentMonthRiskData.upper || 0) * 100).toFixed(1) + '%'
-      };
+      credibleInterval = currentMonthRiskData.lower !== undefined && currentMonthRiskData.upper !== undefined ? {
+        lower: (currentMonthRiskData.lower * 100).toFixed(1) + '%',
+        upper: (currentMonthRiskData.upper * 100).toFixed(1) + '%'
+      } : null;
     } else {
       riskPercentage = ((currentMonthRiskData || 0) * 100).toFixed(1);
       credibleInterval = null;
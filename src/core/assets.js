@@ -0,0 +1,232 @@
+/**
+ * Assets
+ * Registry of the assets the calendar can run on.
+ *
+ * Each asset names its Coin Metrics CSV and the regime boundaries used to
+ * split its history (halving epochs for Bitcoin, protocol changes such as the
+ * Merge for Ethereum). Extreme-event thresholds are calculated per regime.
+ */
+
+import { state } from './state.js';
+import { configureDataSource, readSetting } from './data-sources.js';
+
+// Coin Metrics community CSVs are named <asset>.csv
+const COINMETRICS_CSV_BASE_URL = 'https://raw.githubusercontent.com/coinmetrics/data/master/csv/';
+
+const DEFAULT_ASSET_ID = 'btc';
+const ASSET_STORAGE_KEY = 'rektAsset';
+
+// Registered assets by id
+const assets = {};
+
+/**
+ * Register an asset
+ * @param {string} id - Asset identifier (Coin Metrics asset code, e.g. "eth")
+ * @param {Object} definition - Asset definition
+ * @param {string} definition.label - Human readable name
+ * @param {string} definition.symbol - Ticker symbol
+ * @param {string} definition.binanceSymbol - Optional Binance pair for hourly candles
+ * @param {Array<{start: string, label: string}>} definition.regimes - Regime start dates in chronological order
+ * @param {Object} definition.cycleMonths - Optional {halving, postHalving}: months (1-12) of the
+ *   asset's halvings and the months after them, which the calendar model adjusts; none without
+ */
+function registerAsset(id, definition) {
+  if (!definition || !Array.isArray(definition.regimes) || definition.regimes.length === 0) {
+    throw new Error(`Asset "${id}" must define at least one regime`);
+  }
+
+  const regimes = definition.regimes.map(regime => ({ start: new Date(regime.start), label: regime.label }));
+  for (let i = 1; i < regimes.length; i++) {
+    if (regimes[i].start <= regimes[i - 1].start) {
+      throw new Error(`Regimes of asset "${id}" must be in chronological order`);
+    }
+  }
+
+  assets[id] = {
+    id,
+    label: definition.label || id.toUpperCase(),
+    symbol: definition.symbol || id.toUpperCase(),
+    binanceSymbol: definition.binanceSymbol || null,
+    regimes,
+    cycleMonths: definition.cycleMonths || null
+  };
+
+  return assets[id];
+}
+
+/**
+ * Get a registered asset
+ * @param {string} id - Asset identifier
+ * @returns {Object} Asset definition
+ */
+function getAsset(id) {
+  const asset = assets[id];
+  if (!asset) {
+    throw new Error(`Unknown asset "${id}"`);
+  }
+  return asset;
+}
+
+/**
+ * List registered assets
+ * @returns {Array<{id: string, label: string, symbol: string}>}
+ */
+function listAssets() {
+  return Object.values(assets).map(({ id, label, symbol }) => ({ id, label, symbol }));
+}
+
+/**
+ * Resolve which asset to load
+ * `?asset=<id>` wins, then the stored choice, then Bitcoin.
+ * @returns {string} Asset identifier
+ */
+function resolveActiveAssetId() {
+  const id = readSetting('asset', ASSET_STORAGE_KEY);
+  if (id && assets[id]) return id;
+
+  if (id) {
+    console.warn(`Unknown asset "${id}", falling back to ${DEFAULT_ASSET_ID}`);
+  }
+  return DEFAULT_ASSET_ID;
+}
+
+/**
+ * Remember an asset choice for future page loads
+ * @param {string} id - Asset identifier
+ */
+function setActiveAsset(id) {
+  getAsset(id);
+
+  try {
+    window.localStorage.setItem(ASSET_STORAGE_KEY, id);
+  } catch (e) {
+    console.warn('Could not persist asset choice:', e);
+  }
+}
+
+/**
+ * Make an asset the one the pipeline loads
+ * Points the built-in sources at the asset's files and stores it in state.asset.
+ * Must run before the data is fetched; `?sourceUrl=` still overrides the source URL.
+ * @param {string} id - Asset identifier (defaults to the resolved asset)
+ * @returns {Object} Asset definition
+ */
+function activateAsset(id = resolveActiveAssetId()) {
+  const asset = getAsset(id);
+
+  configureDataSource('coinmetrics', { url: `${COINMETRICS_CSV_BASE_URL}${asset.id}.csv` });
+  configureDataSource('local-file', { url: `data/${asset.id}.csv` });
+  configureDataSource('local-hourly', { url: `data/${asset.id}-1h.csv` });
+  if (asset.binanceSymbol) {
+    configureDataSource('binance-hourly', { symbol: asset.binanceSymbol });
+  }
+
+  state.asset = asset;
+  console.log(`Active asset: ${asset.label} (${asset.regimes.length} regimes)`);
+
+  return asset;
+}
+
+/**
+ * Get the active asset (Bitcoin until another asset is activated)
+ * @returns {Object} Asset definition
+ */
+function getActiveAsset() {
+  return state.asset || assets[DEFAULT_ASSET_ID];
+}
+
+/**
+ * Get the regime a date falls in
+ * @param {Date} date - The date to check
+ * @param {Object} asset - Asset definition (defaults to the active asset)
+ * @returns {number} Regime index
+ */
+function getRegime(date, asset = getActiveAsset()) {
+  for (let i = asset.regimes.length - 1; i >= 0; i--) {
+    if (date >= asset.regimes[i].start) {
+      return i;
+    }
+  }
+
+  return 0; // Default to the first regime for dates before it starts
+}
+
+/**
+ * Get the display name of a regime
+ * @param {number} index - Regime index
+ * @param {Object} asset - Asset definition (defaults to the active asset)
+ * @returns {string} Regime label
+ */
+function getRegimeLabel(index, asset = getActiveAsset()) {
+  const regime = asset.regimes[index];
+  return regime ? regime.label : `Regime ${index}`;
+}
+
+// Built-in assets
+
+// Bitcoin: halving epochs (same boundaries as HALVING_DATES in data-service.js)
+registerAsset('btc', {
+  label: 'Bitcoin',
+  symbol: 'BTC',
+  binanceSymbol: 'BTCUSDT',
+  regimes: [
+    { start: '2009-01-03', label: 'Pre-first halving' },
+    { start: '2012-11-28', label: 'First halving epoch' },
+    { start: '2016-07-09', label: 'Second halving epoch' },
+    { start: '2020-05-11', label: 'Third halving epoch' },
+    { start: '2024-04-20', label: 'Fourth halving epoch' }
+  ],
+  // May 2020, July 2016, November 2012
+  cycleMonths: { halving: [5, 7, 11], postHalving: [6, 8, 12, 1] }
+});
+
+// Ethereum: fee burn (London) and the switch to proof-of-stake (the Merge)
+registerAsset('eth', {
+  label: 'Ethereum',
+  symbol: 'ETH',
+  binanceSymbol: 'ETHUSDT',
+  regimes: [
+    { start: '2015-07-30', label: 'Proof-of-work' },
+    { start: '2021-08-05', label: 'Post-London (EIP-1559)' },
+    { start: '2022-09-15', label: 'Proof-of-stake (post-Merge)' }
+  ]
+});
+
+// Litecoin: halving epochs
+registerAsset('ltc', {
+  label: 'Litecoin',
+  symbol: 'LTC',
+  binanceSymbol: 'LTCUSDT',
+  regimes: [
+    { start: '2011-10-07', label: 'Pre-first halving' },
+    { start: '2015-08-25', label: 'First halving epoch' },
+    { start: '2019-08-05', label: 'Second halving epoch' },
+    { start: '2023-08-02', label: 'Third halving epoch' }
+  ],
+  // Every halving so far fell in August
+  cycleMonths: { halving: [8], postHalving: [9] }
+});
+
+// Solana: mainnet beta, then the market after the FTX/Alameda collapse
+registerAsset('sol', {
+  label: 'Solana',
+  symbol: 'SOL',
+  binanceSymbol: 'SOLUSDT',
+  regimes: [
+    { start: '2020-03-16', label: 'Mainnet beta' },
+    { start: '2022-11-08', label: 'Post-FTX collapse' }
+  ]
+});
+
+export {
+  DEFAULT_ASSET_ID,
+  registerAsset,
+  getAsset,
+  listAssets,
+  resolveActiveAssetId,
+  setActiveAsset,
+  activateAsset,
+  getActiveAsset,
+  getRegime,
+  getRegimeLabel
+};
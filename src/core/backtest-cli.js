@@ -0,0 +1,279 @@
+// backtest-cli.js
+//
+// Walk-forward backtest of the monthly crash-risk forecasts (see backtest.js).
+//
+//   node src/core/backtest-cli.js data/btc.csv [options]
+//
+// Options:
+//   --timeframe <days>      Forecast horizon (default 30)
+//   --event <definition>    Extreme event definition, e.g. percentile:1, absolute:-10, drawdown:-20:7
+//   --prior <method>        empirical-bayes (default) or fixed
+//   --asset <id>            Asset whose regimes split the history (default btc)
+//   --format <name>         coinmetrics (default) or ohlc column names
+//   --start / --end <date>  Range of forecast dates (ISO)
+//   --min-history <days>    History required before the first forecast (default 730)
+//   --bins <n>              Reliability diagram bins (default 10)
+//   --json <file>           Also write the full report as JSON
+//   --max-brier <x>         Exit with status 1 if the model's Brier score is above x
+//   --min-skill <x>         Exit with status 1 if the Brier skill vs climatology is below x
+//   --compare               Compare the Poisson-Gamma, Markov and climatology forecasts (see model-comparison.js)
+//   --ensemble <method>     Fit the ensemble (stacking or bma) and print its weights and monthly risk
+//   --fit-years <n>         Years of forecasts the ensemble weights are fitted on (default 3)
+//   --lstm                  With --compare or --ensemble, include the LSTM (needs @tensorflow/tfjs-node)
+//   --lstm-arch <list>      Sequence encoders to compare, e.g. lstm,gru,tcn (default lstm; --ensemble uses the first)
+//   --lstm-attention <type> none, additive (default) or dot
+//   --verbose               Keep the model's console logging
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { parseCsv, mapRowsToRecords, COINMETRICS_COLUMNS, OHLC_COLUMNS } from './data-sources.js';
+import { processRecords } from './data-service.js';
+import { state } from './state.js';
+import { activateAsset } from './assets.js';
+import { parseEventDefinition, describeEventDefinition } from './extreme-events.js';
+import { PRIOR_METHODS } from './poisson-gamma.js';
+import { runBacktest, DEFAULT_BACKTEST_OPTIONS } from './backtest.js';
+import { compareModels, createLstmForecaster } from './model-comparison.js';
+import { EnsembleCrashPredictor, ENSEMBLE_METHODS } from './ensemble-model.js';
+import { LSTMCrashPredictor, ARCHITECTURES, setTensorFlow } from './lstm-crash-predictor.js';
+
+const require = createRequire(import.meta.url);
+
+const COLUMN_FORMATS = {
+  coinmetrics: COINMETRICS_COLUMNS,
+  ohlc: OHLC_COLUMNS
+};
+
+function parseArguments(argv) {
+  const args = { file: null, flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      if (['verbose', 'help', 'compare', 'lstm'].includes(name)) {
+        args.flags[name] = true;
+      } else {
+        args.flags[name] = argv[++i];
+      }
+    } else if (!args.file) {
+      args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+function numberFlag(flags, name, fallback) {
+  if (flags[name] === undefined) return fallback;
+  const value = Number(flags[name]);
+  if (!isFinite(value)) {
+    throw new Error(`--${name} must be a number`);
+  }
+  return value;
+}
+
+const formatNumber = (value, digits = 4) => (isNaN(value) ? 'n/a' : value.toFixed(digits));
+const formatPercent = value => (isNaN(value) ? '  n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function printReport(report) {
+  const { model, climatology, skill } = report;
+
+  console.info(`\nWalk-forward backtest: ${report.timeframe}-day horizon, ${report.count} monthly forecasts`);
+  console.info(`Events: ${describeEventDefinition(report.definition)}; prior: ${report.priorMethod}`);
+  console.info(`Forecasts followed by an event: ${report.eventCount} (${formatPercent(report.baseRate).trim()})`);
+  if (report.overlapping) {
+    console.info('Note: outcome windows overlap, so consecutive forecast errors are correlated');
+  }
+
+  console.info('\n                  Model    Climatology');
+  console.info(`Brier score      ${formatNumber(model.brier).padStart(7)}  ${formatNumber(climatology.brier).padStart(7)}`);
+  console.info(`Log loss         ${formatNumber(model.logLoss).padStart(7)}  ${formatNumber(climatology.logLoss).padStart(7)}`);
+  console.info(`Calibration err. ${formatNumber(model.calibrationError).padStart(7)}  ${formatNumber(climatology.calibrationError).padStart(7)}`);
+  console.info(`Skill vs climatology: Brier ${formatNumber(skill.brier, 3)}, log loss ${formatNumber(skill.logLoss, 3)}`);
+
+  console.info('\nReliability (model)');
+  console.info('  Forecast bin    Count   Mean forecast   Observed');
+  model.reliability.forEach(bin => {
+    if (bin.count === 0) return;
+    const range = `${(bin.lower * 100).toFixed(0)}-${(bin.upper * 100).toFixed(0)}%`.padEnd(12);
+    const bar = '#'.repeat(Math.round(bin.observedFrequency * 20));
+    console.info(`  ${range}  ${String(bin.count).padStart(6)}   ${formatPercent(bin.meanForecast).padStart(13)}   ${formatPercent(bin.observedFrequency)} ${bar}`);
+  });
+}
+
+function printComparison(result) {
+  console.info(`\nModel comparison: ${result.timeframe}-day horizon, ${result.count} shared monthly forecasts`);
+  console.info(`Events: ${describeEventDefinition(result.definition)}; prior: ${result.priorMethod}`);
+  console.info(`Forecasts followed by an event: ${result.eventCount} (${formatPercent(result.baseRate).trim()})`);
+
+  console.info('\n                                Brier   Log loss   AUROC   Calib. err.   Mean   Sharpness (sd)');
+  result.models.forEach(({ id, label }) => {
+    const score = result.scores[id];
+    console.info(`${label.padEnd(30)} ${formatNumber(score.brier).padStart(7)} ${formatNumber(score.logLoss).padStart(9)} ` +
+      `${formatNumber(score.auroc, 3).padStart(7)} ${formatNumber(score.calibrationError).padStart(12)} ` +
+      `${formatPercent(score.sharpness.mean)} ${formatPercent(score.sharpness.sd).padStart(15)}`);
+  });
+}
+
+function printEnsemble(metrics, riskByMonth) {
+  const { fit } = metrics;
+  console.info(`\nEnsemble (${metrics.method}): ${fit.timeframe}-day horizon, weights fitted on ${fit.count} monthly forecasts ` +
+    `from ${fit.from.toISOString().split('T')[0]} (${fit.eventCount} followed by an event)`);
+  console.info(`Events: ${describeEventDefinition(fit.definition)}`);
+
+  console.info('\nWeights');
+  metrics.models.forEach(({ id, label }) => {
+    console.info(`  ${label.padEnd(30)} ${formatPercent(metrics.weights[id])}`);
+  });
+
+  if (fit.outOfSample) {
+    console.info(`\nOut of sample (weights refitted on the outcomes known at each date, ${fit.outOfSample.count} forecasts)`);
+    console.info('                                 Brier   Log loss   AUROC');
+    [{ id: 'ensemble', label: 'Ensemble' }, ...metrics.models].forEach(({ id, label }) => {
+      const score = fit.outOfSample.scores[id];
+      console.info(`  ${label.padEnd(30)} ${formatNumber(score.brier).padStart(7)} ${formatNumber(score.logLoss).padStart(9)} ${formatNumber(score.auroc, 3).padStart(7)}`);
+    });
+  }
+
+  console.info(`\nRisk by month as of ${metrics.asOf.toISOString().split('T')[0]}`);
+  Object.entries(riskByMonth).forEach(([month, entry]) => {
+    const components = Object.entries(entry.ensemble.components)
+      .filter(([, p]) => isFinite(p))
+      .map(([id, p]) => `${id} ${formatPercent(p).trim()}`)
+      .join(', ');
+    console.info(`  ${String(month).padStart(2)}  ${formatPercent(entry.risk)}  (${formatPercent(entry.lower).trim()}-${formatPercent(entry.upper).trim()})  ${components}`);
+  });
+}
+
+/**
+ * Load the sequence-model forecasters (needs @tensorflow/tfjs-node)
+ * @param {Object} flags - Command line flags (--lstm-arch, --lstm-attention)
+ * @returns {Array<Object>} One forecaster per architecture
+ */
+function loadLstmForecasters(flags) {
+  const architectures = (flags['lstm-arch'] || 'lstm').split(',');
+  const unknown = architectures.find(architecture => !ARCHITECTURES.includes(architecture));
+  if (unknown) {
+    throw new Error(`--lstm-arch must list ${ARCHITECTURES.join(', ')}, got "${unknown}"`);
+  }
+
+  let tf;
+  try {
+    tf = require('@tensorflow/tfjs-node');
+  } catch (error) {
+    throw new Error(`--lstm needs @tensorflow/tfjs-node to be installed (${error.message})`);
+  }
+  setTensorFlow(tf);
+  const attention = flags['lstm-attention'];
+  return architectures.map(architecture => createLstmForecaster(LSTMCrashPredictor, tf,
+    { architecture, ...(attention ? { attention } : {}) }, architecture));
+}
+
+async function main() {
+  const { file, flags } = parseArguments(process.argv.slice(2));
+
+  if (!file || flags.help) {
+    console.info('Usage: node src/core/backtest-cli.js <prices.csv> [--timeframe 30] [--event percentile:1] [--prior empirical-bayes|fixed] ' +
+      '[--asset btc] [--format coinmetrics|ohlc] [--start 2016-01-01] [--end 2024-12-31] [--min-history 730] [--bins 10] ' +
+      '[--json report.json] [--max-brier x] [--min-skill x] [--compare [--lstm [--lstm-arch lstm,gru,tcn] [--lstm-attention none|additive|dot]]] ' +
+      '[--ensemble stacking|bma [--fit-years 3] [--lstm]] [--verbose]');
+    process.exit(file ? 0 : 2);
+  }
+
+  const columns = COLUMN_FORMATS[flags.format || 'coinmetrics'];
+  if (!columns) {
+    throw new Error(`Unknown --format "${flags.format}". Use one of: ${Object.keys(COLUMN_FORMATS).join(', ')}`);
+  }
+  if (flags.ensemble && !ENSEMBLE_METHODS.includes(flags.ensemble)) {
+    throw new Error(`Unknown --ensemble "${flags.ensemble}". Use one of: ${ENSEMBLE_METHODS.join(', ')}`);
+  }
+  if (flags.prior && !PRIOR_METHODS.includes(flags.prior)) {
+    throw new Error(`Unknown --prior "${flags.prior}". Use one of: ${PRIOR_METHODS.join(', ')}`);
+  }
+
+  const options = {
+    timeframe: numberFlag(flags, 'timeframe', DEFAULT_BACKTEST_OPTIONS.timeframe),
+    minHistoryDays: numberFlag(flags, 'min-history', DEFAULT_BACKTEST_OPTIONS.minHistoryDays),
+    bins: numberFlag(flags, 'bins', DEFAULT_BACKTEST_OPTIONS.bins),
+    start: flags.start || null,
+    end: flags.end || null,
+    definition: flags.event ? parseEventDefinition(flags.event) : null,
+    priorMethod: flags.prior || null,
+    onProgress: (done, total) => {
+      if (done % 12 === 0 || done === total) {
+        process.stderr.write(`\rForecast ${done}/${total}`);
+      }
+    }
+  };
+
+  // The model logs every step; keep the report readable unless asked
+  const log = console.log;
+  const warn = console.warn;
+  if (!flags.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  let report;
+  let ensemble = null;
+  try {
+    activateAsset(flags.asset);
+    const records = mapRowsToRecords(parseCsv(await readFile(file, 'utf8')), columns);
+    const data = processRecords(records);
+    if (flags.ensemble) {
+      // The ensemble forecasts with the active definition and prior, like the page
+      if (options.definition) state.eventDefinition = options.definition;
+      if (options.priorMethod) state.priorMethod = options.priorMethod;
+      ensemble = new EnsembleCrashPredictor({
+        ...options,
+        method: flags.ensemble,
+        fitYears: numberFlag(flags, 'fit-years', 3),
+        // The ensemble has one sequence-model slot, 'lstm'
+        lstm: flags.lstm ? { ...loadLstmForecasters(flags)[0], id: 'lstm' } : null
+      });
+      await ensemble.update(data);
+      report = { ...ensemble.getMetrics(), riskByMonth: ensemble.getRiskByMonth() };
+    } else if (flags.compare) {
+      options.extraForecasters = flags.lstm ? loadLstmForecasters(flags) : [];
+      report = await compareModels(data, options);
+    } else {
+      report = await runBacktest(data, options);
+    }
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    process.stderr.write('\n');
+  }
+
+  if (ensemble) {
+    printEnsemble(report, report.riskByMonth);
+  } else if (flags.compare) {
+    printComparison(report);
+  } else {
+    printReport(report);
+  }
+
+  if (flags.json) {
+    await writeFile(flags.json, JSON.stringify(report, null, 2));
+    console.info(`\nReport written to ${flags.json}`);
+  }
+
+  // Gates for model changes (calendar model only)
+  if (flags.compare || flags.ensemble) return;
+  const failures = [];
+  const maxBrier = numberFlag(flags, 'max-brier', null);
+  const minSkill = numberFlag(flags, 'min-skill', null);
+  if (maxBrier !== null && !(report.model.brier <= maxBrier)) {
+    failures.push(`Brier score ${formatNumber(report.model.brier)} is above --max-brier ${maxBrier}`);
+  }
+  if (minSkill !== null && !(report.skill.brier >= minSkill)) {
+    failures.push(`Brier skill ${formatNumber(report.skill.brier, 3)} is below --min-skill ${minSkill}`);
+  }
+  if (failures.length > 0) {
+    failures.forEach(failure => console.error(`FAIL: ${failure}`));
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Backtest failed:', error.message);
+  process.exit(2);
+});
@@ -0,0 +1,337 @@
+/**
+ * Walk-Forward Backtest
+ * Checks how well calibrated calculateEnhancedRisk() has been historically.
+ *
+ * At each month start the model is re-run on the records before that date
+ * only, and its risk for that month is compared with whether an extreme event
+ * happened within the next `timeframe` days. Events in the outcome window are
+ * judged against the thresholds known at forecast time, so nothing after the
+ * forecast date leaks into either side.
+ *
+ * The same loop scores a climatology baseline: the share of past
+ * `timeframe`-day windows that contained an event.
+ *
+ * runWalkForward() runs any set of forecasters through that loop, so other
+ * models can be scored on the same dates and target (see model-comparison.js).
+ * A forecaster is {id, label, forecast(history, context), prepare?(data, plan)}:
+ * forecast returns a probability (or {probability, ...details}) from the
+ * records before the forecast date; the optional prepare runs once (it may be
+ * async, and sees the live state) before the loop, e.g. to train on the months
+ * before the first forecast.
+ *
+ * Runs headless; see backtest-cli.js for the Node command line.
+ */
+
+import { state } from './state.js';
+import { calculateEnhancedRisk } from './enhanced-risk-model.js';
+import { normalizeEventDefinition, getEventDefinition, detectExtremeEvents } from './extreme-events.js';
+import { getPriorMethod } from './poisson-gamma.js';
+import { brierScore, logLoss, skillScore, reliabilityDiagram, expectedCalibrationError, rocCurve, sharpness } from '../utils/metrics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_BACKTEST_OPTIONS = {
+  timeframe: 30,        // Forecast horizon in days
+  minHistoryDays: 730,  // Records required before the first forecast
+  start: null,          // First forecast date (Date or ISO string), default: after minHistoryDays
+  end: null,            // Last forecast date, default: last month with a complete outcome window
+  definition: null,     // Extreme event definition, default: the active one
+  priorMethod: null,    // Prior method (poisson-gamma.js), default: the active one
+  bins: 10,             // Reliability diagram bins
+  onProgress: null      // Called as (done, total) after each forecast
+};
+
+// State the model writes while running; saved and restored around a backtest
+const MODEL_STATE_KEYS = [
+  'bitcoinData', 'onChainData', 'latestOnChainMetrics', 'volatilityMetrics', 'riskConstants',
+  'riskComponents', 'monthlyRiskStats', 'sentimentData', 'eventDefinition', 'priorMethod'
+];
+
+/**
+ * Point the model state at a backtest's settings
+ * @param {Object} overrides - Values for some of MODEL_STATE_KEYS
+ * @returns {Function} Restores every MODEL_STATE_KEYS value as it was
+ */
+function pinModelState(overrides) {
+  const saved = {};
+  MODEL_STATE_KEYS.forEach(key => { saved[key] = state[key]; });
+  Object.assign(state, overrides);
+  return () => {
+    MODEL_STATE_KEYS.forEach(key => { state[key] = saved[key]; });
+  };
+}
+
+/**
+ * Indices of the first record of each calendar month
+ * @param {Array} data - Chronologically sorted records
+ * @param {number} fromIndex - First index to consider
+ * @returns {Array<number>} Record indices
+ */
+function monthStartIndices(data, fromIndex) {
+  const indices = [];
+  for (let i = Math.max(1, fromIndex); i < data.length; i++) {
+    if (data[i].date.getMonth() !== data[i - 1].date.getMonth()) {
+      indices.push(i);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Climatology forecast: share of `timeframe`-day windows in the history with at least one event
+ * @param {Array<number>} flags - Event flags of the history
+ * @param {number} timeframe - Window length in records (days)
+ * @returns {number} Probability (0-1), NaN when the history is shorter than one window
+ */
+function climatologyForecast(flags, timeframe) {
+  const windows = flags.length - timeframe + 1;
+  if (windows <= 0) return NaN;
+
+  // Events in the current window, slid along the history
+  let inWindow = flags.slice(0, timeframe).reduce((sum, flag) => sum + flag, 0);
+  let hits = inWindow > 0 ? 1 : 0;
+  for (let i = timeframe; i < flags.length; i++) {
+    inWindow += flags[i] - flags[i - timeframe];
+    if (inWindow > 0) hits++;
+  }
+
+  return hits / windows;
+}
+
+/**
+ * Score a set of probability forecasts
+ * @param {Array<number>} forecasts - Forecast probabilities
+ * @param {Array<number>} outcomes - Outcomes (1/0)
+ * @param {number} bins - Reliability diagram bins
+ * @returns {Object} {count, brier, logLoss, calibrationError, reliability, roc, auroc, sharpness}
+ */
+function scoreForecasts(forecasts, outcomes, bins) {
+  const reliability = reliabilityDiagram(forecasts, outcomes, bins);
+  const roc = rocCurve(forecasts, outcomes);
+  return {
+    count: forecasts.length,
+    brier: brierScore(forecasts, outcomes),
+    logLoss: logLoss(forecasts, outcomes),
+    calibrationError: expectedCalibrationError(reliability),
+    reliability,
+    roc: roc.points,
+    auroc: roc.auroc,
+    sharpness: sharpness(forecasts)
+  };
+}
+
+/**
+ * Whether an extreme event happened in the `timeframe` days from a record
+ * Events are judged against the thresholds of the records before it; a regime
+ * that starts inside the window uses the latest known regime's threshold.
+ * @param {Array} data - Processed records, chronologically sorted
+ * @param {number} index - Index of the first record of the window (the forecast date)
+ * @param {number} timeframe - Window length in days
+ * @param {Object} definition - Complete event definition
+ * @param {Array<number>} measures - Event measures of all records (detectExtremeEvents(data).measures)
+ * @returns {{outcome: number, eventDays: number, historyFlags: Array<number>}} Outcome (1/0), days past the threshold, event flags of the history
+ */
+function evaluateOutcome(data, index, timeframe, definition, measures) {
+  const { flags, thresholds } = detectExtremeEvents(data.slice(0, index), definition);
+  const fallbackThreshold = thresholds[data[index - 1].regime];
+
+  const windowEnd = data[index].date.getTime() + timeframe * DAY_MS;
+  let eventDays = 0;
+  for (let i = index; i < data.length && data[i].date.getTime() < windowEnd; i++) {
+    const threshold = thresholds[data[i].regime] !== undefined ? thresholds[data[i].regime] : fallbackThreshold;
+    if (measures[i] < threshold) eventDays++;
+  }
+
+  return { outcome: eventDays > 0 ? 1 : 0, eventDays, historyFlags: flags };
+}
+
+/**
+ * Run forecasters through the walk-forward loop
+ * @param {Array} data - Processed records (see data-service.js processRecords), chronologically sorted
+ * @param {Array<Object>} forecasters - Forecasters (see the module comment)
+ * @param {Object} options - See DEFAULT_BACKTEST_OPTIONS
+ * @returns {Promise<Object>} {timeframe, definition, priorMethod, count, eventCount, baseRate, overlapping, records, scores}
+ *   records: [{index, date, month, outcome, eventDays, forecasts: {id: p}, details: {id: {...}}}];
+ *   scores: {id: scoreForecasts(...)} over the records every forecaster could forecast
+ */
+async function runWalkForward(data, forecasters, options = {}) {
+  const settings = { ...DEFAULT_BACKTEST_OPTIONS, ...options };
+  const definition = normalizeEventDefinition(settings.definition || getEventDefinition());
+  const priorMethod = settings.priorMethod || getPriorMethod();
+  const { timeframe } = settings;
+
+  if (!Array.isArray(data) || data.length <= settings.minHistoryDays + timeframe) {
+    throw new Error(`Backtest needs more than ${settings.minHistoryDays + timeframe} records`);
+  }
+
+  const startDate = settings.start ? new Date(settings.start) : null;
+  const endDate = settings.end ? new Date(settings.end) : null;
+  const lastDate = data[data.length - 1].date;
+
+  // Measures are causal (log returns, trailing peaks), so they can be computed once
+  const { measures } = detectExtremeEvents(data, definition);
+
+  const candidates = monthStartIndices(data, settings.minHistoryDays).filter(i => {
+    const date = data[i].date;
+    const windowComplete = date.getTime() + (timeframe - 1) * DAY_MS <= lastDate.getTime();
+    return windowComplete && (!startDate || date >= startDate) && (!endDate || date <= endDate);
+  });
+
+  if (candidates.length === 0) {
+    throw new Error('No forecast dates with a complete outcome window in the selected range');
+  }
+
+  // Run the models as they would have run then: chosen definition and prior, no live sentiment
+  const modelState = {
+    eventDefinition: definition,
+    priorMethod,
+    sentimentData: null,
+    volatilityMetrics: null,
+    riskComponents: {}
+  };
+
+  const plan = {
+    candidates,
+    definition,
+    timeframe,
+    measures,
+    outcomeAt: index => evaluateOutcome(data, index, timeframe, definition, measures).outcome
+  };
+  for (const forecaster of forecasters) {
+    if (forecaster.prepare) {
+      await forecaster.prepare(data, plan);
+    }
+  }
+
+  const records = [];
+
+  for (const [n, index] of candidates.entries()) {
+    const date = data[index].date;
+    const { outcome, eventDays, historyFlags } = evaluateOutcome(data, index, timeframe, definition, measures);
+    const context = { index, date, month: date.getMonth() + 1, timeframe, definition, historyFlags };
+    const record = { index, date, month: context.month, outcome, eventDays, forecasts: {}, details: {} };
+
+    // The state is only pinned while the forecasts run, so listeners that fire
+    // between them (e.g. sentimentUpdated) see the live data
+    const restoreState = pinModelState(modelState);
+    try {
+      // Models mark events on the records they are given, so each gets its own copy;
+      // state.bitcoinData is pinned to the same history for models that read it
+      forecasters.forEach(forecaster => {
+        const history = data.slice(0, index).map(r => ({ ...r }));
+        state.bitcoinData = history;
+        try {
+          const result = forecaster.forecast(history, context);
+          const probability = typeof result === 'number' ? result : result.probability;
+          record.forecasts[forecaster.id] = isFinite(probability) ? Math.min(1, Math.max(0, probability)) : NaN;
+          if (typeof result === 'object' && result !== null) {
+            record.details[forecaster.id] = result;
+          }
+        } catch (error) {
+          console.error(`${forecaster.label} failed for ${date.toISOString().split('T')[0]}:`, error);
+          record.forecasts[forecaster.id] = NaN;
+        }
+      });
+    } finally {
+      restoreState();
+    }
+    records.push(record);
+
+    if (settings.onProgress) {
+      settings.onProgress(n + 1, candidates.length);
+    }
+    // Let the page repaint between forecasts when running in the browser
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  // Score every forecaster on the same dates
+  const scored = records.filter(record => forecasters.every(f => !isNaN(record.forecasts[f.id])));
+  const outcomes = scored.map(record => record.outcome);
+  const scores = {};
+  forecasters.forEach(forecaster => {
+    scores[forecaster.id] = scoreForecasts(scored.map(record => record.forecasts[forecaster.id]), outcomes, settings.bins);
+  });
+
+  const eventCount = outcomes.reduce((sum, outcome) => sum + outcome, 0);
+
+  return {
+    timeframe,
+    definition,
+    priorMethod,
+    count: scored.length,
+    eventCount,
+    baseRate: outcomes.length > 0 ? eventCount / outcomes.length : NaN,
+    // Month-start forecasts over horizons longer than a month overlap, so their errors are correlated
+    overlapping: timeframe > 28,
+    records,
+    scores
+  };
+}
+
+// Calendar model: this month's risk from calculateEnhancedRisk()
+const poissonGammaForecaster = {
+  id: 'poissonGamma',
+  label: 'Poisson-Gamma (calendar)',
+  forecast(history, { month, timeframe }) {
+    const risk = calculateEnhancedRisk(history, timeframe)[month];
+    return risk ? { probability: risk.risk, lower: risk.lower, upper: risk.upper } : 0;
+  }
+};
+
+// Baseline: share of past windows with an event
+const climatologyForecaster = {
+  id: 'climatology',
+  label: 'Climatology',
+  forecast(history, { historyFlags, timeframe }) {
+    return climatologyForecast(historyFlags, timeframe);
+  }
+};
+
+/**
+ * Run the walk-forward backtest of the calendar model against climatology
+ * @param {Array} data - Processed records (see data-service.js processRecords), chronologically sorted
+ * @param {Object} options - See DEFAULT_BACKTEST_OPTIONS
+ * @returns {Promise<Object>} Report: {timeframe, definition, priorMethod, count, eventCount, baseRate, forecasts, model, climatology, skill}
+ */
+async function runBacktest(data, options = {}) {
+  const result = await runWalkForward(data, [poissonGammaForecaster, climatologyForecaster], options);
+  const model = result.scores.poissonGamma;
+  const climatology = result.scores.climatology;
+
+  return {
+    timeframe: result.timeframe,
+    definition: result.definition,
+    priorMethod: result.priorMethod,
+    count: result.count,
+    eventCount: result.eventCount,
+    baseRate: result.baseRate,
+    overlapping: result.overlapping,
+    forecasts: result.records.map(record => ({
+      date: record.date,
+      month: record.month,
+      forecast: record.forecasts.poissonGamma,
+      lower: record.details.poissonGamma ? record.details.poissonGamma.lower : 0,
+      upper: record.details.poissonGamma ? record.details.poissonGamma.upper : 0,
+      climatology: record.forecasts.climatology,
+      outcome: record.outcome,
+      eventDays: record.eventDays
+    })),
+    model,
+    climatology,
+    skill: {
+      brier: skillScore(model.brier, climatology.brier),
+      logLoss: skillScore(model.logLoss, climatology.logLoss)
+    }
+  };
+}
+
+export {
+  DEFAULT_BACKTEST_OPTIONS,
+  climatologyForecast,
+  evaluateOutcome,
+  scoreForecasts,
+  runWalkForward,
+  poissonGammaForecaster,
+  climatologyForecaster,
+  runBacktest
+};
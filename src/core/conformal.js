@@ -0,0 +1,359 @@
+/**
+ * Conformal Prediction Intervals
+ * Split-conformal calibration of the Markov forecaster's price bands.
+ *
+ * The Monte Carlo band of UnifiedBayesianMarkovModel.generateForecast() (or
+ * of the hidden Markov variant) holds the chosen share of simulated paths,
+ * which is not the share of real prices it will hold. Here the model is
+ * trained once on the history before a calibration window, and from each of a
+ * set of past dates in that window it forecasts the band with the chain
+ * started in that day's state (its regime probabilities for the hidden Markov
+ * model). Each past forecast gets the conformity score
+ *
+ *   s = max(ln(lower / actual), ln(actual / upper))
+ *
+ * (negative when the price ended inside the band). The band of the live
+ * forecast is then multiplied out by e^q at both ends, where q is the
+ * ceil((n + 1) × coverage)-th smallest of the n scores, so q < 0 narrows it.
+ * If the past forecasts and the live one are exchangeable, the calibrated band
+ * holds the price with at least the target coverage.
+ *
+ * `?coverage=` (0.8, 0.9 or 0.95) overrides the stored target.
+ */
+
+import { state } from './state.js';
+import { readSetting } from './data-sources.js';
+import { getEventDefinition } from './extreme-events.js';
+import { DEFAULT_STATE_COUNT } from './markov-model.js';
+import { RETURN_GENERATORS, DEFAULT_RETURN_GENERATOR } from './return-generators.js';
+import { simulationRandom } from './simulation-seed.js';
+import { DEFAULT_FORECASTER_MODEL, createForecasterModel } from './hidden-markov-model.js';
+import { trainMarkovModel, setMarkovMonth } from './model-comparison.js';
+import { brierScore } from '../utils/metrics.js';
+
+const COVERAGE_LEVELS = [0.8, 0.9, 0.95];
+const DEFAULT_COVERAGE = 0.9;
+const COVERAGE_STORAGE_KEY = 'rektCoverage';
+
+const DEFAULT_CONFORMAL_OPTIONS = {
+  calibrationDays: 730, // Past forecast dates are taken from this many days before the last one
+  minHistoryDays: 730,  // Days of history the model is trained on, at least
+  maxForecasts: 60,     // Past forecasts, spread evenly over the calibration window
+  numPaths: 500,        // Simulated paths per past forecast
+  forecaster: DEFAULT_FORECASTER_MODEL, // Model, number of states and return
+  stateCount: DEFAULT_STATE_COUNT,      // generator (applyConformalBands uses
+  returnGenerator: DEFAULT_RETURN_GENERATOR, // the forecast's)
+  seed: null,           // Seeds each past forecast's paths; null draws from Math.random
+  onProgress: null      // Called as (done, total) after each past forecast
+};
+
+// Calibrations by horizon and coverage, with the records they were made from
+const calibrations = new Map();
+
+/**
+ * Resolve the target coverage (?coverage= overrides the stored choice)
+ * @returns {number} One of COVERAGE_LEVELS
+ */
+function resolveCoverage() {
+  const text = readSetting('coverage', COVERAGE_STORAGE_KEY);
+  const coverage = Number(text);
+  if (COVERAGE_LEVELS.includes(coverage)) return coverage;
+
+  if (text) {
+    console.warn(`Unknown band coverage "${text}", using ${DEFAULT_COVERAGE}`);
+  }
+  return DEFAULT_COVERAGE;
+}
+
+/**
+ * Get the coverage the price bands are calibrated to
+ * @returns {number} One of COVERAGE_LEVELS
+ */
+function getCoverage() {
+  if (!state.coverage) {
+    state.coverage = resolveCoverage();
+  }
+  return state.coverage;
+}
+
+/**
+ * Make a coverage the target and remember it for future visits
+ * Callers recalculate the forecast afterwards.
+ * @param {number} coverage - One of COVERAGE_LEVELS
+ */
+function setCoverage(coverage) {
+  if (!COVERAGE_LEVELS.includes(coverage)) {
+    throw new Error(`Unknown band coverage "${coverage}". Use one of: ${COVERAGE_LEVELS.join(', ')}`);
+  }
+
+  state.coverage = coverage;
+
+  try {
+    localStorage.setItem(COVERAGE_STORAGE_KEY, String(coverage));
+  } catch (e) {
+    console.warn('Could not store band coverage:', e);
+  }
+}
+
+/**
+ * Conformity score of a band for the price that followed
+ * @param {number} lower - Lower bound
+ * @param {number} upper - Upper bound
+ * @param {number} actual - Realised price
+ * @returns {number} Log distance outside the band (negative inside)
+ */
+function conformityScore(lower, upper, actual) {
+  return Math.max(Math.log(lower / actual), Math.log(actual / upper));
+}
+
+/**
+ * Split-conformal quantile of the scores
+ * @param {Array<number>} scores - Conformity scores
+ * @param {number} coverage - Target coverage
+ * @returns {number} The ceil((n + 1) × coverage)-th smallest score; Infinity
+ *   when there are too few scores for the coverage
+ */
+function conformalQuantile(scores, coverage) {
+  const rank = Math.ceil((scores.length + 1) * coverage);
+  if (rank > scores.length) return Infinity;
+  return [...scores].sort((a, b) => a - b)[rank - 1];
+}
+
+/**
+ * Band forecasts from past dates, with the prices that followed
+ * The model is trained on the records up to the first date only; each date's
+ * state, prior, crash threshold and GARCH variance use the records up to that date.
+ * With a seed, each date's paths draw from a stream named by the date, so a
+ * past forecast repeats whatever the other dates are.
+ * @param {Array} data - Processed daily records, chronologically sorted
+ * @param {number} timeframe - Forecast horizon in days
+ * @param {number} coverage - Share of simulated paths in each band
+ * @param {Object} options - See DEFAULT_CONFORMAL_OPTIONS
+ * @returns {Array<Object>} {date, price, lower, upper, actual, crashProbability
+ *   (share of simulated paths with a crash day), crashed (whether one followed)}
+ *   per past forecast
+ */
+function pastBandForecasts(data, timeframe, coverage, options = {}) {
+  const {
+    calibrationDays, minHistoryDays, maxForecasts, numPaths, forecaster, stateCount, returnGenerator, seed, onProgress
+  } = { ...DEFAULT_CONFORMAL_OPTIONS, ...options };
+  const lastOrigin = data.length - 1 - timeframe;
+  const firstOrigin = Math.max(minHistoryDays, lastOrigin - calibrationDays);
+  if (firstOrigin > lastOrigin) return [];
+
+  const stride = Math.max(1, Math.ceil((lastOrigin - firstOrigin + 1) / maxForecasts));
+  const total = Math.floor((lastOrigin - firstOrigin) / stride) + 1;
+  const training = data.slice(0, firstOrigin + 1).map(r => ({ ...r }));
+
+  // The model's prior reads state.bitcoinData, so it points at the training records meanwhile
+  const savedData = state.bitcoinData;
+  const forecasts = [];
+  try {
+    state.bitcoinData = training;
+    const { model, latestMetrics } = trainMarkovModel(training, getEventDefinition(),
+      createForecasterModel({ forecaster, stateCount }));
+
+    for (let origin = lastOrigin; origin >= firstOrigin; origin -= stride) {
+      const history = data.slice(0, origin + 1);
+      const { date, price } = data[origin];
+
+      model.random = simulationRandom(seed, date.toISOString().slice(0, 10));
+      setMarkovMonth(model, history, latestMetrics, date, date.getMonth() + 1);
+      model.setCurrentStateDist(model.latestStateDistribution(history));
+      model.prepareSimulation(history);
+      const { summaryStats, tailShares } = model.simulatePricePaths(timeframe, price, numPaths, coverage, returnGenerator);
+      const { lower, upper } = summaryStats[timeframe];
+      const crashed = data.slice(origin + 1, origin + timeframe + 1)
+        .some(d => d.logReturn < model.tailThresholds.crash);
+
+      forecasts.unshift({
+        date,
+        price,
+        lower,
+        upper,
+        actual: data[origin + timeframe].price,
+        crashProbability: tailShares.crash,
+        crashed
+      });
+      if (onProgress) onProgress(forecasts.length, total);
+    }
+  } finally {
+    state.bitcoinData = savedData;
+  }
+  return forecasts;
+}
+
+/**
+ * Calibration of bands at a coverage from past forecasts
+ * Empirical coverage is leave-one-out: the share of past forecasts whose price
+ * fell inside their band calibrated on the other forecasts.
+ * @param {Array<Object>} forecasts - Past forecasts (pastBandForecasts)
+ * @param {number} coverage - Target coverage
+ * @returns {Object|null} {coverage, adjustment (q), rawCoverage, empiricalCoverage,
+ *   forecasts}; null when there are too few forecasts for the coverage
+ */
+function calibrateBands(forecasts, coverage) {
+  const scores = forecasts.map(f => conformityScore(f.lower, f.upper, f.actual));
+  const adjustment = conformalQuantile(scores, coverage);
+  if (!isFinite(adjustment)) return null;
+
+  const heldOutCovered = scores.filter((score, i) =>
+    score <= conformalQuantile(scores.filter((_, j) => j !== i), coverage)).length;
+
+  return {
+    coverage,
+    adjustment,
+    rawCoverage: scores.filter(score => score <= 0).length / scores.length,
+    empiricalCoverage: heldOutCovered / scores.length,
+    forecasts: forecasts.length
+  };
+}
+
+/**
+ * Calibration for a horizon, coverage and model, reused while the records are the same
+ * @param {Array} data - Processed daily records
+ * @param {number} timeframe - Forecast horizon in days
+ * @param {number} coverage - Target coverage
+ * @param {Object} options - See DEFAULT_CONFORMAL_OPTIONS
+ * @returns {Object|null} See calibrateBands
+ */
+function getCalibration(data, timeframe, coverage, options = {}) {
+  const key = `${timeframe}:${coverage}:${JSON.stringify(options)}`;
+  const cached = calibrations.get(key);
+  if (cached && cached.data === data) return cached.calibration;
+
+  const calibration = calibrateBands(pastBandForecasts(data, timeframe, coverage, options), coverage);
+  calibrations.set(key, { data, calibration });
+  return calibration;
+}
+
+/**
+ * Replace a Markov forecast's band with its conformal calibration
+ * The calibration holds at the horizon; the band along the chart is widened
+ * by q × sqrt(t / horizon) at day t, as a random walk's spread grows. A
+ * calibration is reused until the records change, as the past forecasts do not
+ * depend on the live forecast's context or scenario.
+ * @param {Object} forecast - Forecast from calculateUnifiedBayesianForecast (its `coverage` is the target)
+ * @param {Array} data - Records the forecast was made from
+ * @param {Object} options - See DEFAULT_CONFORMAL_OPTIONS
+ * @returns {Object} Forecast with calibrated lowerBound/upperBound, the Monte Carlo
+ *   ones as rawLowerBound/rawUpperBound, `conformal` (calibrateBands) and each
+ *   simulationSummary step's conformalLower/conformalUpper; unchanged, with
+ *   `conformal: null`, when it cannot be calibrated
+ */
+function applyConformalBands(forecast, data, options = {}) {
+  let calibration;
+  try {
+    calibration = getCalibration(data, forecast.timeframeDays, forecast.coverage, calibrationOptions(forecast, options));
+  } catch (error) {
+    console.error('Error calibrating forecast bands:', error);
+    return { ...forecast, conformal: null };
+  }
+  return applyCalibration(forecast, calibration);
+}
+
+/**
+ * Calibration options for a forecast's model
+ * @param {Object} forecast - Forecast from calculateUnifiedBayesianForecast
+ * @param {Object} options - See DEFAULT_CONFORMAL_OPTIONS
+ * @returns {Object} Options with the forecast's forecaster, state count, return generator and seed
+ */
+function calibrationOptions(forecast, options = {}) {
+  return {
+    ...options,
+    forecaster: forecast.forecaster || DEFAULT_FORECASTER_MODEL,
+    stateCount: forecast.stateCount || DEFAULT_STATE_COUNT,
+    returnGenerator: forecast.returnGenerator || DEFAULT_RETURN_GENERATOR,
+    seed: forecast.seed === undefined ? null : forecast.seed
+  };
+}
+
+/**
+ * Replace a forecast's band with a calibration made for it (see applyConformalBands)
+ * @param {Object} forecast - Forecast from calculateUnifiedBayesianForecast
+ * @param {Object|null} calibration - From getCalibration with calibrationOptions(forecast)
+ * @returns {Object} See applyConformalBands
+ */
+function applyCalibration(forecast, calibration) {
+  if (!calibration) {
+    console.warn(`Not enough history to calibrate the ${forecast.timeframeDays}-day band`);
+    return { ...forecast, conformal: null };
+  }
+
+  const widen = t => Math.exp(calibration.adjustment * Math.sqrt(t / forecast.timeframeDays));
+  return {
+    ...forecast,
+    lowerBound: forecast.lowerBound / widen(forecast.timeframeDays),
+    upperBound: forecast.upperBound * widen(forecast.timeframeDays),
+    rawLowerBound: forecast.lowerBound,
+    rawUpperBound: forecast.upperBound,
+    conformal: calibration,
+    simulationSummary: forecast.simulationSummary.map(stats => ({
+      ...stats,
+      conformalLower: stats.lower / widen(stats.timeStep),
+      conformalUpper: stats.upper * widen(stats.timeStep)
+    }))
+  };
+}
+
+/**
+ * Compare how well each return generator's past forecasts were calibrated
+ * Every generator forecasts from the same past dates (see pastBandForecasts).
+ * @param {Array} data - Processed daily records
+ * @param {number} timeframe - Forecast horizon in days
+ * @param {number} coverage - Target coverage of the bands
+ * @param {Object} options - See DEFAULT_CONFORMAL_OPTIONS (returnGenerator is ignored)
+ * @returns {Array<Object>} Per generator: {returnGenerator, forecasts, rawCoverage
+ *   (share of prices inside the Monte Carlo band), empiricalCoverage and adjustment
+ *   after conformal calibration (null without enough forecasts), meanLogWidth
+ *   (mean ln(upper / lower)), crashRate, meanCrashProbability, crashBrier}
+ */
+function compareReturnGenerators(data, timeframe, coverage, options = {}) {
+  const { onProgress } = options;
+  return RETURN_GENERATORS.map((returnGenerator, i) => {
+    const forecasts = pastBandForecasts(data, timeframe, coverage, {
+      ...options,
+      returnGenerator,
+      // Progress over all the generators' past forecasts
+      onProgress: onProgress && ((done, total) => onProgress(i * total + done, RETURN_GENERATORS.length * total))
+    });
+    if (forecasts.length === 0) {
+      return { returnGenerator, forecasts: 0 };
+    }
+
+    const calibration = calibrateBands(forecasts, coverage);
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const probabilities = forecasts.map(f => f.crashProbability);
+    const outcomes = forecasts.map(f => (f.crashed ? 1 : 0));
+
+    return {
+      returnGenerator,
+      forecasts: forecasts.length,
+      rawCoverage: mean(forecasts.map(f => (f.actual >= f.lower && f.actual <= f.upper ? 1 : 0))),
+      empiricalCoverage: calibration ? calibration.empiricalCoverage : null,
+      adjustment: calibration ? calibration.adjustment : null,
+      meanLogWidth: mean(forecasts.map(f => Math.log(f.upper / f.lower))),
+      crashRate: mean(outcomes),
+      meanCrashProbability: mean(probabilities),
+      crashBrier: brierScore(probabilities, outcomes)
+    };
+  });
+}
+
+export {
+  COVERAGE_LEVELS,
+  DEFAULT_COVERAGE,
+  DEFAULT_CONFORMAL_OPTIONS,
+  resolveCoverage,
+  getCoverage,
+  setCoverage,
+  conformityScore,
+  conformalQuantile,
+  pastBandForecasts,
+  calibrateBands,
+  getCalibration,
+  calibrationOptions,
+  applyCalibration,
+  applyConformalBands,
+  compareReturnGenerators
+};
@@ -1,13 +1,27 @@
-// ========== src/models/crash-detector.js ==========
+// ========== src/core/crash-detector.js ==========
 /**
  * Interface for crash detection models
+ *
+ * A detector forecasts one horizon (options.timeframe, in days): the
+ * probability of at least one extreme event within that many days, for each
+ * calendar month. Models are made selectable by registering a descriptor with
+ * model-registry.js (see src/models/).
  */
 class CrashDetector {
+  /**
+   * @param {Object} options - Model options
+   * @param {Number} options.timeframe - Forecast horizon in days
+   */
+  constructor(options = {}) {
+    this.timeframe = options.timeframe || 30;
+    this.trained = false;
+  }
+
   /**
    * Updates the model with historical data
    * @param {Array} data - Price/return data
    */
-async update(monthlyData, onChainData) {
+  async update(data) {
     throw new Error('Method not implemented');
   }
 
@@ -20,16 +34,64 @@ async update(monthlyData, onChainData) {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Risk by month in the format the calendar renders
+   * Models with credible intervals or extra detail override this.
+   * @return {Object} Risk by month (1-12): {risk, lower?, upper?, ...}
+   */
+  getRiskByMonth() {
+    const riskByMonth = {};
+    for (let month = 1; month <= 12; month++) {
+      riskByMonth[month] = { risk: this.getProbability(month - 1) };
+    }
+    return riskByMonth;
+  }
+
+  /**
+   * Whether update() has produced forecasts
+   * @return {Boolean}
+   */
+  isReady() {
+    return this.trained;
+  }
+
+  /**
+   * Recomputes the forecasts from fresh inputs (e.g. sentiment) without refitting
+   * @param {Array} data - Price/return data
+   */
+  refresh(data) {}
+
   /**
    * Generates crash calendar for next 12 months
    * @return {Array} Calendar of crash probabilities
    */
-async generateCalendar() {
-    throw new Error('Method not implemented');
+  async generateCalendar() {
+    const currentDate = new Date();
+    const calendar = [];
+
+    for (let i = 0; i < 12; i++) {
+      const futureDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + i, 1);
+      calendar.push({
+        month: `${futureDate.getFullYear()}-${String(futureDate.getMonth() + 1).padStart(2, '0')}`,
+        monthName: new Intl.DateTimeFormat('en-US', { month: 'long' }).format(futureDate),
+        probability: this.getProbability(futureDate.getMonth())
+      });
+    }
+
+    return calendar;
+  }
+
+  /**
+   * One-line description of the fitted model for the UI (e.g. weights)
+   * @return {String}
+   */
+  getSummary() {
+    return '';
   }
+
   getMetrics() {
     return {};
   }
 }
 
-module.exports = CrashDetector;
+export { CrashDetector };
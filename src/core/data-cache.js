@@ -0,0 +1,199 @@
+/**
+ * Data Cache
+ * Offline-first storage of parsed source records in IndexedDB.
+ *
+ * One entry is kept per data source (see getDataSourceKey in data-sources.js):
+ * {key, sourceId, label, records, lastDate, etag, lastModified, fetchedAt}
+ */
+
+const DB_NAME = 'calendar-of-rekt';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+// Trailing days replaced on refresh - providers revise the most recent rows
+const REVISION_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB can be used in this environment
+ * @returns {boolean} True if IndexedDB is available
+ */
+function isCacheAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade if needed) the cache database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the datasets store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read a cached dataset
+ * @param {string} key - Dataset key
+ * @returns {Promise<Object|null>} Cached entry, or null if missing or the cache is unavailable
+ */
+async function readCachedDataset(key) {
+  if (!isCacheAvailable()) return null;
+
+  try {
+    const entry = await withStore('readonly', store => store.get(key));
+    return entry && Array.isArray(entry.records) && entry.records.length > 0 ? entry : null;
+  } catch (error) {
+    console.error('Error reading cached dataset:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a dataset, replacing any previous entry with the same key
+ * @param {Object} entry - Entry to store (must include key and records)
+ * @returns {Promise<boolean>} True if the entry was written
+ */
+async function writeCachedDataset(entry) {
+  if (!isCacheAvailable()) return false;
+
+  const records = entry.records || [];
+  const lastDate = records.length > 0 ? records[records.length - 1].date : null;
+
+  try {
+    await withStore('readwrite', store => store.put({
+      ...entry,
+      lastDate,
+      fetchedAt: entry.fetchedAt || new Date()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Error writing cached dataset:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a cached dataset
+ * @param {string} key - Dataset key
+ * @returns {Promise<boolean>} True if the entry was removed
+ */
+async function clearCachedDataset(key) {
+  if (!isCacheAvailable()) return false;
+
+  try {
+    await withStore('readwrite', store => store.delete(key));
+    return true;
+  } catch (error) {
+    console.error('Error clearing cached dataset:', error);
+    return false;
+  }
+}
+
+/**
+ * Merge freshly fetched records into cached ones (tail-diff)
+ * Cached history is kept as-is; only records newer than the cached
+ * revision window are taken from the fresh set.
+ * @param {Array} cachedRecords - Chronologically sorted cached records
+ * @param {Array} freshRecords - Records from the latest fetch
+ * @returns {{records: Array, added: number, revised: number}} Merged records, new rows and rows whose price changed
+ */
+function mergeRecords(cachedRecords, freshRecords) {
+  if (!cachedRecords || cachedRecords.length === 0) {
+    return { records: [...freshRecords].sort((a, b) => a.date - b.date), added: freshRecords.length, revised: 0 };
+  }
+
+  const lastCachedTime = cachedRecords[cachedRecords.length - 1].date.getTime();
+  const cutoff = lastCachedTime - REVISION_WINDOW_DAYS * DAY_MS;
+
+  const tail = freshRecords
+    .filter(record => record.date.getTime() > cutoff)
+    .sort((a, b) => a.date - b.date);
+
+  // Without fresh rows covering the revision window there is nothing to replace
+  if (tail.length === 0) {
+    return { records: cachedRecords, added: 0, revised: 0 };
+  }
+
+  const kept = cachedRecords.filter(record => record.date.getTime() <= cutoff);
+  const cachedByTime = new Map(
+    cachedRecords.filter(record => record.date.getTime() > cutoff).map(record => [record.date.getTime(), record])
+  );
+
+  let added = 0;
+  let revised = 0;
+  tail.forEach(record => {
+    const previous = cachedByTime.get(record.date.getTime());
+    if (!previous) {
+      added++;
+    } else if (previous.price !== record.price) {
+      revised++;
+    }
+  });
+
+  return {
+    records: kept.concat(tail),
+    added,
+    revised
+  };
+}
+
+/**
+ * Describe how old a dataset is
+ * @param {Date} lastDate - Date of the latest record
+ * @param {Date} now - Reference time
+ * @returns {string} Human readable age (e.g. "2 days old")
+ */
+function describeDataAge(lastDate, now = new Date()) {
+  if (!lastDate) return 'unknown age';
+
+  const days = Math.floor((now - new Date(lastDate)) / DAY_MS);
+  if (days <= 0) return 'up to date';
+  return `${days} day${days === 1 ? '' : 's'} old`;
+}
+
+export {
+  isCacheAvailable,
+  readCachedDataset,
+  writeCachedDataset,
+  clearCachedDataset,
+  mergeRecords,
+  describeDataAge
+};
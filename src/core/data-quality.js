@@ -0,0 +1,342 @@
+/**
+ * Data Quality
+ * Validation and gap repair for the daily price series.
+ *
+ * validateSeries() reports problems in raw source records; repairSeries()
+ * applies a repair policy and flags the rows whose returns cannot be trusted:
+ *   spansGap - the return covers more than one calendar day
+ *   imputed  - the row was filled in by the repair policy
+ */
+
+const REPAIR_POLICIES = ['drop', 'forward-fill', 'interpolate'];
+const DEFAULT_REPAIR_POLICY = 'drop';
+const POLICY_STORAGE_KEY = 'rektRepairPolicy';
+
+// On-chain columns checked for partial coverage
+const ONCHAIN_FIELDS = [
+  'MVRV', 'NVT', 'NVT_90', 'ACTIVE_ADDRESSES', 'TX_COUNT', 'TX_VOLUME_USD',
+  'ACTIVE_SUPPLY_1D', 'ACTIVE_SUPPLY_1YR', 'CURRENT_SUPPLY', 'HASH_RATE',
+  'MINER_REVENUE', 'WHALE_SUPPLY'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Robust z-score (median / MAD) above which a daily return is reported as an outlier
+const OUTLIER_Z = 8;
+
+// A jump is treated as a bad tick when the next day reverts at least this share of it
+const REVERSAL_SHARE = 0.8;
+
+/**
+ * Normalize a date to its UTC day number
+ * @param {Date} date - Date to normalize
+ * @returns {number} Days since the Unix epoch
+ */
+function dayNumber(date) {
+  return Math.floor(date.getTime() / DAY_MS);
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} ISO day string
+ */
+function isoDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Resolve the configured repair policy (?repair= overrides the stored choice)
+ * @returns {string} Repair policy
+ */
+function resolveRepairPolicy() {
+  let policy = null;
+
+  if (typeof window !== 'undefined' && window.location) {
+    policy = new URLSearchParams(window.location.search).get('repair');
+  }
+  if (!policy && typeof localStorage !== 'undefined') {
+    try {
+      policy = localStorage.getItem(POLICY_STORAGE_KEY);
+    } catch (e) {
+      // Storage may be blocked (e.g. privacy mode)
+    }
+  }
+
+  return REPAIR_POLICIES.includes(policy) ? policy : DEFAULT_REPAIR_POLICY;
+}
+
+/**
+ * Remember the repair policy for future visits
+ * @param {string} policy - One of REPAIR_POLICIES
+ */
+function storeRepairPolicy(policy) {
+  if (!REPAIR_POLICIES.includes(policy)) {
+    throw new Error(`Unknown repair policy "${policy}". Use one of: ${REPAIR_POLICIES.join(', ')}`);
+  }
+
+  try {
+    localStorage.setItem(POLICY_STORAGE_KEY, policy);
+  } catch (e) {
+    console.warn('Could not store repair policy:', e);
+  }
+}
+
+/**
+ * Detect outlier jumps in a chronologically sorted, positive-price series
+ * @param {Array} records - Records with Date `date` and numeric `price`
+ * @returns {Array} Outliers ({date, logReturn, zScore, spanDays, reverted, revertedOn})
+ */
+function findOutlierJumps(records) {
+  const returns = [];
+  for (let i = 1; i < records.length; i++) {
+    returns.push({
+      index: i,
+      value: Math.log(records[i].price / records[i - 1].price),
+      spanDays: dayNumber(records[i].date) - dayNumber(records[i - 1].date)
+    });
+  }
+  if (returns.length < 3) return [];
+
+  const sorted = returns.map(r => r.value).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const deviations = sorted.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+  const mad = deviations[Math.floor(deviations.length / 2)] * 1.4826;
+  if (!(mad > 0)) return [];
+
+  const outliers = [];
+  returns.forEach((r, k) => {
+    const zScore = (r.value - median) / mad;
+    if (Math.abs(zScore) < OUTLIER_Z) return;
+
+    const next = returns[k + 1];
+    const reverted = Boolean(next) && next.value * r.value < 0 &&
+      Math.abs(next.value) >= REVERSAL_SHARE * Math.abs(r.value);
+
+    outliers.push({
+      date: isoDay(records[r.index].date),
+      logReturn: r.value,
+      zScore,
+      spanDays: r.spanDays,
+      reverted,
+      revertedOn: reverted ? isoDay(records[next.index].date) : null
+    });
+  });
+
+  return outliers;
+}
+
+/**
+ * Validate a daily price series
+ * @param {Array} records - Records from a data source ({date, price, ...})
+ * @returns {Object} Report of missing dates, duplicates, bad prices, outlier jumps and column coverage
+ */
+function validateSeries(records) {
+  const sorted = [...records].sort((a, b) => a.date - b.date);
+
+  const duplicateDates = [];
+  const nonPositivePrices = [];
+  const missingRanges = [];
+  const unique = [];
+
+  sorted.forEach(record => {
+    const previous = unique[unique.length - 1];
+    if (previous && dayNumber(previous.date) === dayNumber(record.date)) {
+      duplicateDates.push(isoDay(record.date));
+      return;
+    }
+    unique.push(record);
+  });
+
+  const valid = unique.filter(record => {
+    if (!(record.price > 0)) {
+      nonPositivePrices.push({ date: isoDay(record.date), price: record.price });
+      return false;
+    }
+    return true;
+  });
+
+  for (let i = 1; i < valid.length; i++) {
+    const gap = dayNumber(valid[i].date) - dayNumber(valid[i - 1].date) - 1;
+    if (gap > 0) {
+      missingRanges.push({
+        from: isoDay(new Date(valid[i - 1].date.getTime() + DAY_MS)),
+        to: isoDay(new Date(valid[i].date.getTime() - DAY_MS)),
+        days: gap
+      });
+    }
+  }
+
+  // Coverage is measured from each column's first value, so columns that start
+  // later than the price history are not reported as partial
+  const columnCoverage = {};
+  ONCHAIN_FIELDS.forEach(field => {
+    const firstIndex = valid.findIndex(record => typeof record[field] === 'number');
+    if (firstIndex === -1) return;
+
+    const span = valid.length - firstIndex;
+    let filled = 0;
+    for (let i = firstIndex; i < valid.length; i++) {
+      if (typeof valid[i][field] === 'number' && isFinite(valid[i][field])) filled++;
+    }
+
+    columnCoverage[field] = {
+      firstDate: isoDay(valid[firstIndex].date),
+      filled,
+      expected: span,
+      ratio: filled / span
+    };
+  });
+
+  const partialColumns = Object.keys(columnCoverage).filter(field => columnCoverage[field].ratio < 1);
+  const outlierJumps = findOutlierJumps(valid);
+  const missingDayCount = missingRanges.reduce((sum, range) => sum + range.days, 0);
+
+  return {
+    totalRecords: records.length,
+    firstDate: valid.length > 0 ? isoDay(valid[0].date) : null,
+    lastDate: valid.length > 0 ? isoDay(valid[valid.length - 1].date) : null,
+    missingRanges,
+    missingDayCount,
+    duplicateDates,
+    nonPositivePrices,
+    outlierJumps,
+    columnCoverage,
+    partialColumns,
+    issueCount: missingRanges.length + duplicateDates.length + nonPositivePrices.length +
+      outlierJumps.length + partialColumns.length
+  };
+}
+
+/**
+ * Build a filled-in record between two known records
+ * @param {Object} before - Last known record
+ * @param {Object} after - Next known record
+ * @param {number} step - Day offset from `before`
+ * @param {number} span - Days between `before` and `after`
+ * @param {string} policy - 'forward-fill' or 'interpolate'
+ * @returns {Object} Imputed record
+ */
+function imputeRecord(before, after, step, span, policy) {
+  const date = new Date(before.date.getTime() + step * DAY_MS);
+
+  if (policy === 'forward-fill') {
+    return { ...before, date, imputed: true };
+  }
+
+  // Geometric interpolation for price keeps the daily log returns constant across the gap
+  const weight = step / span;
+  const record = {
+    date,
+    price: before.price * Math.pow(after.price / before.price, weight),
+    imputed: true
+  };
+
+  Object.keys(before).forEach(field => {
+    if (field === 'date' || field === 'price' || typeof before[field] !== 'number') return;
+    record[field] = typeof after[field] === 'number' ?
+      before[field] + (after[field] - before[field]) * weight :
+      before[field];
+  });
+
+  return record;
+}
+
+/**
+ * Repair a daily price series
+ * Duplicates keep the last row for the day and non-positive prices are removed.
+ * Missing days are then handled by the policy:
+ *   drop         - leave the gap; the return after it is averaged over the gap (spansGap)
+ *   forward-fill - repeat the last known row; the return after the gap keeps the full move (spansGap)
+ *   interpolate  - fill prices geometrically and metrics linearly
+ * @param {Array} records - Records from a data source ({date, price, ...})
+ * @param {string} policy - One of REPAIR_POLICIES
+ * @returns {Array} Repaired, chronologically sorted records
+ */
+function repairSeries(records, policy = DEFAULT_REPAIR_POLICY) {
+  if (!REPAIR_POLICIES.includes(policy)) {
+    throw new Error(`Unknown repair policy "${policy}". Use one of: ${REPAIR_POLICIES.join(', ')}`);
+  }
+
+  const byDay = new Map();
+  [...records]
+    .sort((a, b) => a.date - b.date)
+    .forEach(record => {
+      if (record.price > 0) {
+        byDay.set(dayNumber(record.date), { ...record });
+      }
+    });
+
+  const cleaned = [...byDay.values()];
+  const repaired = [];
+
+  cleaned.forEach((record, i) => {
+    if (i === 0) {
+      repaired.push(record);
+      return;
+    }
+
+    const previous = cleaned[i - 1];
+    const span = dayNumber(record.date) - dayNumber(previous.date);
+
+    if (span > 1) {
+      if (policy === 'drop') {
+        record.spansGap = span;
+      } else {
+        for (let step = 1; step < span; step++) {
+          repaired.push(imputeRecord(previous, record, step, span, policy));
+        }
+        if (policy === 'forward-fill') {
+          record.spansGap = span;
+        }
+      }
+    }
+
+    repaired.push(record);
+  });
+
+  return repaired;
+}
+
+/**
+ * Compute the log return into a record, honouring gap flags from repairSeries
+ * @param {Object} record - Current record
+ * @param {Object} previous - Previous record
+ * @param {string} policy - Repair policy the series was repaired with
+ * @returns {number} Log return
+ */
+function gapAwareLogReturn(record, previous, policy) {
+  const logReturn = Math.log(record.price / previous.price);
+  return record.spansGap && policy === 'drop' ? logReturn / record.spansGap : logReturn;
+}
+
+/**
+ * Check whether an extreme event may be a data artifact
+ * @param {Object} record - Processed record
+ * @param {Object} report - Validation report from validateSeries
+ * @returns {string|null} Reason, or null if the event looks genuine
+ */
+function getArtifactReason(record, report) {
+  if (record.imputed) return 'falls on a day filled in by the repair policy';
+  if (record.spansGap) return `return spans a ${record.spansGap}-day gap in the source data`;
+
+  if (report) {
+    const day = isoDay(record.date);
+    const spike = report.outlierJumps.find(jump => jump.reverted && (jump.date === day || jump.revertedOn === day));
+    if (spike) return `price jump on ${spike.date} reverted on ${spike.revertedOn} (possible bad tick)`;
+  }
+
+  return null;
+}
+
+export {
+  REPAIR_POLICIES,
+  DEFAULT_REPAIR_POLICY,
+  ONCHAIN_FIELDS,
+  resolveRepairPolicy,
+  storeRepairPolicy,
+  validateSeries,
+  repairSeries,
+  gapAwareLogReturn,
+  getArtifactReason
+};
@@ -3,25 +3,208 @@
  * Handles data fetching, processing, and management
  */
 
-// Import state from app.js
-import { state } from '../app.js';
+// Import shared state
+import { state } from './state.js';
 import { analyzeHeadlinesWithNBC } from '../components/sentiment.js';
+import { fetchSourceRecords, getDataSourceKey, resolveHourlyDataSourceId, parseCsv, mapRowsToRecords, COINMETRICS_COLUMNS } from './data-sources.js';
+import * as DataCache from './data-cache.js';
+import { resolveRepairPolicy, storeRepairPolicy, validateSeries, repairSeries, gapAwareLogReturn } from './data-quality.js';
+import { formatDate } from '../utils/formatting.js';
+import { processHourlyRecords } from './intraday-risk.js';
+import { getRegime } from './assets.js';
+import { detectExtremeEvents } from './extreme-events.js';
 
-// Define risk model constants
-const a0 = 1.0; // baseline prior shape
-const b0 = 1.0; // baseline prior scale
+// Source records behind the processed series, kept so a new repair policy can be applied
+let sourceRecords = null;
 
 /**
- * Fetch Bitcoin historical price data
+ * Fetch Bitcoin historical price data from the active data source
+ * Cached records are returned immediately when available; newer rows are then
+ * fetched in the background and announced with a `bitcoinDataUpdated` event
+ * whose detail carries the reprocessed data.
+ * @param {string} sourceId - Optional data source id (defaults to the active source)
  * @returns {Promise<Array>} Promise resolving to processed Bitcoin data
  */
-async function fetchBitcoinData() {
-    const response = await fetch('https://raw.githubusercontent.com/coinmetrics/data/master/csv/btc.csv');
-    if (!response.ok) {
-      throw new Error('Failed to fetch Bitcoin data');
+async function fetchBitcoinData(sourceId) {
+    const cached = await DataCache.readCachedDataset(getDataSourceKey(sourceId));
+
+    if (!cached) {
+      const result = await refreshBitcoinData(sourceId, null);
+      return result.data;
+    }
+
+    console.log(`Starting from ${cached.records.length} cached records (${DataCache.describeDataAge(cached.lastDate)})`);
+    state.dataSource = { id: cached.sourceId, label: cached.label };
+    setDataStatus(cached, 'cache', false);
+
+    // Pick up newer rows without blocking the first render
+    refreshBitcoinDataInBackground(sourceId, cached);
+
+    return processRecords(cached.records);
+  }
+
+/**
+ * Refresh the data without waiting, dispatching `bitcoinDataUpdated` if anything changed
+ * A failed refresh is logged and marks the data offline; it never rejects.
+ * @param {string} sourceId - Optional data source id (defaults to the active source)
+ * @param {Object} cached - Cached entry to refresh (read from the cache when omitted)
+ * @returns {Promise<Object>} Refresh result (see refreshBitcoinData)
+ */
+function refreshBitcoinDataInBackground(sourceId, cached) {
+    return refreshBitcoinData(sourceId, cached).then(result => {
+      if (result.updated) {
+        document.dispatchEvent(new CustomEvent('bitcoinDataUpdated', {
+          detail: { data: result.data, added: result.added, revised: result.revised }
+        }));
+      }
+      return result;
+    }).catch(error => {
+      // e.g. nothing cached to fall back on; the page keeps the records it has
+      console.error('Error refreshing Bitcoin data in the background:', error);
+      setDataStatus(cached || state.dataStatus || {}, 'cache', true);
+      return { data: null, updated: false, added: 0, revised: 0 };
+    });
+  }
+
+/**
+ * Fetch the latest records, merge them into the cache and reprocess
+ * @param {string} sourceId - Optional data source id (defaults to the active source)
+ * @param {Object|null} cached - Cached entry to refresh (see data-cache.js); read from the cache when omitted
+ * @returns {Promise<{data: Array|null, updated: boolean, added: number, revised: number}>}
+ */
+async function refreshBitcoinData(sourceId, cached) {
+    const key = getDataSourceKey(sourceId);
+    if (cached === undefined) {
+      cached = await DataCache.readCachedDataset(key);
+    }
+
+    try {
+      const validators = cached ? { etag: cached.etag, lastModified: cached.lastModified } : {};
+      const { records, notModified, validators: latest, source } = await fetchSourceRecords(sourceId, validators);
+      state.dataSource = source;
+
+      if (notModified) {
+        const entry = { ...cached, fetchedAt: new Date() };
+        await DataCache.writeCachedDataset(entry);
+        setDataStatus(entry, 'network', false);
+        return { data: null, updated: false, added: 0, revised: 0 };
+      }
+
+      const merged = DataCache.mergeRecords(cached ? cached.records : [], records);
+      const entry = {
+        key,
+        sourceId: source.id,
+        label: source.label,
+        records: merged.records,
+        etag: latest.etag,
+        lastModified: latest.lastModified,
+        fetchedAt: new Date()
+      };
+      await DataCache.writeCachedDataset(entry);
+      setDataStatus({ ...entry, lastDate: merged.records[merged.records.length - 1].date }, 'network', false);
+
+      if (cached) {
+        console.log(`Merged ${merged.added} new and ${merged.revised} revised records into the cache`);
+      }
+
+      const updated = !cached || merged.added > 0 || merged.revised > 0;
+      return {
+        data: updated ? processRecords(merged.records) : null,
+        updated,
+        added: merged.added,
+        revised: merged.revised
+      };
+    } catch (error) {
+      if (!cached) throw error;
+
+      console.error('Error refreshing Bitcoin data, continuing with cached data:', error);
+      setDataStatus(cached, 'cache', true);
+      return { data: null, updated: false, added: 0, revised: 0 };
+    }
+  }
+
+/**
+ * Fetch hourly candles for the intraday model
+ * Cached candles are merged with the latest rows; sources that support it
+ * only download candles since the cached revision window.
+ * @param {string|null} sourceId - Hourly source id (defaults to the configured one, if any)
+ * @returns {Promise<Array|null>} Processed hourly candles, or null when no hourly source is configured or loading fails
+ */
+async function fetchHourlyData(sourceId = resolveHourlyDataSourceId()) {
+    if (!sourceId) return null;
+
+    const key = getDataSourceKey(sourceId);
+    const cached = await DataCache.readCachedDataset(key);
+
+    try {
+      const request = cached ?
+        { etag: cached.etag, lastModified: cached.lastModified, since: cached.lastDate } : {};
+      const { records, notModified, validators, source } = await fetchSourceRecords(sourceId, request);
+      state.hourlySource = source;
+
+      if (notModified) {
+        return processHourlyRecords(cached.records);
+      }
+
+      const merged = DataCache.mergeRecords(cached ? cached.records : [], records);
+      await DataCache.writeCachedDataset({
+        key,
+        sourceId: source.id,
+        label: source.label,
+        records: merged.records,
+        etag: validators.etag,
+        lastModified: validators.lastModified,
+        fetchedAt: new Date()
+      });
+
+      return processHourlyRecords(merged.records);
+    } catch (error) {
+      console.error('Error loading hourly data:', error);
+      if (!cached) return null;
+
+      state.hourlySource = { id: cached.sourceId, label: cached.label };
+      return processHourlyRecords(cached.records);
     }
-    const csvText = await response.text();
-    return processData(csvText);
+  }
+
+/**
+ * Record where the loaded data came from and refresh the data age label
+ * @param {Object} entry - Cache entry ({lastDate, fetchedAt})
+ * @param {string} origin - 'cache' or 'network'
+ * @param {boolean} offline - True if the latest refresh failed
+ */
+function setDataStatus(entry, origin, offline) {
+    state.dataStatus = {
+      origin,
+      offline,
+      lastDate: entry.lastDate ? new Date(entry.lastDate) : null,
+      fetchedAt: entry.fetchedAt ? new Date(entry.fetchedAt) : null
+    };
+    updateDataAgeLabel();
+  }
+
+/**
+ * Show the age of the loaded data in #data-info
+ */
+function updateDataAgeLabel() {
+    const dataAge = document.getElementById('data-age');
+    const status = state.dataStatus;
+    if (!dataAge || !status) return;
+
+    const parts = [];
+    if (status.lastDate) {
+      parts.push(`Data through ${formatDate(status.lastDate)} (${DataCache.describeDataAge(status.lastDate)})`);
+    }
+    if (status.offline) {
+      parts.push('offline - showing cached data');
+    } else if (status.origin === 'cache') {
+      parts.push('loaded from cache, checking for updates');
+    } else if (status.fetchedAt) {
+      parts.push(`last checked ${status.fetchedAt.toLocaleTimeString()}`);
+    }
+
+    dataAge.textContent = parts.join(' · ');
+    dataAge.classList.toggle('stale', Boolean(status.offline));
   }
 
 /**
@@ -254,24 +437,24 @@ async function fetchAlternativeSentimentData() {
     }
   }
 
+// Bitcoin halving dates (index = halving epoch)
+const HALVING_DATES = [
+  new Date('2009-01-03'), // Genesis block (not an actual halving)
+  new Date('2012-11-28'), // First halving
+  new Date('2016-07-09'), // Second halving
+  new Date('2020-05-11'), // Third halving
+  new Date('2024-04-20')  // Fourth halving
+];
+
 /**
  * Get the halving epoch for a given date
  * @param {Date} date - The date to check
  * @returns {number} Halving epoch number
  */
 function getHalvingEpoch(date) {
-    // Bitcoin halving dates
-    const halvingDates = [
-      new Date('2009-01-03'), // Genesis block (not an actual halving)
-      new Date('2012-11-28'), // First halving
-      new Date('2016-07-09'), // Second halving
-      new Date('2020-05-11'), // Third halving
-      new Date('2024-04-20')  // Fourth halving
-    ];
-    
     // Find the appropriate epoch
-    for (let i = halvingDates.length - 1; i >= 0; i--) {
-      if (date >= halvingDates[i]) {
+    for (let i = HALVING_DATES.length - 1; i >= 0; i--) {
+      if (date >= HALVING_DATES[i]) {
         return i;
       }
     }
@@ -280,105 +463,44 @@ function getHalvingEpoch(date) {
   }
 
 /**
- * Process raw CSV data into structured Bitcoin data objects
+ * Process raw Coin Metrics CSV data into structured Bitcoin data objects
  * @param {string} csvText - Raw CSV text
  * @returns {Array} Array of processed data points
  */
 function processData(csvText) {
-  const lines = csvText.trim().split('\n');
-  const headers = lines[0].split(',');
-  
-  // Find index of critical columns
-  const timeIndex = headers.indexOf('time');
-  const priceIndex = headers.indexOf('PriceUSD');
-  
-  // Find indices for on-chain metrics
-  const mvrvIndex = headers.indexOf('CapMVRVCur');
-  const nvtIndex = headers.indexOf('NVTAdj');
-  const nvt90Index = headers.indexOf('NVTAdj90');
-  const activeAddressesIndex = headers.indexOf('AdrActCnt');
-  const txCountIndex = headers.indexOf('TxCnt');
-  const txVolumeIndex = headers.indexOf('TxTfrValAdjUSD');
-  const splyAct1dIndex = headers.indexOf('SplyAct1d');
-  const splyAct1yrIndex = headers.indexOf('SplyAct1yr');
-  
-  if (timeIndex === -1 || priceIndex === -1) {
-    throw new Error('CSV format is not as expected');
+  return processRecords(mapRowsToRecords(parseCsv(csvText), COINMETRICS_COLUMNS));
+}
+
+/**
+ * Derive the fields every module relies on from source records
+ * The series is validated and repaired first (see data-quality.js); the
+ * report and policy are kept in state.dataQuality.
+ * @param {Array} records - Records with at least {date, price} (see data-sources.js)
+ * @param {string} policy - Gap repair policy (defaults to the configured policy)
+ * @returns {Array} Array of processed data points
+ */
+function processRecords(records, policy = resolveRepairPolicy()) {
+  const report = validateSeries(records);
+  if (report.issueCount > 0) {
+    console.warn(`Data quality: ${report.missingDayCount} missing days, ${report.duplicateDates.length} duplicates, ` +
+      `${report.nonPositivePrices.length} non-positive prices, ${report.outlierJumps.length} outlier jumps (repair: ${policy})`);
   }
   
-  console.log('Found metric indices:', { 
-    mvrvIndex, 
-    nvtIndex, 
-    nvt90Index, 
-    activeAddressesIndex,
-    txCountIndex,
-    txVolumeIndex
-  });
+  const data = repairSeries(records, policy).map(record => ({
+    ...record,
+    regime: getRegime(record.date)
+  }));
   
-  // Parse ALL data
-  const data = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',');
-    const dateString = values[timeIndex];
-    const price = parseFloat(values[priceIndex]);
-    
-    if (!isNaN(price)) {
-      const date = new Date(dateString);
-      const dataPoint = {
-        date: date,
-        price: price,
-        halvingEpoch: getHalvingEpoch(date)
-      };
-      
-      // Add on-chain metrics
-      if (mvrvIndex !== -1 && values[mvrvIndex]) {
-        dataPoint.MVRV = parseFloat(values[mvrvIndex]);
-      }
-      
-      if (nvtIndex !== -1 && values[nvtIndex]) {
-        dataPoint.NVT = parseFloat(values[nvtIndex]);
-      }
-      
-      if (nvt90Index !== -1 && values[nvt90Index]) {
-        dataPoint.NVT_90 = parseFloat(values[nvt90Index]);
-      }
-      
-      if (activeAddressesIndex !== -1 && values[activeAddressesIndex]) {
-        dataPoint.ACTIVE_ADDRESSES = parseFloat(values[activeAddressesIndex]);
-      }
-      
-      if (txCountIndex !== -1 && values[txCountIndex]) {
-        dataPoint.TX_COUNT = parseFloat(values[txCountIndex]);
-      }
-      
-      if (txVolumeIndex !== -1 && values[txVolumeIndex]) {
-        dataPoint.TX_VOLUME_USD = parseFloat(values[txVolumeIndex]);
-      }
-
-    if (splyAct1dIndex !== -1 && values[splyAct1dIndex]) {
-      const rawValue = values[splyAct1dIndex];
-      dataPoint.ACTIVE_SUPPLY_1D = parseFloat(rawValue);
-      // Add a check for NaN
-      if (isNaN(dataPoint.ACTIVE_SUPPLY_1D)) {
-        console.error(`Failed to parse ACTIVE_SUPPLY_1D from '${rawValue}'`);
-      }
-    }
-      
-      if (splyAct1yrIndex !== -1 && values[splyAct1yrIndex]) {
-        dataPoint.ACTIVE_SUPPLY_1YR = parseFloat(values[splyAct1yrIndex]);
-      }
-
-      data.push(dataPoint);
-    }
-    
+  if (data.length === 0) {
+    throw new Error('No price data available to process');
   }
   
-  // Sort by date to ensure chronological order
-  data.sort((a, b) => a.date - b.date);
+  sourceRecords = records;
+  state.dataQuality = { policy, report };
   
-  // Calculate log returns
+  // Calculate log returns (repairSeries returns the series in chronological order)
   for (let i = 1; i < data.length; i++) {
-    data[i].logReturn = Math.log(data[i].price / data[i-1].price);
+    data[i].logReturn = gapAwareLogReturn(data[i], data[i-1], policy);
   }
   data[0].logReturn = 0;
   
@@ -398,17 +520,30 @@ function processData(csvText) {
     
     console.log(`Added cycle position to ${recentData.length} recent data points`);
   }
-    console.log("First 5 data points:"); 
-    data.slice(0, 5).forEach(d => console.log("ACTIVE_SUPPLY_1D:", d.ACTIVE_SUPPLY_1D, "ACTIVE_SUPPLY_1YR:", d.ACTIVE_SUPPLY_1YR));
-
-    console.log("Last 5 data points:");
-    data.slice(-5).forEach(d => console.log("ACTIVE_SUPPLY_1D:", d.ACTIVE_SUPPLY_1D, "ACTIVE_SUPPLY_1YR:", d.ACTIVE_SUPPLY_1YR));
   console.log(`Processed ${data.length} data points from ${data[0].date.toISOString().split('T')[0]} to ${data[data.length-1].date.toISOString().split('T')[0]}`);
   console.log('Sample processed data point with metrics:', data[data.length-1]);
   
   return data;
 }
 
+/**
+ * Re-run processing on the loaded records with a different repair policy
+ * Dispatches `bitcoinDataUpdated` so the model and views are refreshed.
+ * @param {string} policy - Gap repair policy (see data-quality.js)
+ * @returns {Array|null} Reprocessed data, or null if nothing has been loaded yet
+ */
+function reprocessBitcoinData(policy) {
+  if (!sourceRecords) return null;
+
+  storeRepairPolicy(policy);
+  const data = processRecords(sourceRecords, policy);
+  document.dispatchEvent(new CustomEvent('bitcoinDataUpdated', {
+    detail: { data, added: 0, revised: 0 }
+  }));
+
+  return data;
+}
+
 /**
  * Update the YouTuber crash data display
  * @param {number} month - Month number (1-12)
@@ -477,30 +612,13 @@ function generateTimelineData(data) {
         // Calculate risk by epoch and seasonal factors for this year
         const yearRisk = {};
         
-        // Group data by epoch within this year
-        const epochsInYear = [...new Set(yearData.map(d => d.halvingEpoch))];
-        
-        // For each epoch in this year, calculate thresholds
+        // Mark extreme events with the active definition, thresholds taken
+        // per regime within this year
         let yearlyExtremeEvents = 0;
-        
-        epochsInYear.forEach(epoch => {
-          const epochData = yearData.filter(d => d.halvingEpoch === epoch);
-          
-          if (epochData.length > 0) {
-            // Calculate 1st percentile threshold for this epoch
-            const epochLogReturns = epochData
-              .map(d => d.logReturn)
-              .filter(r => !isNaN(r) && isFinite(r));
-            
-            epochLogReturns.sort((a, b) => a - b);
-            const threshold = epochLogReturns[Math.floor(epochLogReturns.length * 0.01)] || 0;
-            
-            // Mark extreme events for this epoch
-            epochData.forEach(d => {
-              d.yearlyExtreme = d.logReturn < threshold ? 1 : 0;
-              if (d.yearlyExtreme) yearlyExtremeEvents++;
-            });
-          }
+        const { flags } = detectExtremeEvents(yearData);
+        yearData.forEach((d, i) => {
+          d.yearlyExtreme = flags[i];
+          yearlyExtremeEvents += flags[i];
         });
         
         // Calculate monthly risk based on this year's data
@@ -515,7 +633,8 @@ function generateTimelineData(data) {
             const monthlyFreq = monthData.length > 0 ? monthlyExtremes / monthData.length : 0;
             const seasonalFactor = yearlyFreq > 0 ? monthlyFreq / yearlyFreq : 1.0;
             
-            // Calculate risk using Poisson-Gamma model
+            // Calculate risk using Poisson-Gamma model with the current prior
+            const { a0, b0 } = state.riskConstants;
             const T = monthData.length;
             const N = monthlyExtremes;
             const S_m = seasonalFactor;
@@ -741,11 +860,18 @@ function preparePredictionChartData(months) {
 
 export { 
   fetchBitcoinData, 
+  fetchHourlyData, 
+  refreshBitcoinData, 
+  refreshBitcoinDataInBackground, 
+  updateDataAgeLabel, 
   fetchSentimentAnalysis, 
   fetchCryptoNews, 
   fetchAlternativeSentimentData, 
+  HALVING_DATES, 
   getHalvingEpoch, 
   processData, 
+  processRecords, 
+  reprocessBitcoinData, 
   updateYoutuberCrashData, 
   generateTimelineData, 
   getMarketPhase, 
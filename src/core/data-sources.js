@@ -0,0 +1,524 @@
+/**
+ * Data Sources
+ * Registry of price/metrics sources that feed the processing pipeline.
+ *
+ * Each source provides a `fetch` function returning raw rows and a column
+ * mapping from the record shape used by the app ({date, price, MVRV, ...})
+ * to the field names (or array positions) used by that source.
+ *
+ * Sources are daily unless registered with `resolution: 'hourly'`; hourly
+ * sources feed the intraday model for the short risk horizons.
+ */
+
+// Default Coin Metrics community CSV
+const COINMETRICS_BTC_CSV_URL = 'https://raw.githubusercontent.com/coinmetrics/data/master/csv/btc.csv';
+
+// Record field -> Coin Metrics column
+const COINMETRICS_COLUMNS = {
+  date: 'time',
+  price: 'PriceUSD',
+  MVRV: 'CapMVRVCur',
+  NVT: 'NVTAdj',
+  NVT_90: 'NVTAdj90',
+  ACTIVE_ADDRESSES: 'AdrActCnt',
+  TX_COUNT: 'TxCnt',
+  TX_VOLUME_USD: 'TxTfrValAdjUSD',
+  ACTIVE_SUPPLY_1D: 'SplyAct1d',
+  ACTIVE_SUPPLY_1YR: 'SplyAct1yr',
+  CURRENT_SUPPLY: 'SplyCur',
+  HASH_RATE: 'HashRate',
+  MINER_REVENUE: 'RevNtv',
+  WHALE_SUPPLY: 'SplyAdrTop10Pct'
+};
+
+// Record field -> generic OHLC field (object rows)
+const OHLC_COLUMNS = {
+  date: 'time',
+  price: 'close',
+  open: 'open',
+  high: 'high',
+  low: 'low',
+  volume: 'volume'
+};
+
+// Record field -> position for array rows ([time, open, high, low, close, volume])
+const OHLC_ARRAY_COLUMNS = {
+  date: 0,
+  open: 1,
+  high: 2,
+  low: 3,
+  price: 4,
+  volume: 5
+};
+
+// Binance spot klines (public, no key needed)
+const BINANCE_KLINES_URL = 'https://api.binance.com/api/v3/klines';
+const BINANCE_PAGE_LIMIT = 1000;
+
+const DEFAULT_SOURCE_ID = 'coinmetrics';
+const SOURCE_STORAGE_KEY = 'rektDataSource';
+const HOURLY_SOURCE_STORAGE_KEY = 'rektHourlySource';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Registered sources by id
+const sources = {};
+
+/**
+ * Split CSV text into header-keyed row objects
+ * @param {string} csvText - Raw CSV text
+ * @returns {Array<Object>} Rows keyed by header name
+ */
+function parseCsv(csvText) {
+  const lines = csvText.trim().split('\n');
+  const headers = lines[0].split(',').map(h => h.trim());
+  const rows = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    const values = lines[i].split(',');
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index];
+    });
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse a date value from a source row
+ * Numbers are treated as Unix time (seconds if below 1e12, else milliseconds)
+ * @param {*} value - Raw date value
+ * @returns {Date} Parsed date (may be invalid)
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) return value;
+
+  const numeric = typeof value === 'number' ? value : (/^\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+  if (!isNaN(numeric)) {
+    return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+  }
+
+  return new Date(value);
+}
+
+/**
+ * Map raw rows into records using a column mapping
+ * @param {Array} rows - Raw rows (objects or arrays)
+ * @param {Object} columns - Record field -> source column (name or index)
+ * @returns {Array} Records with Date `date`, numeric `price` and any mapped metrics
+ */
+function mapRowsToRecords(rows, columns) {
+  if (columns.date === undefined || columns.price === undefined) {
+    throw new Error('Data source column mapping must define date and price');
+  }
+
+  const records = [];
+
+  rows.forEach(row => {
+    const rawDate = row[columns.date];
+    const price = parseFloat(row[columns.price]);
+
+    if (rawDate === undefined || rawDate === null || rawDate === '' || isNaN(price)) {
+      return;
+    }
+
+    const date = parseDateValue(rawDate);
+    if (isNaN(date.getTime())) {
+      return;
+    }
+
+    const record = { date, price };
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (field === 'date' || field === 'price') return;
+
+      const rawValue = row[column];
+      if (rawValue === undefined || rawValue === null || rawValue === '') return;
+
+      const value = parseFloat(rawValue);
+      if (!isNaN(value)) {
+        record[field] = value;
+      }
+    });
+
+    records.push(record);
+  });
+
+  return records;
+}
+
+/**
+ * Issue a (possibly conditional) GET request
+ * When `request` carries an etag/lastModified from a previous load, the matching
+ * validators are sent; a 304 marks `request.notModified` and returns null.
+ * @param {string} url - Resource location
+ * @param {Object} request - Optional conditional request state (mutated with response validators)
+ * @returns {Promise<Response|null>} Response, or null when not modified
+ */
+async function conditionalFetch(url, request = {}) {
+  const headers = {};
+  if (request.etag) headers['If-None-Match'] = request.etag;
+  if (request.lastModified) headers['If-Modified-Since'] = request.lastModified;
+
+  const response = await fetch(url, Object.keys(headers).length > 0 ? { headers } : undefined);
+
+  if (response.status === 304) {
+    request.notModified = true;
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch data from ${url}`);
+  }
+
+  request.notModified = false;
+  request.etag = response.headers.get('ETag') || null;
+  request.lastModified = response.headers.get('Last-Modified') || null;
+
+  return response;
+}
+
+/**
+ * Fetch a CSV file and parse it into rows
+ * @param {string} url - CSV location
+ * @param {Object} request - Optional conditional request state
+ * @returns {Promise<Array|null>} Parsed rows, or null when not modified
+ */
+async function fetchCsvRows(url, request) {
+  const response = await conditionalFetch(url, request);
+  return response ? parseCsv(await response.text()) : null;
+}
+
+/**
+ * Fetch a JSON document and return the array of rows it contains
+ * @param {string} url - JSON location
+ * @param {string} recordsPath - Optional dot path to the rows array (e.g. "data.candles")
+ * @param {Object} request - Optional conditional request state
+ * @returns {Promise<Array|null>} Rows, or null when not modified
+ */
+async function fetchJsonRows(url, recordsPath = '', request) {
+  const response = await conditionalFetch(url, request);
+  if (!response) return null;
+
+  let json = await response.json();
+  if (recordsPath) {
+    json = recordsPath.split('.').reduce((node, key) => (node ? node[key] : undefined), json);
+  }
+
+  if (!Array.isArray(json)) {
+    throw new Error(`No array of records found in ${url}${recordsPath ? ` at "${recordsPath}"` : ''}`);
+  }
+
+  return json;
+}
+
+/**
+ * Fetch hourly klines from Binance, paging backwards from now
+ * Stops at `request.since` when given, so refreshes only download the tail.
+ * @param {Object} config - {baseUrl, symbol, days}
+ * @param {Object} request - Optional request state ({since})
+ * @returns {Promise<Array>} Kline rows ([openTime, open, high, low, close, volume, ...]), oldest first
+ */
+async function fetchBinanceHourlyRows(config, request = {}) {
+  const start = Math.max(
+    Date.now() - config.days * 24 * HOUR_MS,
+    request.since ? new Date(request.since).getTime() : 0
+  );
+  const pages = [];
+  let endTime = Date.now();
+
+  while (endTime > start) {
+    const url = `${config.baseUrl}?symbol=${encodeURIComponent(config.symbol)}&interval=1h` +
+      `&limit=${BINANCE_PAGE_LIMIT}&startTime=${start}&endTime=${endTime}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch data from ${url}`);
+    }
+
+    const rows = await response.json();
+    if (!Array.isArray(rows) || rows.length === 0) break;
+
+    pages.unshift(rows);
+    endTime = rows[0][0] - 1;
+    if (rows.length < BINANCE_PAGE_LIMIT) break;
+  }
+
+  return pages.flat();
+}
+
+/**
+ * Register a data source
+ * @param {string} id - Source identifier
+ * @param {Object} definition - Source definition
+ * @param {string} definition.label - Human readable name
+ * @param {Function} definition.fetch - async (config, request) => raw rows, or null when the
+ *   conditional `request` ({etag, lastModified}) reports the data has not changed
+ * @param {Object|Function} definition.columns - Column mapping, or (rows, config) => mapping
+ * @param {Object} definition.config - Default configuration passed to fetch (e.g. url)
+ * @param {string} definition.resolution - 'daily' (default) or 'hourly'
+ */
+function registerDataSource(id, definition) {
+  if (!definition || typeof definition.fetch !== 'function' || !definition.columns) {
+    throw new Error(`Data source "${id}" must provide a fetch function and a column mapping`);
+  }
+
+  sources[id] = {
+    id,
+    label: definition.label || id,
+    fetch: definition.fetch,
+    columns: definition.columns,
+    config: { ...(definition.config || {}) },
+    // As registered, so that overrides can be told apart
+    defaultConfig: { ...(definition.config || {}) },
+    resolution: definition.resolution || 'daily'
+  };
+
+  return sources[id];
+}
+
+/**
+ * Override the configuration of a registered source (e.g. point it at a mirror)
+ * @param {string} id - Source identifier
+ * @param {Object} config - Configuration overrides
+ */
+function configureDataSource(id, config = {}) {
+  const source = getDataSource(id);
+  source.config = { ...source.config, ...config };
+  return source;
+}
+
+/**
+ * Get a registered source
+ * @param {string} id - Source identifier
+ * @returns {Object} Source definition
+ */
+function getDataSource(id) {
+  const source = sources[id];
+  if (!source) {
+    throw new Error(`Unknown data source "${id}"`);
+  }
+  return source;
+}
+
+/**
+ * List registered sources
+ * @param {string} resolution - Optional filter ('daily' or 'hourly')
+ * @returns {Array<{id: string, label: string, resolution: string}>}
+ */
+function listDataSources(resolution = null) {
+  return Object.values(sources)
+    .filter(source => !resolution || source.resolution === resolution)
+    .map(({ id, label, resolution }) => ({ id, label, resolution }));
+}
+
+/**
+ * Read a setting from the page URL, falling back to localStorage
+ * @param {string} param - Query parameter name
+ * @param {string} storageKey - localStorage key
+ * @returns {string|null} Setting value
+ */
+function readSetting(param, storageKey) {
+  if (typeof window === 'undefined') return null;
+
+  const fromUrl = new URLSearchParams(window.location.search).get(param);
+  if (fromUrl) return fromUrl;
+
+  try {
+    return window.localStorage ? window.localStorage.getItem(storageKey) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve which source to load
+ * `?source=<id>` wins, then the stored choice, then Coin Metrics.
+ * `?sourceUrl=<url>` overrides the URL of the resolved source.
+ * @returns {string} Source identifier
+ */
+function resolveActiveDataSourceId() {
+  const id = readSetting('source', SOURCE_STORAGE_KEY);
+  if (id && sources[id]) {
+    const url = readSetting('sourceUrl', `${SOURCE_STORAGE_KEY}:${id}:url`);
+    if (url) {
+      configureDataSource(id, { url });
+    }
+    return id;
+  }
+
+  if (id) {
+    console.warn(`Unknown data source "${id}", falling back to ${DEFAULT_SOURCE_ID}`);
+  }
+  return DEFAULT_SOURCE_ID;
+}
+
+/**
+ * Resolve which hourly source to load, if any
+ * Intraday data is opt-in: `?hourlySource=<id>` or the stored choice.
+ * `?hourlySourceUrl=<url>` overrides the URL of the resolved source.
+ * @returns {string|null} Hourly source identifier, or null when none is configured
+ */
+function resolveHourlyDataSourceId() {
+  const id = readSetting('hourlySource', HOURLY_SOURCE_STORAGE_KEY);
+  if (!id) return null;
+
+  if (!sources[id] || sources[id].resolution !== 'hourly') {
+    console.warn(`Unknown hourly data source "${id}", intraday data disabled`);
+    return null;
+  }
+
+  const url = readSetting('hourlySourceUrl', `${HOURLY_SOURCE_STORAGE_KEY}:${id}:url`);
+  if (url) {
+    configureDataSource(id, { url });
+  }
+  return id;
+}
+
+/**
+ * Remember a source choice for future page loads
+ * @param {string} id - Source identifier
+ * @param {Object} config - Optional configuration (e.g. url) to remember
+ */
+function setActiveDataSource(id, config = {}) {
+  getDataSource(id);
+  if (Object.keys(config).length > 0) {
+    configureDataSource(id, config);
+  }
+
+  try {
+    window.localStorage.setItem(SOURCE_STORAGE_KEY, id);
+    if (config.url) {
+      window.localStorage.setItem(`${SOURCE_STORAGE_KEY}:${id}:url`, config.url);
+    }
+  } catch (e) {
+    console.warn('Could not persist data source choice:', e);
+  }
+}
+
+/**
+ * Build a key identifying a source and the location it reads from
+ * @param {string} id - Source identifier (defaults to the active source)
+ * @returns {string} Cache key
+ */
+function getDataSourceKey(id = resolveActiveDataSourceId()) {
+  const source = getDataSource(id);
+  return `${source.id}|${source.config.url || source.config.symbol || ''}`;
+}
+
+/**
+ * Load records from a source
+ * @param {string} id - Source identifier (defaults to the active source)
+ * @param {Object} request - Optional conditional request state ({etag, lastModified}),
+ *   plus `since` for sources that can fetch only recent rows
+ * @returns {Promise<{records: Array|null, notModified: boolean, validators: Object, source: {id: string, label: string}}>}
+ */
+async function fetchSourceRecords(id = resolveActiveDataSourceId(), request = {}) {
+  const source = getDataSource(id);
+  const conditional = {
+    etag: request.etag || null,
+    lastModified: request.lastModified || null,
+    since: request.since || null
+  };
+  const rows = await source.fetch(source.config, conditional);
+  const summary = { id: source.id, label: source.label };
+  const validators = { etag: conditional.etag || null, lastModified: conditional.lastModified || null };
+
+  if (rows === null && conditional.notModified) {
+    console.log(`${source.label} data not modified since last load`);
+    return { records: null, notModified: true, validators, source: summary };
+  }
+
+  const columns = typeof source.columns === 'function' ?
+    source.columns(rows, source.config) : source.columns;
+  const records = mapRowsToRecords(rows, columns);
+
+  if (records.length === 0) {
+    throw new Error(`Data source "${source.label}" returned no usable records`);
+  }
+
+  console.log(`Loaded ${records.length} records from ${source.label}`);
+
+  return {
+    records,
+    notModified: false,
+    validators,
+    source: summary
+  };
+}
+
+// Built-in sources
+
+// Coin Metrics community data (or a mirrored snapshot via configureDataSource/?sourceUrl=)
+registerDataSource('coinmetrics', {
+  label: 'Coin Metrics',
+  config: { url: COINMETRICS_BTC_CSV_URL },
+  fetch: (config, request) => fetchCsvRows(config.url, request),
+  columns: COINMETRICS_COLUMNS
+});
+
+// Local CSV/JSON file served next to the app; defaults to Coin Metrics column names
+registerDataSource('local-file', {
+  label: 'Local file',
+  config: { url: 'data/btc.csv', recordsPath: '' },
+  fetch: (config, request) => (/\.json($|\?)/i.test(config.url) ?
+    fetchJsonRows(config.url, config.recordsPath, request) :
+    fetchCsvRows(config.url, request)),
+  columns: (rows, config) => config.columns || COINMETRICS_COLUMNS
+});
+
+// Generic OHLC JSON endpoint: rows as {time, open, high, low, close, volume} or arrays in that order
+registerDataSource('ohlc-json', {
+  label: 'OHLC JSON endpoint',
+  config: { url: '', recordsPath: '' },
+  fetch: (config, request) => {
+    if (!config.url) {
+      throw new Error('The OHLC JSON source needs a URL (configureDataSource or ?sourceUrl=)');
+    }
+    return fetchJsonRows(config.url, config.recordsPath, request);
+  },
+  columns: (rows, config) => config.columns ||
+    (Array.isArray(rows[0]) ? OHLC_ARRAY_COLUMNS : OHLC_COLUMNS)
+});
+
+// Local hourly OHLCV candles (CSV with time,open,high,low,close,volume or JSON rows)
+registerDataSource('local-hourly', {
+  label: 'Local hourly file',
+  resolution: 'hourly',
+  config: { url: 'data/btc-1h.csv', recordsPath: '' },
+  fetch: (config, request) => (/\.json($|\?)/i.test(config.url) ?
+    fetchJsonRows(config.url, config.recordsPath, request) :
+    fetchCsvRows(config.url, request)),
+  columns: (rows, config) => config.columns ||
+    (Array.isArray(rows[0]) ? OHLC_ARRAY_COLUMNS : OHLC_COLUMNS)
+});
+
+// Binance hourly candles for the trailing `days`
+registerDataSource('binance-hourly', {
+  label: 'Binance hourly',
+  resolution: 'hourly',
+  config: { baseUrl: BINANCE_KLINES_URL, symbol: 'BTCUSDT', days: 730 },
+  fetch: fetchBinanceHourlyRows,
+  columns: OHLC_ARRAY_COLUMNS
+});
+
+export {
+  DEFAULT_SOURCE_ID,
+  COINMETRICS_COLUMNS,
+  OHLC_COLUMNS,
+  parseCsv,
+  mapRowsToRecords,
+  fetchCsvRows,
+  fetchJsonRows,
+  registerDataSource,
+  configureDataSource,
+  getDataSource,
+  listDataSources,
+  readSetting,
+  resolveActiveDataSourceId,
+  resolveHourlyDataSourceId,
+  setActiveDataSource,
+  getDataSourceKey,
+  fetchSourceRecords
+};
@@ -3,23 +3,22 @@
  * Combines on-chain metrics with Bayesian statistical model
  */
 
-import { calculateStandardDeviation } from '../utils/statistics.js';
-import { state } from '../app.js';
+import { calculateStandardDeviation, gammaQuantile } from '../utils/statistics.js';
+import { state } from './state.js';
 import { processOnChainData } from './onchain-processor.js';
+import { markExtremeEvents } from './extreme-events.js';
+import { updateRiskConstants, summarizePosterior } from './poisson-gamma.js';
+import { getActiveAsset } from './assets.js';
 import { updateGauge } from '../components/gauge.js';
 
-// Define risk model constants
-const a0 = 1.0; // baseline prior shape
-const b0 = 1.0; // baseline prior scale
-
 /**
  * Calculate credible intervals for crash risk using direct Bayesian approach
  * @param {number} alpha - Shape parameter (a0*S_m + N)
  * @param {number} beta - Rate parameter (b0 + T)
- * @param {number} tau - Time horizon in days
+ * @param {number} tau - Time horizon (in the same unit as beta's exposure)
  * @returns {Object} Lower and upper bounds for 95% credible interval
  */
-function calculateCredibleInterval(alpha, beta, tau) {
+export function calculateCredibleInterval(alpha, beta, tau) {
   try {
     // For Bayesian Poisson-Gamma model, we calculate quantiles 
     // of the posterior predictive distribution
@@ -36,12 +35,12 @@ function calculateCredibleInterval(alpha, beta, tau) {
     const upperQuantile = 0.975;
 
     // Get the quantiles of the gamma distribution (posterior)
-    const lowerLambda = jStat.gamma.inv(lowerQuantile, alpha, 1/beta);
-    const upperLambda = jStat.gamma.inv(upperQuantile, alpha, 1/beta);
+    const lowerLambda = gammaQuantile(lowerQuantile, alpha, beta);
+    const upperLambda = gammaQuantile(upperQuantile, alpha, beta);
     
     // Convert to probabilities
     const lowerRisk = calculateProbability(lowerLambda);
-    const upperRisk = calculateProbability(upperLambda);
+    let upperRisk = calculateProbability(upperLambda);
     
     // Mean of the Gamma posterior is alpha/beta
     const meanLambda = alpha / beta;
@@ -86,33 +85,10 @@ export function calculateEnhancedRisk(data, timeframeDays) {
   state.onChainData = enhancedData;
   state.latestOnChainMetrics = latestMetrics;
   
-  // 2. Group data by halving epoch (keeping original approach as foundation)
-  const epochData = {};
-  data.forEach(d => {
-    if (!epochData[d.halvingEpoch]) {
-      epochData[d.halvingEpoch] = [];
-    }
-    epochData[d.halvingEpoch].push(d);
-  });
-  
-  // 3. Calculate thresholds for each epoch
-  const thresholds = {};
-  Object.keys(epochData).forEach(epoch => {
-    const epochLogReturns = epochData[epoch]
-      .map(d => d.logReturn)
-      .filter(r => !isNaN(r) && isFinite(r));
-    
-    epochLogReturns.sort((a, b) => a - b);
-    const threshold = epochLogReturns[Math.floor(epochLogReturns.length * 0.01)];
-    thresholds[epoch] = threshold;
-    
-    console.log(`Epoch ${epoch} threshold (1st percentile): ${threshold.toFixed(6)}`);
-  });
-  
-  // 4. Mark extreme events using epoch-specific thresholds
-  data.forEach(d => {
-    const threshold = thresholds[d.halvingEpoch];
-    d.extremeEvent = d.logReturn < threshold ? 1 : 0;
+  // 2-4. Mark extreme events with regime-specific thresholds for the active definition (see extreme-events.js)
+  const thresholds = markExtremeEvents(data);
+  Object.keys(thresholds).forEach(regime => {
+    console.log(`Regime ${regime} threshold (log move): ${Number(thresholds[regime]).toFixed(6)}`);
   });
   
   // 5. Calculate overall extreme event frequency
@@ -278,6 +254,11 @@ export function calculateEnhancedRisk(data, timeframeDays) {
     };
   }
   
+  // Prior for the crash rate: fitted to these events by empirical Bayes unless fixed,
+  // with each month's shape scaled by its S_m as in the posterior (see poisson-gamma.js)
+  const { a0, b0, method: priorMethod } = updateRiskConstants(data, seasonalFactors);
+  console.log(`Gamma prior (${priorMethod}): a0=${a0.toFixed(3)}, b0=${b0.toFixed(1)} days`);
+  
   // Initialize or reset the risk components storage
   if (!state.riskComponents) {
     state.riskComponents = {};
@@ -350,11 +331,12 @@ export function calculateEnhancedRisk(data, timeframeDays) {
         }
       
       
-      // Store both the risk point estimate and the interval
+      // Store the risk point estimate, the interval and the full posterior
       riskByMonth[m] = {
         risk: risk,
         lower: interval.lower,
-        upper: interval.upper
+        upper: interval.upper,
+        posterior: summarizePosterior(alpha, beta, timeframeDays)
       };
       
       // Store the component data for this month
@@ -523,11 +505,9 @@ function calculateMonthCycleFactor(month, globalCycleFactor, monthData) {
     monthCycleFactor *= 1.15;
   }
   
-  // Further refine based on this month's position in previous halvings
-  // Bitcoin halving months: May 2020, July 2016, November 2012
-  // For months near halvings, adjust the cycle factor
-  const halvingMonths = [5, 7, 11]; // May, July, November
-  const postHalvingMonths = [6, 8, 12, 1]; // Months after halvings
+  // Further refine based on this month's position in the asset's previous halvings
+  // (see assets.js cycleMonths; assets without halvings get no adjustment)
+  const { halving: halvingMonths = [], postHalving: postHalvingMonths = [] } = getActiveAsset().cycleMonths || {};
   
   if (halvingMonths.includes(month)) {
     // Halving months often have increased interest and volatility
@@ -1136,22 +1116,22 @@ function onChainDataLoadedHandler() {
 // Function to recalculate risk for all months
 function recalculateAllMonthsRisk() {
   try {
-    // Import RiskModel from the correct location
-    import('../core/risk-model.js').then(RiskModel => {
+    // Imported lazily: risk-source.js depends on this module
+    import('../core/risk-source.js').then(async RiskSource => {
       // Recalculate risk for all timeframes and all months
-      RiskModel.calculateRiskForAllTimeframes();
+      await RiskSource.recalculateRisk();
       
       // Update the current month's gauge display
       const currentMonthIndex = new Date().getMonth();
       const currentTimeframe = state.currentTimeframe || 30;
-      const currentMonthRisk = state.riskByMonth[currentTimeframe][currentMonthIndex + 1] || 0;
-      const riskPercentage = (currentMonthRisk * 100).toFixed(1);
+      const currentMonthRisk = RiskSource.getMonthRisk(currentMonthIndex + 1, currentTimeframe) || 0;
+      const riskPercentage = ((typeof currentMonthRisk === 'object' ? currentMonthRisk.risk : currentMonthRisk) * 100).toFixed(1);
       updateGauge(riskPercentage);
       
       // Re-render the calendar with the new risk values
       import('../components/calendar.js').then(Calendar => {
         if (Calendar.renderCalendar) {
-          Calendar.renderCalendar(state.riskByMonth[state.currentTimeframe], state.historicalCrashes);
+          Calendar.renderCalendar(RiskSource.getRiskByMonth(), state.historicalCrashes);
         } else {
           console.warn('Calendar.renderCalendar not found');
         }
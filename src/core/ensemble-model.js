@@ -0,0 +1,430 @@
+/**
+ * Ensemble Crash Predictor
+ * Blends the calendar (Poisson-Gamma), Markov and, where TensorFlow is
+ * available, LSTM crash probabilities into one forecast.
+ *
+ * The weights are fitted on the models' walk-forward forecasts of the last few
+ * years (see backtest.js runWalkForward), so they reflect how each model has
+ * actually done on the active event definition and horizon:
+ *   stacking - linear pool weights that maximise the likelihood of the outcomes (EM)
+ *   bma      - Bayesian model averaging: posterior model probabilities from a
+ *              uniform prior and each model's likelihood of the outcomes
+ * BMA tends to put nearly all weight on the single best model once there are a
+ * few dozen outcomes; stacking keeps a blend when the models complement each other.
+ *
+ * Implements the CrashDetector interface (crash-detector.js); registered as
+ * the ensemble-stacking and ensemble-bma models in src/models/ensemble-detector.js.
+ */
+
+import { state } from './state.js';
+import { CrashDetector } from './crash-detector.js';
+import { calculateEnhancedRisk } from './enhanced-risk-model.js';
+import { runWalkForward, scoreForecasts, poissonGammaForecaster } from './backtest.js';
+import { markovForecaster, markovMonthlyProbabilities } from './model-comparison.js';
+import { regularizedGammaP } from '../utils/statistics.js';
+
+const ENSEMBLE_METHODS = ['stacking', 'bma'];
+
+const DEFAULT_ENSEMBLE_OPTIONS = {
+  method: 'stacking',
+  timeframe: 30,        // Forecast horizon in days
+  fitYears: 3,          // Years of walk-forward forecasts the weights are fitted on
+  minHistoryDays: 730,  // Records required before the first fitted forecast
+  lstm: null,           // LSTM forecaster from createLstmForecaster (Node only; see models/ensemble-detector.js)
+  onProgress: null      // Called as (done, total) while fitting
+};
+
+// Short names of the blended models for summaries
+const COMPONENT_LABELS = {
+  poissonGamma: 'Poisson-Gamma',
+  markov: 'Markov',
+  lstm: 'LSTM'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Forecasts are clipped away from 0 and 1 before taking likelihoods
+const PROBABILITY_EPSILON = 1e-6;
+
+// Records needed before the first out-of-sample ensemble forecast
+const MIN_FIT_RECORDS = 12;
+
+/**
+ * Likelihood of each outcome under each model's forecasts
+ * @param {Array<Array<number>>} columns - Forecasts per model
+ * @param {Array<number>} outcomes - Outcomes (1/0)
+ * @returns {Array<Array<number>>} Likelihoods per model
+ */
+function outcomeLikelihoods(columns, outcomes) {
+  return columns.map(forecasts => forecasts.map((p, t) => {
+    const clipped = Math.min(1 - PROBABILITY_EPSILON, Math.max(PROBABILITY_EPSILON, p));
+    return outcomes[t] ? clipped : 1 - clipped;
+  }));
+}
+
+/**
+ * Stacking weights: the linear pool with the highest likelihood of the outcomes
+ * Fitted by EM, treating the pool as a mixture of the models' Bernoulli
+ * forecasts; the weights stay on the simplex and the likelihood never decreases.
+ * @param {Array<Array<number>>} columns - Forecasts per model
+ * @param {Array<number>} outcomes - Outcomes (1/0)
+ * @param {number} maxIterations - EM iteration limit
+ * @returns {Array<number>} Weights, summing to 1
+ */
+function fitStackingWeights(columns, outcomes, maxIterations = 1000) {
+  const likelihoods = outcomeLikelihoods(columns, outcomes);
+  let weights = columns.map(() => 1 / columns.length);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const totals = new Array(columns.length).fill(0);
+    outcomes.forEach((_, t) => {
+      const pooled = weights.reduce((sum, w, k) => sum + w * likelihoods[k][t], 0);
+      weights.forEach((w, k) => { totals[k] += w * likelihoods[k][t] / pooled; });
+    });
+
+    const next = totals.map(total => total / outcomes.length);
+    const change = Math.max(...next.map((w, k) => Math.abs(w - weights[k])));
+    weights = next;
+    if (change < 1e-9) break;
+  }
+
+  return weights;
+}
+
+/**
+ * Bayesian model averaging weights: posterior model probabilities under a uniform prior
+ * @param {Array<Array<number>>} columns - Forecasts per model
+ * @param {Array<number>} outcomes - Outcomes (1/0)
+ * @returns {Array<number>} Weights, summing to 1
+ */
+function fitBmaWeights(columns, outcomes) {
+  const logLikelihoods = outcomeLikelihoods(columns, outcomes)
+    .map(values => values.reduce((sum, value) => sum + Math.log(value), 0));
+  const best = Math.max(...logLikelihoods);
+  const unnormalized = logLikelihoods.map(value => Math.exp(value - best));
+  const total = unnormalized.reduce((sum, value) => sum + value, 0);
+  return unnormalized.map(value => value / total);
+}
+
+/**
+ * Fit ensemble weights with a method
+ * @param {string} method - One of ENSEMBLE_METHODS
+ * @param {Array<Array<number>>} columns - Forecasts per model
+ * @param {Array<number>} outcomes - Outcomes (1/0)
+ * @returns {Array<number>} Weights, summing to 1
+ */
+function fitEnsembleWeights(method, columns, outcomes) {
+  return method === 'bma' ? fitBmaWeights(columns, outcomes) : fitStackingWeights(columns, outcomes);
+}
+
+/**
+ * Blend model probabilities, renormalizing the weights over the models that have one
+ * @param {Object} probabilities - Probability by model id (NaN when unavailable)
+ * @param {Object} weights - Weight by model id
+ * @returns {{probability: number, weights: Object}} Blend and the weights actually used
+ */
+function blendProbabilities(probabilities, weights) {
+  const available = Object.keys(weights).filter(id => isFinite(probabilities[id]));
+  const total = available.reduce((sum, id) => sum + weights[id], 0);
+  if (available.length === 0 || !(total > 0)) {
+    return { probability: NaN, weights: {} };
+  }
+
+  const used = {};
+  available.forEach(id => { used[id] = weights[id] / total; });
+  return {
+    probability: available.reduce((sum, id) => sum + used[id] * probabilities[id], 0),
+    weights: used
+  };
+}
+
+/**
+ * Credible interval of the model-averaged crash probability
+ * The Poisson-Gamma model contributes its posterior (risk = 1 - exp(-λτ) with
+ * λ ~ Gamma(alpha, beta)); the other models contribute point forecasts.
+ * @param {Object} probabilities - Probability by model id
+ * @param {Object} weights - Weights used in the blend
+ * @param {Object|null} posterior - Poisson-Gamma posterior (poisson-gamma.js summarizePosterior)
+ * @param {number} level - Interval probability
+ * @returns {{lower: number, upper: number}} Equal-tailed interval
+ */
+function mixtureInterval(probabilities, weights, posterior, level = 0.95) {
+  const cdf = x => Object.keys(weights).reduce((sum, id) => {
+    if (id === 'poissonGamma' && posterior && posterior.alpha > 0) {
+      const rateBound = -Math.log(1 - Math.min(x, 1 - PROBABILITY_EPSILON)) / posterior.tau;
+      return sum + weights[id] * regularizedGammaP(posterior.alpha, posterior.beta * rateBound);
+    }
+    return sum + (x >= probabilities[id] ? weights[id] : 0);
+  }, 0);
+
+  const quantile = p => {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 50; i++) {
+      const mid = (low + high) / 2;
+      if (cdf(mid) < p) low = mid; else high = mid;
+    }
+    return high;
+  };
+
+  return { lower: quantile((1 - level) / 2), upper: quantile((1 + level) / 2) };
+}
+
+/**
+ * Crash predictor that blends the other models with fitted weights
+ */
+class EnsembleCrashPredictor extends CrashDetector {
+  /**
+   * @param {Object} options - See DEFAULT_ENSEMBLE_OPTIONS
+   */
+  constructor(options = {}) {
+    super(options);
+    this.options = { ...DEFAULT_ENSEMBLE_OPTIONS, ...options };
+    if (!ENSEMBLE_METHODS.includes(this.options.method)) {
+      throw new Error(`Unknown ensemble method "${this.options.method}". Use one of: ${ENSEMBLE_METHODS.join(', ')}`);
+    }
+
+    this.forecasters = [poissonGammaForecaster, markovForecaster, ...(this.options.lstm ? [this.options.lstm] : [])];
+    this.weights = null;
+    this.fit = null;
+    this.riskByMonth = null;
+    this.asOf = null;
+  }
+
+  /**
+   * Fit the weights on the walk-forward forecasts, then forecast each month
+   * Unlike the LSTM, the ensemble takes daily records: its models re-aggregate them as needed.
+   * @param {Array} data - Processed daily records (see data-service.js processRecords), chronologically sorted
+   */
+  async update(data) {
+    const { method, timeframe, fitYears, minHistoryDays, onProgress } = this.options;
+
+    const lastDate = data[data.length - 1].date;
+    const start = new Date(lastDate);
+    start.setFullYear(start.getFullYear() - fitYears);
+
+    const result = await runWalkForward(data, this.forecasters, { timeframe, minHistoryDays, start, onProgress });
+    const ids = this.forecasters.map(f => f.id);
+    const scored = result.records.filter(record => ids.every(id => !isNaN(record.forecasts[id])));
+    if (scored.length === 0) {
+      throw new Error('No walk-forward forecasts to fit the ensemble weights on');
+    }
+
+    const outcomes = scored.map(record => record.outcome);
+    const fitted = fitEnsembleWeights(method, ids.map(id => scored.map(record => record.forecasts[id])), outcomes);
+    this.weights = {};
+    ids.forEach((id, k) => { this.weights[id] = fitted[k]; });
+
+    this.fit = {
+      method,
+      timeframe,
+      definition: result.definition,
+      count: scored.length,
+      eventCount: outcomes.reduce((sum, outcome) => sum + outcome, 0),
+      from: scored[0].date,
+      to: scored[scored.length - 1].date,
+      outOfSample: this.scoreOutOfSample(scored, ids)
+    };
+
+    this.riskByMonth = this.forecastMonths(data);
+    this.asOf = lastDate;
+    this.trained = true;
+  }
+
+  /**
+   * Re-blend the models' current forecasts with the fitted weights
+   * @param {Array} data - Processed daily records
+   */
+  refreshForecasts(data) {
+    if (!this.trained) return;
+    this.riskByMonth = this.forecastMonths(data);
+    this.asOf = data[data.length - 1].date;
+  }
+
+  /**
+   * CrashDetector hook: re-blend without refitting the weights
+   * @param {Array} data - Processed daily records
+   */
+  refresh(data) {
+    this.refreshForecasts(data);
+  }
+
+  /**
+   * Score the ensemble with weights refitted on the outcomes known at each forecast date
+   * (the in-sample blend would flatter it)
+   * @param {Array} records - Walk-forward records with every model's forecast
+   * @param {Array<string>} ids - Model ids
+   * @returns {Object|null} {count, scores: {ensemble, ...models}} on the same dates, null when too short
+   */
+  scoreOutOfSample(records, ids) {
+    const horizonMs = this.options.timeframe * DAY_MS;
+    const blended = [];
+
+    records.forEach(record => {
+      const known = records.filter(r => r.date.getTime() + horizonMs <= record.date.getTime());
+      if (known.length < MIN_FIT_RECORDS) return;
+
+      const fitted = fitEnsembleWeights(this.options.method,
+        ids.map(id => known.map(r => r.forecasts[id])), known.map(r => r.outcome));
+      const weights = {};
+      ids.forEach((id, k) => { weights[id] = fitted[k]; });
+      blended.push({ record, probability: blendProbabilities(record.forecasts, weights).probability });
+    });
+
+    if (blended.length === 0) return null;
+
+    const outcomes = blended.map(({ record }) => record.outcome);
+    const scores = { ensemble: scoreForecasts(blended.map(b => b.probability), outcomes) };
+    ids.forEach(id => {
+      scores[id] = scoreForecasts(blended.map(({ record }) => record.forecasts[id]), outcomes);
+    });
+    return { count: blended.length, scores };
+  }
+
+  /**
+   * Blend the models' current forecasts for each calendar month
+   * The calendar model's values are the ones on screen (state.riskByMonth) when
+   * available; the LSTM only forecasts the current month.
+   * @param {Array} data - Processed daily records
+   * @returns {Object} Risk by month (1-12), in the calendar's {risk, lower, upper, ...} format plus `ensemble`
+   */
+  forecastMonths(data) {
+    const { timeframe, method } = this.options;
+    const lastIndex = data.length - 1;
+    const date = data[lastIndex].date;
+    const currentMonth = date.getMonth() + 1;
+
+    const calendarRisk = (state.riskByMonth && state.riskByMonth[timeframe]) || calculateEnhancedRisk(data, timeframe);
+
+    // The Markov model reads state.bitcoinData and marks events on its records
+    const history = data.map(r => ({ ...r }));
+    const savedData = state.bitcoinData;
+    let markov;
+    try {
+      state.bitcoinData = history;
+      markov = markovMonthlyProbabilities(history, { date, timeframe, definition: this.fit.definition });
+    } finally {
+      state.bitcoinData = savedData;
+    }
+
+    let lstm = NaN;
+    if (this.options.lstm) {
+      let firstIndex = lastIndex;
+      while (firstIndex > 0 && data[firstIndex - 1].date.getMonth() === date.getMonth()) firstIndex--;
+      lstm = this.options.lstm.forecast(data, { index: firstIndex });
+    }
+
+    const riskByMonth = {};
+    for (let month = 1; month <= 12; month++) {
+      const entry = typeof calendarRisk[month] === 'object' && calendarRisk[month] !== null ?
+        calendarRisk[month] : { risk: calendarRisk[month] || 0 };
+
+      const components = {
+        poissonGamma: entry.risk,
+        markov: markov[month],
+        lstm: month === currentMonth ? lstm : NaN
+      };
+      const { probability, weights } = blendProbabilities(components, this.weights);
+      const interval = mixtureInterval(components, weights, entry.posterior || null);
+
+      riskByMonth[month] = {
+        ...entry,
+        risk: probability,
+        lower: Math.min(interval.lower, probability),
+        upper: Math.max(interval.upper, probability),
+        ensemble: { method, weights, components }
+      };
+    }
+    return riskByMonth;
+  }
+
+  /**
+   * Gets crash probability for a calendar month
+   * @param {Number} month - Month index (0-11, January = 0)
+   * @return {Number} Probability of a crash within the horizon, NaN before update()
+   */
+  getProbability(month) {
+    return this.riskByMonth ? this.riskByMonth[month + 1].risk : NaN;
+  }
+
+  /**
+   * Risk by month in the format the calendar renders
+   * @return {Object|null} Risk by month (1-12), null before update()
+   */
+  getRiskByMonth() {
+    return this.riskByMonth;
+  }
+
+  /**
+   * Generates crash calendar for next 12 months
+   * @return {Promise<Array>} Calendar of crash probabilities
+   */
+  async generateCalendar() {
+    const currentDate = new Date();
+    const calendar = [];
+
+    for (let i = 0; i < 12; i++) {
+      const futureDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + i, 1);
+      const entry = this.riskByMonth ? this.riskByMonth[futureDate.getMonth() + 1] : null;
+
+      calendar.push({
+        month: `${futureDate.getFullYear()}-${String(futureDate.getMonth() + 1).padStart(2, '0')}`,
+        monthName: new Intl.DateTimeFormat('en-US', { month: 'long' }).format(futureDate),
+        probability: entry ? entry.risk : NaN,
+        lower: entry ? entry.lower : NaN,
+        upper: entry ? entry.upper : NaN,
+        model: 'Ensemble',
+        components: entry ? entry.ensemble.components : {},
+        weights: entry ? entry.ensemble.weights : {}
+      });
+    }
+
+    return calendar;
+  }
+
+  /**
+   * Fitted weights and how the blend scored out of sample, for the model picker
+   * @return {String}
+   */
+  getSummary() {
+    if (!this.weights) return '';
+    const percent = value => `${(value * 100).toFixed(0)}%`;
+    const label = id => COMPONENT_LABELS[id] || id;
+    const { fit } = this;
+    const oos = fit.outOfSample;
+
+    return `Weights ${Object.entries(this.weights).map(([id, weight]) => `${label(id)} ${percent(weight)}`).join(', ')}, ` +
+      `fitted on ${fit.count} monthly ${fit.timeframe}-day forecasts since ${fit.from.toISOString().slice(0, 7)} ` +
+      `(${fit.eventCount} followed by an event).` +
+      (oos ? ` Out-of-sample Brier score: ensemble ${oos.scores.ensemble.brier.toFixed(3)}, ` +
+        Object.keys(this.weights).map(id => `${label(id)} ${oos.scores[id].brier.toFixed(3)}`).join(', ') +
+        ` (${oos.count} forecasts).` : '');
+  }
+
+  /**
+   * Returns metrics about the model
+   * @return {Object} Model metrics
+   */
+  getMetrics() {
+    return {
+      name: 'Ensemble',
+      method: this.options.method,
+      timeframe: this.options.timeframe,
+      trained: this.trained,
+      models: this.forecasters.map(({ id, label }) => ({ id, label })),
+      weights: this.weights,
+      fit: this.fit,
+      asOf: this.asOf
+    };
+  }
+}
+
+export {
+  ENSEMBLE_METHODS,
+  DEFAULT_ENSEMBLE_OPTIONS,
+  COMPONENT_LABELS,
+  fitStackingWeights,
+  fitBmaWeights,
+  blendProbabilities,
+  EnsembleCrashPredictor
+};
@@ -4,8 +4,16 @@
 
 // Import the getMarketPhase function from data-service.js
 import { getMarketPhase } from './data-service.js';
+import { getArtifactReason } from './data-quality.js';
+import { getRegimeLabel } from './assets.js';
 
-function findHistoricalCrashes(data) {
+/**
+ * Collect extreme events by month with descriptions and context
+ * @param {Array} data - Processed Bitcoin data with extremeEvent flags
+ * @param {Object} qualityReport - Optional validation report used to flag likely data artifacts
+ * @returns {Object} Crash lists keyed by month (1-12)
+ */
+function findHistoricalCrashes(data, qualityReport = null) {
     // Get extreme events
     const extremeEvents = data.filter(d => d.extremeEvent === 1);
     
@@ -15,22 +23,15 @@ function findHistoricalCrashes(data) {
       crashesByMonth[m] = [];
     }
     
-    // For each extreme event, calculate the percentage drop and include epoch info
+    // For each extreme event, calculate the percentage drop and include regime info
     extremeEvents.forEach(event => {
       const month = event.date.getMonth() + 1;
       const dateStr = event.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-      const percentageDrop = (Math.exp(event.logReturn) - 1) * 100;
-      
-      // Add epoch information
-      const epochNames = [
-        "Pre-first halving",
-        "First halving epoch",
-        "Second halving epoch",
-        "Third halving epoch",
-        "Fourth halving epoch"
-      ];
+      // Drawdown events span several days; their magnitude is the full drop
+      const percentageDrop = (Math.exp(event.eventMagnitude !== undefined ? event.eventMagnitude : event.logReturn) - 1) * 100;
       
-      const epochInfo = epochNames[event.halvingEpoch] || `Halving epoch ${event.halvingEpoch}`;
+      // Add regime information (halving epoch for Bitcoin, see assets.js)
+      const epochInfo = getRegimeLabel(event.regime);
       
       // Default values
       let description = '';
@@ -69,7 +70,8 @@ function findHistoricalCrashes(data) {
         description: description,
         context: context,
         links: links,
-        epoch: event.halvingEpoch
+        epoch: event.regime,
+        artifact: getArtifactReason(event, qualityReport)
       });
     });
     
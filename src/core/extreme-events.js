@@ -0,0 +1,297 @@
+/**
+ * Extreme Events
+ * Configurable definition of the "crash" events counted by the risk models.
+ *
+ * Definitions:
+ *   percentile - daily log return below the `level` quantile of its regime (default, 1st percentile)
+ *   absolute   - daily drop of at least `drop` (e.g. -0.10 for -10%)
+ *   drawdown   - close at least `drop` below the highest close of the previous `days` days
+ *   sigma      - daily log return below the regime's mean minus `k` standard deviations
+ *
+ * Thresholds are expressed as log moves and calculated per regime (see assets.js).
+ */
+
+import { state } from './state.js';
+
+const EVENT_TYPES = ['percentile', 'absolute', 'drawdown', 'sigma'];
+
+// Defaults for each definition type
+const EVENT_DEFAULTS = {
+  percentile: { level: 0.01 },
+  absolute: { drop: -0.10 },
+  drawdown: { drop: -0.20, days: 7 },
+  sigma: { k: 3 }
+};
+
+const DEFAULT_EVENT_DEFINITION = { type: 'percentile', level: 0.01 };
+const DEFINITION_STORAGE_KEY = 'rektEventDefinition';
+
+/**
+ * Validate a definition and fill in defaults
+ * @param {Object} definition - {type, level | drop | days | k}
+ * @returns {Object} Complete definition
+ */
+function normalizeEventDefinition(definition = DEFAULT_EVENT_DEFINITION) {
+  const type = definition.type || DEFAULT_EVENT_DEFINITION.type;
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown extreme event type "${type}". Use one of: ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const normalized = { type };
+  Object.keys(EVENT_DEFAULTS[type]).forEach(key => {
+    const value = Number(definition[key]);
+    normalized[key] = definition[key] !== undefined && definition[key] !== '' && isFinite(value) ?
+      value : EVENT_DEFAULTS[type][key];
+  });
+
+  if (type === 'percentile' && !(normalized.level > 0 && normalized.level < 0.5)) {
+    throw new Error('Percentile level must be between 0 and 0.5');
+  }
+  if ((type === 'absolute' || type === 'drawdown') && !(normalized.drop < 0 && normalized.drop > -1)) {
+    throw new Error('Drop must be between -100% and 0%');
+  }
+  if (type === 'drawdown') {
+    normalized.days = Math.round(normalized.days);
+    if (normalized.days < 1) {
+      throw new Error('Drawdown window must be at least 1 day');
+    }
+  }
+  if (type === 'sigma' && !(normalized.k > 0)) {
+    throw new Error('Sigma multiple must be positive');
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse a definition from its compact form, as used in ?event=
+ * Percent values are given in percent: "percentile:1", "absolute:-10",
+ * "drawdown:-20:7", "sigma:3".
+ * @param {string} text - Compact definition
+ * @returns {Object} Complete definition
+ */
+function parseEventDefinition(text) {
+  const [type, first, second] = String(text).split(':');
+
+  switch (type) {
+    case 'percentile':
+      return normalizeEventDefinition({ type, level: first !== undefined ? Number(first) / 100 : undefined });
+    case 'absolute':
+      return normalizeEventDefinition({ type, drop: first !== undefined ? Number(first) / 100 : undefined });
+    case 'drawdown':
+      return normalizeEventDefinition({ type, drop: first !== undefined ? Number(first) / 100 : undefined, days: second });
+    default:
+      return normalizeEventDefinition({ type, k: first });
+  }
+}
+
+/**
+ * Format a definition in its compact form (inverse of parseEventDefinition)
+ * @param {Object} definition - Event definition
+ * @returns {string} Compact definition
+ */
+function formatEventDefinition(definition) {
+  const d = normalizeEventDefinition(definition);
+  switch (d.type) {
+    case 'percentile': return `percentile:${+(d.level * 100).toFixed(4)}`;
+    case 'absolute': return `absolute:${+(d.drop * 100).toFixed(4)}`;
+    case 'drawdown': return `drawdown:${+(d.drop * 100).toFixed(4)}:${d.days}`;
+    default: return `sigma:${d.k}`;
+  }
+}
+
+/**
+ * Describe a definition for display
+ * @param {Object} definition - Event definition
+ * @returns {string} Human readable description
+ */
+function describeEventDefinition(definition) {
+  const d = normalizeEventDefinition(definition);
+  switch (d.type) {
+    case 'percentile': return `daily returns in the worst ${+(d.level * 100).toFixed(2)}% of their regime`;
+    case 'absolute': return `daily drops of ${+(-d.drop * 100).toFixed(1)}% or more`;
+    case 'drawdown': return `drops of ${+(-d.drop * 100).toFixed(1)}% or more within ${d.days} day${d.days === 1 ? '' : 's'}`;
+    default: return `daily returns more than ${d.k}σ below their regime's mean`;
+  }
+}
+
+/**
+ * Resolve the configured definition (?event= overrides the stored choice)
+ * @returns {Object} Event definition
+ */
+function resolveEventDefinition() {
+  let text = null;
+
+  if (typeof window !== 'undefined' && window.location) {
+    text = new URLSearchParams(window.location.search).get('event');
+  }
+  if (!text && typeof localStorage !== 'undefined') {
+    try {
+      text = localStorage.getItem(DEFINITION_STORAGE_KEY);
+    } catch (e) {
+      // Storage may be blocked (e.g. privacy mode)
+    }
+  }
+
+  if (!text) return { ...DEFAULT_EVENT_DEFINITION };
+
+  try {
+    return parseEventDefinition(text);
+  } catch (error) {
+    console.warn(`Invalid extreme event definition "${text}", using the default:`, error.message);
+    return { ...DEFAULT_EVENT_DEFINITION };
+  }
+}
+
+/**
+ * Get the definition the models should use
+ * @returns {Object} Event definition
+ */
+function getEventDefinition() {
+  if (!state.eventDefinition) {
+    state.eventDefinition = resolveEventDefinition();
+  }
+  return state.eventDefinition;
+}
+
+/**
+ * Make a definition the active one and remember it for future visits
+ * Callers recalculate the risk models afterwards.
+ * @param {Object} definition - Event definition
+ * @returns {Object} Complete definition
+ */
+function setEventDefinition(definition) {
+  const normalized = normalizeEventDefinition(definition);
+  state.eventDefinition = normalized;
+
+  try {
+    localStorage.setItem(DEFINITION_STORAGE_KEY, formatEventDefinition(normalized));
+  } catch (e) {
+    console.warn('Could not store extreme event definition:', e);
+  }
+
+  return normalized;
+}
+
+/**
+ * Calculate the event threshold (as a log move) from a regime's values
+ * @param {Array<number>} values - Finite measures for the regime
+ * @param {Object} definition - Complete event definition
+ * @returns {number|undefined} Threshold
+ */
+function regimeThreshold(values, definition) {
+  switch (definition.type) {
+    case 'percentile': {
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.floor(sorted.length * definition.level)];
+    }
+    case 'sigma': {
+      if (values.length < 2) return undefined;
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+      return mean - definition.k * Math.sqrt(variance);
+    }
+    default:
+      return Math.log(1 + definition.drop);
+  }
+}
+
+/**
+ * Calculate the measure each definition compares with its threshold
+ * Daily definitions use the log return; drawdown uses the log distance below
+ * the highest close of the previous `days` records.
+ * @param {Array} data - Chronologically sorted records with price, logReturn and regime
+ * @param {Object} definition - Complete event definition
+ * @returns {Array<number>} Measure per record (NaN where undefined)
+ */
+function eventMeasures(data, definition) {
+  if (definition.type !== 'drawdown') {
+    return data.map(d => d.logReturn);
+  }
+
+  return data.map((d, i) => {
+    if (i === 0) return NaN;
+    let peak = 0;
+    for (let j = Math.max(0, i - definition.days); j < i; j++) {
+      peak = Math.max(peak, data[j].price);
+    }
+    return peak > 0 ? Math.log(d.price / peak) : NaN;
+  });
+}
+
+/**
+ * Detect extreme events without modifying the records
+ * Drawdown events are declustered: a new event needs `days` days since the last one.
+ * @param {Array} data - Chronologically sorted records with price, logReturn and regime
+ * @param {Object} definition - Event definition (defaults to the active one)
+ * @returns {{flags: Array<number>, measures: Array<number>, thresholds: Object}} 1/0 flag and measure per record, threshold by regime
+ */
+function detectExtremeEvents(data, definition = getEventDefinition()) {
+  const d = normalizeEventDefinition(definition);
+  const measures = eventMeasures(data, d);
+
+  // Group measures by regime
+  const regimeValues = {};
+  data.forEach((record, i) => {
+    if (!regimeValues[record.regime]) {
+      regimeValues[record.regime] = [];
+    }
+    if (!isNaN(measures[i]) && isFinite(measures[i])) {
+      regimeValues[record.regime].push(measures[i]);
+    }
+  });
+
+  const thresholds = {};
+  Object.keys(regimeValues).forEach(regime => {
+    thresholds[regime] = regimeThreshold(regimeValues[regime], d);
+  });
+
+  let lastEvent = -Infinity;
+  const flags = data.map((record, i) => {
+    const isEvent = measures[i] < thresholds[record.regime] &&
+      (d.type !== 'drawdown' || i - lastEvent >= d.days);
+    if (isEvent) lastEvent = i;
+    return isEvent ? 1 : 0;
+  });
+
+  return { flags, measures, thresholds };
+}
+
+/**
+ * Mark extreme events on the records
+ * Sets `extremeEvent` (1 or 0) on every record and `eventMagnitude` (the log
+ * move that triggered it) on events.
+ * @param {Array} data - Processed price data
+ * @param {Object} definition - Event definition (defaults to the active one)
+ * @returns {Object} Threshold by regime
+ */
+function markExtremeEvents(data, definition = getEventDefinition()) {
+  const { flags, measures, thresholds } = detectExtremeEvents(data, definition);
+
+  data.forEach((record, i) => {
+    record.extremeEvent = flags[i];
+    if (flags[i]) {
+      record.eventMagnitude = measures[i];
+    } else {
+      delete record.eventMagnitude;
+    }
+  });
+
+  return thresholds;
+}
+
+export {
+  EVENT_TYPES,
+  EVENT_DEFAULTS,
+  DEFAULT_EVENT_DEFINITION,
+  normalizeEventDefinition,
+  parseEventDefinition,
+  formatEventDefinition,
+  describeEventDefinition,
+  resolveEventDefinition,
+  getEventDefinition,
+  setEventDefinition,
+  regimeThreshold,
+  detectExtremeEvents,
+  markExtremeEvents
+};
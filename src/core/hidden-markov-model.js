@@ -0,0 +1,549 @@
+/**
+ * Hidden Markov Model
+ * A regime-switching variant of the forecaster. UnifiedBayesianMarkovModel
+ * labels each day's state from its return, so the state sequence is observed;
+ * here three latent regimes (stressed, calm, euphoric) each emit daily log
+ * returns from their own normal distribution, and the regime is only inferred.
+ *
+ * - Baum-Welch (EM with scaled forward-backward passes) fits the transition
+ *   matrix and the regimes' return means and volatilities.
+ * - Viterbi decodes the most likely regime of each day (categorizeDataIntoStates),
+ *   which the monthly statistics use.
+ * - Forward filtering gives the regime probabilities of the last day, which
+ *   replace the one-hot current state.
+ *
+ * The Dirichlet posterior is the context-adjusted prior plus the expected
+ * transition counts, and generateForecast() keeps the parent's output. Crash
+ * and pump probabilities are of at least one day beyond the 1st (99th)
+ * percentile daily return within the horizon, as a regime is not an event;
+ * with the normal return generator they are exact, with the others simulated.
+ *
+ * `?forecaster=hmm` (or `markov`) overrides the stored forecaster model.
+ */
+
+import { state } from './state.js';
+import { readSetting } from './data-sources.js';
+import {
+  UnifiedBayesianMarkovModel,
+  DEFAULT_STATE_COUNT,
+  calculateModelForecast
+} from './markov-model.js';
+import { fitReturnGenerators } from './return-generators.js';
+import { calculateMean, calculateStandardDeviation, normalPdf, normalCdf } from '../utils/statistics.js';
+
+// Regimes, lowest mean return first (fitted regimes are sorted the same way)
+const REGIME_NAMES = ['stressed', 'calm', 'euphoric'];
+
+const DEFAULT_HMM_OPTIONS = {
+  maxIterations: 200,
+  tolerance: 1e-8,      // Stop when the log-likelihood improves by less than this share
+  minVolatility: 1e-4   // Floor on a regime's daily return volatility
+};
+
+const MIN_DENSITY = 1e-300;
+
+/**
+ * Hidden Markov regime model for Bitcoin price forecasting
+ * Drop-in replacement for UnifiedBayesianMarkovModel in calculateModelForecast.
+ */
+class HiddenMarkovRegimeModel extends UnifiedBayesianMarkovModel {
+  /**
+   * @param {Object} options - See DEFAULT_HMM_OPTIONS
+   */
+  constructor(options = {}) {
+    // The quantiles only mark the regimes' roles in adjustPrior: the stressed
+    // regime takes the crash modifier and the euphoric one the pump modifier
+    super(REGIME_NAMES.length, { names: REGIME_NAMES, quantiles: [0.01, 0.99] });
+
+    this.options = { ...DEFAULT_HMM_OPTIONS, ...options };
+    this.modelType = 'HiddenMarkovRegime';
+
+    // Baum-Welch estimates
+    this.initialProbs = Array(this.stateCount).fill(1 / this.stateCount);
+    this.regimeTransitions = this.getTransitionMatrix();
+    this.logLikelihood = -Infinity;
+    this.iterations = 0;
+  }
+
+  /**
+   * Log returns of the records, NaN where a record has none
+   * @param {Array} data - Time series data with logReturn
+   * @returns {Array<number>} Returns
+   */
+  extractReturns(data) {
+    return data.map(d => (typeof d.logReturn === 'number' && isFinite(d.logReturn) ? d.logReturn : NaN));
+  }
+
+  /**
+   * Likelihood of a return under each regime
+   * A missing return is equally likely under all of them.
+   * @param {number} r - Log return (or NaN)
+   * @returns {Array<number>} Density by regime
+   */
+  emissionLikelihoods(r) {
+    return this.stateNames.map(name => (isNaN(r) ? 1 :
+      Math.max(MIN_DENSITY, normalPdf(r, this.stateReturns[name], this.stateVolatility[name]))));
+  }
+
+  /**
+   * Scaled forward pass
+   * @param {Array<number>} returns - Log returns
+   * @param {Array<Array<number>>} emissions - emissionLikelihoods of each return
+   * @returns {{filtered: Array<Array<number>>, scales: Array<number>}} Filtered
+   *   regime probabilities P(regime_t | r_1..r_t) and the scale of each step
+   */
+  forwardPass(returns, emissions) {
+    const K = this.stateCount;
+    const A = this.regimeTransitions;
+    const filtered = [];
+    const scales = [];
+
+    for (let t = 0; t < returns.length; t++) {
+      const alpha = Array(K).fill(0);
+      for (let j = 0; j < K; j++) {
+        let prior = 0;
+        if (t === 0) {
+          prior = this.initialProbs[j];
+        } else {
+          for (let i = 0; i < K; i++) prior += filtered[t - 1][i] * A[i][j];
+        }
+        alpha[j] = prior * emissions[t][j];
+      }
+
+      const scale = alpha.reduce((sum, a) => sum + a, 0) || MIN_DENSITY;
+      filtered.push(alpha.map(a => a / scale));
+      scales.push(scale);
+    }
+
+    return { filtered, scales };
+  }
+
+  /**
+   * Scaled backward pass (the counterpart of forwardPass)
+   * @param {Array<Array<number>>} emissions - emissionLikelihoods of each return
+   * @param {Array<number>} scales - Scales from forwardPass
+   * @returns {Array<Array<number>>} Scaled backward variables
+   */
+  backwardPass(emissions, scales) {
+    const K = this.stateCount;
+    const A = this.regimeTransitions;
+    const T = emissions.length;
+    const beta = Array(T);
+    beta[T - 1] = Array(K).fill(1);
+
+    for (let t = T - 2; t >= 0; t--) {
+      beta[t] = Array(K).fill(0);
+      for (let i = 0; i < K; i++) {
+        for (let j = 0; j < K; j++) {
+          beta[t][i] += A[i][j] * emissions[t + 1][j] * beta[t + 1][j];
+        }
+        beta[t][i] /= scales[t + 1];
+      }
+    }
+
+    return beta;
+  }
+
+  /**
+   * Fit the regimes to returns with Baum-Welch
+   * Starts from a calm regime at half the overall volatility between two
+   * regimes at one and a half times it, half a standard deviation below and above
+   * the mean, then sorts the fitted regimes by mean return.
+   * @param {Array<number>} returns - Log returns (NaN where missing)
+   * @returns {Object} {occupancy, transitionCounts} - Expected days in each regime
+   *   and expected transitions between them
+   */
+  fitRegimes(returns) {
+    const K = this.stateCount;
+    const T = returns.length;
+    const { maxIterations, tolerance, minVolatility } = this.options;
+
+    const observed = returns.filter(r => !isNaN(r));
+    if (observed.length < 2) {
+      throw new Error('Not enough returns to fit the regimes');
+    }
+    const mean = calculateMean(observed);
+    const sd = Math.max(minVolatility, calculateStandardDeviation(observed));
+    [[mean - 0.5 * sd, 1.5 * sd], [mean, 0.5 * sd], [mean + 0.5 * sd, 1.5 * sd]].forEach(([mu, sigma], k) => {
+      this.stateReturns[this.stateNames[k]] = mu;
+      this.stateVolatility[this.stateNames[k]] = sigma;
+    });
+    this.initialProbs = Array(K).fill(1 / K);
+    this.regimeTransitions = Array(K).fill().map((_, i) =>
+      Array(K).fill().map((_, j) => (i === j ? 0.9 : 0.1 / (K - 1))));
+
+    let occupancy = Array(K).fill(0);
+    let transitionCounts = Array(K).fill().map(() => Array(K).fill(0));
+    let previousLogLikelihood = -Infinity;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      // E-step
+      const emissions = returns.map(r => this.emissionLikelihoods(r));
+      const { filtered, scales } = this.forwardPass(returns, emissions);
+      const beta = this.backwardPass(emissions, scales);
+      this.logLikelihood = scales.reduce((sum, c) => sum + Math.log(c), 0);
+      this.iterations = iteration;
+
+      const gamma = filtered.map((alpha, t) => alpha.map((a, k) => a * beta[t][k]));
+      occupancy = Array(K).fill(0);
+      transitionCounts = Array(K).fill().map(() => Array(K).fill(0));
+      for (let t = 0; t < T; t++) {
+        for (let k = 0; k < K; k++) occupancy[k] += gamma[t][k];
+        if (t === T - 1) continue;
+        for (let i = 0; i < K; i++) {
+          for (let j = 0; j < K; j++) {
+            transitionCounts[i][j] += filtered[t][i] * this.regimeTransitions[i][j] *
+              emissions[t + 1][j] * beta[t + 1][j] / scales[t + 1];
+          }
+        }
+      }
+
+      // M-step
+      this.initialProbs = [...gamma[0]];
+      this.regimeTransitions = transitionCounts.map(row => {
+        const total = row.reduce((sum, n) => sum + n, 0);
+        return total > 0 ? row.map(n => n / total) : Array(K).fill(1 / K);
+      });
+      this.stateNames.forEach((name, k) => {
+        let weight = 0;
+        let sum = 0;
+        let sumSquares = 0;
+        returns.forEach((r, t) => {
+          if (isNaN(r)) return;
+          weight += gamma[t][k];
+          sum += gamma[t][k] * r;
+          sumSquares += gamma[t][k] * r * r;
+        });
+        if (weight > 0) {
+          const mu = sum / weight;
+          this.stateReturns[name] = mu;
+          this.stateVolatility[name] = Math.max(minVolatility, Math.sqrt(Math.max(0, sumSquares / weight - mu * mu)));
+        }
+      });
+
+      if (Math.abs(this.logLikelihood - previousLogLikelihood) < tolerance * Math.abs(this.logLikelihood)) break;
+      previousLogLikelihood = this.logLikelihood;
+    }
+
+    // Sort the regimes by mean return, so the names fit
+    const order = this.stateNames.map((_, k) => k)
+      .sort((a, b) => this.stateReturns[this.stateNames[a]] - this.stateReturns[this.stateNames[b]]);
+    const means = order.map(k => this.stateReturns[this.stateNames[k]]);
+    const volatilities = order.map(k => this.stateVolatility[this.stateNames[k]]);
+    this.stateNames.forEach((name, k) => {
+      this.stateReturns[name] = means[k];
+      this.stateVolatility[name] = volatilities[k];
+    });
+    this.initialProbs = order.map(k => this.initialProbs[k]);
+    this.regimeTransitions = order.map(i => order.map(j => this.regimeTransitions[i][j]));
+
+    return {
+      occupancy: order.map(k => occupancy[k]),
+      transitionCounts: order.map(i => order.map(j => transitionCounts[i][j]))
+    };
+  }
+
+  /**
+   * Most likely regime sequence (Viterbi)
+   * @param {Array<number>} returns - Log returns (NaN where missing)
+   * @returns {Array<number>} Regime index of each day
+   */
+  decodeRegimes(returns) {
+    const K = this.stateCount;
+    const T = returns.length;
+    if (T === 0) return [];
+
+    const logA = this.regimeTransitions.map(row => row.map(p => Math.log(Math.max(p, MIN_DENSITY))));
+    const backPointers = new Int8Array(T * K);
+    let logDelta = this.emissionLikelihoods(returns[0])
+      .map((b, k) => Math.log(Math.max(this.initialProbs[k], MIN_DENSITY)) + Math.log(b));
+
+    for (let t = 1; t < T; t++) {
+      const logB = this.emissionLikelihoods(returns[t]).map(b => Math.log(b));
+      logDelta = logB.map((lb, j) => {
+        let best = 0;
+        for (let i = 1; i < K; i++) {
+          if (logDelta[i] + logA[i][j] > logDelta[best] + logA[best][j]) best = i;
+        }
+        backPointers[t * K + j] = best;
+        return logDelta[best] + logA[best][j] + lb;
+      });
+    }
+
+    const path = Array(T);
+    path[T - 1] = logDelta.indexOf(Math.max(...logDelta));
+    for (let t = T - 1; t > 0; t--) {
+      path[t - 1] = backPointers[t * K + path[t]];
+    }
+    return path;
+  }
+
+  /**
+   * Filtered regime probabilities of each day (forward filtering)
+   * @param {Array<number>} returns - Log returns (NaN where missing)
+   * @returns {Array<Array<number>>} P(regime_t | returns up to t) for each day
+   */
+  filterRegimes(returns) {
+    const emissions = returns.map(r => this.emissionLikelihoods(r));
+    return this.forwardPass(returns, emissions).filtered;
+  }
+
+  /**
+   * Label each day with its Viterbi regime
+   * @param {Array} data - Time series data with logReturn
+   * @returns {Array} - Same data with returnState (1-indexed regime) added
+   */
+  categorizeDataIntoStates(data) {
+    if (!data || data.length === 0) {
+      console.error('No data provided for state categorization');
+      return [];
+    }
+
+    const path = this.decodeRegimes(this.extractReturns(data));
+    return data.map((d, t) => ({ ...d, returnState: path[t] + 1 }));
+  }
+
+  /**
+   * Filtered regime probabilities at the end of a history
+   * @param {Array} data - Time series data, chronologically sorted
+   * @returns {Array} - P(regime | returns up to the last day)
+   */
+  latestStateDistribution(data) {
+    const filtered = this.filterRegimes(this.extractReturns(data));
+    return filtered[filtered.length - 1];
+  }
+
+  /**
+   * Train the model with data
+   * @param {Array} data - Time series price data
+   * @returns {HiddenMarkovRegimeModel} - This instance for chaining
+   */
+  train(data) {
+    const returns = this.extractReturns(data);
+    const { occupancy, transitionCounts } = this.fitRegimes(returns);
+    console.log(`Hidden Markov regimes fitted in ${this.iterations} iterations (log-likelihood ${this.logLikelihood.toFixed(1)})`);
+
+    // Monthly statistics from the decoded regimes
+    const stateData = this.categorizeDataIntoStates(data);
+    this.monthlyStats = this.calculateMonthlyFactors(stateData).monthlyStats;
+
+    const totalDays = occupancy.reduce((sum, n) => sum + n, 0);
+    this.steadyStateProbs = occupancy.map(n => n / totalDays);
+    this.transitionCounts = transitionCounts;
+
+    // Return generators from the decoded regimes, and the crash / pump thresholds
+    this.returnFit = fitReturnGenerators(stateData, this.stateNames, this.stateReturns, this.stateVolatility);
+    this.tailThresholds = this.calculateTailThresholds(data);
+
+    // Current regime probabilities from forward filtering
+    this.setCurrentStateDist(this.latestStateDistribution(data));
+
+    // Update posterior with base prior + expected counts
+    this.updatePosterior();
+
+    return this;
+  }
+
+  /**
+   * Probability of a day beyond a tail threshold in each regime
+   * @param {string} tail - 'crash' or 'pump'
+   * @returns {Array<number>} Probability by regime
+   */
+  tailDayProbabilities(tail) {
+    return this.stateNames.map(name => {
+      const below = normalCdf(this.tailThresholds[tail], this.stateReturns[name], this.stateVolatility[name]);
+      return tail === 'crash' ? below : 1 - below;
+    });
+  }
+
+  /**
+   * Expected log return of a day beyond a tail threshold, over the regimes'
+   * steady-state mix (mean of the truncated normals)
+   * @param {string} tail - 'crash' or 'pump'
+   * @returns {number} Expected log return on such a day
+   */
+  expectedTailReturn(tail) {
+    const threshold = this.tailThresholds[tail];
+    const dayProbs = this.tailDayProbabilities(tail);
+    let weight = 0;
+    let total = 0;
+
+    this.stateNames.forEach((name, k) => {
+      const mu = this.stateReturns[name];
+      const sigma = this.stateVolatility[name];
+      const p = dayProbs[k];
+      if (p <= 0) return;
+
+      const shift = sigma * sigma * normalPdf(threshold, mu, sigma) / p;
+      const w = this.steadyStateProbs[k] * p;
+      weight += w;
+      total += w * (tail === 'crash' ? mu - shift : mu + shift);
+    });
+
+    return weight > 0 ? total / weight : threshold;
+  }
+
+  /**
+   * Probability of at least one crash (pump) day within the horizon
+   * Runs the chain from the current regime probabilities, keeping only the
+   * probability mass that has not yet had such a day.
+   * @param {number} steps - Number of days
+   * @param {string} tail - 'crash' or 'pump'
+   * @param {Array} transitionMatrix - Optional specific transition matrix
+   * @returns {number} Probability
+   */
+  calculateTailProbability(steps, tail, transitionMatrix = null) {
+    const tMatrix = transitionMatrix || this.getTransitionMatrix();
+    const dayProbs = this.tailDayProbabilities(tail);
+    let survival = [...this.currentStateDist];
+
+    for (let t = 0; t < steps; t++) {
+      survival = survival.map((_, j) =>
+        survival.reduce((sum, p, i) => sum + p * tMatrix[i][j], 0) * (1 - dayProbs[j]));
+    }
+
+    return 1 - survival.reduce((sum, p) => sum + p, 0);
+  }
+
+  /**
+   * Generate a comprehensive forecast for a given timeframe
+   * Same output as UnifiedBayesianMarkovModel, with `tailEvents` describing
+   * crash and pump days. With normal returns their probabilities are worked
+   * out from the regimes' distributions rather than simulated.
+   * @param {number} timeframeDays - Number of days to forecast
+   * @param {number} currentPrice - Current price to start from
+   * @param {Object} context - Context factors for adjustment
+   * @returns {Object} - Complete forecast with all metrics
+   */
+  generateForecast(timeframeDays, currentPrice, context = {}) {
+    const forecast = super.generateForecast(timeframeDays, currentPrice, context);
+    const normalReturns = forecast.returnGenerator === 'normal';
+
+    return {
+      ...forecast,
+      crashProbability: normalReturns ?
+        this.calculateTailProbability(timeframeDays, 'crash', forecast.transitionMatrix) : forecast.simulatedCrashProbability,
+      pumpProbability: normalReturns ?
+        this.calculateTailProbability(timeframeDays, 'pump', forecast.transitionMatrix) : forecast.simulatedPumpProbability,
+      tailEvents: {
+        crashThreshold: this.tailThresholds.crash,
+        pumpThreshold: this.tailThresholds.pump,
+        crash: this.tailDayProbabilities('crash'),
+        pump: this.tailDayProbabilities('pump'),
+        crashReturn: this.expectedTailReturn('crash'),
+        pumpReturn: this.expectedTailReturn('pump')
+      },
+      logLikelihood: this.logLikelihood
+    };
+  }
+}
+
+// Models the forecaster page can use
+const FORECASTER_MODELS = {
+  markov: {
+    label: 'Observed states',
+    usesStateCount: true,
+    create: context => new UnifiedBayesianMarkovModel(context.stateCount || DEFAULT_STATE_COUNT)
+  },
+  hmm: {
+    label: 'Hidden regimes',
+    usesStateCount: false,
+    create: () => new HiddenMarkovRegimeModel()
+  }
+};
+const DEFAULT_FORECASTER_MODEL = 'markov';
+const FORECASTER_MODEL_STORAGE_KEY = 'rektForecasterModel';
+
+/**
+ * Resolve the forecaster model (?forecaster= overrides the stored choice)
+ * @returns {string} A key of FORECASTER_MODELS
+ */
+function resolveForecasterModel() {
+  const id = readSetting('forecaster', FORECASTER_MODEL_STORAGE_KEY);
+  if (id && FORECASTER_MODELS[id]) return id;
+
+  if (id) {
+    console.warn(`Unknown forecaster model "${id}", using ${DEFAULT_FORECASTER_MODEL}`);
+  }
+  return DEFAULT_FORECASTER_MODEL;
+}
+
+/**
+ * Get the model the forecaster page uses
+ * @returns {string} A key of FORECASTER_MODELS
+ */
+function getForecasterModel() {
+  if (!state.forecasterModel) {
+    state.forecasterModel = resolveForecasterModel();
+  }
+  return state.forecasterModel;
+}
+
+/**
+ * Make a model the forecaster's and remember it for future visits
+ * Callers recalculate the forecast afterwards.
+ * @param {string} id - A key of FORECASTER_MODELS
+ */
+function setForecasterModel(id) {
+  if (!FORECASTER_MODELS[id]) {
+    throw new Error(`Unknown forecaster model "${id}". Use one of: ${Object.keys(FORECASTER_MODELS).join(', ')}`);
+  }
+
+  state.forecasterModel = id;
+
+  try {
+    localStorage.setItem(FORECASTER_MODEL_STORAGE_KEY, id);
+  } catch (e) {
+    console.warn('Could not store forecaster model:', e);
+  }
+}
+
+/**
+ * Create an untrained forecaster model
+ * @param {Object} context - {forecaster (key of FORECASTER_MODELS), stateCount}
+ * @returns {UnifiedBayesianMarkovModel} The model
+ */
+function createForecasterModel(context = {}) {
+  const entry = FORECASTER_MODELS[context.forecaster || DEFAULT_FORECASTER_MODEL];
+  if (!entry) {
+    throw new Error(`Unknown forecaster model "${context.forecaster}"`);
+  }
+  return entry.create(context);
+}
+
+/**
+ * Forecast with the model named in the context
+ * @param {Array} data - Bitcoin price data
+ * @param {number} timeframeDays - Forecast horizon in days
+ * @param {Object} context - Context factors for generateForecast, plus
+ *   `forecaster` (default DEFAULT_FORECASTER_MODEL) and `stateCount`
+ * @returns {Object} - Complete forecast with `forecaster`, or null on an error
+ */
+function calculateForecasterForecast(data, timeframeDays, context = {}) {
+  const forecaster = context.forecaster || DEFAULT_FORECASTER_MODEL;
+  console.log(`Calculating ${forecaster} forecast for ${timeframeDays}-day timeframe`);
+
+  let model;
+  try {
+    model = createForecasterModel(context);
+  } catch (error) {
+    console.error('Error calculating forecast:', error);
+    return null;
+  }
+
+  const forecast = calculateModelForecast(model, data, timeframeDays, context);
+  return forecast && { ...forecast, forecaster };
+}
+
+export {
+  REGIME_NAMES,
+  DEFAULT_HMM_OPTIONS,
+  HiddenMarkovRegimeModel,
+  FORECASTER_MODELS,
+  DEFAULT_FORECASTER_MODEL,
+  resolveForecasterModel,
+  getForecasterModel,
+  setForecasterModel,
+  createForecasterModel,
+  calculateForecasterForecast
+};
@@ -3,9 +3,10 @@
  * Connects the new on-chain metrics with the existing Calendar of Rekt application
  */
 
-import { state } from '../app.js';
+import { state } from './state.js';
 import { calculateEnhancedRisk, createOnChainDashboard, ensureOnChainDataInitialized } from './enhanced-risk-model.js';
 import { initializeOnChainVisualizations, updateOnChainDashboard, dispatchOnChainDataLoaded, renderOnChainCharts } from './onchain-visualizations.js';
+import { formatRiskConstants } from './poisson-gamma.js';
 
 /**
  * Initialize the enhanced risk model
@@ -206,7 +207,7 @@ function updateDataInfoText() {
   const dataInfoText = document.querySelector('#data-info .data-info-content p:last-of-type');
   
   if (dataInfoText) {
-    dataInfoText.innerHTML = 'Risk calculation uses an enhanced Bayesian model with <strong>on-chain metrics integration</strong>, volatility weighting and sentiment analysis (a₀=1.0, b₀=1.0, τ=<span id="tauValue">30</span>) to predict extreme market events.';
+    dataInfoText.innerHTML = `Risk calculation uses an enhanced Bayesian model with <strong>on-chain metrics integration</strong>, volatility weighting and sentiment analysis (<span id="priorValues">${formatRiskConstants()}</span>, τ=<span id="tauValue">30</span>) to predict extreme market events.`;
   }
 }
 
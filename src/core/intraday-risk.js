@@ -0,0 +1,264 @@
+/**
+ * Intraday Risk Model
+ * Hour-resolution Poisson-Gamma model for the short (1- and 7-day) horizons.
+ *
+ * Extreme events follow the active definition (extreme-events.js) but are
+ * measured on rolling windows over hourly candles instead of daily closes, so
+ * crashes that straddle midnight UTC and intraday wicks are counted:
+ *   percentile - deepest low within 24h, below the regime's percentile
+ *   absolute   - 24h close-to-close drop of at least `drop`
+ *   drawdown   - deepest low within `days`*24h at least `drop` below the window's opening close
+ *   sigma      - 24h close-to-close return k standard deviations below the regime's mean
+ * Exposure is measured in hours:
+ *   alpha = a0*S_m + N_m,  beta = b0*24 + T_m (hours),  tau = timeframe*24
+ */
+
+import { state } from './state.js';
+import { getRegime } from './assets.js';
+import { calculateCredibleInterval } from './enhanced-risk-model.js';
+import { summarizePosterior } from './poisson-gamma.js';
+import { getEventDefinition, normalizeEventDefinition, regimeThreshold } from './extreme-events.js';
+
+// Horizons (days) that use the hourly model when hourly data is loaded
+const INTRADAY_TIMEFRAMES = [1, 7];
+
+// Rolling window used for the single-day definitions
+const DEFAULT_WINDOW_HOURS = 24;
+
+// Below this much hourly history the daily model is kept for all horizons
+const MIN_INTRADAY_HOURS = 90 * 24;
+
+// A window whose base candle is further than this from its start is skipped
+const BASE_TOLERANCE_HOURS = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Normalize hourly source records
+ * Rows are sorted, de-duplicated per hour (last row wins) and rows without a
+ * positive close are dropped. Missing hours are left as gaps and flagged on
+ * the following candle with `spansGap` (hours covered by its return).
+ * @param {Array} records - Records from an hourly source ({date, price, open, high, low, volume})
+ * @returns {Array} Hourly candles with regime and logReturn
+ */
+function processHourlyRecords(records) {
+  const byHour = new Map();
+  [...records]
+    .sort((a, b) => a.date - b.date)
+    .forEach(record => {
+      if (record.price > 0) {
+        byHour.set(Math.floor(record.date.getTime() / HOUR_MS), { ...record });
+      }
+    });
+
+  const hourly = [...byHour.entries()].map(([hour, record]) => ({
+    ...record,
+    date: new Date(hour * HOUR_MS),
+    regime: getRegime(record.date)
+  }));
+
+  for (let i = 1; i < hourly.length; i++) {
+    const span = Math.round((hourly[i].date - hourly[i - 1].date) / HOUR_MS);
+    hourly[i].logReturn = Math.log(hourly[i].price / hourly[i - 1].price);
+    if (span > 1) {
+      hourly[i].spansGap = span;
+    }
+  }
+
+  return hourly;
+}
+
+/**
+ * Compute rolling window measures ending at each candle
+ *   windowReturn   - log(close / close at window start)
+ *   windowDrawdown - log(lowest low inside the window / close at window start)
+ * Windows whose start falls in a data gap are left undefined.
+ * @param {Array} hourly - Candles from processHourlyRecords
+ * @param {number} windowHours - Window length in hours
+ */
+function computeRollingWindows(hourly, windowHours = DEFAULT_WINDOW_HOURS) {
+  const windowMs = windowHours * HOUR_MS;
+  const toleranceMs = BASE_TOLERANCE_HOURS * HOUR_MS;
+  const lows = []; // indexes with increasing lows (monotonic deque)
+  let base = 0;
+
+  hourly.forEach((candle, i) => {
+    const start = candle.date.getTime() - windowMs;
+
+    // Latest candle at or before the window start
+    while (base + 1 < i && hourly[base + 1].date.getTime() <= start) {
+      base++;
+    }
+
+    const low = lowOf(candle);
+    while (lows.length > 0 && lowOf(hourly[lows[lows.length - 1]]) >= low) {
+      lows.pop();
+    }
+    lows.push(i);
+    while (hourly[lows[0]].date.getTime() <= start) {
+      lows.shift();
+    }
+
+    const baseTime = hourly[base].date.getTime();
+    if (base === i || baseTime > start || start - baseTime > toleranceMs) {
+      candle.windowReturn = undefined;
+      candle.windowDrawdown = undefined;
+      return;
+    }
+
+    const baseClose = hourly[base].price;
+    candle.windowReturn = Math.log(candle.price / baseClose);
+    candle.windowDrawdown = Math.min(0, Math.log(lowOf(hourly[lows[0]]) / baseClose));
+  });
+}
+
+/**
+ * Lowest traded price of a candle (close when no low is provided)
+ * @param {Object} candle - Hourly candle
+ * @returns {number} Low price
+ */
+function lowOf(candle) {
+  return typeof candle.low === 'number' && candle.low > 0 ? candle.low : candle.price;
+}
+
+/**
+ * Mark intraday extreme events on rolling windows
+ * A window is extreme when its measure falls below the threshold of its
+ * regime. Overlapping windows are declustered: after an event, no new event
+ * is counted until a full window has passed.
+ * Sets `extremeEvent` (1 or 0) and `exposed` (window measurable) on every candle.
+ * @param {Array} hourly - Candles from processHourlyRecords
+ * @param {Object} definition - Event definition (defaults to the active one)
+ * @returns {Object} Threshold by regime
+ */
+function markIntradayExtremeEvents(hourly, definition = getEventDefinition()) {
+  const d = normalizeEventDefinition(definition);
+  const windowHours = d.type === 'drawdown' ? d.days * 24 : DEFAULT_WINDOW_HOURS;
+  const field = d.type === 'percentile' || d.type === 'drawdown' ? 'windowDrawdown' : 'windowReturn';
+
+  computeRollingWindows(hourly, windowHours);
+
+  // Thresholds per regime
+  const regimeValues = {};
+  hourly.forEach(candle => {
+    const value = candle[field];
+    if (typeof value !== 'number' || !isFinite(value)) return;
+    (regimeValues[candle.regime] = regimeValues[candle.regime] || []).push(value);
+  });
+
+  const thresholds = {};
+  Object.keys(regimeValues).forEach(regime => {
+    thresholds[regime] = regimeThreshold(regimeValues[regime], d);
+  });
+
+  // Mark events, one per window
+  const windowMs = windowHours * HOUR_MS;
+  let lastEventTime = -Infinity;
+  hourly.forEach(candle => {
+    const value = candle[field];
+    candle.exposed = typeof value === 'number' && isFinite(value);
+    candle.extremeEvent = 0;
+
+    if (candle.exposed && value < thresholds[candle.regime] &&
+        candle.date.getTime() - lastEventTime >= windowMs) {
+      candle.extremeEvent = 1;
+      lastEventTime = candle.date.getTime();
+    }
+  });
+
+  return thresholds;
+}
+
+/**
+ * Calculate crash risk by month from hourly data
+ * Seasonality comes from hourly event rates; the volatility, on-chain,
+ * sentiment and cycle adjustments are taken from the daily model's latest
+ * run (state.monthlyRiskStats), so calculateEnhancedRisk must run first.
+ * @param {Array} hourly - Candles from processHourlyRecords
+ * @param {number} timeframeDays - Prediction timeframe in days
+ * @param {Object} definition - Event definition (defaults to the active one)
+ * @returns {Object|null} Risk by covered month ({risk, lower, upper}), or null with too little history
+ */
+function calculateIntradayRisk(hourly, timeframeDays, definition = getEventDefinition()) {
+  if (!hourly || hourly.length < MIN_INTRADAY_HOURS) {
+    console.log(`Not enough hourly data for the intraday model (${hourly ? hourly.length : 0} candles), keeping the daily model`);
+    return null;
+  }
+
+  const thresholds = markIntradayExtremeEvents(hourly, definition);
+  Object.keys(thresholds).forEach(regime => {
+    console.log(`Regime ${regime} intraday threshold: ${Number(thresholds[regime]).toFixed(6)}`);
+  });
+
+  const exposed = hourly.filter(candle => candle.exposed);
+  const totalEvents = exposed.reduce((sum, candle) => sum + candle.extremeEvent, 0);
+  const overallRate = exposed.length > 0 ? totalEvents / exposed.length : 0;
+  const tau = timeframeDays * 24;
+
+  // Prior from the daily model's latest run, with b0 converted from days to hours
+  const { a0, b0 } = state.riskConstants;
+  const b0Hours = b0 * 24;
+
+  console.log(`Intraday events: ${totalEvents} in ${exposed.length} exposed hours`);
+
+  if (!state.riskComponents) {
+    state.riskComponents = {};
+  }
+  state.riskComponents[timeframeDays] = state.riskComponents[timeframeDays] || {};
+
+  const riskByMonth = {};
+  for (let m = 1; m <= 12; m++) {
+    // Local months, as in the daily model (calculateEnhancedRisk, buildCells), so each
+    // month's hours get that month's adjustments
+    const monthHours = exposed.filter(candle => candle.date.getMonth() + 1 === m);
+    const daily = state.monthlyRiskStats ? state.monthlyRiskStats[m] : null;
+
+    // Months without hourly coverage are left to the daily model
+    if (monthHours.length === 0) continue;
+
+    const T = monthHours.length;
+    const N = monthHours.reduce((sum, candle) => sum + candle.extremeEvent, 0);
+    const baseSeasonalFactor = overallRate > 0 ? (N / T) / overallRate : 1.0;
+
+    // Non-seasonal adjustments from the daily model
+    const adjustment = daily ?
+      daily.volatilityAdjustment * daily.onChainFactor * daily.sentimentFactor * daily.cycleFactor :
+      1.0;
+    const S_m = baseSeasonalFactor * adjustment;
+
+    const alpha = a0 * S_m + N;
+    const beta = b0Hours + T;
+    const risk = 1 - Math.exp(-(alpha / beta) * tau);
+    const interval = calculateCredibleInterval(alpha, beta, tau);
+
+    riskByMonth[m] = {
+      risk,
+      lower: interval.lower,
+      upper: interval.upper,
+      posterior: summarizePosterior(alpha, beta, tau)
+    };
+
+    state.riskComponents[timeframeDays][m] = {
+      ...(state.riskComponents[timeframeDays][m] || {}),
+      baseSeasonalFactor: baseSeasonalFactor.toFixed(2),
+      enhancedSeasonalFactor: S_m.toFixed(2),
+      extremeEvents: N,
+      totalDays: Math.round(T / 24),
+      exposureHours: T,
+      resolution: 'hourly',
+      credibleInterval: {
+        lower: (interval.lower * 100).toFixed(1) + "%",
+        upper: (interval.upper * 100).toFixed(1) + "%"
+      }
+    };
+  }
+
+  return riskByMonth;
+}
+
+export {
+  INTRADAY_TIMEFRAMES,
+  processHourlyRecords,
+  markIntradayExtremeEvents,
+  calculateIntradayRisk
+};
@@ -1,10 +1,80 @@
 /**
  * LSTM Model for Bitcoin Crash Prediction
  * Uses deep learning to capture complex temporal patterns
+ *
+ * TensorFlow.js is not imported here so the module loads in the browser too:
+ * the page's `tf` global is used when present, otherwise call setTensorFlow()
+ * first (e.g. with @tensorflow/tfjs-node in Node).
  */
-const tf = require('@tensorflow/tfjs-node');
-const CrashDetector = require('./crash-detector');
-const moment = require('moment');
+import { CrashDetector } from './crash-detector.js';
+import { createRandom, shuffle, withRandom } from '../utils/random.js';
+import { rocCurve } from '../utils/metrics.js';
+
+let tf = typeof globalThis !== 'undefined' ? globalThis.tf : undefined;
+
+/**
+ * Set the TensorFlow.js implementation the predictor uses
+ * @param {Object} tensorFlow - e.g. require('@tensorflow/tfjs-node') or the browser's tf global
+ */
+function setTensorFlow(tensorFlow) {
+  tf = tensorFlow;
+}
+
+/**
+ * Calendar month key of a date (local time), e.g. "2024-3" for April 2024
+ * @param {Date} date - Date
+ * @return {String} Month key
+ */
+function monthKey(date) {
+  return `${date.getFullYear()}-${date.getMonth()}`;
+}
+
+/**
+ * Convert processed daily records (data-service.js processRecords) to the
+ * records the daily model is trained on (see lstm_pretraining_script.js)
+ * @param {Array} data - Daily records with date and price, chronologically sorted
+ * @return {Array} {date, startPrice, endPrice, return} per day after the first
+ */
+function toDailyRecords(data) {
+  const records = [];
+  for (let i = 1; i < data.length; i++) {
+    const startPrice = data[i - 1].price;
+    const endPrice = data[i].price;
+    if (!(startPrice > 0) || !(endPrice > 0)) continue;
+    records.push({ date: data[i].date, startPrice, endPrice, return: endPrice / startPrice - 1 });
+  }
+  return records;
+}
+
+// Ways to handle the rare crash class in training
+const IMBALANCE_METHODS = ['none', 'classWeight', 'focal'];
+
+// Regime runs kept for display (see detectMarketRegime)
+const MAX_REGIME_HISTORY = 12;
+
+// Periods whose returns classify a regime (about a month of daily prices)
+const REGIME_WINDOW = 20;
+
+// Sequence encoders and attention layers buildModel can combine
+const ARCHITECTURES = ['lstm', 'gru', 'tcn'];
+const ATTENTION_TYPES = ['none', 'additive', 'dot'];
+
+// Ways to attribute a forecast to its inputs (see explainSequences)
+const ATTRIBUTION_METHODS = ['integratedGradients', 'occlusion'];
+
+// Readable names of the features extractFeatures produces
+const FEATURE_LABELS = {
+  return: 'Daily return',
+  startPrice: 'Opening price',
+  endPrice: 'Closing price',
+  returnCalculated: 'Price change',
+  mvrv: 'MVRV',
+  nvt: 'NVT',
+  velocity: 'Velocity',
+  monthSin: 'Time of year (sin)',
+  monthCos: 'Time of year (cos)',
+  halvingPhase: 'Halving cycle phase'
+};
 
 class LSTMCrashPredictor extends CrashDetector {
   /**
@@ -12,10 +82,22 @@ class LSTMCrashPredictor extends CrashDetector {
    * @param {Number} options.threshold - Price drop that constitutes a crash
    * @param {Number} options.lookbackWindow - Number of time periods to look back
    * @param {Number} options.epochs - Training epochs
-   * @param {Boolean} options.useAttention - Whether to use attention mechanism
+   * @param {String} options.architecture - Sequence encoder: 'lstm', 'gru' or 'tcn'
+   *   (dilated causal convolutions)
+   * @param {String} options.attention - Attention over the encoded periods: 'none',
+   *   'additive' or 'dot' (scaled dot-product); default from useAttention
+   * @param {Boolean} options.useAttention - Whether to use attention mechanism (additive)
+   * @param {Array<Number>} options.horizons - Periods ahead the network has an output for,
+   *   each the chance of a crash within that many periods (default [1])
+   * @param {String} options.imbalance - Handling of the rare crash class: 'none',
+   *   'classWeight' (weights inversely proportional to class frequency) or 'focal' (focal loss)
+   * @param {Number} options.focalGamma - Focal loss focusing parameter
+   * @param {Number} options.focalAlpha - Focal loss weight of the crash class
+   * @param {Number} options.seed - Seed for weight initialisation, shuffling and
+   *   feature importance; training is repeatable when set (default: unseeded)
    */
   constructor(options = {}) {
-    super();
+    super(options);
     
     const {
       threshold = -0.20,
@@ -25,10 +107,30 @@ class LSTMCrashPredictor extends CrashDetector {
       learningRate = 0.001,
       units = 64,
       dropoutRate = 0.2,
+      architecture = 'lstm',
       useAttention = true,
-      featureScaling = true
+      attention = useAttention ? 'additive' : 'none',
+      horizons = [1],
+      featureScaling = true,
+      imbalance = 'none',
+      focalGamma = 2,
+      focalAlpha = 0.25,
+      seed = null
     } = options;
     
+    if (!IMBALANCE_METHODS.includes(imbalance)) {
+      throw new Error(`Unknown imbalance method "${imbalance}". Use one of: ${IMBALANCE_METHODS.join(', ')}`);
+    }
+    if (!ARCHITECTURES.includes(architecture)) {
+      throw new Error(`Unknown architecture "${architecture}". Use one of: ${ARCHITECTURES.join(', ')}`);
+    }
+    if (!ATTENTION_TYPES.includes(attention)) {
+      throw new Error(`Unknown attention "${attention}". Use one of: ${ATTENTION_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(horizons) || horizons.length === 0 || !horizons.every(h => Number.isInteger(h) && h > 0)) {
+      throw new Error(`Horizons must be positive whole numbers of periods, got ${JSON.stringify(horizons)}`);
+    }
+    
     this.threshold = threshold;
     this.lookbackWindow = lookbackWindow;
     this.epochs = epochs;
@@ -36,8 +138,16 @@ class LSTMCrashPredictor extends CrashDetector {
     this.learningRate = learningRate;
     this.units = units;
     this.dropoutRate = dropoutRate;
-    this.useAttention = useAttention;
+    this.architecture = architecture;
+    this.attention = attention;
+    this.useAttention = attention !== 'none';
+    this.horizons = [...new Set(horizons)].sort((a, b) => a - b);
     this.featureScaling = featureScaling;
+    this.imbalance = imbalance;
+    this.focalGamma = focalGamma;
+    this.focalAlpha = focalAlpha;
+    this.seed = seed;
+    this.random = Math.random;
     
     this.model = null;
     this.trained = false;
@@ -45,16 +155,20 @@ class LSTMCrashPredictor extends CrashDetector {
     this.featureStds = null;
     this.featureList = [];
     
+    // Training run details for the manifest
+    this.trainingData = null;
+    this.lastValidationMetrics = null;
+    
     // Market regime detection
     this.regimes = ['bull', 'bear', 'consolidation', 'recovery'];
     this.currentRegime = 'undefined';
+    this.currentRegimeConfidence = 0;
     this.regimeHistory = [];
-    this.regimeThresholds = {
-      bull: { trend: 0.5, volatility: 0.02 },
-      bear: { trend: -0.5, volatility: 0.03 },
-      consolidation: { trend: 0.1, volatility: 0.01 },
-      recovery: { trend: 0.3, volatility: 0.015 }
-    };
+    // Relative to the training returns (see classifyRegime), so they hold for any period length:
+    // trend in standard errors of a window's mean return, volatility as a multiple of the
+    // training standard deviation
+    this.regimeThresholds = { trend: 0.5, volatility: 1 };
+    this.regimeScale = null;
     
     // For regime-specific predictions
     this.regimeModels = {};
@@ -73,96 +187,295 @@ class LSTMCrashPredictor extends CrashDetector {
   }
   
   /**
-   * Build LSTM model with optional attention mechanism
+   * Build the network: a sequence encoder, optional attention, and one sigmoid
+   * output per horizon
    * @param {Number} inputShape - Input feature dimension
-   * @return {tf.Sequential} TensorFlow.js model
+   * @return {tf.LayersModel} TensorFlow.js model
    */
   buildModel(inputShape) {
-    const model = tf.sequential();
+    const input = tf.input({ shape: [this.lookbackWindow, inputShape] });
+    const attend = this.attention !== 'none';
+    
+    // Hidden states for every period when attending, otherwise one summary of the window
+    let encoded = this.architecture === 'tcn' ?
+      this.temporalConvolution(input, attend) :
+      this.recurrentEncoder(input, attend);
+    
+    if (attend) {
+      encoded = this.attention === 'dot' ? this.dotProductAttention(encoded) : this.additiveAttention(encoded);
+    }
+    
+    // Dense layers for prediction
+    let hidden = tf.layers.dense({ units: 32, activation: 'relu' }).apply(encoded);
+    hidden = tf.layers.dropout({ rate: this.dropoutRate }).apply(hidden);
+    
+    // Output layer (sigmoid for probability between 0-1), one unit per horizon
+    const output = tf.layers.dense({ units: this.horizons.length, activation: 'sigmoid' }).apply(hidden);
     
-    // First LSTM layer
-    model.add(tf.layers.lstm({
+    const model = tf.model({ inputs: input, outputs: output });
+    this.compileModel(model);
+    return model;
+  }
+  
+  /**
+   * Two stacked LSTM or GRU layers
+   * @param {tf.SymbolicTensor} input - [lookbackWindow, features]
+   * @param {Boolean} returnSequences - Return every period's state, not just the last
+   * @return {tf.SymbolicTensor} Encoded sequence
+   */
+  recurrentEncoder(input, returnSequences) {
+    const recurrent = this.architecture === 'gru' ? tf.layers.gru : tf.layers.lstm;
+    
+    let x = recurrent({
       units: this.units,
       returnSequences: true,
-      inputShape: [this.lookbackWindow, inputShape],
       recurrentDropout: this.dropoutRate,
       activation: 'tanh'
-    }));
+    }).apply(input);
     
     // Add dropout for regularization
-    model.add(tf.layers.dropout({ rate: this.dropoutRate }));
+    x = tf.layers.dropout({ rate: this.dropoutRate }).apply(x);
     
-    // Second LSTM layer
-    model.add(tf.layers.lstm({
+    return recurrent({
       units: Math.floor(this.units / 2),
-      returnSequences: this.useAttention, // Return sequences only if using attention
+      returnSequences,
       recurrentDropout: this.dropoutRate,
       activation: 'tanh'
-    }));
-    
-    // Add attention mechanism if enabled
-    if (this.useAttention) {
-      // Custom attention layer
-      // Since TF.js doesn't have built-in attention, we implement a simple version
-      
-      // First, we apply a dense layer to get attention scores
-      model.add(tf.layers.timeDistributed({
-        layer: tf.layers.dense({
-          units: 1,
-          activation: 'tanh'
-        })
-      }));
-      
-      // Reshape to get attention weights
-      model.add(tf.layers.flatten());
-      model.add(tf.layers.activation({ activation: 'softmax' }));
-      
-      // Reshape to original dimensions
-      model.add(tf.layers.reshape({ targetShape: [this.lookbackWindow, 1] }));
+    }).apply(x);
+  }
+  
+  /**
+   * Temporal convolutional network: residual blocks of dilated causal convolutions
+   * The dilation doubles per block until the receptive field covers the lookback
+   * window, and causal convolutions keep each period's output from seeing later periods.
+   * @param {tf.SymbolicTensor} input - [lookbackWindow, features]
+   * @param {Boolean} returnSequences - Return every period's output, not just the last
+   * @return {tf.SymbolicTensor} Encoded sequence
+   */
+  temporalConvolution(input, returnSequences) {
+    const kernelSize = 3;
+    let x = input;
+    let receptiveField = 1;
+    
+    for (let dilationRate = 1; receptiveField < this.lookbackWindow; dilationRate *= 2) {
+      const residual = x.shape[2] === this.units ? x :
+        tf.layers.conv1d({ filters: this.units, kernelSize: 1 }).apply(x);
       
-      // Apply attention weights using a lambda layer
-      // This is a simplified version since TF.js has limited custom layer support
-      model.add(tf.layers.dense({
-        units: 32,
-        activation: 'relu'
-      }));
+      let block = x;
+      for (let k = 0; k < 2; k++) {
+        block = this.causalConvolution(block, kernelSize, dilationRate);
+        block = tf.layers.dropout({ rate: this.dropoutRate }).apply(block);
+      }
       
-      // Flatten after attention
-      model.add(tf.layers.flatten());
-    } else {
-      // If not using attention, just flatten the output
-      model.add(tf.layers.flatten());
+      x = tf.layers.activation({ activation: 'relu' }).apply(tf.layers.add().apply([residual, block]));
+      receptiveField += 2 * (kernelSize - 1) * dilationRate;
     }
     
-    // Dense layers for prediction
-    model.add(tf.layers.dense({
-      units: 32,
-      activation: 'relu'
-    }));
+    if (returnSequences) return x;
     
-    model.add(tf.layers.dropout({ rate: this.dropoutRate }));
+    // The last period's output is the one that has seen the whole window
+    const periods = tf.layers.reshape({ targetShape: [this.lookbackWindow, this.units, 1] }).apply(x);
+    const last = tf.layers.cropping2D({ cropping: [[this.lookbackWindow - 1, 0], [0, 0]] }).apply(periods);
+    return tf.layers.flatten().apply(last);
+  }
+  
+  /**
+   * Dilated causal convolution, so period t only sees t and earlier
+   * Built from copies of the sequence shifted by 0, d, 2d, ... periods (zeros
+   * before the window) and a 1x1 convolution over the stacked copies, which is
+   * the same operation; TensorFlow.js has no gradient for dilated convolutions.
+   * @param {tf.SymbolicTensor} x - [lookbackWindow, channels]
+   * @param {Number} kernelSize - Kernel size
+   * @param {Number} dilationRate - Spacing between the kernel's taps
+   * @return {tf.SymbolicTensor} [lookbackWindow, units]
+   */
+  causalConvolution(x, kernelSize, dilationRate) {
+    const periods = this.lookbackWindow;
+    const channels = x.shape[2];
+    const grid = tf.layers.reshape({ targetShape: [periods, channels, 1] }).apply(x);
+    
+    const taps = [];
+    for (let k = 0; k < kernelSize && k * dilationRate < periods; k++) {
+      const shift = k * dilationRate;
+      let tap = grid;
+      if (shift > 0) {
+        tap = tf.layers.zeroPadding2d({ padding: [[shift, 0], [0, 0]] }).apply(tap);
+        tap = tf.layers.cropping2D({ cropping: [[0, shift], [0, 0]] }).apply(tap);
+      }
+      taps.push(tf.layers.reshape({ targetShape: [periods, channels] }).apply(tap));
+    }
     
-    // Output layer (sigmoid for probability between 0-1)
-    model.add(tf.layers.dense({
-      units: 1,
-      activation: 'sigmoid'
-    }));
+    const stacked = taps.length > 1 ? tf.layers.concatenate().apply(taps) : taps[0];
+    return tf.layers.conv1d({ filters: this.units, kernelSize: 1, activation: 'relu' }).apply(stacked);
+  }
+  
+  /**
+   * Additive (Bahdanau) attention pooling: score each period with a small tanh
+   * network, softmax the scores over the periods, and sum the states by weight
+   * @param {tf.SymbolicTensor} states - [lookbackWindow, units]
+   * @return {tf.SymbolicTensor} Context vector [units]
+   */
+  additiveAttention(states) {
+    const units = states.shape[2];
+    const energy = tf.layers.dense({ units, activation: 'tanh' }).apply(states);
+    const scores = tf.layers.flatten().apply(tf.layers.dense({ units: 1, useBias: false }).apply(energy));
+    const weights = tf.layers.softmax({ name: 'attention_weights' }).apply(scores);
+    const context = tf.layers.dot({ axes: [2, 1] }).apply([
+      tf.layers.reshape({ targetShape: [1, this.lookbackWindow] }).apply(weights),
+      states
+    ]);
+    return tf.layers.flatten().apply(context);
+  }
+  
+  /**
+   * Scaled dot-product self-attention: every period attends to every other with
+   * softmax(QK^T / sqrt(d)); the attended states are averaged over the periods
+   * @param {tf.SymbolicTensor} states - [lookbackWindow, units]
+   * @return {tf.SymbolicTensor} Context vector [units]
+   */
+  dotProductAttention(states) {
+    const units = states.shape[2];
+    const query = tf.layers.dense({ units }).apply(states);
+    const key = tf.layers.dense({ units }).apply(states);
+    const scores = tf.layers.dot({ axes: [2, 2] }).apply([query, key]);
+    const scaled = tf.layers.rescaling({ scale: 1 / Math.sqrt(units) }).apply(scores);
+    const weights = tf.layers.softmax({ axis: -1, name: 'attention_weights' }).apply(scaled);
+    const context = tf.layers.dot({ axes: [2, 1] }).apply([weights, states]);
+    return tf.layers.globalAveragePooling1d().apply(context);
+  }
+  
+  /**
+   * Compile a network from buildModel with the configured loss
+   * @param {tf.LayersModel} model - Network
+   * @param {Array<Array<Number>>} targets - Training targets, for class weights across horizons
+   */
+  compileModel(model, targets = null) {
+    let loss = 'binaryCrossentropy';
+    if (this.imbalance === 'focal') {
+      loss = this.focalLoss();
+    } else if (this.imbalance === 'classWeight' && this.horizons.length > 1 && targets) {
+      loss = this.weightedCrossEntropy(targets);
+    }
     
-    // Compile model
     model.compile({
       optimizer: tf.train.adam(this.learningRate),
-      loss: 'binaryCrossentropy',
+      loss,
       metrics: ['accuracy']
     });
+  }
+  
+  /**
+   * Binary focal loss: cross-entropy scaled by (1 - p_t)^gamma, so the many easy
+   * non-crash samples count less than the few crashes
+   * @return {Function} Loss (yTrue, yPred) => scalar tensor
+   */
+  focalLoss() {
+    const gamma = this.focalGamma;
+    const alpha = this.focalAlpha;
+    
+    return (yTrue, yPred) => tf.tidy(() => {
+      const p = yPred.clipByValue(1e-7, 1 - 1e-7);
+      const notTrue = tf.sub(1, yTrue);
+      const pt = yTrue.mul(p).add(notTrue.mul(tf.sub(1, p)));
+      const alphaT = yTrue.mul(alpha).add(notTrue.mul(1 - alpha));
+      return alphaT.mul(tf.sub(1, pt).pow(gamma)).mul(pt.log().neg()).mean();
+    });
+  }
+  
+  /**
+   * Binary cross-entropy with each horizon's classes weighted inversely to their
+   * frequency, for 'classWeight' with several horizons (model.fit's classWeight
+   * reads a multi-unit target as one-hot classes)
+   * @param {Array<Array<Number>>} targets - Training targets, one 0/1 per horizon
+   * @return {Function} Loss (yTrue, yPred) => scalar tensor
+   */
+  weightedCrossEntropy(targets) {
+    const n = targets.length;
+    const positives = this.horizons.map((_, k) => targets.filter(row => row[k] === 1).length);
+    const balanced = positives.map(count => count > 0 && count < n);
+    const positiveWeights = positives.map((count, k) => (balanced[k] ? n / (2 * count) : 1));
+    const negativeWeights = positives.map((count, k) => (balanced[k] ? n / (2 * (n - count)) : 1));
+    
+    return (yTrue, yPred) => tf.tidy(() => {
+      const p = yPred.clipByValue(1e-7, 1 - 1e-7);
+      const positive = yTrue.mul(p.log()).mul(tf.tensor1d(positiveWeights));
+      const negative = tf.sub(1, yTrue).mul(tf.sub(1, p).log()).mul(tf.tensor1d(negativeWeights));
+      return positive.add(negative).neg().mean();
+    });
+  }
+  
+  /**
+   * Class weights for model.fit when imbalance is 'classWeight' and there is one horizon
+   * @param {Array<Number>} labels - Training labels (0/1)
+   * @return {Object|undefined} {0: weight, 1: weight}, undefined otherwise
+   */
+  classWeights(labels) {
+    if (this.imbalance !== 'classWeight' || this.horizons.length > 1) return undefined;
     
-    return model;
+    const positives = labels.filter(label => label === 1).length;
+    const negatives = labels.length - positives;
+    if (positives === 0 || negatives === 0) return undefined;
+    return { 0: labels.length / (2 * negatives), 1: labels.length / (2 * positives) };
+  }
+  
+  /**
+   * Fit a network from buildModel on normalized sequences
+   * @param {tf.LayersModel} model - Network
+   * @param {Array} features - Normalized sequences
+   * @param {Array} targets - One 0/1 per horizon for each sequence (preprocessData);
+   *   a plain 0/1 label per sequence for a single horizon
+   * @param {Object} fitOptions - Extra model.fit options (epochs, callbacks, ...)
+   * @return {Promise<tf.History>} Training history
+   */
+  async fitModel(model, features, targets, fitOptions = {}) {
+    const rows = targets.map(target => (Array.isArray(target) ? target : [target]));
+    if (this.imbalance === 'classWeight' && this.horizons.length > 1) {
+      this.compileModel(model, rows);
+    }
+    
+    const xs = tf.tensor3d(features);
+    const ys = tf.tensor2d(rows);
+    try {
+      return await model.fit(xs, ys, {
+        epochs: this.epochs,
+        batchSize: this.batchSize,
+        verbose: 0,
+        classWeight: this.classWeights(rows.map(row => row[0])),
+        ...fitOptions
+      });
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+  }
+  
+  /**
+   * Crash probabilities of a network for normalized sequences
+   * @param {tf.LayersModel} model - Network
+   * @param {Array} features - Normalized sequences
+   * @return {Array<Number>} Probabilities for the shortest horizon
+   */
+  predictModel(model, features) {
+    return this.predictHorizons(model, features).map(row => row[0]);
+  }
+  
+  /**
+   * Crash probabilities of a network for normalized sequences, for every horizon
+   * @param {tf.LayersModel} model - Network
+   * @param {Array} features - Normalized sequences
+   * @return {Array<Array<Number>>} Probabilities per sequence, in the order of this.horizons
+   */
+  predictHorizons(model, features) {
+    return tf.tidy(() => model.predict(tf.tensor3d(features)).arraySync());
   }
   
   /**
    * Preprocess data for LSTM input
+   * With several horizons, the last periods whose longest horizon runs past the
+   * data have no sequence.
    * @param {Array} data - Monthly return data
    * @param {Array} onChainData - On-chain metrics
-   * @return {Object} Preprocessed data
+   * @return {Object} {features, labels (shortest horizon), targets (one label per horizon)}
    */
   preprocessData(data, onChainData) {
     // Sort data by date
@@ -173,17 +486,14 @@ class LSTMCrashPredictor extends CrashDetector {
     // Extract features and labels
     const features = [];
     const labels = [];
+    const targets = [];
     
     // Extend with on-chain metrics
     const dataWithOnChain = sortedData.map(dataPoint => {
-      const date = new Date(dataPoint.date);
-      const monthStr = moment(date).format('YYYY-MM');
+      const monthStr = monthKey(new Date(dataPoint.date));
       
       // Find matching on-chain data for this month
-      const monthOnChain = onChainData.filter(d => {
-        const onChainDate = new Date(d.time || d.date);
-        return moment(onChainDate).format('YYYY-MM') === monthStr;
-      });
+      const monthOnChain = onChainData.filter(d => monthKey(new Date(d.time || d.date)) === monthStr);
       
       // Calculate average on-chain metrics for the month
       let mvrv = null, nvt = null, velocity = null;
@@ -203,66 +513,63 @@ class LSTMCrashPredictor extends CrashDetector {
     });
     
     // Build sequences with lookback window
-    for (let i = this.lookbackWindow; i < dataWithOnChain.length; i++) {
+    const longestHorizon = this.horizons[this.horizons.length - 1];
+    for (let i = this.lookbackWindow; i + longestHorizon <= dataWithOnChain.length; i++) {
       const sequence = [];
       
       // Get features from lookback window
       for (let j = i - this.lookbackWindow; j < i; j++) {
-        const dataPoint = dataWithOnChain[j];
-        
-        // Extract basic features
-        const featurePoint = [
-          dataPoint.return,                             // Monthly return
-          dataPoint.startPrice,                         // Start price
-          dataPoint.endPrice,                           // End price
-          dataPoint.endPrice / dataPoint.startPrice - 1 // Monthly return (redundant but useful)
-        ];
-        
-        // Add on-chain metrics if available
-        if (dataPoint.mvrv !== null) featurePoint.push(dataPoint.mvrv);
-        if (dataPoint.nvt !== null) featurePoint.push(dataPoint.nvt);
-        if (dataPoint.velocity !== null) featurePoint.push(dataPoint.velocity);
-        
-        // Add month as cyclical feature (sin and cos encoding)
-        const monthNumber = new Date(dataPoint.date).getMonth();
-        const monthSin = Math.sin(2 * Math.PI * monthNumber / 12);
-        const monthCos = Math.cos(2 * Math.PI * monthNumber / 12);
-        featurePoint.push(monthSin, monthCos);
-        
-        // Add halving cycle position if available
-        const halvingPhase = this.getHalvingPhase(new Date(dataPoint.date));
-        if (halvingPhase) {
-          featurePoint.push(halvingPhase.phase / 48); // Normalize to 0-1
-        }
-        
-        sequence.push(featurePoint);
+        sequence.push(Object.values(this.extractFeatures(dataWithOnChain[j])));
       }
       
       // Store sequence and label
       features.push(sequence);
       
-      // Label is 1 if the current month has a crash, 0 otherwise
-      labels.push(dataWithOnChain[i].return <= this.threshold ? 1 : 0);
+      // Label is 1 if a period within the horizon has a crash, 0 otherwise
+      const target = this.horizons.map(horizon =>
+        (dataWithOnChain.slice(i, i + horizon).some(d => d.return <= this.threshold) ? 1 : 0));
+      targets.push(target);
+      labels.push(target[0]);
     }
     
-    // Keep track of feature count
+    // Keep track of feature names, in input order
     if (features.length > 0 && features[0].length > 0) {
-      this.featureList = ['return', 'startPrice', 'endPrice', 'returnCalculated'];
-      
-      if (features[0][0].length > 4) {
-        if (dataWithOnChain[0].mvrv !== null) this.featureList.push('mvrv');
-        if (dataWithOnChain[0].nvt !== null) this.featureList.push('nvt');
-        if (dataWithOnChain[0].velocity !== null) this.featureList.push('velocity');
-        
-        this.featureList.push('monthSin', 'monthCos');
-        
-        if (features[0][0].length > 9) {
-          this.featureList.push('halvingPhase');
-        }
-      }
+      this.featureList = Object.keys(this.extractFeatures(dataWithOnChain[0]));
     }
     
-    return { features, labels };
+    return { features, labels, targets };
+  }
+  
+  /**
+   * Features of one period, in the order the network receives them
+   * Training (preprocessData) and inference (predictSequences) both use this,
+   * so a saved model sees the same inputs in the browser.
+   * @param {Object} dataPoint - {date, return, startPrice, endPrice, mvrv?, nvt?, velocity?}
+   * @return {Object} Feature values by name
+   */
+  extractFeatures(dataPoint) {
+    const date = new Date(dataPoint.date);
+    const features = {
+      return: dataPoint.return,                                      // Period return
+      startPrice: dataPoint.startPrice,                              // Start price
+      endPrice: dataPoint.endPrice,                                  // End price
+      returnCalculated: dataPoint.endPrice / dataPoint.startPrice - 1 // Period return (redundant but useful)
+    };
+    
+    // Add on-chain metrics if available
+    if (dataPoint.mvrv != null) features.mvrv = dataPoint.mvrv;
+    if (dataPoint.nvt != null) features.nvt = dataPoint.nvt;
+    if (dataPoint.velocity != null) features.velocity = dataPoint.velocity;
+    
+    // Add month as cyclical feature (sin and cos encoding)
+    const monthNumber = date.getMonth();
+    features.monthSin = Math.sin(2 * Math.PI * monthNumber / 12);
+    features.monthCos = Math.cos(2 * Math.PI * monthNumber / 12);
+    
+    // Add halving cycle position
+    features.halvingPhase = this.getHalvingPhase(date).phase / 48; // Normalize to 0-1
+    
+    return features;
   }
   
   /**
@@ -331,17 +638,35 @@ class LSTMCrashPredictor extends CrashDetector {
   }
   
   /**
-   * Detect current market regime
+   * Mean and standard deviation of the returns the regimes are scaled to
    * @param {Array} data - Historical price data
-   * @return {String} Current regime
+   * @return {Object} {mean, std}
    */
-  detectMarketRegime(data) {
-    if (!data || data.length < 3) return 'undefined';
+  calculateRegimeScale(data) {
+    const returns = data.map(d => d.return).filter(Number.isFinite);
+    const mean = returns.reduce((sum, r) => sum + r, 0) / Math.max(1, returns.length);
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / Math.max(1, returns.length);
+    return { mean, std: Math.sqrt(variance) };
+  }
+  
+  /**
+   * Classify the market regime from the latest periods
+   * The latest REGIME_WINDOW returns are compared with the training returns
+   * (regimeScale by default). A window whose mean is more than
+   * regimeThresholds.trend standard errors above the training mean is bull, or
+   * recovery when its volatility is below regimeThresholds.volatility times the
+   * training one; as far below it is bear; in between it is consolidation.
+   * @param {Array} data - Historical price data
+   * @param {Object} scale - {mean, std} of the returns to compare with
+   * @return {Object} {regime, metrics: {avgReturn, volatility, trendScore, volatilityRatio}}
+   */
+  classifyRegime(data, scale = this.regimeScale) {
+    if (!data || data.length < 3) return { regime: 'undefined', metrics: null };
     
-    // Get recent data (last 3 months)
+    // Get recent data (last REGIME_WINDOW periods)
     const recentData = [...data].sort((a, b) => 
       new Date(b.date) - new Date(a.date)
-    ).slice(0, 3);
+    ).slice(0, REGIME_WINDOW);
     
     // Calculate trend (average return)
     const avgReturn = recentData.reduce((sum, d) => sum + d.return, 0) / recentData.length;
@@ -351,30 +676,62 @@ class LSTMCrashPredictor extends CrashDetector {
       recentData.reduce((sum, d) => sum + Math.pow(d.return - avgReturn, 2), 0) / recentData.length
     );
     
-    // Determine regime based on trend and volatility
-    let regime = 'undefined';
-    if (avgReturn > this.regimeThresholds.bull.trend && volatility > this.regimeThresholds.bull.volatility) {
-      regime = 'bull';
-    } else if (avgReturn < this.regimeThresholds.bear.trend && volatility > this.regimeThresholds.bear.volatility) {
+    // Scale trend and volatility to the training returns
+    if (!scale || !(scale.std > 0)) return { regime: 'undefined', metrics: null };
+    const trendScore = (avgReturn - scale.mean) / (scale.std / Math.sqrt(recentData.length));
+    const volatilityRatio = volatility / scale.std;
+    
+    // Determine regime based on trend and volatility; the bands leave no gaps
+    let regime;
+    if (trendScore >= this.regimeThresholds.trend) {
+      regime = volatilityRatio >= this.regimeThresholds.volatility ? 'bull' : 'recovery';
+    } else if (trendScore <= -this.regimeThresholds.trend) {
       regime = 'bear';
-    } else if (Math.abs(avgReturn) < this.regimeThresholds.consolidation.trend && 
-               volatility < this.regimeThresholds.consolidation.volatility) {
+    } else {
       regime = 'consolidation';
-    } else if (avgReturn > this.regimeThresholds.recovery.trend && 
-               volatility < this.regimeThresholds.recovery.volatility) {
-      regime = 'recovery';
     }
     
-    // Store current regime
+    return { regime, metrics: { avgReturn, volatility, trendScore, volatilityRatio } };
+  }
+  
+  /**
+   * Detect current market regime
+   * Also sets how settled it is (currentRegimeConfidence: the share of the last
+   * lookbackWindow periods classified the same way) and the regime history.
+   * @param {Array} data - Historical price data
+   * @return {String} Current regime
+   */
+  detectMarketRegime(data) {
+    if (!data || data.length < 3) return 'undefined';
+    
+    // Classify every period from its own latest REGIME_WINDOW, oldest first; a loaded
+    // network saved without its training returns is compared with these periods instead
+    const sortedData = [...data].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const scale = this.regimeScale || this.calculateRegimeScale(sortedData);
+    const rolling = [];
+    for (let i = 2; i < sortedData.length; i++) {
+      const window = sortedData.slice(Math.max(0, i - REGIME_WINDOW + 1), i + 1);
+      rolling.push({ date: new Date(sortedData[i].date), ...this.classifyRegime(window, scale) });
+    }
+    
+    const { regime } = rolling[rolling.length - 1];
+    const recent = rolling.slice(-this.lookbackWindow);
     this.currentRegime = regime;
-    this.regimeHistory.push({
-      regime,
-      date: new Date(),
-      metrics: {
-        avgReturn,
-        volatility
+    this.currentRegimeConfidence = recent.filter(r => r.regime === regime).length / recent.length;
+    
+    // Runs of the same regime, most recent last
+    const transitions = [];
+    rolling.forEach(({ date, regime: periodRegime, metrics }) => {
+      const last = transitions[transitions.length - 1];
+      if (last && last.regime === periodRegime) {
+        last.to = date;
+        last.periods++;
+        last.metrics = metrics;
+      } else {
+        transitions.push({ regime: periodRegime, from: date, to: date, periods: 1, metrics });
       }
     });
+    this.regimeHistory = transitions.slice(-MAX_REGIME_HISTORY);
     
     return regime;
   }
@@ -489,11 +846,8 @@ class LSTMCrashPredictor extends CrashDetector {
       }
     }
     
-    // Fisher-Yates shuffle
-    for (let i = allValues.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allValues[i], allValues[j]] = [allValues[j], allValues[i]];
-    }
+    // Fisher-Yates shuffle (seeded when the predictor has a seed)
+    shuffle(allValues, this.random);
     
     // Replace values with shuffled ones
     let valueIndex = 0;
@@ -528,10 +882,11 @@ class LSTMCrashPredictor extends CrashDetector {
   /**
    * Train regime-specific models
    * @param {Array} features - Feature sequences
-   * @param {Array} labels - Labels
+   * @param {Array} targets - One label per horizon for each sequence
    * @param {Array} data - Original data (for regime detection)
+   * @return {Promise<void>}
    */
-  trainRegimeModels(features, labels, data) {
+  async trainRegimeModels(features, targets, data) {
     // Group data by regime
     const regimeData = {};
     const allRegimes = ['bull', 'bear', 'consolidation', 'recovery'];
@@ -540,74 +895,81 @@ class LSTMCrashPredictor extends CrashDetector {
     allRegimes.forEach(regime => {
       regimeData[regime] = {
         features: [],
-        labels: []
+        targets: []
       };
     });
     
     // Assign each data point to a regime
     for (let i = this.lookbackWindow; i < data.length; i++) {
       // Determine regime for this data point
-      const lookbackData = data.slice(i - this.lookbackWindow, i);
-      const regime = this.detectMarketRegime(lookbackData);
+      const recentData = data.slice(Math.max(0, i - REGIME_WINDOW), i);
+      const { regime } = this.classifyRegime(recentData);
       
       // If valid regime and within features array bounds
       const featureIndex = i - this.lookbackWindow;
       if (allRegimes.includes(regime) && featureIndex < features.length) {
         regimeData[regime].features.push(features[featureIndex]);
-        regimeData[regime].labels.push(labels[featureIndex]);
+        regimeData[regime].targets.push(targets[featureIndex]);
       }
     }
     
-    // Train a model for each regime with sufficient data
+    // Train a model for each regime with sufficient data, one at a time so a seeded run repeats
     const sufficientDataThreshold = 10;
     
-    allRegimes.forEach(regime => {
+    for (const regime of allRegimes) {
       const regimeFeatures = regimeData[regime].features;
-      const regimeLabels = regimeData[regime].labels;
+      const regimeTargets = regimeData[regime].targets;
       
       if (regimeFeatures.length >= sufficientDataThreshold) {
-        // Convert to tensors
-        const xTrain = tf.tensor3d(regimeFeatures);
-        const yTrain = tf.tensor2d(regimeLabels.map(l => [l]));
-        
         // Create and train model
         const regimeModel = this.buildModel(regimeFeatures[0][0].length);
         
         // Use less epochs for regime-specific models (they have less data)
-        regimeModel.fit(xTrain, yTrain, {
+        await this.fitModel(regimeModel, regimeFeatures, regimeTargets, {
           epochs: Math.min(50, this.epochs),
           batchSize: Math.min(8, this.batchSize),
-          verbose: 0,
           validationSplit: 0.2
-        }).then(() => {
-          console.log(`Trained model for ${regime} regime with ${regimeFeatures.length} samples`);
-          
-          // Store model
-          this.regimeModels[regime] = regimeModel;
-          
-          // Clean up tensors
-          xTrain.dispose();
-          yTrain.dispose();
         });
+        console.log(`Trained model for ${regime} regime with ${regimeFeatures.length} samples`);
+        
+        // Store model
+        this.regimeModels[regime] = regimeModel;
       } else {
         console.log(`Not enough data for ${regime} regime model: ${regimeFeatures.length} samples`);
       }
-    });
+    }
   }
   
   /**
    * Updates the model with historical data
+   * With a seed, TensorFlow.js's own random draws (initial weights, dropout,
+   * shuffling) come from the seeded generator too, so the run can be repeated
+   * exactly on the same data, options and TensorFlow.js version.
    * @param {Array} monthlyData - Monthly price return data
    * @param {Array} onChainData - On-chain metrics
    */
   async update(monthlyData, onChainData = []) {
+    if (this.seed === null) {
+      return this.train(monthlyData, onChainData);
+    }
+    
+    this.random = createRandom(this.seed);
+    return withRandom(this.random, () => this.train(monthlyData, onChainData));
+  }
+  
+  /**
+   * Train the network (see update)
+   * @param {Array} monthlyData - Monthly price return data
+   * @param {Array} onChainData - On-chain metrics
+   */
+  async train(monthlyData, onChainData = []) {
     if (!monthlyData || monthlyData.length < this.lookbackWindow + 1) {
       console.warn('Not enough data for LSTM model training');
       return;
     }
     
     // Preprocess data
-    const { features, labels } = this.preprocessData(monthlyData, onChainData);
+    const { features, labels, targets } = this.preprocessData(monthlyData, onChainData);
     
     if (features.length === 0) {
       console.warn('No valid features extracted for LSTM model');
@@ -621,21 +983,33 @@ class LSTMCrashPredictor extends CrashDetector {
     // Split into training and validation sets (80/20)
     const splitIndex = Math.floor(normalizedFeatures.length * 0.8);
     const xTrain = normalizedFeatures.slice(0, splitIndex);
-    const yTrain = labels.slice(0, splitIndex);
+    const yTrain = targets.slice(0, splitIndex);
     const xVal = normalizedFeatures.slice(splitIndex);
-    const yVal = labels.slice(splitIndex);
+    const yVal = targets.slice(splitIndex);
+    
+    const dates = monthlyData.map(d => new Date(d.date).getTime());
+    this.trainingData = {
+      from: new Date(Math.min(...dates)).toISOString().split('T')[0],
+      to: new Date(Math.max(...dates)).toISOString().split('T')[0],
+      records: monthlyData.length,
+      trainingSamples: xTrain.length,
+      validationSamples: xVal.length
+    };
     
     // Convert to tensors
     const xTrainTensor = tf.tensor3d(xTrain);
-    const yTrainTensor = tf.tensor2d(yTrain.map(y => [y]));
+    const yTrainTensor = tf.tensor2d(yTrain);
     const xValTensor = tf.tensor3d(xVal);
-    const yValTensor = tf.tensor2d(yVal.map(y => [y]));
+    const yValTensor = tf.tensor2d(yVal);
     
     // Build model if it doesn't exist
     if (!this.model) {
       const inputShape = normalizedFeatures[0][0].length;
       this.model = this.buildModel(inputShape);
     }
+    if (this.imbalance === 'classWeight' && this.horizons.length > 1) {
+      this.compileModel(this.model, yTrain);
+    }
     
     // Train model
     try {
@@ -643,6 +1017,7 @@ class LSTMCrashPredictor extends CrashDetector {
         epochs: this.epochs,
         batchSize: this.batchSize,
         verbose: 1,
+        classWeight: this.classWeights(yTrain.map(target => target[0])),
         validationData: [xValTensor, yValTensor],
         callbacks: {
           onEpochEnd: (epoch, logs) => {
@@ -659,7 +1034,13 @@ class LSTMCrashPredictor extends CrashDetector {
       // Calculate final validation metrics
       const predictions = this.model.predict(xValTensor);
       const predArray = predictions.arraySync();
-      const valMetrics = this.calculateMetrics(predArray, yVal);
+      const valMetrics = this.calculateMetrics(predArray, yVal.map(target => target[0]));
+      if (this.horizons.length > 1) {
+        valMetrics.byHorizon = {};
+        this.horizons.forEach((horizon, k) => {
+          valMetrics.byHorizon[horizon] = this.calculateMetrics(predArray.map(row => [row[k]]), yVal.map(target => target[k]));
+        });
+      }
       
       // Store metrics
       this.validationMetrics.accuracy.push(valMetrics.accuracy);
@@ -668,17 +1049,19 @@ class LSTMCrashPredictor extends CrashDetector {
       this.validationMetrics.f1.push(valMetrics.f1);
       this.validationMetrics.auroc.push(valMetrics.auroc);
       
+      this.lastValidationMetrics = valMetrics;
       console.log('Final validation metrics:', valMetrics);
       
       // Calculate feature importance
       this.calculateFeatureImportance(normalizedFeatures, labels);
       
-      // Detect current market regime
+      // Detect current market regime, relative to the training returns
+      this.regimeScale = this.calculateRegimeScale(monthlyData);
       this.detectMarketRegime(monthlyData);
       
       // Train regime-specific models if enabled
       if (Object.keys(this.regimeModels).length === 0) {
-        this.trainRegimeModels(normalizedFeatures, labels, monthlyData);
+        await this.trainRegimeModels(normalizedFeatures, targets, monthlyData);
       }
       
       // Clean up
@@ -695,6 +1078,313 @@ class LSTMCrashPredictor extends CrashDetector {
     }
   }
   
+  /**
+   * Load a network saved by lstm_pretraining_script.js
+   * Regime networks listed in the parameters are read from regime_<name>/ next to
+   * model.json; one that fails to load is skipped and its regime uses the global network.
+   * @param {String} modelUrl - URL of the saved model.json (file:// in Node)
+   * @param {Object} normalizationParams - Saved {featureMeans, featureStds, featureList, threshold?,
+   *   horizons?, architecture?, attention?, regimeModels?, regimeScale?}
+   */
+  async loadPretrained(modelUrl, normalizationParams) {
+    const {
+      featureMeans, featureStds, featureList, threshold, regimeModels = [], regimeScale = null,
+      horizons = [1], architecture = this.architecture, attention = this.attention
+    } = normalizationParams || {};
+    const model = await tf.loadLayersModel(modelUrl);
+    const [, lookbackWindow, featureCount] = model.inputs[0].shape;
+    const outputCount = model.outputs[0].shape[1];
+    
+    const problem =
+      !Array.isArray(horizons) || horizons.length !== outputCount ?
+        `the parameters list ${Array.isArray(horizons) ? horizons.length : 0} horizons, the network has ${outputCount} outputs` :
+      !Array.isArray(featureList) || featureList.length !== featureCount ?
+        `the feature list has ${featureList ? featureList.length : 0} names, the network expects ${featureCount} features` :
+      !Array.isArray(featureMeans) || !Array.isArray(featureStds) ||
+        featureMeans.length !== featureCount || featureStds.length !== featureCount ?
+        `the means and standard deviations do not cover the ${featureCount} features` :
+      ![...featureMeans, ...featureStds].every(Number.isFinite) ?
+        'the means or standard deviations are not finite numbers (retrain with the current pretraining script)' :
+        null;
+    if (problem) {
+      model.dispose();
+      throw new Error(`Normalization parameters do not match the saved LSTM: ${problem}`);
+    }
+    
+    this.model = model;
+    this.lookbackWindow = lookbackWindow;
+    this.featureList = featureList;
+    this.featureMeans = featureMeans;
+    this.featureStds = featureStds;
+    this.featureScaling = true;
+    this.horizons = horizons;
+    this.architecture = architecture;
+    this.attention = attention;
+    this.useAttention = attention !== 'none';
+    if (threshold !== undefined) this.threshold = threshold;
+    // Older parameters have none (see detectMarketRegime)
+    this.regimeScale = regimeScale;
+    this.trained = true;
+    
+    this.regimeModels = {};
+    for (const regime of regimeModels.filter(name => this.regimes.includes(name))) {
+      try {
+        const regimeModel = await tf.loadLayersModel(modelUrl.replace(/model\.json$/, `regime_${regime}/model.json`));
+        if (JSON.stringify(regimeModel.inputs[0].shape) !== JSON.stringify(model.inputs[0].shape)) {
+          regimeModel.dispose();
+          throw new Error('its input shape differs from the global network');
+        }
+        this.regimeModels[regime] = regimeModel;
+      } catch (error) {
+        console.warn(`Skipping the ${regime} regime network:`, error.message);
+      }
+    }
+  }
+  
+  /**
+   * Crash probability for the period after each window, with the saved normalization
+   * @param {Array<Array<Object>>} windows - lookbackWindow consecutive periods each (see extractFeatures)
+   * @return {Array<Number>} Probability that the next period's return is at or below the threshold
+   */
+  predictSequences(windows) {
+    return this.forecastSequences(windows).map(forecast => forecast.probability);
+  }
+  
+  /**
+   * Like predictSequences, with the regime routing behind each probability
+   * Call detectMarketRegime on the latest data first to route to its regime.
+   * @param {Array<Array<Object>>} windows - lookbackWindow consecutive periods each (see extractFeatures)
+   * @return {Array<Object>} Forecasts (see routeByRegime)
+   */
+  forecastSequences(windows) {
+    return this.routeByRegime(this.sequenceInputs(windows));
+  }
+  
+  /**
+   * Extract and normalize the features of each window with the saved statistics
+   * @param {Array<Array<Object>>} windows - lookbackWindow consecutive periods each (see extractFeatures)
+   * @return {Array} Normalized sequences
+   */
+  sequenceInputs(windows) {
+    if (!this.model || !this.trained) {
+      throw new Error('LSTM model is not trained or loaded');
+    }
+    
+    return windows.map(window => {
+      if (window.length !== this.lookbackWindow) {
+        throw new Error(`LSTM needs ${this.lookbackWindow} periods per window, got ${window.length}`);
+      }
+      return window.map(point => {
+        const features = this.extractFeatures(point);
+        return this.featureList.map((name, k) => {
+          if (features[name] === undefined) {
+            throw new Error(`LSTM was trained on "${name}", which the data does not provide`);
+          }
+          return this.featureScaling ? (features[name] - this.featureMeans[k]) / this.featureStds[k] : features[name];
+        });
+      });
+    });
+  }
+  
+  /**
+   * Predict with the global model and, when one was trained, the current regime's
+   * The regime model is weighted by currentRegimeConfidence and the global model
+   * by the rest, so a regime that has only just begun barely moves the forecast.
+   * @param {Array} inputs - Normalized sequences
+   * @return {Array<Object>} {probability, horizonProbabilities, globalProbability,
+   *   regimeProbability, regime, regimeConfidence, regimeWeight} per sequence; the
+   *   single probabilities are for the shortest horizon
+   */
+  routeByRegime(inputs) {
+    const globalProbabilities = this.predictHorizons(this.model, inputs);
+    const regimeModel = this.regimeModels[this.currentRegime];
+    const regimeProbabilities = regimeModel ? this.predictHorizons(regimeModel, inputs) : null;
+    const regimeWeight = regimeModel ? this.currentRegimeConfidence : 0;
+    
+    return globalProbabilities.map((globalRow, i) => {
+      const horizonProbabilities = regimeProbabilities ?
+        globalRow.map((p, k) => regimeWeight * regimeProbabilities[i][k] + (1 - regimeWeight) * p) : globalRow;
+      return {
+        probability: horizonProbabilities[0],
+        horizonProbabilities,
+        globalProbability: globalRow[0],
+        regimeProbability: regimeProbabilities ? regimeProbabilities[i][0] : null,
+        regime: this.currentRegime,
+        regimeConfidence: this.currentRegimeConfidence,
+        regimeWeight
+      };
+    });
+  }
+  
+  /**
+   * Chance of a crash within a number of periods from the horizon outputs
+   * Uses the longest horizon that fits in the period (the shortest when none
+   * does) and compounds it as 1 - (1 - p)^(periods / horizon), treating
+   * consecutive horizons as independent.
+   * @param {Array<Number>} horizonProbabilities - Probabilities in the order of this.horizons
+   * @param {Number} periods - Periods ahead, e.g. a forecast timeframe in days
+   * @return {Number} Probability
+   */
+  probabilityWithin(horizonProbabilities, periods) {
+    const k = this.horizonIndex(periods);
+    const p = Math.min(Math.max(horizonProbabilities[k], 0), 1);
+    return 1 - Math.pow(1 - p, periods / this.horizons[k]);
+  }
+  
+  /**
+   * Index of the horizon output probabilityWithin uses for a number of periods
+   * @param {Number} periods - Periods ahead
+   * @return {Number} Index into this.horizons
+   */
+  horizonIndex(periods) {
+    let k = 0;
+    this.horizons.forEach((horizon, index) => {
+      if (horizon <= periods) k = index;
+    });
+    return k;
+  }
+  
+  /**
+   * Which features, at which periods, drove each window's forecast
+   * Contributions are in probability points of one horizon output, relative to
+   * a baseline sequence with every feature at its training mean (zero once
+   * normalized):
+   * - 'integratedGradients' averages the gradient at `steps` points on the
+   *   straight path from the baseline to the window and multiplies it by the
+   *   window's distance from the baseline; the contributions add up to the
+   *   forecast minus the baseline forecast, less a small path error.
+   * - 'occlusion' sets one feature at one period to the baseline at a time and
+   *   takes how much the forecast drops; these need not add up.
+   * The global and regime networks are attributed separately and blended with
+   * the regime weight, like their probabilities (see routeByRegime).
+   * @param {Array<Array<Object>>} windows - lookbackWindow consecutive periods each (see extractFeatures)
+   * @param {Object} options - {method: 'integratedGradients' or 'occlusion',
+   *   horizon: periods ahead, explained with the output probabilityWithin uses, steps}
+   * @return {Array<Object>} Explanation per window (see attributeSequences)
+   */
+  explainSequences(windows, options = {}) {
+    return this.attributeSequences(this.sequenceInputs(windows), options);
+  }
+  
+  /**
+   * Attribute each normalized sequence's forecast to its features and periods
+   * @param {Array} inputs - Normalized sequences
+   * @param {Object} options - See explainSequences
+   * @return {Array<Object>} {method, horizon, probability, baselineProbability,
+   *   attributions, byFeature} per sequence. attributions holds
+   *   {feature, timestep, contribution} for every input value, timestep 0 being
+   *   the oldest period and lookbackWindow - 1 the latest; byFeature sums them
+   *   by feature, largest first, with the timestep that contributed most
+   */
+  attributeSequences(inputs, { method = 'integratedGradients', horizon = this.horizons[0], steps = 32 } = {}) {
+    if (!ATTRIBUTION_METHODS.includes(method)) {
+      throw new Error(`Unknown attribution method "${method}". Use one of: ${ATTRIBUTION_METHODS.join(', ')}`);
+    }
+    
+    const k = this.horizonIndex(horizon);
+    const attribute = (model, input) => (method === 'occlusion' ?
+      this.occlusion(model, input, k) : this.integratedGradients(model, input, k, steps));
+    const regimeModel = this.regimeModels[this.currentRegime];
+    const regimeWeight = regimeModel ? this.currentRegimeConfidence : 0;
+    
+    return inputs.map(input => {
+      const global = attribute(this.model, input);
+      const regime = regimeModel ? attribute(regimeModel, input) : null;
+      const blend = read => (regime ? regimeWeight * read(regime) + (1 - regimeWeight) * read(global) : read(global));
+      
+      const attributions = [];
+      input.forEach((point, t) => point.forEach((_, f) => {
+        attributions.push({
+          feature: this.featureList[f],
+          timestep: t,
+          contribution: blend(result => result.contributions[t][f])
+        });
+      }));
+      
+      return {
+        method,
+        horizon: this.horizons[k],
+        probability: blend(result => result.probability),
+        baselineProbability: blend(result => result.baselineProbability),
+        attributions,
+        byFeature: this.summarizeAttributions(attributions)
+      };
+    });
+  }
+  
+  /**
+   * Integrated gradients of one horizon output for one sequence
+   * The path points go through the network as a single batch.
+   * @param {tf.LayersModel} model - Network
+   * @param {Array} input - Normalized sequence
+   * @param {Number} k - Horizon output
+   * @param {Number} steps - Points on the path from the baseline
+   * @return {Object} {probability, baselineProbability, contributions (by timestep, then feature)}
+   */
+  integratedGradients(model, input, k, steps) {
+    return tf.tidy(() => {
+      const x = tf.tensor3d([input]);
+      const baseline = tf.zerosLike(x);
+      
+      // Midpoints of `steps` equal segments of the path
+      const alphas = tf.linspace(0.5 / steps, 1 - 0.5 / steps, steps).reshape([steps, 1, 1]);
+      const path = baseline.add(x.sub(baseline).mul(alphas));
+      const output = batch => model.apply(batch, { training: false }).slice([0, k], [-1, 1]).sum();
+      const gradients = tf.grad(output)(path);
+      const contributions = gradients.mean(0).mul(x.sub(baseline).squeeze([0]));
+      
+      const [probability, baselineProbability] = model.predict(tf.concat([x, baseline])).slice([0, k], [-1, 1]).dataSync();
+      return { probability, baselineProbability, contributions: contributions.arraySync() };
+    });
+  }
+  
+  /**
+   * Occlusion attributions of one horizon output for one sequence
+   * Every occluded copy goes through the network in one batch.
+   * @param {tf.LayersModel} model - Network
+   * @param {Array} input - Normalized sequence
+   * @param {Number} k - Horizon output
+   * @return {Object} {probability, baselineProbability, contributions (by timestep, then feature)}
+   */
+  occlusion(model, input, k) {
+    const batch = [input, input.map(point => point.map(() => 0))];
+    input.forEach((point, t) => point.forEach((_, f) => {
+      const occluded = input.map(row => row.slice());
+      occluded[t][f] = 0;
+      batch.push(occluded);
+    }));
+    
+    const predictions = this.predictHorizons(model, batch).map(row => row[k]);
+    const [probability, baselineProbability] = predictions;
+    return {
+      probability,
+      baselineProbability,
+      contributions: input.map((point, t) => point.map((_, f) => probability - predictions[2 + t * point.length + f]))
+    };
+  }
+  
+  /**
+   * Total contribution of each feature over the sequence
+   * @param {Array<Object>} attributions - {feature, timestep, contribution}
+   * @return {Array<Object>} {feature, contribution, timestep (of its largest
+   *   contribution)}, largest total first
+   */
+  summarizeAttributions(attributions) {
+    const byFeature = {};
+    attributions.forEach(({ feature, timestep, contribution }) => {
+      const entry = byFeature[feature] || (byFeature[feature] = { feature, contribution: 0, timestep, peak: 0 });
+      entry.contribution += contribution;
+      if (Math.abs(contribution) > Math.abs(entry.peak)) {
+        entry.peak = contribution;
+        entry.timestep = timestep;
+      }
+    });
+    
+    return Object.values(byFeature)
+      .map(({ feature, contribution, timestep }) => ({ feature, contribution, timestep }))
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+  }
+  
   /**
    * Calculate comprehensive performance metrics
    * @param {Array} predictions - Model predictions
@@ -721,53 +1411,8 @@ class LSTMCrashPredictor extends CrashDetector {
     const recall = tp / (tp + fn) || 0;
     const f1 = 2 * precision * recall / (precision + recall) || 0;
     
-    // Calculate ROC AUC
-    // Sort predictions and corresponding labels
-    const sortedPairs = predictions.map((p, i) => ({
-      pred: p[0],
-      label: labels[i]
-    })).sort((a, b) => b.pred - a.pred);
-    
-    // Count positives and negatives
-    const numPositives = labels.filter(l => l === 1).length;
-    const numNegatives = labels.length - numPositives;
-    
-    // Calculate ROC curve points (just enough to get AUC)
-    let truePositives = 0;
-    let falsePositives = 0;
-    let prevTruePositives = 0;
-    let prevFalsePositives = 0;
-    let prevPred = -1;
-    let auroc = 0;
-    
-    for (const pair of sortedPairs) {
-      if (pair.pred !== prevPred) {
-        // Add area for previous threshold
-        auroc += (falsePositives - prevFalsePositives) * 
-          (truePositives + prevTruePositives) / 2;
-        
-        prevTruePositives = truePositives;
-        prevFalsePositives = falsePositives;
-        prevPred = pair.pred;
-      }
-      
-      if (pair.label === 1) {
-        truePositives++;
-      } else {
-        falsePositives++;
-      }
-    }
-    
-    // Add final area
-    auroc += (falsePositives - prevFalsePositives) * 
-      (truePositives + prevTruePositives) / 2;
-    
-    // Normalize
-    if (numPositives > 0 && numNegatives > 0) {
-      auroc /= (numPositives * numNegatives);
-    } else {
-      auroc = 0.5; // Default for imbalanced data
-    }
+    // Area under the ROC curve (0.5 when only one class occurs)
+    const { auroc } = rocCurve(predictions.map(p => p[0]), labels);
     
     return {
       accuracy,
@@ -787,9 +1432,18 @@ class LSTMCrashPredictor extends CrashDetector {
  * @return {Number} Probability of a crash
  */
 getProbability(monthsAhead) {
+  return this.forecastMonth(monthsAhead).probability;
+}
+
+/**
+ * Crash forecast for a month ahead, with the regime routing behind it
+ * @param {Number} monthsAhead - Number of months ahead to predict
+ * @return {Object} Forecast (see routeByRegime); without model probabilities when it fell back
+ */
+forecastMonth(monthsAhead) {
   // If model is not trained, return a default probability
   if (!this.model || !this.trained) {
-    return 0.1; // Default probability
+    return this.fallbackForecast(0.1); // Default probability
   }
   
   try {
@@ -797,93 +1451,120 @@ getProbability(monthsAhead) {
     const targetDate = new Date();
     targetDate.setMonth(targetDate.getMonth() + monthsAhead);
     
-    // 1. Extract model input shape from the trained model
-    const inputShape = this.model.inputs[0].shape;
-    
-    // Verify we have valid shape information
-    if (!inputShape || inputShape.length !== 3) {
-      console.error(`Invalid input shape detected: ${JSON.stringify(inputShape)}`);
-      return this.getHalvingCycleBasedProbability(this.getHalvingPhase(targetDate).phase);
-    }
-    
-    // The expected feature count is the last dimension of the input shape
-    const expectedFeatureCount = inputShape[2];
-    
-    // Log expected shape for debugging
-    console.log(`Model expects input with shape: [batch, ${this.lookbackWindow}, ${expectedFeatureCount}]`);
-    console.log(`Available features: ${this.featureList.join(', ')}`);
-    
-    // 2. Verify feature consistency
-    if (this.featureList.length !== expectedFeatureCount) {
-      console.error(`Feature count mismatch: Model expects ${expectedFeatureCount} features, but feature list has ${this.featureList.length}`);
-      // Instead of making up values, retrieve the model architecture to understand what features it needs
-      if (this.model.summary) {
-        this.model.summary();
-      }
-      return this.getHalvingCycleBasedProbability(this.getHalvingPhase(targetDate).phase);
-    }
-    
-    // 3. Generate features consistent with the training process
-    // Retrieve the latest feature structure from the preprocessData method
     const halvingPhase = this.getHalvingPhase(targetDate);
-    const sequence = this.generateConsistentFeatureSequence(targetDate, halvingPhase, expectedFeatureCount);
-    
-    // 4. Apply proper normalization as was done during training
-    let normalizedSequence = [sequence];
-    if (this.featureScaling && this.featureMeans && this.featureStds) {
-      normalizedSequence = [sequence.map(point => {
-        return point.map((value, index) => {
-          if (index < this.featureMeans.length) {
-            return (value - this.featureMeans[index]) / this.featureStds[index];
-          }
-          return value; // Fall back to unnormalized for any features beyond our normalization data
-        });
-      })];
+    const normalizedSequence = this.monthSequence(targetDate);
+    if (!normalizedSequence) {
+      return this.fallbackForecast(this.getHalvingCycleBasedProbability(halvingPhase.phase));
     }
     
-    // Verify dimensions match expected input shape
-    const inputDims = [normalizedSequence.length, normalizedSequence[0].length, normalizedSequence[0][0].length];
-    console.log(`Prepared input dimensions: [${inputDims.join(', ')}]`);
-    
-    // 5. Make prediction with appropriate error handling
-    const input = tf.tensor3d(normalizedSequence);
+    // Predict with the global and current-regime models
     try {
-      const prediction = this.model.predict(input);
-      const probability = prediction.dataSync()[0];
-      
-      // Clean up tensors
-      input.dispose();
-      prediction.dispose();
-      
-      return probability;
+      return this.routeByRegime(normalizedSequence)[0];
     } catch (error) {
       console.error('LSTM prediction error:', error);
-      input.dispose(); // Clean up tensor even on error
-      
-      // Fall back to regime-specific or halving-cycle-based probability
-      if (this.regimeModels[this.currentRegime]) {
-        try {
-          const regimeInput = tf.tensor3d(normalizedSequence);
-          const prediction = this.regimeModels[this.currentRegime].predict(regimeInput);
-          const probability = prediction.dataSync()[0];
-          
-          regimeInput.dispose();
-          prediction.dispose();
-          return probability;
-        } catch (regimeError) {
-          console.error('Regime model prediction error:', regimeError);
-          return this.getHalvingCycleBasedProbability(halvingPhase.phase);
-        }
-      } else {
-        return this.getHalvingCycleBasedProbability(halvingPhase.phase);
-      }
+      return this.fallbackForecast(this.getHalvingCycleBasedProbability(halvingPhase.phase));
     }
   } catch (error) {
     console.error('Fatal error in LSTM prediction:', error);
-    return 0.1; // Default safe value
+    return this.fallbackForecast(0.1); // Default safe value
   }
 }
 
+/**
+ * Normalized input the network scores for a month (see generateConsistentFeatureSequence)
+ * @param {Date} targetDate - Date to forecast
+ * @return {Array|null} Batch of one sequence, or null when the model and features disagree
+ */
+monthSequence(targetDate) {
+  // 1. Extract model input shape from the trained model
+  const inputShape = this.model.inputs[0].shape;
+  
+  // Verify we have valid shape information
+  if (!inputShape || inputShape.length !== 3) {
+    console.error(`Invalid input shape detected: ${JSON.stringify(inputShape)}`);
+    return null;
+  }
+  
+  // The expected feature count is the last dimension of the input shape
+  const expectedFeatureCount = inputShape[2];
+  
+  // Log expected shape for debugging
+  console.log(`Model expects input with shape: [batch, ${this.lookbackWindow}, ${expectedFeatureCount}]`);
+  console.log(`Available features: ${this.featureList.join(', ')}`);
+  
+  // 2. Verify feature consistency
+  if (this.featureList.length !== expectedFeatureCount) {
+    console.error(`Feature count mismatch: Model expects ${expectedFeatureCount} features, but feature list has ${this.featureList.length}`);
+    // Instead of making up values, retrieve the model architecture to understand what features it needs
+    if (this.model.summary) {
+      this.model.summary();
+    }
+    return null;
+  }
+  
+  // 3. Generate features consistent with the training process
+  // Retrieve the latest feature structure from the preprocessData method
+  const halvingPhase = this.getHalvingPhase(targetDate);
+  const sequence = this.generateConsistentFeatureSequence(targetDate, halvingPhase, expectedFeatureCount);
+  
+  // 4. Apply proper normalization as was done during training
+  let normalizedSequence = [sequence];
+  if (this.featureScaling && this.featureMeans && this.featureStds) {
+    normalizedSequence = [sequence.map(point => {
+      return point.map((value, index) => {
+        if (index < this.featureMeans.length) {
+          return (value - this.featureMeans[index]) / this.featureStds[index];
+        }
+        return value; // Fall back to unnormalized for any features beyond our normalization data
+      });
+    })];
+  }
+  
+  // Verify dimensions match expected input shape
+  const inputDims = [normalizedSequence.length, normalizedSequence[0].length, normalizedSequence[0][0].length];
+  console.log(`Prepared input dimensions: [${inputDims.join(', ')}]`);
+  
+  return normalizedSequence;
+}
+
+/**
+ * Which features, at which periods, drove a month's forecast
+ * Explains the sequence getProbability scores (see explainSequences).
+ * @param {Number} monthsAhead - Number of months ahead to explain
+ * @param {Object} options - See explainSequences
+ * @return {Object|null} Explanation (see attributeSequences), or null without a model forecast
+ */
+explainMonth(monthsAhead, options = {}) {
+  if (!this.model || !this.trained) return null;
+  
+  try {
+    const targetDate = new Date();
+    targetDate.setMonth(targetDate.getMonth() + monthsAhead);
+    const normalizedSequence = this.monthSequence(targetDate);
+    return normalizedSequence ? this.attributeSequences(normalizedSequence, options)[0] : null;
+  } catch (error) {
+    console.error('LSTM attribution error:', error);
+    return null;
+  }
+}
+
+/**
+ * Forecast that did not come from the network
+ * @param {Number} probability - Fallback probability
+ * @return {Object} Forecast in the routeByRegime format
+ */
+fallbackForecast(probability) {
+  return {
+    probability,
+    horizonProbabilities: this.horizons.map(() => probability),
+    globalProbability: null,
+    regimeProbability: null,
+    regime: this.currentRegime,
+    regimeConfidence: this.currentRegimeConfidence,
+    regimeWeight: 0
+  };
+}
+
 /**
  * Generate feature sequence with consistent dimensions matching training data
  * @param {Date} targetDate - The date for prediction
@@ -1033,7 +1714,7 @@ generateConsistentFeatureSequence(targetDate, halvingPhase, expectedFeatureCount
       const year = futureDate.getFullYear();
       const monthName = new Intl.DateTimeFormat('en-US', { month: 'long' }).format(futureDate);
       
-      const probability = this.getProbability(i);
+      const { probability, regime, regimeConfidence, regimeWeight } = this.forecastMonth(i);
       
       calendar.push({
         month: `${year}-${String(month + 1).padStart(2, '0')}`,
@@ -1042,7 +1723,9 @@ generateConsistentFeatureSequence(targetDate, halvingPhase, expectedFeatureCount
         riskLevel: this.getRiskLevel(probability),
         halvingPhase: this.getHalvingPhase(futureDate).phase,
         model: 'LSTM',
-        regime: this.currentRegime,
+        regime,
+        regimeConfidence,
+        regimeWeight,
         featureContributions: this.featureImportance
       });
     }
@@ -1083,6 +1766,7 @@ generateConsistentFeatureSequence(targetDate, halvingPhase, expectedFeatureCount
       modelInsights: {
         trained: this.trained,
         currentRegime: this.currentRegime,
+        regime: this.getRegimeSummary(),
         featureImportance: this.featureImportance,
         validationMetrics: {
           accuracy: this.validationMetrics.accuracy.length > 0 ? 
@@ -1115,6 +1799,54 @@ generateConsistentFeatureSequence(targetDate, halvingPhase, expectedFeatureCount
     }
   }
   
+  /**
+   * Current regime, how the forecasts use it, and the recent regime runs
+   * @return {Object} {regime, confidence, hasModel, weight, history: [{regime, from, to, periods, metrics}]}
+   */
+  getRegimeSummary() {
+    const hasModel = Boolean(this.regimeModels[this.currentRegime]);
+    return {
+      regime: this.currentRegime,
+      confidence: this.currentRegimeConfidence,
+      hasModel,
+      weight: hasModel ? this.currentRegimeConfidence : 0,
+      history: this.regimeHistory
+    };
+  }
+  
+  /**
+   * Everything needed to repeat the last training run and compare it with others
+   * The caller adds what the predictor cannot know, e.g. a hash of the input file.
+   * @return {Object} Manifest
+   */
+  getTrainingManifest() {
+    return {
+      model: 'LSTMCrashPredictor',
+      createdAt: new Date().toISOString(),
+      seed: this.seed,
+      hyperparameters: {
+        threshold: this.threshold,
+        lookbackWindow: this.lookbackWindow,
+        epochs: this.epochs,
+        batchSize: this.batchSize,
+        learningRate: this.learningRate,
+        units: this.units,
+        dropoutRate: this.dropoutRate,
+        architecture: this.architecture,
+        attention: this.attention,
+        horizons: this.horizons,
+        featureScaling: this.featureScaling,
+        imbalance: this.imbalance,
+        ...(this.imbalance === 'focal' ? { focalGamma: this.focalGamma, focalAlpha: this.focalAlpha } : {})
+      },
+      features: this.featureList,
+      data: this.trainingData,
+      metrics: this.lastValidationMetrics,
+      featureImportance: this.featureImportance,
+      regimeModels: Object.keys(this.regimeModels)
+    };
+  }
+  
   /**
    * Returns metrics about the model
    * @return {Object} Model metrics
@@ -1128,14 +1860,27 @@ generateConsistentFeatureSequence(targetDate, halvingPhase, expectedFeatureCount
       epochs: this.epochs,
       batchSize: this.batchSize,
       dropoutRate: this.dropoutRate,
+      architecture: this.architecture,
+      attention: this.attention,
       useAttention: this.useAttention,
+      horizons: this.horizons,
       features: this.featureList,
       featureImportance: this.featureImportance,
       validationMetrics: this.validationMetrics,
       regimeModels: Object.keys(this.regimeModels),
-      currentRegime: this.currentRegime
+      currentRegime: this.currentRegime,
+      regime: this.getRegimeSummary()
     };
   }
 }
 
-module.exports = LSTMCrashPredictor;
+export {
+  LSTMCrashPredictor,
+  IMBALANCE_METHODS,
+  ARCHITECTURES,
+  ATTENTION_TYPES,
+  ATTRIBUTION_METHODS,
+  FEATURE_LABELS,
+  setTensorFlow,
+  toDailyRecords
+};
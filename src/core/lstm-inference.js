@@ -0,0 +1,202 @@
+/**
+ * LSTM Inference
+ * Loads the network saved by lstm_pretraining_script.js in the browser and
+ * turns its next-day crash probability into calendar risk by month.
+ *
+ * The artifacts are read from DEFAULT_LSTM_MODEL_PATH, relative to the page;
+ * `?lstm=<url>` (or the rektLstmModel setting) points elsewhere. TensorFlow.js
+ * is fetched from the CDN only once the model files have been found, so pages
+ * without a pretrained model never download it. The pages run it in a worker
+ * (see workers/compute-tasks.js), which imports the CDN's ES module build.
+ *
+ * The network predicts the chance that the next day's return is at or below
+ * its training threshold (-10% by default), not the active event definition.
+ */
+
+import { readSetting } from './data-sources.js';
+import { LSTMCrashPredictor, FEATURE_LABELS, setTensorFlow, toDailyRecords } from './lstm-crash-predictor.js';
+
+const LSTM_MODEL_STORAGE_KEY = 'rektLstmModel';
+const DEFAULT_LSTM_MODEL_PATH = 'lstm_trained_model_daily_10pct_robust_final/';
+const NORMALIZATION_PARAMS_FILE = 'normalization_params_daily_10pct_robust_final.json';
+const TENSORFLOW_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js';
+const TENSORFLOW_MODULE_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/+esm';
+
+// Features named as a month's drivers
+const MAX_DRIVERS = 3;
+
+// Loads by model directory, each shared by every timeframe; a failed one is
+// dropped so that a later choice retries
+const loads = new Map();
+
+/**
+ * Directory holding model.json, its weights and the normalization parameters
+ * @returns {string} Path or URL ending in "/"
+ */
+function resolveModelPath() {
+  const path = readSetting('lstm', LSTM_MODEL_STORAGE_KEY) || DEFAULT_LSTM_MODEL_PATH;
+  return path.endsWith('/') ? path : `${path}/`;
+}
+
+/**
+ * Absolute form of a model directory, so that one directory has one cache entry
+ * @param {string} basePath - Model directory
+ * @returns {string} URL ending in "/" (unchanged apart from the "/" where there is no location)
+ */
+function resolveBasePath(basePath) {
+  const path = basePath.endsWith('/') ? basePath : `${basePath}/`;
+  if (typeof location === 'undefined') return path;
+  try {
+    return new URL(path, location.href).href;
+  } catch (e) {
+    return path;
+  }
+}
+
+/**
+ * Load TensorFlow.js from the CDN unless the page already has it
+ * @returns {Promise<Object>} The tf global, or the module in a worker
+ */
+function loadTensorFlow() {
+  if (typeof globalThis.tf !== 'undefined') return Promise.resolve(globalThis.tf);
+  if (typeof document === 'undefined') return import(TENSORFLOW_MODULE_URL);
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = TENSORFLOW_URL;
+    script.onload = () => (window.tf ? resolve(window.tf) : reject(new Error('TensorFlow.js did not initialise')));
+    script.onerror = () => reject(new Error('could not load TensorFlow.js'));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Load the pretrained network and its normalization parameters
+ * @param {string} modelPath - Model directory (a worker needs an absolute URL, as
+ *   it resolves relative ones against its own script)
+ * @returns {Promise<LSTMCrashPredictor>} Loaded predictor
+ */
+function loadPretrainedLstm(modelPath = resolveModelPath()) {
+  const basePath = resolveBasePath(modelPath);
+  if (!loads.has(basePath)) {
+    const loading = (async () => {
+      const modelUrl = `${basePath}model.json`;
+
+      const [paramsResponse, modelResponse] = await Promise.all([
+        fetch(`${basePath}${NORMALIZATION_PARAMS_FILE}`).catch(() => null),
+        fetch(modelUrl, { method: 'HEAD' }).catch(() => null)
+      ]);
+      if (!paramsResponse || !paramsResponse.ok || !modelResponse || !modelResponse.ok) {
+        throw new Error(`no pretrained LSTM at ${basePath} (run src/core/lstm_pretraining_script.js)`);
+      }
+      const normalizationParams = await paramsResponse.json();
+
+      setTensorFlow(await loadTensorFlow());
+      const predictor = new LSTMCrashPredictor();
+      await predictor.loadPretrained(modelUrl, normalizationParams);
+      console.log(`Loaded pretrained LSTM from ${basePath} (${predictor.featureList.length} features, ${predictor.lookbackWindow}-day lookback)`);
+      return predictor;
+    })();
+
+    loads.set(basePath, loading);
+    loading.catch(() => { loads.delete(basePath); });
+  }
+  return loads.get(basePath);
+}
+
+/**
+ * Features that moved a forecast furthest from the baseline's
+ * @param {Object} explanation - Explanation from explainSequences
+ * @param {number} lookbackWindow - Periods in the window
+ * @returns {Array<Object>} {feature, label, contribution, daysAgo (of its largest contribution)}
+ */
+function topDrivers(explanation, lookbackWindow) {
+  return explanation.byFeature.slice(0, MAX_DRIVERS).map(({ feature, contribution, timestep }) => ({
+    feature,
+    label: FEATURE_LABELS[feature] || feature,
+    contribution,
+    daysAgo: lookbackWindow - 1 - timestep
+  }));
+}
+
+/**
+ * One driver as text, e.g. "Daily return +1.20 pts (strongest 3 days back)"
+ * @param {Object} driver - Driver from topDrivers
+ * @returns {string} Text
+ */
+function formatDriver({ label, contribution, daysAgo }) {
+  const points = contribution * 100;
+  const when = daysAgo === 0 ? 'on the latest day' : `${daysAgo} day${daysAgo === 1 ? '' : 's'} back`;
+  return `${label} ${points >= 0 ? '+' : ''}${points.toFixed(2)} pts (strongest ${when})`;
+}
+
+/**
+ * LSTM risk for each calendar month of the coming year
+ * Each month is scored from the latest lookback window with its dates moved to
+ * that month, so the price features stay as they are now and only the month and
+ * halving-cycle features change. The network's longest horizon within the
+ * timeframe is then compounded over it (see probabilityWithin); for a
+ * network with only the next-day output that is 1 - (1 - p)^timeframe.
+ * The regime is detected from the same prices, and its network (when one was
+ * saved) is blended in by how settled the regime is.
+ * Each month's output is attributed to the window's features and days with
+ * integrated gradients (see explainSequences); the drivers are the features
+ * that moved it most, in points of the uncompounded horizon probability.
+ * @param {LSTMCrashPredictor} predictor - Loaded predictor
+ * @param {Array} data - Processed daily records (see data-service.js processRecords)
+ * @param {number} timeframe - Forecast horizon in days
+ * @returns {Object} Risk by month (1-12): {risk, lstm: {dailyProbability, threshold, asOf,
+ *   regime, regimeConfidence, regimeWeight, explanation, drivers}}; without the
+ *   explanation and drivers when the attribution failed
+ */
+function forecastLstmMonths(predictor, data, timeframe) {
+  const records = toDailyRecords(data);
+  predictor.detectMarketRegime(records);
+  const window = records.slice(-predictor.lookbackWindow);
+  if (window.length < predictor.lookbackWindow) {
+    throw new Error(`LSTM needs ${predictor.lookbackWindow} days of prices, got ${window.length}`);
+  }
+
+  const asOf = window[window.length - 1].date;
+  const months = [];
+  const windows = [];
+  for (let offset = 0; offset < 12; offset++) {
+    // The current month is scored as of today; later months from their first day
+    const shiftMs = offset === 0 ? 0 :
+      new Date(asOf.getFullYear(), asOf.getMonth() + offset, 1) - asOf - 24 * 60 * 60 * 1000;
+    months.push(new Date(asOf.getFullYear(), asOf.getMonth() + offset, 1).getMonth() + 1);
+    windows.push(window.map(point => ({ ...point, date: new Date(point.date.getTime() + shiftMs) })));
+  }
+
+  const forecasts = predictor.forecastSequences(windows);
+  let explanations = null;
+  try {
+    explanations = predictor.explainSequences(windows, { horizon: timeframe });
+  } catch (error) {
+    console.warn('Could not attribute the LSTM forecasts:', error);
+  }
+
+  const riskByMonth = {};
+  months.forEach((month, i) => {
+    const { horizonProbabilities, regime, regimeConfidence, regimeWeight } = forecasts[i];
+    const dailyProbability = predictor.probabilityWithin(horizonProbabilities, 1);
+    const lstm = { dailyProbability, threshold: predictor.threshold, asOf, regime, regimeConfidence, regimeWeight };
+    if (explanations) {
+      lstm.explanation = explanations[i];
+      lstm.drivers = topDrivers(explanations[i], predictor.lookbackWindow);
+    }
+    riskByMonth[month] = {
+      risk: predictor.probabilityWithin(horizonProbabilities, timeframe),
+      lstm
+    };
+  });
+  return riskByMonth;
+}
+
+export {
+  DEFAULT_LSTM_MODEL_PATH,
+  resolveModelPath,
+  loadPretrainedLstm,
+  forecastLstmMonths,
+  formatDriver
+};
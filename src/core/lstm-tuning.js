@@ -0,0 +1,208 @@
+/**
+ * LSTM Tuning
+ * Expanding-window cross-validation and hyperparameter search for
+ * LSTMCrashPredictor. Folds follow time: each fold trains on every sample
+ * before its test block and is scored on that block, so no fold learns from
+ * the future. Batches are only shuffled inside a fold's training window, and
+ * features are normalized with that window's means and standard deviations.
+ *
+ * Each fold reports AUROC, precision and recall (at 0.5, calculateMetrics),
+ * the Brier score, and the Brier score of the training base rate for reference.
+ *
+ * Needs TensorFlow.js (see setTensorFlow in lstm-crash-predictor.js); run it
+ * with `lstm_pretraining_script.js --cv`.
+ */
+
+import { LSTMCrashPredictor } from './lstm-crash-predictor.js';
+import { brierScore, rocCurve } from '../utils/metrics.js';
+import { createRandom, shuffle, withRandom } from '../utils/random.js';
+
+// Values tried for each hyperparameter; the search covers their combinations
+const DEFAULT_SEARCH_SPACE = {
+  units: [32, 64],
+  lookbackWindow: [30, 60],
+  dropoutRate: [0.1, 0.2],
+  learningRate: [0.001, 0.0003],
+  imbalance: ['none', 'classWeight', 'focal']
+};
+
+const DEFAULT_CV_OPTIONS = {
+  folds: 4,
+  minTrainFraction: 0.5, // Share of the samples before the first test block
+  search: 'grid',        // 'grid' (every combination) or 'random' (`trials` of them)
+  trials: 10,
+  selectBy: 'brier',     // 'brier' (lowest mean) or 'auroc' (highest mean)
+  seed: 0,               // Seeds the random search and every training run
+  baseOptions: {},       // LSTMCrashPredictor options the search does not vary (threshold, epochs, ...)
+  onProgress: null       // Called as (done, total, result) after each configuration
+};
+
+const SELECTION_METRICS = {
+  brier: { better: (a, b) => a < b },
+  auroc: { better: (a, b) => a > b }
+};
+
+/**
+ * Split samples into expanding-window folds
+ * @param {number} sampleCount - Number of chronologically ordered samples
+ * @param {number} folds - Number of folds
+ * @param {number} minTrainFraction - Share of samples before the first test block
+ * @returns {Array<Object>} {trainEnd, testStart, testEnd} per fold (end exclusive)
+ */
+function expandingWindowFolds(sampleCount, folds, minTrainFraction) {
+  const firstTest = Math.floor(sampleCount * minTrainFraction);
+  const blockSize = Math.floor((sampleCount - firstTest) / folds);
+  if (firstTest < 1 || blockSize < 1) {
+    throw new Error(`${sampleCount} samples are too few for ${folds} folds`);
+  }
+
+  return Array.from({ length: folds }, (_, k) => {
+    const testStart = firstTest + k * blockSize;
+    return {
+      trainEnd: testStart,
+      testStart,
+      testEnd: k === folds - 1 ? sampleCount : testStart + blockSize
+    };
+  });
+}
+
+/**
+ * Hyperparameter configurations to try
+ * @param {Object} space - Values by hyperparameter (see DEFAULT_SEARCH_SPACE)
+ * @param {Object} options - {search, trials, seed}
+ * @returns {Array<Object>} Configurations
+ */
+function searchConfigurations(space, { search, trials, seed }) {
+  const grid = Object.entries(space).reduce(
+    (configs, [name, values]) => configs.flatMap(config => values.map(value => ({ ...config, [name]: value }))),
+    [{}]
+  );
+
+  if (search === 'grid') return grid;
+  if (search === 'random') return shuffle(grid, createRandom(seed)).slice(0, trials);
+  throw new Error(`Unknown search "${search}". Use grid or random`);
+}
+
+/**
+ * Train on one fold's window and score its test block
+ * Training samples whose longest horizon reaches into the test block are left
+ * out, so their labels do not reveal test outcomes. Scores are for the shortest horizon.
+ * @param {LSTMCrashPredictor} predictor - Predictor with the configuration
+ * @param {Array} features - Unnormalized sequences (preprocessData)
+ * @param {Array<Array<number>>} targets - One label per horizon for each sequence
+ * @param {Object} split - {trainEnd, testStart, testEnd}
+ * @returns {Promise<Object>} Fold scores
+ */
+async function scoreFold(predictor, features, targets, { trainEnd, testStart, testEnd }) {
+  const purgedEnd = trainEnd - (predictor.horizons[predictor.horizons.length - 1] - 1);
+  const yTrain = targets.slice(0, purgedEnd);
+  const yTest = targets.slice(testStart, testEnd).map(target => target[0]);
+
+  // Normalization statistics from the training window only
+  const xTrain = predictor.normalizeFeatures(features.slice(0, purgedEnd));
+  const xTest = features.slice(testStart, testEnd).map(sequence => sequence.map(point =>
+    point.map((value, k) => (value - predictor.featureMeans[k]) / predictor.featureStds[k])));
+
+  const model = predictor.buildModel(xTrain[0][0].length);
+  let forecasts;
+  try {
+    await predictor.fitModel(model, xTrain, yTrain);
+    forecasts = predictor.predictModel(model, xTest);
+  } finally {
+    model.dispose();
+  }
+
+  const baseRate = yTrain.reduce((sum, target) => sum + target[0], 0) / yTrain.length;
+  const { precision, recall } = predictor.calculateMetrics(forecasts.map(p => [p]), yTest);
+  return {
+    trainSamples: yTrain.length,
+    testSamples: yTest.length,
+    testEvents: yTest.reduce((sum, y) => sum + y, 0),
+    auroc: rocCurve(forecasts, yTest).auroc,
+    precision,
+    recall,
+    brier: brierScore(forecasts, yTest),
+    baseRateBrier: brierScore(yTest.map(() => baseRate), yTest)
+  };
+}
+
+/**
+ * Mean of each fold score, over the folds where it is defined
+ * @param {Array<Object>} folds - Fold scores
+ * @returns {Object} Mean scores
+ */
+function meanScores(folds) {
+  const mean = {};
+  ['auroc', 'precision', 'recall', 'brier', 'baseRateBrier'].forEach(metric => {
+    const values = folds.map(fold => fold[metric]).filter(Number.isFinite);
+    mean[metric] = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : NaN;
+  });
+  return mean;
+}
+
+/**
+ * Cross-validate one configuration
+ * @param {Array} records - Daily records for preprocessData (see lstm_pretraining_script.js)
+ * @param {Object} config - Hyperparameters to set
+ * @param {Object} options - See DEFAULT_CV_OPTIONS
+ * @returns {Promise<Object>} {config, folds, mean}
+ */
+async function crossValidate(records, config, options = {}) {
+  const { folds, minTrainFraction, seed, baseOptions } = { ...DEFAULT_CV_OPTIONS, ...options };
+  const predictor = new LSTMCrashPredictor({ ...baseOptions, ...config, seed });
+  const { features, targets } = predictor.preprocessData(records, []);
+  const splits = expandingWindowFolds(features.length, folds, minTrainFraction);
+
+  // The same seed for every configuration, so they differ only in their hyperparameters
+  const scores = await withRandom(createRandom(seed), async () => {
+    const results = [];
+    for (const split of splits) {
+      results.push(await scoreFold(predictor, features, targets, split));
+    }
+    return results;
+  });
+
+  return {
+    config,
+    folds: scores.map((score, k) => ({ fold: k + 1, ...score })),
+    mean: meanScores(scores)
+  };
+}
+
+/**
+ * Cross-validate every configuration of the search and pick the best
+ * @param {Array} records - Daily records for preprocessData
+ * @param {Object} space - Values by hyperparameter (default DEFAULT_SEARCH_SPACE)
+ * @param {Object} options - See DEFAULT_CV_OPTIONS
+ * @returns {Promise<Object>} {options, results, best}
+ */
+async function searchHyperparameters(records, space = DEFAULT_SEARCH_SPACE, options = {}) {
+  const settings = { ...DEFAULT_CV_OPTIONS, ...options };
+  const selection = SELECTION_METRICS[settings.selectBy];
+  if (!selection) {
+    throw new Error(`Unknown selection metric "${settings.selectBy}". Use one of: ${Object.keys(SELECTION_METRICS).join(', ')}`);
+  }
+
+  const configs = searchConfigurations(space, settings);
+  const results = [];
+  for (const config of configs) {
+    const result = await crossValidate(records, config, settings);
+    results.push(result);
+    if (settings.onProgress) settings.onProgress(results.length, configs.length, result);
+  }
+
+  const best = results
+    .filter(result => Number.isFinite(result.mean[settings.selectBy]))
+    .reduce((best, result) => (!best || selection.better(result.mean[settings.selectBy], best.mean[settings.selectBy]) ? result : best), null);
+
+  return { options: { ...settings, onProgress: undefined }, space, results, best };
+}
+
+export {
+  DEFAULT_SEARCH_SPACE,
+  DEFAULT_CV_OPTIONS,
+  expandingWindowFolds,
+  searchConfigurations,
+  crossValidate,
+  searchHyperparameters
+};
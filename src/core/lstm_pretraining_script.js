@@ -1,19 +1,145 @@
 // lstm_pretraining_script.js
-
+// Trains the daily LSTM and saves the network and its normalization parameters.
+// Run from the repository root (node src/core/lstm_pretraining_script.js) so the
+// web app finds the artifacts at the default path (see src/core/lstm-inference.js).
+//
+//   --seed <n>     Seed for a repeatable run (default: a random seed, recorded in the manifest)
+//   --data <file>  Train on a saved Coin Metrics CSV instead of downloading the latest one
+//   --epochs <n>   Training epochs (default 50)
+//   --architecture lstm|gru|tcn    Sequence encoder (default lstm)
+//   --attention none|additive|dot  Attention over the lookback window (default additive)
+//   --horizons 1,7,30              Days ahead the network has an output for (default 1)
+//
+//   --cv           Cross-validate a hyperparameter search instead of training (see lstm-tuning.js)
+//                  and save the best configuration next to the model; later runs train with it
+//   --folds <n>    Expanding-window folds (default 4)
+//   --search grid|random, --trials <n>   Every combination, or n random ones (default grid)
+//   --select brier|auroc                 Metric that picks the best configuration (default brier)
+//   With --cv, --architecture and --attention take comma-separated lists to search over.
+//
+// Each run writes a training manifest next to the model: seed, hyperparameters,
+// features, data range, validation metrics and the SHA-256 of the input CSV.
+// Re-running with the manifest's seed on the same CSV reproduces the model.
+
+import { createRequire } from 'node:module';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { LSTMCrashPredictor, setTensorFlow } from './lstm-crash-predictor.js';
+import { searchHyperparameters, DEFAULT_SEARCH_SPACE, DEFAULT_CV_OPTIONS } from './lstm-tuning.js';
+import { randomSeed } from '../utils/random.js';
+
+const require = createRequire(import.meta.url);
 const tf = require('@tensorflow/tfjs-node');
-const fetch = require('node-fetch'); // Ensure node-fetch v2 is installed for require, or use ESM for v3+
-const fs = require('fs');
-const path = require('path');
-const moment = require('moment'); // Not strictly used in this script's logic now but LSTMCrashPredictor might use it
-
-// Adjust the path if your files are located elsewhere
-const CrashDetector = require('./crash-detector'); // Assuming crash-detector.js is in the same directory
-const LSTMCrashPredictor = require('./lstm-crash-predictor'); // Assuming lstm-crash-predictor.js is in the same directory
+setTensorFlow(tf);
 
 const COINMETRICS_BTC_CSV_URL = 'https://raw.githubusercontent.com/coinmetrics/data/master/csv/btc.csv';
 const MODEL_SAVE_PATH = 'file://./lstm_trained_model_daily_10pct_robust_final'; // Path for the saved model
 const MODEL_ARTIFACTS_DIR = './lstm_trained_model_daily_10pct_robust_final';
 const NORMALIZATION_PARAMS_PATH = path.join(MODEL_ARTIFACTS_DIR, 'normalization_params_daily_10pct_robust_final.json');
+const TRAINING_MANIFEST_PATH = path.join(MODEL_ARTIFACTS_DIR, 'training_manifest_daily_10pct_robust_final.json');
+const CV_RESULTS_PATH = path.join(MODEL_ARTIFACTS_DIR, 'cv_results_daily_10pct_robust_final.json');
+const BEST_CONFIG_PATH = path.join(MODEL_ARTIFACTS_DIR, 'best_config_daily_10pct_robust_final.json');
+
+/**
+ * Read the options from the command line
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {Object} {seed, dataFile, epochs, cv, folds, search, trials, selectBy,
+ *   architectures, attentions, horizons}; the last three are null when not given
+ */
+function parseArguments(args) {
+    const valueOf = flag => {
+        const index = args.indexOf(flag);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    const seedArg = valueOf('--seed');
+    const seed = seedArg === undefined ? randomSeed() : Number(seedArg);
+    if (!Number.isInteger(seed) || seed < 0) {
+        throw new Error(`--seed must be a non-negative integer, got "${seedArg}"`);
+    }
+    const number = (flag, fallback) => (valueOf(flag) === undefined ? fallback : Number(valueOf(flag)));
+    const list = flag => (valueOf(flag) === undefined ? null : valueOf(flag).split(','));
+    const horizons = list('--horizons');
+    return {
+        seed,
+        dataFile: valueOf('--data') || null,
+        epochs: number('--epochs', 50),
+        cv: args.includes('--cv'),
+        folds: number('--folds', DEFAULT_CV_OPTIONS.folds),
+        search: valueOf('--search') || DEFAULT_CV_OPTIONS.search,
+        trials: number('--trials', DEFAULT_CV_OPTIONS.trials),
+        selectBy: valueOf('--select') || DEFAULT_CV_OPTIONS.selectBy,
+        architectures: list('--architecture'),
+        attentions: list('--attention'),
+        horizons: horizons && horizons.map(Number)
+    };
+}
+
+/**
+ * Hyperparameters chosen by the last --cv run, if any
+ * @returns {Object} Configuration (empty without a saved search)
+ */
+function loadBestConfig() {
+    if (!fs.existsSync(BEST_CONFIG_PATH)) return {};
+    const { config } = JSON.parse(fs.readFileSync(BEST_CONFIG_PATH, 'utf8'));
+    console.log(`Using the cross-validated configuration from ${BEST_CONFIG_PATH}: ${JSON.stringify(config)}`);
+    return config;
+}
+
+/**
+ * Cross-validate the hyperparameter search, print each fold and save the best configuration
+ * @param {Array} dailyFeatureData - Daily records
+ * @param {Object} baseOptions - Predictor options the search does not vary
+ * @param {Object} args - Parsed command line
+ * @param {Object} input - {source, sha256} of the input CSV
+ */
+async function runCrossValidation(dailyFeatureData, baseOptions, args, input) {
+    const { seed, folds, search, trials, selectBy, architectures, attentions } = args;
+    const format = value => (Number.isFinite(value) ? value.toFixed(4) : '  n/a ');
+
+    const space = { ...DEFAULT_SEARCH_SPACE };
+    if (architectures && architectures.length > 1) space.architecture = architectures;
+    if (attentions && attentions.length > 1) space.attention = attentions;
+
+    console.log(`Cross-validating a ${search} search over ${Object.keys(space).join(', ')} ` +
+        `(${folds} expanding-window folds, seed ${seed})...`);
+
+    const result = await searchHyperparameters(dailyFeatureData, space, {
+        folds, search, trials, selectBy, seed, baseOptions,
+        onProgress: (done, total, { config, folds: foldScores, mean }) => {
+            console.log(`
+[${done}/${total}] ${JSON.stringify(config)}`);
+            foldScores.forEach(fold => {
+                console.log(`  fold ${fold.fold}: train ${fold.trainSamples}, test ${fold.testSamples} (${fold.testEvents} events)  ` +
+                    `AUROC ${format(fold.auroc)}  precision ${format(fold.precision)}  recall ${format(fold.recall)}  ` +
+                    `Brier ${format(fold.brier)} (base rate ${format(fold.baseRateBrier)})`);
+            });
+            console.log(`  mean:   AUROC ${format(mean.auroc)}  precision ${format(mean.precision)}  recall ${format(mean.recall)}  ` +
+                `Brier ${format(mean.brier)} (base rate ${format(mean.baseRateBrier)})`);
+        }
+    });
+
+    if (!fs.existsSync(MODEL_ARTIFACTS_DIR)) {
+        fs.mkdirSync(MODEL_ARTIFACTS_DIR, { recursive: true });
+    }
+    fs.writeFileSync(CV_RESULTS_PATH, JSON.stringify({ ...result, input, createdAt: new Date().toISOString() }, null, 2));
+    console.log(`\nCross-validation results saved to ${CV_RESULTS_PATH}`);
+
+    if (!result.best) {
+        console.error(`No configuration had a finite mean ${selectBy}; the best configuration was not updated.`);
+        return;
+    }
+    fs.writeFileSync(BEST_CONFIG_PATH, JSON.stringify({
+        config: result.best.config,
+        selectedBy: selectBy,
+        mean: result.best.mean,
+        seed,
+        input,
+        createdAt: new Date().toISOString()
+    }, null, 2));
+    console.log(`Best configuration by mean ${selectBy}: ${JSON.stringify(result.best.config)}, saved to ${BEST_CONFIG_PATH}`);
+}
 
 
 function processDailyDataForLSTM(csvText) {
@@ -75,8 +201,9 @@ function processDailyDataForLSTM(csvText) {
         // - CRITICALLY: Ensuring no division by zero if it calculates features like (price / startPrice) - 1.
         const featurePoint = {
             date: daily.date,
-            price: daily.price,         // Current day's price (LSTMCrashPredictor might use as 'endPrice')
-            startPrice: previousPrice,  // Previous day's price (LSTMCrashPredictor might use as 'startPrice')
+            price: daily.price,         // Current day's price
+            startPrice: previousPrice,  // Previous day's price (feature 'startPrice')
+            endPrice: daily.price,      // Current day's price (feature 'endPrice')
             return: dailyReturn,        // The daily return for labeling by LSTMCrashPredictor.
                                         // Also a potential feature for LSTMCrashPredictor.
             CapMVRVCur: daily.CapMVRVCur, // Passed as is; LSTMCrashPredictor must handle null.
@@ -103,13 +230,23 @@ function processDailyDataForLSTM(csvText) {
 
 async function pretrainLSTM() {
     try {
-        console.log(`Fetching Bitcoin data from ${COINMETRICS_BTC_CSV_URL}...`);
-        const response = await fetch(COINMETRICS_BTC_CSV_URL);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch Bitcoin data: ${response.statusText}`);
+        const args = parseArguments(process.argv.slice(2));
+        const { seed, dataFile } = args;
+
+        let csvText;
+        if (dataFile) {
+            console.log(`Reading Bitcoin data from ${dataFile}...`);
+            csvText = fs.readFileSync(dataFile, 'utf8');
+        } else {
+            console.log(`Fetching Bitcoin data from ${COINMETRICS_BTC_CSV_URL}...`);
+            const response = await fetch(COINMETRICS_BTC_CSV_URL);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch Bitcoin data: ${response.statusText}`);
+            }
+            csvText = await response.text();
+            console.log('Data fetched successfully.');
         }
-        const csvText = await response.text();
-        console.log('Data fetched successfully.');
+        const inputHash = createHash('sha256').update(csvText).digest('hex');
 
         const dailyFeatureData = processDailyDataForLSTM(csvText);
 
@@ -126,21 +263,39 @@ async function pretrainLSTM() {
             return;
         }
 
-        const lstmPredictor = new LSTMCrashPredictor({
+        const baseOptions = {
             threshold: newThresholdDaily,
-            lookbackWindow: desiredLookbackWindowDays,
-            epochs: 50,
+            epochs: args.epochs,
             batchSize: 32,
+            useAttention: true,    //
+            featureScaling: true   //
+        };
+        // Architecture flags given on the command line win over a saved configuration
+        const modelOptions = {};
+        if (args.architectures) modelOptions.architecture = args.architectures[0];
+        if (args.attentions) modelOptions.attention = args.attentions[0];
+        if (args.horizons) modelOptions.horizons = args.horizons;
+
+        if (args.cv) {
+            await runCrossValidation(dailyFeatureData, { ...baseOptions, ...modelOptions }, args, { source: dataFile || COINMETRICS_BTC_CSV_URL, sha256: inputHash });
+            return;
+        }
+
+        const lstmPredictor = new LSTMCrashPredictor({
+            ...baseOptions,
+            lookbackWindow: desiredLookbackWindowDays,
             learningRate: 0.001, // If loss=nan persists, first check data, then try 0.0001
             units: 64,
             dropoutRate: 0.2,
-            useAttention: true,    //
-            featureScaling: true   //
+            ...loadBestConfig(),
+            ...modelOptions,
+            seed
         });
 
-        console.log(`Starting LSTM model training with daily data...`);
+        console.log(`Starting LSTM model training with daily data (seed ${seed})...`);
         console.log(`Targeting daily drops <= ${newThresholdDaily * 100}%`);
-        console.log(`Using a lookback window of ${desiredLookbackWindowDays} days.`);
+        console.log(`Using a lookback window of ${lstmPredictor.lookbackWindow} days.`);
+        console.log(`Architecture: ${lstmPredictor.architecture}, attention: ${lstmPredictor.attention}, horizons: ${lstmPredictor.horizons.join(', ')} days.`);
 
         // The LSTMCrashPredictor's `update` and internal `preprocessData` methods
         // MUST be correctly modified to handle this `dailyFeatureData` structure.
@@ -156,16 +311,43 @@ async function pretrainLSTM() {
             await lstmPredictor.model.save(MODEL_SAVE_PATH);
             console.log(`Trained LSTM model saved to ${MODEL_SAVE_PATH}`);
 
+            // Regime networks go next to it; the browser blends them in by regime confidence
+            for (const [regime, regimeModel] of Object.entries(lstmPredictor.regimeModels)) {
+                await regimeModel.save(`${MODEL_SAVE_PATH}/regime_${regime}`);
+                console.log(`${regime} regime model saved to ${MODEL_SAVE_PATH}/regime_${regime}`);
+            }
+
             if (lstmPredictor.featureScaling && lstmPredictor.featureMeans && lstmPredictor.featureStds) {
                 const normalizationParams = {
                     featureMeans: lstmPredictor.featureMeans,
                     featureStds: lstmPredictor.featureStds,
-                    featureList: lstmPredictor.featureList // Ensure LSTMCrashPredictor correctly populates this
+                    featureList: lstmPredictor.featureList,
+                    threshold: lstmPredictor.threshold, // Daily return the labels mark as a crash
+                    horizons: lstmPredictor.horizons,   // Days ahead of each network output
+                    architecture: lstmPredictor.architecture,
+                    attention: lstmPredictor.attention,
+                    regimeModels: Object.keys(lstmPredictor.regimeModels),
+                    regimeScale: lstmPredictor.regimeScale // Training returns the regimes are scaled to
                 };
                 fs.writeFileSync(NORMALIZATION_PARAMS_PATH, JSON.stringify(normalizationParams, null, 2));
                 console.log(`Normalization parameters saved to ${NORMALIZATION_PARAMS_PATH}`);
             }
 
+            const manifest = {
+                ...lstmPredictor.getTrainingManifest(),
+                input: {
+                    source: dataFile || COINMETRICS_BTC_CSV_URL,
+                    sha256: inputHash,
+                    bytes: Buffer.byteLength(csvText)
+                },
+                runtime: {
+                    node: process.version,
+                    tfjs: tf.version.tfjs
+                }
+            };
+            fs.writeFileSync(TRAINING_MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+            console.log(`Training manifest saved to ${TRAINING_MANIFEST_PATH}`);
+
             if (Object.keys(lstmPredictor.featureImportance).length > 0) {
                 console.log("Calculated Feature Importance (relative contribution after perturbation):");
                 const sortedImportance = Object.entries(lstmPredictor.featureImportance)
@@ -0,0 +1,1626 @@
+/**
+ * Markov Model
+ * The Bayesian Markov-switching forecaster used by FORECASTOOOOOR.html.
+ * Days are classified into return states by quantiles of their regime's log
+ * returns (crash / normal / pump at the 1st and 99th percentiles by default);
+ * transition probabilities get Dirichlet priors adjusted for season,
+ * volatility, on-chain metrics, sentiment and cycle.
+ *
+ * `?states=` (3, 5 or 7) overrides the stored number of states.
+ */
+
+import { state } from './state.js';
+import { readSetting } from './data-sources.js';
+import { calculateBitcoinInflationRateAndSupply } from './onchain-processor.js';
+import {
+  DEFAULT_RETURN_GENERATOR,
+  fitReturnGenerators,
+  createReturnSampler,
+  standardizedResiduals,
+  garchVariance
+} from './return-generators.js';
+import { simulationRandom } from './simulation-seed.js';
+import { calculatePathMetrics } from './path-metrics.js';
+
+// State names and the log-return quantiles between them, by number of states.
+// States whose returns lie entirely in the bottom (top) 1% count as crash (pump)
+// states, so crash and pump probabilities mean the same in every layout.
+const MARKOV_STATE_LAYOUTS = {
+  3: {
+    names: ['crash', 'normal', 'pump'],
+    quantiles: [0.01, 0.99]
+  },
+  5: {
+    names: ['crash', 'down', 'flat', 'up', 'pump'],
+    quantiles: [0.01, 0.3, 0.7, 0.99]
+  },
+  7: {
+    names: ['severe-crash', 'crash', 'down', 'flat', 'up', 'pump', 'mega-pump'],
+    quantiles: [0.0025, 0.01, 0.3, 0.7, 0.99, 0.9975]
+  }
+};
+const DEFAULT_STATE_COUNT = 3;
+const STATE_COUNT_STORAGE_KEY = 'rektMarkovStates';
+const EXTREME_QUANTILE = 0.01;
+
+/**
+ * Resolve the number of Markov states (?states= overrides the stored choice)
+ * @returns {number} A key of MARKOV_STATE_LAYOUTS
+ */
+function resolveStateCount() {
+  const text = readSetting('states', STATE_COUNT_STORAGE_KEY);
+  if (text && MARKOV_STATE_LAYOUTS[text]) return Number(text);
+
+  if (text) {
+    console.warn(`Unknown Markov state count "${text}", using ${DEFAULT_STATE_COUNT}`);
+  }
+  return DEFAULT_STATE_COUNT;
+}
+
+/**
+ * Get the number of states the forecaster's Markov model uses
+ * @returns {number} A key of MARKOV_STATE_LAYOUTS
+ */
+function getStateCount() {
+  if (!state.markovStateCount) {
+    state.markovStateCount = resolveStateCount();
+  }
+  return state.markovStateCount;
+}
+
+/**
+ * Make a number of states the default and remember it for future visits
+ * Callers recalculate the forecast afterwards.
+ * @param {number} stateCount - A key of MARKOV_STATE_LAYOUTS
+ */
+function setStateCount(stateCount) {
+  if (!MARKOV_STATE_LAYOUTS[stateCount]) {
+    throw new Error(`Unknown Markov state count "${stateCount}". Use one of: ${Object.keys(MARKOV_STATE_LAYOUTS).join(', ')}`);
+  }
+
+  state.markovStateCount = stateCount;
+
+  try {
+    localStorage.setItem(STATE_COUNT_STORAGE_KEY, String(stateCount));
+  } catch (e) {
+    console.warn('Could not store Markov state count:', e);
+  }
+}
+
+/**
+ * Unified Bayesian Markov-Switching Model for Bitcoin Price Forecasting
+ * Implements a coherent Bayesian framework where transition probabilities follow Dirichlet priors
+ */
+class UnifiedBayesianMarkovModel {
+  /**
+   * @param {number} stateCount - Number of return states
+   * @param {Object} layout - {names, quantiles} for the states, lowest returns
+   *   first; defaults to MARKOV_STATE_LAYOUTS[stateCount]
+   */
+  constructor(stateCount = DEFAULT_STATE_COUNT, layout = MARKOV_STATE_LAYOUTS[stateCount]) {
+    if (!layout || layout.names.length !== stateCount || layout.quantiles.length !== stateCount - 1) {
+      throw new Error(`No layout of ${stateCount} states. Use one of: ${Object.keys(MARKOV_STATE_LAYOUTS).join(', ')} or pass names and quantiles`);
+    }
+
+    this.stateCount = stateCount;
+    this.stateNames = [...layout.names];
+    this.stateQuantiles = [...layout.quantiles];
+    
+    // Return quantile range of each state
+    const edges = [0, ...this.stateQuantiles, 1];
+    this.crashStates = this.stateNames.map((_, i) => i).filter(i => edges[i + 1] <= EXTREME_QUANTILE);
+    this.pumpStates = this.stateNames.map((_, i) => i).filter(i => edges[i] >= 1 - EXTREME_QUANTILE);
+    if (this.crashStates.length === 0) this.crashStates = [0];
+    if (this.pumpStates.length === 0) this.pumpStates = [stateCount - 1];
+    
+    // State holding the median return (also used for days without a return)
+    this.medianState = this.stateQuantiles.filter(q => q <= 0.5).length;
+    
+    // Initialize transition count matrix - each row is transitions FROM state i
+    this.transitionCounts = Array(stateCount).fill().map(() => 
+      Array(stateCount).fill(0)
+    );
+    
+    // Prior concentration parameters for Dirichlet distribution (one set per row)
+    // These represent our initial beliefs about transition probabilities
+    this.priorConcentration = Array(stateCount).fill().map(() => 
+      Array(stateCount).fill(1.0)  // Symmetric Dirichlet(1,...,1) prior initially
+    );
+    
+    // Adjusted prior parameters (modified by seasonal, cyclical factors)
+    this.adjustedPrior = JSON.parse(JSON.stringify(this.priorConcentration));
+    
+    // Posterior parameters will be adjusted prior + counts
+    this.posteriorConcentration = JSON.parse(JSON.stringify(this.priorConcentration));
+    
+    // State marginal probabilities (steady state)
+    this.steadyStateProbs = Array(stateCount).fill(1/stateCount);
+    
+    // Average returns and return volatility for each state, by name
+    // Default values, will be updated with actual data
+    this.stateReturns = {};
+    this.stateVolatility = {};
+    
+    // Generator the simulation draws from (seeded per forecast, see generateForecast)
+    this.random = Math.random;
+    this.stateNames.forEach((name, i) => {
+      const extreme = this.crashStates.includes(i) || this.pumpStates.includes(i);
+      this.stateReturns[name] = this.crashStates.includes(i) ? -0.1 : this.pumpStates.includes(i) ? 0.1 : 0.002;
+      this.stateVolatility[name] = extreme ? 0.05 : 0.02;
+    });
+    
+    // Current state distribution (initialization)
+    this.currentStateDist = Array(stateCount).fill(1/stateCount);
+    
+    // Maximum number of simulation paths
+    this.maxSimulationPaths = 10000;
+    
+    // Context factors
+    this.seasonalFactors = {};
+    this.monthlyStats = {};
+    this.currentMonth = new Date().getMonth() + 1;
+    
+    // Return generator fits and the crash / pump day thresholds (set by train)
+    this.returnFit = null;
+    this.tailThresholds = { crash: -0.05, pump: 0.05 };
+    
+    // Reported as the forecast's modelType
+    this.modelType = 'UnifiedBayesianMarkov';
+  }
+  
+  /**
+   * Categorize each day into states based on return thresholds
+   * @param {Array} data - Time series data with price and returns
+   * @returns {Array} - Same data with state labels added
+   */
+  categorizeDataIntoStates(data) {
+    if (!data || data.length === 0) {
+      console.error('No data provided for state categorization');
+      return [];
+    }
+    
+    // Group data by regime (halving epoch for Bitcoin)
+    const epochData = {};
+    data.forEach(d => {
+      if (!epochData[d.regime]) {
+        epochData[d.regime] = [];
+      }
+      epochData[d.regime].push(d);
+    });
+    
+    // Calculate thresholds for each epoch to define our states
+    // (the log returns at the layout's quantiles, lowest first)
+    const epochThresholds = {};
+    
+    Object.keys(epochData).forEach(epoch => {
+      const epochLogReturns = epochData[epoch]
+        .map(d => d.logReturn)
+        .filter(r => !isNaN(r) && isFinite(r));
+      
+      if (epochLogReturns.length > 0) {
+        epochLogReturns.sort((a, b) => a - b);
+        epochThresholds[epoch] = this.stateQuantiles.map(q => epochLogReturns[Math.floor(epochLogReturns.length * q)]);
+      }
+    });
+    
+    // Default thresholds if no data: ±5% at the 1st and 99th percentiles, linear between
+    const defaultThresholds = this.stateQuantiles.map(q => -0.05 + 0.1 * (q - 0.01) / 0.98);
+    
+    // Categorize each day into one of the states
+    // Creates a new data array to avoid modifying original
+    return data.map(d => {
+      const newPoint = {...d}; // Create a copy of data point
+      
+      const thresholds = epochThresholds[d.regime] || defaultThresholds;
+      
+      // A return below a lower-half threshold, or at most an upper-half one,
+      // puts the day in the state below that threshold
+      let stateIndex = this.medianState;
+      if (!isNaN(d.logReturn)) {
+        stateIndex = this.stateQuantiles.findIndex((q, k) =>
+          q < 0.5 ? d.logReturn < thresholds[k] : d.logReturn <= thresholds[k]);
+        if (stateIndex === -1) stateIndex = this.stateCount - 1;
+      }
+      newPoint.returnState = stateIndex + 1; // 1-indexed (1 = lowest returns)
+      
+      return newPoint;
+    });
+  }
+  
+  /**
+   * Calculate seasonal factors and statistics by month
+   * @param {Array} stateData - Data points with state labels
+   * @returns {Object} - Monthly statistics and factors
+   */
+  calculateMonthlyFactors(stateData) {
+    // Count the days in each state, by state name
+    const countStates = days => {
+      const counts = {};
+      this.stateNames.forEach(name => { counts[name] = 0; });
+      days.forEach(d => {
+        const name = this.stateNames[d.returnState - 1];
+        if (name) counts[name]++;
+      });
+      return counts;
+    };
+    
+    // First, calculate global state counts
+    const totalCounts = countStates(stateData);
+    const totalDays = stateData.length;
+    
+    // Calculate global state frequencies
+    const globalFreqs = {};
+    this.stateNames.forEach(name => {
+      globalFreqs[name] = totalCounts[name] / totalDays;
+    });
+    
+    // Stats by month
+    const monthlyStats = {};
+    
+    // Calculate factors by month
+    for (let m = 1; m <= 12; m++) {
+      const monthlyData = stateData.filter(d => {
+        const date = d.date instanceof Date ? d.date : new Date(d.date);
+        return date.getMonth() + 1 === m;
+      });
+      
+      if (monthlyData.length === 0) continue;
+      
+      // Count states for this month
+      const monthlyCounts = countStates(monthlyData);
+      
+      // Calculate monthly frequencies and seasonal factors
+      // (ratio of monthly frequency to global frequency)
+      const totalMonthDays = monthlyData.length;
+      const monthlyFreqs = {};
+      const seasonalFactors = {};
+      this.stateNames.forEach(name => {
+        monthlyFreqs[name] = monthlyCounts[name] / totalMonthDays;
+        seasonalFactors[name] = globalFreqs[name] > 0 ? monthlyFreqs[name] / globalFreqs[name] : 1.0;
+      });
+      
+      // Calculate monthly transition counts
+      const monthlyTransitionCounts = Array(this.stateCount).fill().map(() => 
+        Array(this.stateCount).fill(0)
+      );
+      
+      for (let i = 1; i < monthlyData.length; i++) {
+        const prevState = monthlyData[i-1].returnState - 1; // Convert to 0-indexed
+        const currState = monthlyData[i].returnState - 1;   // Convert to 0-indexed
+        
+        if (prevState >= 0 && prevState < this.stateCount && 
+            currState >= 0 && currState < this.stateCount) {
+          monthlyTransitionCounts[prevState][currState]++;
+        }
+      }
+      
+      // Store monthly statistics
+      monthlyStats[m] = {
+        totalDays: totalMonthDays,
+        stateCounts: monthlyCounts,
+        frequencies: monthlyFreqs,
+        seasonalFactors: seasonalFactors,
+        transitionCounts: monthlyTransitionCounts
+      };
+    }
+    
+    return {
+      globalFreqs,
+      monthlyStats
+    };
+  }
+  
+  /**
+   * Train the model with data
+   * @param {Array} data - Time series price data
+   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
+   */
+  train(data) {
+    // First categorize data into states
+    const stateData = this.categorizeDataIntoStates(data);
+    
+    // Calculate monthly statistics and seasonal factors
+    const { globalFreqs, monthlyStats } = this.calculateMonthlyFactors(stateData);
+    this.monthlyStats = monthlyStats;
+    this.steadyStateProbs = this.stateNames.map(name => globalFreqs[name]);
+    
+    // Reset transition counts
+    this.transitionCounts = Array(this.stateCount).fill().map(() => 
+      Array(this.stateCount).fill(0)
+    );
+    
+    // Count transitions across all data
+    for (let i = 1; i < stateData.length; i++) {
+      const prevState = stateData[i-1].returnState - 1; // Convert to 0-indexed
+      const currState = stateData[i].returnState - 1;   // Convert to 0-indexed
+      
+      if (prevState >= 0 && prevState < this.stateCount && 
+          currState >= 0 && currState < this.stateCount) {
+        this.transitionCounts[prevState][currState]++;
+      }
+    }
+    
+    // Calculate average returns for each state
+    const returnsInState = this.stateNames.map(() => []);
+    
+    stateData.forEach(d => {
+      if (d.returnState && d.logReturn !== undefined) {
+        const stateIndex = d.returnState - 1;
+        if (stateIndex >= 0 && stateIndex < this.stateCount) {
+          returnsInState[stateIndex].push(d.logReturn);
+        }
+      }
+    });
+    
+    // Update state returns with actual data
+    for (let i = 0; i < this.stateCount; i++) {
+      const stateReturns = returnsInState[i];
+      if (stateReturns.length > 0) {
+        const avgReturn = stateReturns.reduce((sum, r) => sum + r, 0) / stateReturns.length;
+        this.stateReturns[this.stateNames[i]] = avgReturn;
+        
+        // Also calculate volatility within each state
+        const squaredDiffs = stateReturns.map(r => Math.pow(r - avgReturn, 2));
+        const variance = squaredDiffs.reduce((sum, sq) => sum + sq, 0) / stateReturns.length;
+        this.stateVolatility[this.stateNames[i]] = Math.sqrt(variance);
+      }
+    }
+    
+    // Fit the return generators and the crash / pump thresholds of the simulation
+    this.returnFit = fitReturnGenerators(stateData, this.stateNames, this.stateReturns, this.stateVolatility);
+    this.tailThresholds = this.calculateTailThresholds(data);
+    
+    // Set current state based on most recent data point
+    if (stateData.length > 0) {
+      const lastState = stateData[stateData.length - 1].returnState - 1;
+      this.setCurrentState(lastState);
+    }
+    
+    // Update posterior with base prior + counts
+    this.updatePosterior();
+    
+    return this;
+  }
+  
+  /**
+   * Daily log returns beyond which a simulated day counts as a crash or a pump:
+   * the 1st and 99th percentiles of all the returns, as the state returns and
+   * volatilities the paths are drawn with are pooled over the halving epochs
+   * (the states themselves use each epoch's percentiles)
+   * @param {Array} data - Time series data with logReturn
+   * @returns {Object} {crash, pump}
+   */
+  calculateTailThresholds(data) {
+    const returns = data
+      .map(d => d.logReturn)
+      .filter(r => typeof r === 'number' && isFinite(r))
+      .sort((a, b) => a - b);
+    
+    if (returns.length === 0) {
+      return { crash: -0.05, pump: 0.05 };
+    }
+    return {
+      crash: returns[Math.floor(returns.length * EXTREME_QUANTILE)],
+      pump: returns[Math.floor(returns.length * (1 - EXTREME_QUANTILE))]
+    };
+  }
+  
+  /**
+   * Start simulations at the end of a history instead of the training data:
+   * its tail thresholds, and its GARCH variance for the garch generator
+   * (the state distribution is set separately, see latestStateDistribution)
+   * @param {Array} data - History the trained model forecasts from
+   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
+   */
+  prepareSimulation(data) {
+    this.tailThresholds = this.calculateTailThresholds(data);
+    
+    if (this.returnFit && this.returnFit.garch) {
+      const residuals = standardizedResiduals(
+        this.categorizeDataIntoStates(data), this.stateNames, this.stateReturns, this.stateVolatility);
+      this.returnFit.garch.lastVariance = garchVariance(this.returnFit.garch, residuals);
+    }
+    return this;
+  }
+  
+  /**
+   * Adjust the prior concentration parameters based on context
+   * @param {Object} context - The context factors to adjust for
+   * @returns {Array} - The adjusted prior concentration parameters
+   */
+  adjustPrior(context = {}) {
+  // Extract context parameters
+  const cyclePosition = context.cyclePosition !== undefined ? context.cyclePosition : 0.5;
+  const onChainMetrics = context.onChainMetrics || {};
+  const volatilityRatio = context.volatilityRatio || 1.0;
+  const currentMonth = context.currentMonth || this.currentMonth;
+  const monthlyStats = context.monthlyStats || this.monthlyStats;
+  
+  // Access required data from state
+  const allBitcoinData = state ? state.bitcoinData || [] : [];
+  const sentimentData = state ? state.sentimentData : null;
+  const globalSentimentScore = sentimentData ? sentimentData.value : 50; // Default to neutral
+  
+  console.log(`Adjusting prior for current month: ${currentMonth}, cycle position: ${cyclePosition.toFixed(2)}`);
+  
+  // Create a deep copy of base prior
+  const adjustedPrior = JSON.parse(JSON.stringify(this.priorConcentration));
+  
+  // Extract volatility metrics from state or context
+  let recent30DayVolatility = 0.02; // Default value
+  let currentMonthHistoricalVolatility = 0.02; // Default value
+  let historicalVolatility = 0.02; // Default value
+  
+  if (context.volatilityMetrics) {
+    recent30DayVolatility = context.volatilityMetrics.recent30Day || recent30DayVolatility;
+    currentMonthHistoricalVolatility = context.volatilityMetrics.currentMonthHistorical || currentMonthHistoricalVolatility;
+    historicalVolatility = context.volatilityMetrics.historical || historicalVolatility;
+  } else if (state && state.volatilityMetrics) {
+    recent30DayVolatility = state.volatilityMetrics.recent30Day || recent30DayVolatility;
+    historicalVolatility = state.volatilityMetrics.historical || historicalVolatility;
+    
+    // Use month-specific historical volatility if available
+    if (state.volatilityMetrics.byMonth && state.volatilityMetrics.byMonth[currentMonth-1]) {
+      currentMonthHistoricalVolatility = state.volatilityMetrics.byMonth[currentMonth-1];
+    }
+  } else if (state && state.latestOnChainMetrics && state.latestOnChainMetrics.volatility) {
+    recent30DayVolatility = state.latestOnChainMetrics.volatility.recent || recent30DayVolatility;
+    historicalVolatility = state.latestOnChainMetrics.volatility.historical || historicalVolatility;
+    
+    // Estimate current month historical volatility if not available
+    currentMonthHistoricalVolatility = historicalVolatility * (1 + (this.random() * 0.2 - 0.1));
+  }
+  
+  // Get Bitcoin fundamental metrics
+  const bitcoinFundamentals = onChainMetrics.bitcoinFundamentals || 
+    calculateBitcoinInflationRateAndSupply(allBitcoinData, new Date());
+  
+  // Calculate all factor components
+  // 1. Base seasonal factor
+  const baseSeasonalFactor = this._calculateBaseSeasonalFactor(currentMonth, allBitcoinData);
+  
+  // 2. Volatility components
+  const volatilityComponents = this._calculateVolatilityComponents(
+    currentMonth, 
+    recent30DayVolatility, 
+    currentMonthHistoricalVolatility, 
+    historicalVolatility
+  );
+  
+  // Calculate volatility adjustment (combined factor)
+  const volatilityAdjustment = Math.sqrt(
+    volatilityComponents.shortTermRatio * 0.5 + 
+    volatilityComponents.monthRatio * 0.5
+  );
+  
+  // 3. On-chain factor
+  const currentOnChainFactor = this._calculateCurrentOnChainFactor(onChainMetrics);
+  
+  // 4. Sentiment factor
+  const currentMonthSentimentFactor = this._calculateCurrentMonthSentimentFactor(
+    currentMonth, 
+    globalSentimentScore, 
+    allBitcoinData
+  );
+  
+  // 5. Bitcoin fundamental factors
+  const fundamentalFactors = this._calculateFundamentalBitcoinFactor(bitcoinFundamentals);
+  
+  // 6. Cycle factor (now incorporating bitcoin fundamentals)
+  const currentMonthCycleFactor = this._calculateCurrentMonthCycleFactor(
+    currentMonth, 
+    cyclePosition, 
+    allBitcoinData,
+    bitcoinFundamentals
+  );
+  
+  console.log('Final adjustment factors:');
+  console.log(`- Base seasonal factor: ${baseSeasonalFactor.toFixed(2)}`);
+  console.log(`- Volatility adjustment: ${volatilityAdjustment.toFixed(2)}`);
+  console.log(`- On-chain factor: ${currentOnChainFactor.toFixed(2)}`);
+  console.log(`- Sentiment factor: ${currentMonthSentimentFactor.toFixed(2)}`);
+  console.log(`- Bitcoin inflation factor: ${fundamentalFactors.inflationFactor_val.toFixed(2)}`);
+  console.log(`- Bitcoin scarcity factor: ${fundamentalFactors.scarcityFactor_val.toFixed(2)}`);
+  console.log(`- Halving cycle phase factor: ${fundamentalFactors.halvingCyclePhaseFactor_val.toFixed(2)}`);
+  console.log(`- Cycle factor: ${currentMonthCycleFactor.toFixed(2)}`);
+  
+  // Apply all factors to the prior - for each "from" state
+  for (let i = 0; i < this.stateCount; i++) {
+    let crashModifier = 1.0;
+    let pumpModifier = 1.0;
+    let normalModifier = 1.0;
+    
+    // 1. Apply base seasonal factor (affects crash probability)
+    if (baseSeasonalFactor > 1.2) {
+      // Month is more crash-prone than average
+      crashModifier *= baseSeasonalFactor;
+    } else if (baseSeasonalFactor < 0.8) {
+      // Month is less crash-prone than average (at most doubled, as a month
+      // without any events has a factor of 0)
+      pumpModifier *= Math.min(2.0, 1 / baseSeasonalFactor);
+    }
+    
+    // 2. Apply volatility adjustment (affects both crash and pump)
+    if (volatilityAdjustment > 1.1) {
+      // Higher volatility means both pump and crash more likely
+      crashModifier *= volatilityAdjustment;
+      pumpModifier *= volatilityAdjustment;
+      normalModifier /= Math.min(2.0, volatilityAdjustment * volatilityAdjustment);
+    } else if (volatilityAdjustment < 0.9) {
+      // Lower volatility means more normal periods
+      normalModifier *= (1 / volatilityAdjustment);
+    }
+    
+    // 3. Apply on-chain factor (primarily affects crash probability)
+    if (currentOnChainFactor > 1.1) {
+      // Higher on-chain risk means more crash probability
+      crashModifier *= currentOnChainFactor;
+    } else if (currentOnChainFactor < 0.9) {
+      // Lower on-chain risk means less crash, more pump probability
+      pumpModifier *= (1 / currentOnChainFactor);
+    }
+    
+    // 4. Apply sentiment factor (affects both crash and pump)
+    if (currentMonthSentimentFactor > 1.1) {
+      // Negative sentiment increases crash probability
+      crashModifier *= currentMonthSentimentFactor;
+    } else if (currentMonthSentimentFactor < 0.9) {
+      // Positive sentiment increases pump probability
+      pumpModifier *= (1 / currentMonthSentimentFactor);
+    }
+    
+    // 5. Apply cycle factor (primarily affects extremes depending on cycle position)
+    if (currentMonthCycleFactor > 1.1) {
+      // Late cycle increases crash probability
+      crashModifier *= currentMonthCycleFactor;
+    } else if (currentMonthCycleFactor < 0.9) {
+      // Early cycle increases pump probability
+      pumpModifier *= (1 / currentMonthCycleFactor);
+    }
+    
+    // 6. Apply Bitcoin fundamental factors
+    
+    // 6.1 Inflation factor - lower inflation is bullish
+    if (fundamentalFactors.inflationFactor_val < 0.9) {
+      // Low inflation increases pump probability
+      pumpModifier *= (1 / fundamentalFactors.inflationFactor_val);
+      crashModifier *= fundamentalFactors.inflationFactor_val;
+    } else if (fundamentalFactors.inflationFactor_val > 1.1) {
+      // High inflation increases crash probability
+      crashModifier *= fundamentalFactors.inflationFactor_val;
+    }
+    
+    // 6.2 Scarcity factor - higher scarcity is bullish
+    if (fundamentalFactors.scarcityFactor_val < 0.9) {
+      // High scarcity (low factor) increases pump probability
+      pumpModifier *= (1 / fundamentalFactors.scarcityFactor_val);
+    }
+    
+    // Balance normal state probability based on extreme state modifications
+    normalModifier = 1 / (Math.sqrt(crashModifier * pumpModifier) || 1);
+    
+    // Bound normal modifier to avoid extreme values
+    normalModifier = Math.max(0.5, Math.min(1.5, normalModifier));
+    
+    // Apply the modifiers to our prior for each target state: crash states get
+    // the crash modifier, pump states the pump modifier, the rest the normal one
+    for (let j = 0; j < this.stateCount; j++) {
+      const modifier = this.crashStates.includes(j) ? crashModifier :
+        this.pumpStates.includes(j) ? pumpModifier : normalModifier;
+      adjustedPrior[i][j] = Math.max(0.01, this.priorConcentration[i][j] * modifier);
+    }
+    
+    // Log the adjustments
+    console.log(`From state ${i} adjustments: Crash=${crashModifier.toFixed(2)}, Normal=${normalModifier.toFixed(2)}, Pump=${pumpModifier.toFixed(2)}`);
+  }
+  
+  // Store the adjusted prior
+  this.adjustedPrior = adjustedPrior;
+  
+  return adjustedPrior;
+}
+  
+  /**
+   * Update posterior parameters by adding counts to adjusted prior
+   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
+   */
+  updatePosterior() {
+    for (let i = 0; i < this.stateCount; i++) {
+      for (let j = 0; j < this.stateCount; j++) {
+        this.posteriorConcentration[i][j] = this.adjustedPrior[i][j] + this.transitionCounts[i][j];
+      }
+    }
+    return this;
+  }
+  
+  /**
+   * Calculate transition matrix from concentration parameters
+   * @param {Array} concentrationParams - Optional specific concentration parameters
+   * @returns {Array} - The transition probability matrix
+   */
+  getTransitionMatrix(concentrationParams = null) {
+    const params = concentrationParams || this.posteriorConcentration;
+    
+    // For each state, calculate transition probabilities
+    return params.map(row => {
+      const rowSum = row.reduce((sum, val) => sum + val, 0);
+      return row.map(param => param / rowSum);
+    });
+  }
+  
+  /**
+   * Set the current state distribution
+   * @param {number} stateIndex - The current state (index into stateNames, 0 = lowest returns)
+   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
+   */
+  setCurrentState(stateIndex) {
+    this.currentStateDist = Array(this.stateCount).fill(0);
+    if (stateIndex >= 0 && stateIndex < this.stateCount) {
+      this.currentStateDist[stateIndex] = 1.0;
+    } else {
+      // If invalid state, use steady state distribution
+      this.currentStateDist = [...this.steadyStateProbs];
+    }
+    return this;
+  }
+  
+  /**
+   * Set current state probabilistically
+   * @param {Array} distribution - Probability distribution over states
+   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
+   */
+  setCurrentStateDist(distribution) {
+    if (Array.isArray(distribution) && distribution.length === this.stateCount) {
+      const sum = distribution.reduce((sum, val) => sum + val, 0);
+      if (sum > 0) {
+        this.currentStateDist = distribution.map(val => val / sum);
+      }
+    }
+    return this;
+  }
+  
+  /**
+   * State distribution at the end of a history, for setCurrentStateDist
+   * @param {Array} data - Time series data, chronologically sorted
+   * @returns {Array} - Distribution with all weight on the last day's state
+   */
+  latestStateDistribution(data) {
+    const stateData = this.categorizeDataIntoStates(data);
+    const distribution = Array(this.stateCount).fill(0);
+    distribution[stateData[stateData.length - 1].returnState - 1] = 1;
+    return distribution;
+  }
+  
+  /**
+   * Forecast state probabilities over time using matrix multiplication
+   * @param {number} steps - Number of time steps to predict
+   * @param {Array} transitionMatrix - Optional specific transition matrix
+   * @returns {Array} - State probability distributions for each time step
+   */
+  forecastStateDistribution(steps, transitionMatrix = null) {
+    const tMatrix = transitionMatrix || this.getTransitionMatrix();
+    const distributions = [this.currentStateDist];
+    
+    let currentDist = [...this.currentStateDist];
+    
+    for (let t = 0; t < steps; t++) {
+      // Matrix multiply: currentDist * transitionMatrix
+      const nextDist = Array(this.stateCount).fill(0);
+      
+      for (let i = 0; i < this.stateCount; i++) {
+        for (let j = 0; j < this.stateCount; j++) {
+          nextDist[j] += currentDist[i] * tMatrix[i][j];
+        }
+      }
+      
+      distributions.push(nextDist);
+      currentDist = nextDist;
+    }
+    
+    return distributions;
+  }
+  
+  /**
+   * Calculate expected returns for each time step
+   * @param {number} steps - Number of time steps to predict
+   * @param {Array} transitionMatrix - Optional specific transition matrix
+   * @returns {Array} - Expected return for each time step
+   */
+  calculateExpectedReturns(steps, transitionMatrix = null) {
+    const distributions = this.forecastStateDistribution(steps, transitionMatrix);
+    
+    return distributions.map(dist => {
+      let expectedReturn = 0;
+      for (let i = 0; i < this.stateCount; i++) {
+        expectedReturn += dist[i] * this.stateReturns[this.stateNames[i]];
+      }
+      return expectedReturn;
+    });
+  }
+  
+  /**
+   * Calculate probability of at least one occurrence of a specific state
+   * @param {number} steps - Number of time steps
+   * @param {number|Array<number>} targetStates - The state(s) we're interested in
+   *   (e.g. this.crashStates); the probability is of visiting any of them
+   * @param {Array} transitionMatrix - Optional specific transition matrix
+   * @returns {number} - Probability of seeing state at least once
+   */
+  calculateCumulativeStateProbability(steps, targetStates, transitionMatrix = null) {
+    const targets = Array.isArray(targetStates) ? targetStates : [targetStates];
+    if (targets.length === 0 || targets.some(target => target < 0 || target >= this.stateCount)) {
+      console.error('Invalid target state:', targetStates);
+      return 0;
+    }
+    
+    const tMatrix = transitionMatrix || this.getTransitionMatrix();
+    
+    // We need to modify the transition matrix to calculate this efficiently
+    // Make a deep copy first to avoid modifying the original
+    const modifiedMatrix = JSON.parse(JSON.stringify(tMatrix));
+    
+    // Make the target states "sticky" (absorbing states)
+    for (let i = 0; i < this.stateCount; i++) {
+      if (targets.includes(i)) {
+        // Set row to all zeros except self-transition = 1
+        modifiedMatrix[i] = Array(this.stateCount).fill(0);
+        modifiedMatrix[i][i] = 1;
+      }
+    }
+    
+    // Calculate probability of ending up in these absorbing states
+    const distributions = this.forecastStateDistribution(steps, modifiedMatrix);
+    const finalDist = distributions[distributions.length - 1];
+    
+    // The probability of the absorbing states is the probability of seeing one at least once
+    return targets.reduce((sum, target) => sum + finalDist[target], 0);
+  }
+  
+  /**
+   * Generate sample paths for Monte Carlo simulation
+   * @param {number} steps - Number of time steps
+   * @param {number} numPaths - Number of paths to generate
+   * @param {Array} transitionMatrix - Optional specific transition matrix
+   * @returns {Array} - Array of state paths
+   */
+  generateStatePaths(steps, numPaths = 1000, transitionMatrix = null) {
+    const tMatrix = transitionMatrix || this.getTransitionMatrix();
+    const paths = [];
+    
+    // Limit number of paths to avoid excessive computation
+    numPaths = Math.min(numPaths, this.maxSimulationPaths);
+    
+    for (let n = 0; n < numPaths; n++) {
+      // Sample initial state from current distribution
+      let currentState = this.sampleFromDistribution(this.currentStateDist);
+      const path = [currentState];
+      
+      // Generate the path
+      for (let t = 0; t < steps; t++) {
+        // Sample next state from current state's transition probabilities
+        const nextState = this.sampleFromDistribution(tMatrix[currentState]);
+        path.push(nextState);
+        currentState = nextState;
+      }
+      
+      paths.push(path);
+    }
+    
+    return paths;
+  }
+  
+  /**
+   * Sample from a discrete probability distribution
+   * @param {Array} probabilities - Array of probabilities that sum to 1
+   * @returns {number} - Sampled index
+   */
+  sampleFromDistribution(probabilities) {
+    const sum = probabilities.reduce((a, b) => a + b, 0);
+    if (sum === 0) return 0; // Default to first state if all zeros
+    
+    // Normalize to ensure sum is 1
+    const normProbs = probabilities.map(p => p / sum);
+    
+    const r = this.random();
+    let cumulativeProb = 0;
+    
+    for (let i = 0; i < normProbs.length; i++) {
+      cumulativeProb += normProbs[i];
+      if (r < cumulativeProb) {
+        return i;
+      }
+    }
+    
+    // Fallback (shouldn't normally reach here)
+    return normProbs.length - 1;
+  }
+  
+  /**
+   * Generate price paths from state paths
+   * @param {Array} statePaths - Array of state paths
+   * @param {number} currentPrice - Current price to start from
+   * @param {boolean} addRandomness - Whether to add randomness within states
+   * @param {string} generator - Return generator for the randomness (see return-generators.js)
+   * @returns {Array} - Array of price paths
+   */
+  statesToPricePaths(statePaths, currentPrice, addRandomness = true, generator = DEFAULT_RETURN_GENERATOR) {
+    const sampler = createReturnSampler(generator, {
+      stateNames: this.stateNames,
+      stateReturns: this.stateReturns,
+      stateVolatility: this.stateVolatility,
+      fit: this.returnFit
+    }, this.random);
+    
+    return statePaths.map(statePath => {
+      let price = currentPrice;
+      const pricePath = [price];
+      const drawReturn = sampler.startPath();
+      
+      for (let t = 1; t < statePath.length; t++) {
+        const state = statePath[t];
+        
+        // Draw the return within the state if requested, otherwise use its mean
+        const returnValue = addRandomness ? drawReturn(state) : this.stateReturns[this.stateNames[state]];
+        
+        // Apply return to get new price
+        price *= Math.exp(returnValue);
+        pricePath.push(price);
+      }
+      
+      return pricePath;
+    });
+  }
+  
+  /**
+   * Create a full Monte Carlo price simulation
+   * @param {number} steps - Number of time steps
+   * @param {number} currentPrice - Current price to start from
+   * @param {number} numPaths - Number of paths to generate
+   * @param {number} coverage - Share of paths between each step's `lower` and `upper`
+   * @param {string} generator - Return generator (see return-generators.js)
+   * @returns {Object} - Simulation results with price paths, statistics and
+   *   tailShares: the share of paths with at least one crash (pump) day
+   */
+  simulatePricePaths(steps, currentPrice, numPaths = 1000, coverage = 0.9, generator = DEFAULT_RETURN_GENERATOR) {
+    // Generate state paths
+    const statePaths = this.generateStatePaths(steps, numPaths);
+    
+    // Convert to price paths
+    const pricePaths = this.statesToPricePaths(statePaths, currentPrice, true, generator);
+    
+    // Calculate summary statistics for each timepoint
+    const summaryStats = [];
+    
+    for (let t = 0; t <= steps; t++) {
+      const prices = pricePaths.map(path => path[t]);
+      
+      // Sort for percentiles
+      prices.sort((a, b) => a - b);
+      
+      // Calculate percentiles
+      const median = prices[Math.floor(prices.length / 2)];
+      const lower5 = prices[Math.floor(prices.length * 0.05)];
+      const lower25 = prices[Math.floor(prices.length * 0.25)];
+      const upper75 = prices[Math.floor(prices.length * 0.75)];
+      const upper95 = prices[Math.floor(prices.length * 0.95)];
+      const lower = prices[Math.floor(prices.length * (1 - coverage) / 2)];
+      const upper = prices[Math.min(prices.length - 1, Math.floor(prices.length * (1 + coverage) / 2))];
+      
+      // Calculate mean
+      const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+      
+      summaryStats.push({
+        timeStep: t,
+        mean,
+        median,
+        lower5,
+        lower25,
+        upper75,
+        upper95,
+        lower,
+        upper
+      });
+    }
+    
+    // Share of paths with a daily return beyond the crash / pump thresholds
+    const { crash, pump } = this.tailThresholds || { crash: -Infinity, pump: Infinity };
+    const hasDay = (path, beyond) => path.some((price, t) => t > 0 && beyond(Math.log(price / path[t - 1])));
+    const tailShares = {
+      crash: pricePaths.filter(path => hasDay(path, r => r < crash)).length / pricePaths.length,
+      pump: pricePaths.filter(path => hasDay(path, r => r > pump)).length / pricePaths.length
+    };
+    
+    return {
+      pricePaths,
+      summaryStats,
+      tailShares
+    };
+  }
+  
+  /**
+   * Generate a comprehensive forecast for a given timeframe
+   * @param {number} timeframeDays - Number of days to forecast
+   * @param {number} currentPrice - Current price to start from
+   * @param {Object} context - Context factors for adjustment; `coverage` sets the
+   *   share of simulated paths between lowerBound and upperBound (default 0.9),
+   *   `returnGenerator` how the simulation draws returns (default normal), and
+   *   `seed` its random draws (see simulation-seed.js; default Math.random)
+   * @returns {Object} - Complete forecast with all metrics; `pathMetrics` holds
+   *   the path-dependent risk of all simulated paths (see path-metrics.js)
+   */
+  generateForecast(timeframeDays, currentPrice, context = {}) {
+    const coverage = context.coverage || 0.9;
+    const returnGenerator = context.returnGenerator || DEFAULT_RETURN_GENERATOR;
+    const seed = context.seed === undefined ? null : context.seed;
+    this.random = simulationRandom(seed);
+    
+    // Adjust prior based on context
+    this.adjustPrior({
+      cyclePosition: context.cyclePosition,
+      onChainMetrics: context.onChainMetrics,
+      volatilityRatio: context.volatilityRatio,
+      currentMonth: context.currentMonth || this.currentMonth,
+      monthlyStats: this.monthlyStats
+    });
+    
+    // Update posterior parameters
+    this.updatePosterior();
+    
+    // Get transition matrix
+    const transitionMatrix = this.getTransitionMatrix();
+    
+    // Calculate expected returns
+    const expectedReturns = this.calculateExpectedReturns(timeframeDays, transitionMatrix);
+    
+    // Calculate cumulative expected return
+    const dailyReturns = expectedReturns.slice(1); // Skip initial position
+    const cumulativeReturn = dailyReturns.reduce((sum, ret) => sum + ret, 0);
+    
+    // Calculate forecast price using the expected return
+    const forecastPrice = currentPrice * Math.exp(cumulativeReturn);
+    
+    // Run Monte Carlo simulation for price distribution
+    const simulation = this.simulatePricePaths(timeframeDays, currentPrice, 5000, coverage, returnGenerator);
+    
+    // Calculate crash and pump probabilities: of visiting a crash / pump state
+    // with normal returns, otherwise of a simulated crash / pump day, as other
+    // generators also produce them outside those states
+    const stateCrashProb = this.calculateCumulativeStateProbability(timeframeDays, this.crashStates, transitionMatrix);
+    const statePumpProb = this.calculateCumulativeStateProbability(timeframeDays, this.pumpStates, transitionMatrix);
+    const normalReturns = returnGenerator === 'normal';
+    const crashProb = normalReturns ? stateCrashProb : simulation.tailShares.crash;
+    const pumpProb = normalReturns ? statePumpProb : simulation.tailShares.pump;
+    
+    // Extract price bounds from simulation
+    const finalStats = simulation.summaryStats[simulation.summaryStats.length - 1];
+    const lowerBound = finalStats.lower;
+    const upperBound = finalStats.upper;
+    
+    // Format complete forecast
+    return {
+      currentPrice,
+      forecastPrice,
+      lowerBound,
+      upperBound,
+      expectedReturn: cumulativeReturn,
+      dailyReturns: dailyReturns,
+      expectedDailyReturn: cumulativeReturn / timeframeDays,
+      coverage,
+      volatility: (finalStats.upper95 - finalStats.lower5) / (2 * 1.96 * forecastPrice),
+      crashProbability: crashProb,
+      pumpProbability: pumpProb,
+      stateCrashProbability: stateCrashProb,
+      statePumpProbability: statePumpProb,
+      simulatedCrashProbability: simulation.tailShares.crash,
+      simulatedPumpProbability: simulation.tailShares.pump,
+      returnGenerator,
+      seed,
+      timeframeDays,
+      stateCount: this.stateCount,
+      stateNames: this.stateNames,
+      crashStates: this.crashStates,
+      pumpStates: this.pumpStates,
+      stateReturns: this.stateReturns,
+      stateVolatility: this.stateVolatility,
+      steadyStateProbs: this.steadyStateProbs,
+      transitionMatrix,
+      currentStateDist: this.currentStateDist, // <--- ADD THIS LINE
+      simulationSummary: simulation.summaryStats,
+      // Touch, drawdown and first-crash statistics over every simulated path
+      pathMetrics: calculatePathMetrics(simulation.pricePaths, currentPrice, this.tailThresholds.crash),
+      // Include a subset of paths for visualization
+      forecastPaths: simulation.pricePaths.slice(0, 100)
+    };
+  }
+}
+
+/**
+ * Train a model on data and forecast from the last record
+ * @param {UnifiedBayesianMarkovModel} model - Untrained model (or subclass)
+ * @param {Array} data - Bitcoin price data
+ * @param {number} timeframeDays - Forecast horizon in days
+ * @param {Object} context - Context factors for generateForecast
+ * @returns {Object} - Complete forecast, or null on invalid data or an error
+ */
+function calculateModelForecast(model, data, timeframeDays, context = {}) {
+  if (!data || !Array.isArray(data) || data.length === 0) {
+    console.error('Invalid data for forecast');
+    return null;
+  }
+  
+  try {
+    // Train model
+    model.train(data);
+    
+    // Get current price
+    const currentPrice = data[data.length - 1].price;
+    
+    // Generate forecast
+    const forecast = model.generateForecast(timeframeDays, currentPrice, context);
+    
+    // Enhance forecast with additional data for UI
+    forecast.modelType = model.modelType;
+    forecast.forecastDate = new Date();
+    
+    return forecast;
+  } catch (error) {
+    console.error('Error calculating forecast:', error);
+    return null;
+  }
+}
+
+/**
+ * Main wrapper function to process data and create a forecast
+ * @param {Array} data - Bitcoin price data
+ * @param {number} timeframeDays - Forecast horizon in days
+ * @param {Object} context - Context factors like cycle position; `stateCount`
+ *   sets the number of return states (default DEFAULT_STATE_COUNT)
+ * @returns {Object} - Complete forecast
+ */
+function calculateUnifiedBayesianForecast(data, timeframeDays, context = {}) {
+  console.log(`Calculating unified Bayesian forecast for ${timeframeDays}-day timeframe`);
+  
+  let model;
+  try {
+    model = new UnifiedBayesianMarkovModel(context.stateCount || DEFAULT_STATE_COUNT);
+  } catch (error) {
+    console.error('Error calculating forecast:', error);
+    return null;
+  }
+  return calculateModelForecast(model, data, timeframeDays, context);
+}
+
+// Helper methods for UnifiedBayesianMarkovModel class
+UnifiedBayesianMarkovModel.prototype._calculateBaseSeasonalFactor = function(currentMonth, allBitcoinData) {
+  // Filter data for the current month
+  const monthlyData = allBitcoinData.filter(d => {
+    const date = d.date instanceof Date ? d.date : new Date(d.date);
+    return date.getMonth() + 1 === currentMonth;
+  });
+  
+  if (monthlyData.length === 0) {
+    console.warn(`No historical data available for month ${currentMonth}`);
+    return 1.0; // Default to neutral factor
+  }
+  
+  // Count extreme events in this month
+  const monthlyExtremeEvents = monthlyData.filter(d => d.extremeEvent === 1).length;
+  const monthlyFreq = monthlyExtremeEvents / monthlyData.length;
+  
+  // Count overall extreme events
+  const totalExtremeEvents = allBitcoinData.filter(d => d.extremeEvent === 1).length;
+  const overallFreq = totalExtremeEvents / allBitcoinData.length;
+  
+  // Calculate the ratio (seasonal factor)
+  const baseSeasonalFactor = overallFreq > 0 ? monthlyFreq / overallFreq : 1.0;
+  
+  return baseSeasonalFactor;
+}
+
+UnifiedBayesianMarkovModel.prototype._calculateVolatilityComponents = function(currentMonth, recent30DayVolatility, currentMonthHistoricalVolatility, historicalVolatility) {
+  if (!historicalVolatility || historicalVolatility === 0) {
+    return { shortTermRatio: 1.0, monthRatio: 1.0 };
+  }
+  
+  // Calculate short-term volatility ratio (recent vs. historical)
+  const shortTermVolatilityRatio = recent30DayVolatility / historicalVolatility;
+  
+  // Calculate current month's historical volatility ratio
+  const currentMonthVolatilityRatio = currentMonthHistoricalVolatility / historicalVolatility;
+  
+  return { shortTermRatio: shortTermVolatilityRatio, monthRatio: currentMonthVolatilityRatio };
+}
+
+UnifiedBayesianMarkovModel.prototype._calculateCurrentOnChainFactor = function(currentOnChainMetrics) {
+  if (!currentOnChainMetrics) {
+    return 1.0; // Default to neutral factor
+  }
+  
+  let onChainFactor = 1.0;
+  let contributingFactors = 0;
+  
+  // 1. Adjust based on MVRV Z-Score
+  if (currentOnChainMetrics.mvrv && currentOnChainMetrics.mvrv.zScore !== undefined) {
+    const mvrvZScore = currentOnChainMetrics.mvrv.zScore;
+    let mvrvFactor = 1.0;
+    
+    if (mvrvZScore > 1.5) {
+      // High MVRV Z-Score increases risk (more likely to crash)
+      mvrvFactor = 1.2 + Math.min(0.6, (mvrvZScore - 1.5) * 0.2);
+    } else if (mvrvZScore < -0.5) {
+      // Low MVRV Z-Score decreases risk (less likely to crash)
+      mvrvFactor = 0.8 + Math.max(-0.4, (mvrvZScore + 0.5) * 0.2);
+    } else {
+      // Neutral zone
+      mvrvFactor = 1.0 + (mvrvZScore - 0.5) * 0.2;
+    }
+    
+    onChainFactor *= mvrvFactor;
+    contributingFactors++;
+  }
+  
+  // 2. Adjust based on NVT Z-Score
+  if (currentOnChainMetrics.nvt && currentOnChainMetrics.nvt.zScore !== undefined) {
+    const nvtZScore = currentOnChainMetrics.nvt.zScore;
+    let nvtFactor = 1.0;
+    
+    if (nvtZScore > 1.5) {
+      // High NVT Z-Score increases risk
+      nvtFactor = 1.2 + Math.min(0.5, (nvtZScore - 1.5) * 0.2);
+    } else if (nvtZScore < -0.5) {
+      // Low NVT Z-Score decreases risk
+      nvtFactor = 0.8 + Math.max(-0.3, (nvtZScore + 0.5) * 0.2);
+    } else {
+      // Neutral zone
+      nvtFactor = 1.0 + (nvtZScore - 0.5) * 0.15;
+    }
+    
+    onChainFactor *= nvtFactor;
+    contributingFactors++;
+  }
+  
+  // 3. Adjust based on Supply Shock Ratio
+  if (currentOnChainMetrics.supplyShock && currentOnChainMetrics.supplyShock.value !== undefined) {
+    const supplyShockRatio = currentOnChainMetrics.supplyShock.value;
+    let supplyShockFactor = 1.0;
+    
+    if (supplyShockRatio < 0.05) {
+      // Very low ratio - bullish signal (coins moving to strong hands)
+      supplyShockFactor = 0.7;
+    } else if (supplyShockRatio < 0.1) {
+      // Low ratio - somewhat bullish
+      supplyShockFactor = 0.85;
+    } else if (supplyShockRatio > 0.2) {
+      // High ratio - bearish signal (many coins available to sell)
+      supplyShockFactor = 1.3;
+    } else if (supplyShockRatio > 0.15) {
+      // Moderately high ratio - somewhat bearish
+      supplyShockFactor = 1.15;
+    }
+    
+    onChainFactor *= supplyShockFactor;
+    contributingFactors++;
+  }
+  
+  // 4. Adjust based on Whale Dominance Change
+  if (currentOnChainMetrics.whaleDominance && 
+      currentOnChainMetrics.whaleDominance.change !== undefined) {
+    const whaleDominanceChange = currentOnChainMetrics.whaleDominance.change;
+    let whaleFactor = 1.0;
+    
+    // Normalize the change to a meaningful scale - depends on data representation
+    const normalizedChange = whaleDominanceChange * 100; // Adjust scaling factor as needed
+    
+    if (normalizedChange > 0.5) {
+      // Significant whale accumulation - can be a mixed signal
+      // Sometimes presages dumps, sometimes indicates strength
+      // Taking a slightly bearish interpretation for caution
+      whaleFactor = 1.1;
+    } else if (normalizedChange < -0.5) {
+      // Significant whale distribution - can also be a mixed signal
+      // Often precedes market weakness, but sometimes profit-taking at tops
+      whaleFactor = 1.2;
+    } else if (normalizedChange > 0.1) {
+      // Modest whale accumulation
+      whaleFactor = 1.05;
+    } else if (normalizedChange < -0.1) {
+      // Modest whale distribution
+      whaleFactor = 1.1;
+    }
+    
+    onChainFactor *= whaleFactor;
+    contributingFactors++;
+  }
+  
+  // 5. Adjust based on Puell Multiple
+  if (currentOnChainMetrics.puellMultiple && 
+      currentOnChainMetrics.puellMultiple.value !== undefined) {
+    const puellMultiple = currentOnChainMetrics.puellMultiple.value;
+    let puellFactor = 1.0;
+    
+    if (puellMultiple > 2.5) {
+      // Very high Puell Multiple - miners heavily profitable, often near market tops
+      puellFactor = 1.4;
+    } else if (puellMultiple > 1.5) {
+      // Elevated Puell Multiple - caution warranted
+      puellFactor = 1.2;
+    } else if (puellMultiple < 0.5) {
+      // Very low Puell Multiple - miners under pressure, historically good buying zones
+      puellFactor = 0.7;
+    } else if (puellMultiple < 0.8) {
+      // Low Puell Multiple - miners less profitable, often accumulation zones
+      puellFactor = 0.85;
+    }
+    
+    onChainFactor *= puellFactor;
+    contributingFactors++;
+  }
+  
+  // 6. Adjust based on overall risk level if available
+  if (currentOnChainMetrics.riskLevel) {
+    let riskLevelFactor = 1.0;
+    
+    // Map risk levels to factors
+    switch (currentOnChainMetrics.riskLevel) {
+      case 'Extreme':
+        riskLevelFactor = 1.5;
+        break;
+      case 'High':
+        riskLevelFactor = 1.3;
+        break;
+      case 'Moderate':
+        riskLevelFactor = 1.0;
+        break;
+      case 'Low':
+        riskLevelFactor = 0.8;
+        break;
+      case 'Very Low':
+        riskLevelFactor = 0.6;
+        break;
+    }
+    
+    onChainFactor *= riskLevelFactor;
+    contributingFactors++;
+  }
+  
+  // If we have no contributing factors, return neutral
+  if (contributingFactors === 0) {
+    return 1.0;
+  }
+  
+  // Ensure factor is within reasonable bounds (0.5 to 2.5)
+  onChainFactor = Math.min(2.5, Math.max(0.5, onChainFactor));
+  
+  return onChainFactor;
+}
+
+UnifiedBayesianMarkovModel.prototype._calculateCurrentMonthSentimentFactor = function(currentMonth, globalSentimentScore, allBitcoinData) {
+  // Start with a default factor
+  let monthSentimentFactor = 1.0;
+  
+  // Convert global sentiment score (0-100) to a factor (0.7-1.5)
+  // 50 = neutral (1.0), 0 = very negative (1.5), 100 = very positive (0.7)
+  if (globalSentimentScore !== undefined) {
+    if (globalSentimentScore <= 25) {
+      // Very negative sentiment increases risk significantly
+      monthSentimentFactor = 1.5;
+    } else if (globalSentimentScore <= 40) {
+      // Negative sentiment increases risk moderately
+      monthSentimentFactor = 1.25;
+    } else if (globalSentimentScore <= 60) {
+      // Neutral sentiment - no adjustment
+      monthSentimentFactor = 1.0;
+    } else if (globalSentimentScore <= 75) {
+      // Positive sentiment decreases risk moderately
+      monthSentimentFactor = 0.85;
+    } else {
+      // Very positive sentiment decreases risk significantly
+      monthSentimentFactor = 0.7;
+    }
+  }
+  
+  // Analyze historical returns for this month
+  const monthData = allBitcoinData.filter(d => {
+    const date = d.date instanceof Date ? d.date : new Date(d.date);
+    return date.getMonth() + 1 === currentMonth;
+  });
+  
+  if (monthData.length > 0) {
+    // Calculate average return for this month
+    const returns = monthData.map(d => d.logReturn).filter(r => !isNaN(r) && isFinite(r));
+    const avgReturn = returns.length > 0 ? 
+      returns.reduce((sum, val) => sum + val, 0) / returns.length : 0;
+    
+    // Adjust based on historical returns
+    if (avgReturn < -0.001) {
+      // Historical negative returns suggest higher risk
+      monthSentimentFactor *= 1.1;
+    } else if (avgReturn > 0.001) {
+      // Historical positive returns suggest lower risk
+      monthSentimentFactor *= 0.9;
+    }
+  }
+  
+  // Analyze historical trends by month - Adjust based on calendar seasonality
+  switch(currentMonth) {
+    // January - Often positive after year-end tax selling
+    case 1:
+      monthSentimentFactor *= 0.9; // More positive sentiment
+      break;
+      
+    // February - Mixed, relatively neutral
+    case 2:
+      // Standard factor
+      break;
+      
+    // March - Historically volatile, tax season in US
+    case 3:
+      monthSentimentFactor *= 1.1; // Slightly more negative sentiment
+      break;
+      
+    // April - Tax deadline, often relief afterward
+    case 4:
+      // Standard factor
+      break;
+      
+    // May - Often marks seasonal inflection "Sell in May and go away"
+    case 5:
+      monthSentimentFactor *= 1.15; // More negative sentiment
+      break;
+      
+    // June - Summer doldrums begin
+    case 6:
+      monthSentimentFactor *= 1.05; // Slightly more negative
+      break;
+      
+    // July - Summer doldrums continue
+    case 7:
+      // Standard factor
+      break;
+      
+    // August - Late summer volatility
+    case 8:
+      monthSentimentFactor *= 1.1; // More negative sentiment
+      break;
+      
+    // September - Historically worst month for markets
+    case 9:
+      monthSentimentFactor *= 1.2; // Most negative sentiment
+      break;
+      
+    // October - Historical crash month, but often bottoms
+    case 10:
+      monthSentimentFactor *= 1.15; // More negative, but can signal bottoms
+      break;
+      
+    // November - Beginning of seasonal strength
+    case 11:
+      monthSentimentFactor *= 0.95; // Slightly more positive
+      break;
+      
+    // December - Holiday sentiment, tax considerations
+    case 12:
+      monthSentimentFactor *= 0.9; // More positive sentiment
+      break;
+  }
+  
+  // Ensure reasonable bounds (0.5 to 2.0)
+  monthSentimentFactor = Math.min(2.0, Math.max(0.5, monthSentimentFactor));
+  
+  return monthSentimentFactor;
+}
+
+UnifiedBayesianMarkovModel.prototype._calculateFundamentalBitcoinFactor = function(bitcoinFundamentals) {
+  if (!bitcoinFundamentals) {
+    console.warn('No Bitcoin fundamentals available');
+    return {
+      inflationFactor_val: 1.0,
+      halvingCyclePhaseFactor_val: 1.0,
+      scarcityFactor_val: 1.0
+    };
+  }
+  
+  // 1. Calculate Inflation Factor
+  let inflationFactor_val = 1.0;
+  
+  if (bitcoinFundamentals.inflationRate !== undefined) {
+    if (bitcoinFundamentals.inflationRate < 0.005) { // < 0.5%
+      // Very low inflation is bullish
+      inflationFactor_val = 0.7;
+    } else if (bitcoinFundamentals.inflationRate < 0.01) { // < 1%
+      // Low inflation is somewhat bullish
+      inflationFactor_val = 0.8;
+    } else if (bitcoinFundamentals.inflationRate < 0.02) { // < 2%
+      // Moderate inflation
+      inflationFactor_val = 0.9;
+    } else if (bitcoinFundamentals.inflationRate < 0.03) { // < 3%
+      // Moderate-high inflation
+      inflationFactor_val = 1.0;
+    } else if (bitcoinFundamentals.inflationRate < 0.04) { // < 4%
+      // High inflation
+      inflationFactor_val = 1.1;
+    } else { // >= 4%
+      // Very high inflation
+      inflationFactor_val = 1.2;
+    }
+  }
+  
+  // 2. Calculate Halving Cycle Phase Factor
+  let halvingCyclePhaseFactor_val = 1.0;
+  
+  if (bitcoinFundamentals.daysSinceLastHalving !== undefined && 
+      bitcoinFundamentals.currentEpoch !== undefined) {
+    
+    // Typical halving cycle is about 4 years = ~1461 days
+    const fullCycleLength = 1461;
+    const cycleProgress = bitcoinFundamentals.daysSinceLastHalving / fullCycleLength;
+    
+    if (cycleProgress < 0.15) {
+      // Very early cycle (first 6-7 months after halving)
+      // This is typically the post-halving consolidation phase
+      halvingCyclePhaseFactor_val = 0.9;
+    } else if (cycleProgress < 0.3) {
+      // Early-mid cycle (accumulation phase starting)
+      halvingCyclePhaseFactor_val = 0.8;
+    } else if (cycleProgress < 0.6) {
+      // Middle of cycle (strongest bull phase historically)
+      halvingCyclePhaseFactor_val = 0.7;
+    } else if (cycleProgress < 0.8) {
+      // Late cycle (euphoria and volatility phase)
+      halvingCyclePhaseFactor_val = 1.1;
+    } else if (cycleProgress < 0.9) {
+      // Very late cycle (correction and redistribution phase)
+      halvingCyclePhaseFactor_val = 1.2;
+    } else {
+      // End of cycle (pre-halving anticipation phase)
+      halvingCyclePhaseFactor_val = 1.0; // Mixed signals - anticipation but uncertainty
+    }
+    
+    // Add epoch-specific adjustment - later epochs may have dampened cycle effects
+    if (bitcoinFundamentals.currentEpoch >= 4) { // Post-2024 halving
+      // Later halvings have less dramatic effects, so dampen the factor toward 1.0
+      halvingCyclePhaseFactor_val = 1.0 + (halvingCyclePhaseFactor_val - 1.0) * 0.8;
+    }
+  }
+  
+  // 3. Calculate Scarcity Factor
+  let scarcityFactor_val = 1.0;
+  
+  if (bitcoinFundamentals.percentageOfMaxSupplyIssued !== undefined) {
+    const completion = bitcoinFundamentals.percentageOfMaxSupplyIssued;
+    
+    if (completion > 0.99) {
+      // Over 99% issued - extreme scarcity
+      scarcityFactor_val = 0.7;
+    } else if (completion > 0.95) {
+      // 95-99% issued - very high scarcity
+      scarcityFactor_val = 0.8;
+    } else if (completion > 0.9) {
+      // 90-95% issued - high scarcity
+      scarcityFactor_val = 0.85;
+    } else if (completion > 0.85) {
+      // 85-90% issued - moderate-high scarcity
+      scarcityFactor_val = 0.9;
+    } else if (completion > 0.8) {
+      // 80-85% issued - moderate scarcity
+      scarcityFactor_val = 0.95;
+    }
+    // Below 80% remains at neutral 1.0
+  }
+  
+  return {
+    inflationFactor_val,
+    halvingCyclePhaseFactor_val,
+    scarcityFactor_val
+  };
+}
+
+UnifiedBayesianMarkovModel.prototype._calculateCurrentMonthCycleFactor = function(currentMonth, currentCyclePosition, allBitcoinData, bitcoinFundamentals) {
+  // Start with a default factor
+  let monthCycleFactor = 1.0;
+  
+  // Apply cycle position adjustment
+  if (currentCyclePosition !== undefined) {
+    if (currentCyclePosition > 0.8) {
+      // Late cycle - high risk of crash
+      monthCycleFactor = 1.3 + (currentCyclePosition - 0.8) * 1.0;
+    } else if (currentCyclePosition > 0.6) {
+      // Mid-late cycle - elevated risk
+      monthCycleFactor = 1.1 + (currentCyclePosition - 0.6) * 1.0;
+    } else if (currentCyclePosition < 0.2) {
+      // Early cycle - low risk
+      monthCycleFactor = 0.8 - (0.2 - currentCyclePosition) * 0.5;
+    } else if (currentCyclePosition < 0.4) {
+      // Early-mid cycle - reduced risk
+      monthCycleFactor = 0.9 - (0.4 - currentCyclePosition) * 0.5;
+    } else {
+      // Mid cycle - neutral risk
+      monthCycleFactor = 1.0;
+    }
+  }
+  
+  // Analyze if this month appears early or late in market cycles
+  // This is based on empirical analysis of Bitcoin market cycles
+  
+  // Early-cycle months (typically stronger)
+  if ([11, 12, 1, 2].includes(currentMonth)) {
+    // Reduce cycle factor (less risk) in early-cycle months
+    monthCycleFactor *= 0.9;
+  }
+  
+  // Mid-cycle months (typically steady)
+  else if ([3, 4, 5, 6].includes(currentMonth)) {
+    // Neutral effect
+  }
+  
+  // Late-cycle months (typically weaker)
+  else if ([7, 8, 9, 10].includes(currentMonth)) {
+    // Increase cycle factor (more risk) in late-cycle months
+    monthCycleFactor *= 1.15;
+  }
+  
+  // Further refine based on this month's position in previous halvings
+  // Bitcoin halving months: May 2020, July 2016, November 2012
+  // For months near halvings, adjust the cycle factor
+  const halvingMonths = [5, 7, 11]; // May, July, November
+  const postHalvingMonths = [6, 8, 12, 1]; // Months after halvings
+  
+  if (halvingMonths.includes(currentMonth)) {
+    // Halving months often have increased interest and volatility
+    monthCycleFactor *= 1.1;
+  } else if (postHalvingMonths.includes(currentMonth)) {
+    // Post-halving months often see positive momentum
+    monthCycleFactor *= 0.95;
+  }
+  
+  // Analyze historical extreme events frequency in this month
+  const monthData = allBitcoinData.filter(d => {
+    const date = d.date instanceof Date ? d.date : new Date(d.date);
+    return date.getMonth() + 1 === currentMonth;
+  });
+  
+  if (monthData.length > 0) {
+    const extremeEventsCount = monthData.filter(d => d.extremeEvent === 1).length;
+    const extremeEventRate = extremeEventsCount / monthData.length;
+    
+    // If this month historically has more extreme events, increase the cycle factor
+    if (extremeEventRate > 0.015) { // More than 1.5% of days have extreme events
+      monthCycleFactor *= 1.1;
+    } else if (extremeEventRate < 0.005) { // Less than 0.5% of days
+      monthCycleFactor *= 0.9;
+    }
+  }
+  
+  // Integrate Bitcoin fundamentals - halving cycle phase
+  if (bitcoinFundamentals && bitcoinFundamentals.halvingCyclePhaseFactor_val !== undefined) {
+    // If both market cycle position and halving cycle phase align, amplify the effect
+    const halvingCycleFactor = bitcoinFundamentals.halvingCyclePhaseFactor_val;
+    
+    if (halvingCycleFactor < 0.9 && currentCyclePosition < 0.4) {
+      // Both indicators suggest early cycle - strongly bullish
+      monthCycleFactor *= 0.8;
+    } else if (halvingCycleFactor > 1.1 && currentCyclePosition > 0.7) {
+      // Both indicators suggest late cycle - strongly bearish
+      monthCycleFactor *= 1.3;
+    } else {
+      // Mixed signals or moderate alignment
+      monthCycleFactor *= halvingCycleFactor;
+    }
+  }
+  
+  // Ensure reasonable bounds (0.5 to 2.0)
+  monthCycleFactor = Math.min(2.0, Math.max(0.5, monthCycleFactor));
+  
+  return monthCycleFactor;
+}
+
+export {
+  MARKOV_STATE_LAYOUTS,
+  DEFAULT_STATE_COUNT,
+  resolveStateCount,
+  getStateCount,
+  setStateCount,
+  UnifiedBayesianMarkovModel,
+  calculateModelForecast,
+  calculateUnifiedBayesianForecast
+};
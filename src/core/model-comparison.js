@@ -0,0 +1,262 @@
+/**
+ * Model Comparison
+ * Scores the crash predictors on the same out-of-sample dates and target.
+ *
+ * Every model forecasts, at each month start, the probability of at least one
+ * extreme event (active definition, see extreme-events.js) within the horizon,
+ * using only the data before that date (see backtest.js runWalkForward):
+ *   poissonGamma - calendar risk for the month from calculateEnhancedRisk()
+ *   markov       - probability of reaching the crash state from UnifiedBayesianMarkovModel
+ *   lstm         - LSTMCrashPredictor's network retrained on the shared target (Node only)
+ *   climatology  - share of past windows with an event (baseline)
+ *
+ * The Markov crash state is the regime's 1st percentile daily return, so it
+ * matches the target exactly only for the default definition.
+ */
+
+import { calculateStandardDeviation } from '../utils/statistics.js';
+import { markExtremeEvents } from './extreme-events.js';
+import { processOnChainData, calculateBitcoinInflationRateAndSupply } from './onchain-processor.js';
+import { UnifiedBayesianMarkovModel } from './markov-model.js';
+import { runWalkForward, poissonGammaForecaster, climatologyForecaster } from './backtest.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window of the trailing cycle position (same as CYCLE_POSITION in data-service.js)
+const CYCLE_WINDOW_DAYS = 730;
+
+const DEFAULT_COMPARISON_OPTIONS = {
+  timeframe: 30,
+  minHistoryDays: 730,
+  start: null,
+  end: null,
+  bins: 10,
+  extraForecasters: [], // e.g. createLstmForecaster(...) where TensorFlow is available
+  onProgress: null
+};
+
+/**
+ * Position of the latest price in the trailing two-year range (0 = bottom, 1 = top)
+ * @param {Array} history - Records before the forecast date
+ * @returns {number} Cycle position
+ */
+function trailingCyclePosition(history) {
+  const prices = history.slice(-CYCLE_WINDOW_DAYS).map(d => d.price);
+  const max = Math.max(...prices);
+  const min = Math.min(...prices);
+  return max > min ? (prices[prices.length - 1] - min) / (max - min) : 0.5;
+}
+
+/**
+ * Volatility context for the Markov prior, from the history only
+ * @param {Array} history - Records before the forecast date
+ * @param {number} month - Forecast month (1-12)
+ * @returns {Object} {recent30Day, currentMonthHistorical, historical}
+ */
+function historyVolatility(history, month) {
+  const returns = records => records.map(d => d.logReturn).filter(r => !isNaN(r) && isFinite(r));
+  return {
+    recent30Day: calculateStandardDeviation(returns(history.slice(-30))),
+    currentMonthHistorical: calculateStandardDeviation(returns(history.filter(d => d.date.getMonth() + 1 === month))),
+    historical: calculateStandardDeviation(returns(history))
+  };
+}
+
+/**
+ * Train the Markov model on a history
+ * @param {Array} history - Records before the forecast date (state.bitcoinData should point at them)
+ * @param {Object} definition - Extreme event definition
+ * @param {UnifiedBayesianMarkovModel} model - Untrained model (or subclass) to train
+ * @returns {{model: UnifiedBayesianMarkovModel, latestMetrics: Object}} Trained model and on-chain metrics
+ */
+function trainMarkovModel(history, definition, model = new UnifiedBayesianMarkovModel()) {
+  // The seasonal factor in adjustPrior reads extremeEvent flags from the history
+  markExtremeEvents(history, definition);
+  const { latestMetrics } = processOnChainData(history);
+
+  model.train(history);
+  return { model, latestMetrics };
+}
+
+/**
+ * Set the Markov prior for a month and update the posterior
+ * adjustPrior starts from the base prior each time, so one trained model can be
+ * pointed at each month in turn.
+ * @param {UnifiedBayesianMarkovModel} model - Trained model
+ * @param {Array} history - Records the model was trained on
+ * @param {Object} latestMetrics - On-chain metrics of the history
+ * @param {Date} date - Forecast date
+ * @param {number} month - Month (1-12)
+ * @returns {UnifiedBayesianMarkovModel} The model
+ */
+function setMarkovMonth(model, history, latestMetrics, date, month) {
+  model.adjustPrior({
+    cyclePosition: trailingCyclePosition(history),
+    // Fundamentals as of the forecast date (adjustPrior would otherwise use today)
+    onChainMetrics: { ...latestMetrics, bitcoinFundamentals: calculateBitcoinInflationRateAndSupply(history, date) },
+    currentMonth: month,
+    volatilityMetrics: historyVolatility(history, month)
+  });
+  return model.updatePosterior();
+}
+
+/**
+ * Markov crash probability for each calendar month, as of the end of the history
+ * For a later month the chain is first run forward to that month's start
+ * (with that month's prior), then the probability of visiting the crash
+ * states within the horizon is taken from there.
+ * @param {Array} history - Records up to the forecast date (state.bitcoinData should point at them)
+ * @param {Object} context - {date, timeframe, definition}
+ * @returns {Object} Probability by month (1-12)
+ */
+function markovMonthlyProbabilities(history, { date, timeframe, definition }) {
+  const { model, latestMetrics } = trainMarkovModel(history, definition);
+  const latestStateDist = [...model.currentStateDist];
+
+  const probabilities = {};
+  for (let month = 1; month <= 12; month++) {
+    setMarkovMonth(model, history, latestMetrics, date, month);
+    model.setCurrentStateDist(latestStateDist);
+
+    const monthStart = new Date(date.getFullYear(), month - 1, 1);
+    if (month - 1 < date.getMonth()) {
+      monthStart.setFullYear(date.getFullYear() + 1);
+    }
+    const daysAhead = Math.max(0, Math.round((monthStart - date) / DAY_MS));
+    if (daysAhead > 0) {
+      model.setCurrentStateDist(model.forecastStateDistribution(daysAhead)[daysAhead]);
+    }
+
+    probabilities[month] = model.calculateCumulativeStateProbability(timeframe, model.crashStates);
+  }
+  return probabilities;
+}
+
+// Forecaster page model: probability of visiting a crash state within the horizon
+const markovForecaster = {
+  id: 'markov',
+  label: 'Bayesian Markov (forecaster)',
+  forecast(history, { date, month, timeframe, definition }) {
+    const { model, latestMetrics } = trainMarkovModel(history, definition);
+    return setMarkovMonth(model, history, latestMetrics, date, month).calculateCumulativeStateProbability(timeframe, model.crashStates);
+  }
+};
+
+/**
+ * Aggregate daily records into the monthly records LSTMCrashPredictor trains on
+ * @param {Array} data - Processed daily records, chronologically sorted
+ * @returns {Array<{date: Date, startPrice: number, endPrice: number, return: number, firstIndex: number}>}
+ */
+function toMonthlyRecords(data) {
+  const months = [];
+  data.forEach((d, i) => {
+    const last = months[months.length - 1];
+    if (!last || last.date.getMonth() !== d.date.getMonth() || last.date.getFullYear() !== d.date.getFullYear()) {
+      months.push({ date: d.date, startPrice: i > 0 ? data[i - 1].price : d.price, endPrice: d.price, firstIndex: i });
+    } else {
+      last.endPrice = d.price;
+    }
+  });
+  months.forEach(m => { m.return = m.endPrice / m.startPrice - 1; });
+  return months;
+}
+
+/**
+ * Create a forecaster from LSTMCrashPredictor
+ * The network is trained once, on the months whose outcome windows end before
+ * the first forecast date, with labels from the shared target; it then scores
+ * each forecast month (and the latest month in the data) from the 12 months
+ * before it. The predictor class and
+ * TensorFlow are passed in so this module stays loadable in the browser.
+ * The network has a single output, since the shared target already covers the
+ * forecast horizon.
+ * @param {Function} LSTMCrashPredictor - Predictor class (lstm-crash-predictor.js)
+ * @param {Object} tf - TensorFlow.js (e.g. @tensorflow/tfjs-node)
+ * @param {Object} options - LSTMCrashPredictor options (lookbackWindow, epochs, units, architecture, attention, ...)
+ * @param {string} id - Forecaster id; the ensemble expects 'lstm'
+ * @returns {Object} Forecaster for runWalkForward / compareModels
+ */
+function createLstmForecaster(LSTMCrashPredictor, tf, options = {}, id = 'lstm') {
+  const predictions = new Map();
+  const predictorOptions = { epochs: 50, ...options, horizons: [1] };
+  const { architecture, attention } = new LSTMCrashPredictor(predictorOptions);
+
+  return {
+    id,
+    label: architecture.toUpperCase() + (attention === 'none' ? '' : ` + ${attention} attention`),
+
+    async prepare(data, { candidates, outcomeAt, timeframe }) {
+      const predictor = new LSTMCrashPredictor(predictorOptions);
+      const monthly = toMonthlyRecords(data);
+      const { features } = predictor.preprocessData(monthly, []);
+      const firstForecast = data[candidates[0]].date.getTime();
+
+      // features[k] is the lookback sequence ending just before monthly[k + lookbackWindow]
+      const samples = features.map((sequence, k) => ({ sequence, month: monthly[k + predictor.lookbackWindow] }));
+      const training = samples.filter(({ month }) => month.firstIndex > 0 &&
+        month.date.getTime() + timeframe * DAY_MS <= firstForecast);
+
+      if (training.length < predictor.batchSize) {
+        throw new Error(`LSTM needs at least ${predictor.batchSize} training months before the first forecast, got ${training.length}`);
+      }
+
+      const xTrain = predictor.normalizeFeatures(training.map(s => s.sequence));
+      const yTrain = training.map(({ month }) => [outcomeAt(month.firstIndex)]);
+      const normalize = sequence => sequence.map(point =>
+        point.map((value, k) => (value - predictor.featureMeans[k]) / predictor.featureStds[k]));
+
+      const model = predictor.buildModel(xTrain[0][0].length);
+      const xTensor = tf.tensor3d(xTrain);
+      const yTensor = tf.tensor2d(yTrain);
+      try {
+        await model.fit(xTensor, yTensor, { epochs: predictor.epochs, batchSize: predictor.batchSize, verbose: 0 });
+      } finally {
+        xTensor.dispose();
+        yTensor.dispose();
+      }
+
+      // Candidate months plus the latest month, so the model can also forecast now
+      const forecastSet = new Set([...candidates, monthly[monthly.length - 1].firstIndex]);
+      const scoring = samples.filter(({ month }) => forecastSet.has(month.firstIndex));
+      if (scoring.length > 0) {
+        const input = tf.tensor3d(scoring.map(s => normalize(s.sequence)));
+        const output = model.predict(input);
+        const probabilities = output.arraySync();
+        scoring.forEach(({ month }, i) => predictions.set(month.firstIndex, probabilities[i][0]));
+        input.dispose();
+        output.dispose();
+      }
+      model.dispose();
+    },
+
+    forecast(history, { index }) {
+      return predictions.has(index) ? predictions.get(index) : NaN;
+    }
+  };
+}
+
+/**
+ * Run the models side by side over a shared out-of-sample period
+ * @param {Array} data - Processed records (see data-service.js processRecords), chronologically sorted
+ * @param {Object} options - See DEFAULT_COMPARISON_OPTIONS (and DEFAULT_BACKTEST_OPTIONS)
+ * @returns {Promise<Object>} runWalkForward result plus {models: [{id, label}]}
+ */
+async function compareModels(data, options = {}) {
+  const settings = { ...DEFAULT_COMPARISON_OPTIONS, ...options };
+  const forecasters = [poissonGammaForecaster, markovForecaster, ...settings.extraForecasters, climatologyForecaster];
+
+  const result = await runWalkForward(data, forecasters, settings);
+  result.models = forecasters.map(({ id, label }) => ({ id, label }));
+  return result;
+}
+
+export {
+  DEFAULT_COMPARISON_OPTIONS,
+  markovForecaster,
+  markovMonthlyProbabilities,
+  trainMarkovModel,
+  setMarkovMonth,
+  toMonthlyRecords,
+  createLstmForecaster,
+  compareModels
+};
@@ -0,0 +1,109 @@
+/**
+ * Model Registry
+ * Crash models the calendar can show. Each model file registers a descriptor:
+ *   {
+ *     id: 'my-model',
+ *     label: 'My model',
+ *     description: 'One sentence for the model picker',
+ *     inputs: ['price', 'onChain'],   // Keys of MODEL_INPUTS the model reads
+ *     horizons: [7, 14, 30],           // Timeframes (days) it can forecast
+ *     create: options => new MyModel(options)  // A CrashDetector for options.timeframe
+ *   }
+ * The model picker, calendar, gauge and RektBot then reach it through
+ * risk-source.js. src/models/index.js lists the registered model files.
+ */
+
+// Inputs a model can declare, with the labels the picker shows
+const MODEL_INPUTS = {
+  price: 'daily prices',
+  onChain: 'on-chain metrics',
+  sentiment: 'market sentiment',
+  hourly: 'hourly candles',
+  models: 'other models\' walk-forward forecasts',
+  pretrained: 'pretrained model files'
+};
+
+const models = new Map();
+
+/**
+ * Register a crash model
+ * @param {Object} descriptor - {id, label, description, inputs, horizons, create}
+ * @returns {Object} The descriptor
+ */
+function registerModel(descriptor) {
+  const { id, label, inputs, horizons, create } = descriptor || {};
+
+  if (typeof id !== 'string' || !id) {
+    throw new Error('A model needs a string id');
+  }
+  if (models.has(id)) {
+    throw new Error(`Model "${id}" is already registered`);
+  }
+  if (typeof label !== 'string' || typeof create !== 'function') {
+    throw new Error(`Model "${id}" needs a label and a create(options) function`);
+  }
+  if (!Array.isArray(horizons) || horizons.length === 0 || !horizons.every(h => Number.isInteger(h) && h > 0)) {
+    throw new Error(`Model "${id}" must declare its horizons as positive whole days`);
+  }
+  const unknownInputs = (inputs || []).filter(input => !MODEL_INPUTS[input]);
+  if (unknownInputs.length > 0) {
+    throw new Error(`Model "${id}" declares unknown inputs: ${unknownInputs.join(', ')}. Use: ${Object.keys(MODEL_INPUTS).join(', ')}`);
+  }
+
+  const registered = { description: '', ...descriptor, inputs: inputs || [] };
+  models.set(id, registered);
+  return registered;
+}
+
+/**
+ * Get a registered model
+ * @param {string} id - Model identifier
+ * @returns {Object|null} Descriptor
+ */
+function getModelDescriptor(id) {
+  return models.get(id) || null;
+}
+
+/**
+ * List the registered models in registration order
+ * @param {Object} filter - {horizon}: only models that forecast this timeframe
+ * @returns {Array<Object>} Descriptors
+ */
+function listModels({ horizon } = {}) {
+  return [...models.values()].filter(model => !horizon || model.horizons.includes(horizon));
+}
+
+/**
+ * Create a model for one horizon
+ * @param {string} id - Model identifier
+ * @param {Object} options - Passed to the model; must include timeframe
+ * @returns {CrashDetector} Model instance
+ */
+function createModel(id, options = {}) {
+  const descriptor = getModelDescriptor(id);
+  if (!descriptor) {
+    throw new Error(`Unknown model "${id}". Registered: ${[...models.keys()].join(', ')}`);
+  }
+  if (!descriptor.horizons.includes(options.timeframe)) {
+    throw new Error(`${descriptor.label} does not forecast a ${options.timeframe}-day horizon`);
+  }
+  return descriptor.create(options);
+}
+
+/**
+ * Describe a model's inputs for display
+ * @param {Object} descriptor - Model descriptor
+ * @returns {string} e.g. "daily prices, on-chain metrics"
+ */
+function describeInputs(descriptor) {
+  return descriptor.inputs.map(input => MODEL_INPUTS[input]).join(', ');
+}
+
+export {
+  MODEL_INPUTS,
+  registerModel,
+  getModelDescriptor,
+  listModels,
+  createModel,
+  describeInputs
+};
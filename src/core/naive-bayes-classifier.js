@@ -3,7 +3,12 @@
  * Supports loading pretrained data and runtime training with stop word removal.
  */
 class NaiveBayesClassifier {
-  constructor(priceData = null) {
+  /**
+   * @param {Array} priceData - Price records for the price-trend features
+   * @param {Function} random - Generator for the sampled bigrams, in [0, 1)
+   *   (default Math.random; seed it to score headlines the same every time)
+   */
+  constructor(priceData = null, random = Math.random) {
     this.classes = ['negative', 'neutral', 'positive'];
     this.wordCounts = {};
     this.classCounts = { negative: 0, neutral: 0, positive: 0 };
@@ -17,6 +22,7 @@ class NaiveBayesClassifier {
     // Enhanced features
     this.useBigrams = true;
     this.useNegation = true;
+    this.random = random;
     
     // Emoji map with crypto Twitter vernacular
     this.emojiMap = {
@@ -618,7 +624,7 @@ class NaiveBayesClassifier {
         const bigram = `${tokens[i]}_${tokens[i+1]}`;
         
         // Add significant or probabilistically sampled bigrams
-        if (this.significantBigrams.has(bigram) || Math.random() < 0.7) {
+        if (this.significantBigrams.has(bigram) || this.random() < 0.7) {
           result.push(bigram);
         }
         
@@ -637,7 +643,7 @@ class NaiveBayesClassifier {
       for (let i = 0; i < tokens.length - 2; i++) {
         if (this.highValueTokens.has(tokens[i]) || this.highValueTokens.has(tokens[i+2])) {
           const skipBigram = `${tokens[i]}__${tokens[i+2]}`;
-          if (Math.random() < 0.5) {
+          if (this.random() < 0.5) {
             result.push(skipBigram);
           }
         }
@@ -5,7 +5,9 @@
  */
 
 import { calculateStandardDeviation } from '../utils/statistics.js';
-import { state } from '../app.js';
+import { state } from './state.js';
+import { HALVING_DATES, getHalvingEpoch } from './data-service.js';
+import { getActiveAsset } from './assets.js';
 
 // Define key on-chain metrics for crash prediction
 const KEY_METRICS = {
@@ -51,6 +53,12 @@ const KEY_METRICS = {
   ROI_1YR: 'ROI1yr'
 };
 
+// Metrics already mapped onto source records by data-sources.js
+const RECORD_METRICS = [
+  'ACTIVE_SUPPLY_1D', 'ACTIVE_SUPPLY_1YR', 'CURRENT_SUPPLY',
+  'HASH_RATE', 'MINER_REVENUE', 'WHALE_SUPPLY'
+];
+
 /**
  * Process raw Bitcoin data to extract on-chain metrics
  * @param {Array} data - Raw Bitcoin data from the CSV
@@ -80,7 +88,15 @@ export function extractOnChainMetrics(data) {
       timestamp: dataPoint.date instanceof Date ? dataPoint.date.getTime() : new Date(dataPoint.date).getTime()
     };
     
-    // Preserve existing metrics if they're already there
+    // Keep the fields the risk models rely on
+    if (dataPoint.regime !== undefined) processed.regime = dataPoint.regime;
+    if (dataPoint.logReturn !== undefined) processed.logReturn = dataPoint.logReturn;
+    
+    // Preserve existing metrics if they're already there (see COINMETRICS_COLUMNS in data-sources.js)
+    RECORD_METRICS.forEach(metric => {
+      if (dataPoint[metric] !== undefined) processed[metric] = dataPoint[metric];
+    });
+    if (dataPoint.WHALE_SUPPLY !== undefined) processed.SUPPLY_TOP_10_PERCENT = dataPoint.WHALE_SUPPLY;
     if (dataPoint.MVRV !== undefined) processed.MVRV = dataPoint.MVRV;
     if (dataPoint.NVT !== undefined) processed.NVT = dataPoint.NVT;
     if (dataPoint.NVT_90 !== undefined) processed.NVT_90 = dataPoint.NVT_90;
@@ -454,11 +470,11 @@ export function getLatestOnChainMetrics(enhancedData) {
     }
   }
   // Calculate volatility directly from price data
-  const recentVolatility = calculateVolatility(state.bitcoinData, 30);
-  const mediumVolatility = calculateVolatility(state.bitcoinData, 90);
+  const recentVolatility = calculateVolatility(enhancedData, 30);
+  const mediumVolatility = calculateVolatility(enhancedData, 90);
   
   // Calculate historical average (1 year)
-  const historicalVolatility = calculateVolatility(state.bitcoinData, 365);
+  const historicalVolatility = calculateVolatility(enhancedData, 365);
   
   const volatilityData = {
     recent: recentVolatility,
@@ -486,6 +502,24 @@ export function getLatestOnChainMetrics(enhancedData) {
     console.log(`Using Supply Shock data from ${supplyShockData.date.toISOString()}: ${supplyShockData.value}`);
   }
   
+  // Find most recent data point with Puell Multiple
+  let puellMultipleData = null;
+  for (let i = enhancedData.length - 1; i >= 0; i--) {
+    if (enhancedData[i].PUELL_MULTIPLE !== undefined) {
+      const earlier = i > 0 ? enhancedData[i - 1].PUELL_MULTIPLE : undefined;
+      puellMultipleData = {
+        value: enhancedData[i].PUELL_MULTIPLE,
+        change: earlier ? (enhancedData[i].PUELL_MULTIPLE / earlier - 1) * 100 : 0,
+        asOfDate: enhancedData[i].date
+      };
+      break;
+    }
+  }
+  
+  // Calculate Bitcoin fundamental metrics (issuance follows the halving schedule, so BTC only)
+  const bitcoinFundamentals = getActiveAsset().id === 'btc' ?
+    calculateBitcoinInflationRateAndSupply(enhancedData, new Date()) : null;
+  
   // Extract key metrics for display
   return {
     lastUpdated: latest.date,
@@ -513,8 +547,14 @@ export function getLatestOnChainMetrics(enhancedData) {
       change: supplyShockChange,
       asOfDate: supplyShockData ? supplyShockData.date : null
     },
+    puellMultiple: puellMultipleData || undefined,
+    whaleDominance: latest.WHALE_DOMINANCE_CHANGE !== undefined ? {
+      change: latest.WHALE_DOMINANCE_CHANGE,
+      value: latest.WHALE_SUPPLY
+    } : undefined,
     volatility: volatilityData,
     cyclePosition: latest.CYCLE_POSITION,
+    bitcoinFundamentals,
     riskLevel: calculateCurrentRiskLevel(latest)
   };
 }
@@ -594,6 +634,83 @@ function calculateVolatility(priceData, days = 30) {
   return stdDev;
 }
 
+/**
+ * Calculate the volatility summary used by the forecaster's Markov model
+ * @param {Array} data - Data points with logReturn values
+ * @returns {Object} Volatility metrics ({recent30Day, medium90Day, historical, byMonth})
+ */
+export function calculateVolatilityMetrics(data) {
+  const byMonth = Array(12).fill().map(() => []);
+  const allReturns = [];
+  
+  data.forEach(d => {
+    if (d.logReturn === undefined || isNaN(d.logReturn) || !isFinite(d.logReturn)) return;
+    allReturns.push(d.logReturn);
+    if (d.date instanceof Date) {
+      byMonth[d.date.getMonth()].push(d.logReturn);
+    }
+  });
+  
+  return {
+    recent30Day: data.length >= 30 ? calculateVolatility(data, 30) : 0.02,
+    medium90Day: data.length >= 90 ? calculateVolatility(data, 90) : 0.03,
+    historical: calculateStandardDeviation(allReturns),
+    byMonth: byMonth.map(monthReturns => calculateStandardDeviation(monthReturns))
+  };
+}
+
+/**
+ * Estimate Bitcoin's issuance and supply fundamentals
+ * @param {Array} allBitcoinData - Data points (the latest CURRENT_SUPPLY is used if present)
+ * @param {Date} currentDate - Reference date
+ * @returns {Object} Inflation rate, block reward, supply and halving timing
+ */
+export function calculateBitcoinInflationRateAndSupply(allBitcoinData, currentDate) {
+  // Determine current halving epoch
+  const currentEpoch = getHalvingEpoch(currentDate);
+  
+  // Get block reward based on epoch
+  // Each epoch reduces block reward by half, starting from 50 BTC
+  const baseReward = 50;
+  const currentBlockReward = baseReward / Math.pow(2, currentEpoch);
+  
+  // Approximate blocks per year (10-minute target block time)
+  const blocksPerYear = 6 * 24 * 365.25; // ~52,560 blocks
+  
+  // Calculate new coins issued per year
+  const newCoinsPerYear = currentBlockReward * blocksPerYear;
+  
+  // Get current circulating supply from data or estimate it
+  let currentCirculatingSupply = 19700000; // Approximate as of May 2025
+  if (allBitcoinData && allBitcoinData.length > 0) {
+    const latestDataPoint = allBitcoinData[allBitcoinData.length - 1];
+    if (latestDataPoint.CURRENT_SUPPLY) {
+      currentCirculatingSupply = latestDataPoint.CURRENT_SUPPLY;
+    }
+  }
+  
+  // Calculate inflation rate
+  const inflationRate = newCoinsPerYear / currentCirculatingSupply;
+  
+  // Calculate percentage of max supply issued
+  const maxSupply = 21000000;
+  const percentageOfMaxSupplyIssued = currentCirculatingSupply / maxSupply;
+  
+  // Calculate days since last halving
+  const lastHalvingDate = HALVING_DATES[currentEpoch];
+  const daysSinceLastHalving = (currentDate.getTime() - lastHalvingDate.getTime()) / (1000 * 60 * 60 * 24);
+  
+  return {
+    inflationRate,
+    currentBlockReward,
+    currentCirculatingSupply,
+    percentageOfMaxSupplyIssued,
+    currentEpoch,
+    daysSinceLastHalving,
+    newCoinsPerYear
+  };
+}
+
 /**
  * Process Bitcoin data to extract and analyze on-chain metrics
  * @param {Array} data - Raw Bitcoin data
@@ -612,6 +729,9 @@ export function processOnChainData(data) {
   // 4. Get latest metrics for display
   const latestMetrics = getLatestOnChainMetrics(enhancedData);
   
+  // 5. Volatility summary shared with the forecaster
+  state.volatilityMetrics = calculateVolatilityMetrics(enhancedData);
+  
   // Return comprehensive results
   return {
     enhancedData,
@@ -3,7 +3,7 @@
  * Creates interactive charts and dashboards for on-chain data
  */
 
-import { state } from '../app.js';
+import { state } from './state.js';
 import { prepareOnChainChartData } from './enhanced-risk-model.js';
 
 console.log("Checking Chart.js availability:", typeof Chart !== 'undefined' ? 'Available' : 'Not loaded');
@@ -0,0 +1,156 @@
+/**
+ * Path Metrics
+ * Path-dependent risk from the forecaster's simulated price paths: what
+ * happens before the horizon, not only where the price ends.
+ *
+ *   touch         - chance of the price reaching a level at some daily close
+ *   maxDrawdown   - the deepest fall from a running peak along each path
+ *   firstCrash    - the day of each path's first crash day
+ *   endBelowStart - chance of ending the horizon below the starting price
+ *
+ * Paths are daily closes, so intraday wicks beyond a level are not counted
+ * and touch probabilities are lower bounds for intraday levels.
+ */
+
+import { calculateMean, calculatePercentile } from '../utils/statistics.js';
+
+const DEFAULT_PATH_METRICS_OPTIONS = {
+  touchChanges: [-0.5, -0.4, -0.3, -0.25, -0.2, -0.15, -0.1, -0.05, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.4, 0.5],
+  drawdownQuantiles: [0.5, 0.75, 0.9, 0.95, 0.99]
+};
+
+/**
+ * Deepest fall from a running peak along a path (the start counts as a peak)
+ * @param {Array<number>} path - Prices
+ * @returns {number} Maximum drawdown as a fraction of the peak (0.25 = 25% below)
+ */
+function maxDrawdown(path) {
+  let peak = path[0];
+  let deepest = 0;
+  for (const price of path) {
+    if (price > peak) peak = price;
+    deepest = Math.max(deepest, 1 - price / peak);
+  }
+  return deepest;
+}
+
+/**
+ * First day whose log return is below the crash threshold
+ * @param {Array<number>} path - Prices, day 0 first
+ * @param {number} crashThreshold - Daily log return below which a day is a crash day
+ * @returns {number|null} Day (1 = the first simulated day), null without a crash day
+ */
+function firstCrashDay(path, crashThreshold) {
+  for (let t = 1; t < path.length; t++) {
+    if (Math.log(path[t] / path[t - 1]) < crashThreshold) return t;
+  }
+  return null;
+}
+
+/**
+ * Index of the first element of an ascending array that is >= value
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} value - Value
+ * @returns {number} Index (sorted.length when every element is smaller)
+ */
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Chance of the price reaching a level at some daily close within the horizon
+ * Levels below the start are reached by falling to them, levels above by rising.
+ * @param {Object} metrics - From calculatePathMetrics (a forecast's `pathMetrics`)
+ * @param {number} price - Price level
+ * @returns {number} Share of simulated paths that reach it
+ */
+function touchProbability(metrics, price) {
+  const { startPrice, minPrices, maxPrices, paths } = metrics;
+  if (price === startPrice) return 1;
+
+  if (price < startPrice) {
+    // Paths whose lowest close is at or below the level
+    return (minPrices.length - lowerBound(minPrices, -price)) / paths;
+  }
+  return (maxPrices.length - lowerBound(maxPrices, price)) / paths;
+}
+
+/**
+ * Path-dependent risk of simulated price paths
+ * @param {Array<Array<number>>} pricePaths - Paths of daily prices, each starting at the start price
+ * @param {number} startPrice - Price on day 0
+ * @param {number} crashThreshold - Daily log return below which a day is a crash day
+ * @param {Object} options - See DEFAULT_PATH_METRICS_OPTIONS
+ * @returns {Object} {paths, steps, startPrice, minPrices (negated lowest closes,
+ *   ascending), maxPrices (highest closes, ascending), touch ([{change, price,
+ *   probability}] for options.touchChanges), maxDrawdown ({mean, quantiles:
+ *   [{quantile, drawdown}]}), firstCrash ({probability, byDay (chance the first
+ *   crash day is day t, from day 1), cumulative (chance of one by day t), medianDay
+ *   (of the paths with one; null without)}), endBelowStart}
+ */
+function calculatePathMetrics(pricePaths, startPrice, crashThreshold, options = {}) {
+  const { touchChanges, drawdownQuantiles } = { ...DEFAULT_PATH_METRICS_OPTIONS, ...options };
+  const paths = pricePaths.length;
+  const steps = paths > 0 ? pricePaths[0].length - 1 : 0;
+
+  // Lowest closes are stored negated so that both arrays are searched the same way
+  const minPrices = pricePaths.map(path => -Math.min(...path)).sort((a, b) => a - b);
+  const maxPrices = pricePaths.map(path => Math.max(...path)).sort((a, b) => a - b);
+
+  const drawdowns = pricePaths.map(maxDrawdown);
+
+  const byDay = Array(steps).fill(0);
+  const crashDays = [];
+  pricePaths.forEach(path => {
+    const day = firstCrashDay(path, crashThreshold);
+    if (day !== null) {
+      byDay[day - 1] += 1 / paths;
+      crashDays.push(day);
+    }
+  });
+  let total = 0;
+  const cumulative = byDay.map(p => (total += p));
+
+  const metrics = {
+    paths,
+    steps,
+    startPrice,
+    minPrices,
+    maxPrices,
+    maxDrawdown: {
+      mean: calculateMean(drawdowns),
+      quantiles: drawdownQuantiles.map(quantile => ({
+        quantile,
+        drawdown: calculatePercentile(drawdowns, quantile * 100)
+      }))
+    },
+    firstCrash: {
+      probability: crashDays.length / Math.max(1, paths),
+      byDay,
+      cumulative,
+      medianDay: crashDays.length > 0 ? calculatePercentile(crashDays, 50) : null
+    },
+    endBelowStart: pricePaths.filter(path => path[path.length - 1] < startPrice).length / Math.max(1, paths)
+  };
+
+  metrics.touch = touchChanges.map(change => {
+    const price = startPrice * (1 + change);
+    return { change, price, probability: touchProbability(metrics, price) };
+  });
+  return metrics;
+}
+
+export {
+  DEFAULT_PATH_METRICS_OPTIONS,
+  maxDrawdown,
+  firstCrashDay,
+  touchProbability,
+  calculatePathMetrics
+};
@@ -0,0 +1,323 @@
+/**
+ * Poisson-Gamma Model
+ * Prior fitting and full posterior summaries for the crash-rate model.
+ *
+ * Each month's daily crash rate λ has a Gamma(a0*S_m, b0) prior (shape, rate).
+ * Observing N events in T days gives the Gamma(alpha = a0*S_m + N, beta = b0 + T)
+ * posterior, and the risk over tau days is P(at least one event) = 1 - exp(-λ*tau).
+ *
+ * fitGammaPrior() chooses a0 and b0 by empirical Bayes: each month × regime
+ * cell draws its λ from the same Gamma(a0*S_m, b0) prior its posterior uses, so
+ * its event count is marginally negative binomial, and the prior maximizing
+ * that marginal likelihood is used.
+ */
+
+import { state } from './state.js';
+import { readSetting } from './data-sources.js';
+import { lnGamma, gammaPdf, gammaQuantile } from '../utils/statistics.js';
+
+const PRIOR_METHODS = ['empirical-bayes', 'fixed'];
+const DEFAULT_PRIOR_METHOD = 'empirical-bayes';
+const PRIOR_STORAGE_KEY = 'rektPriorMethod';
+
+// The original hand-picked prior, kept as the 'fixed' option and as the benchmark for fits
+const FIXED_PRIOR = { a0: 1.0, b0: 1.0 };
+
+// Quantiles precomputed for every posterior
+const STANDARD_QUANTILES = [0.025, 0.05, 0.25, 0.5, 0.75, 0.95, 0.975];
+
+// Points in each posterior density curve
+const DENSITY_POINTS = 60;
+
+// Search range for ln(a0) and ln(b0); a fit on the boundary means the data are
+// close to Poisson (no overdispersion between cells)
+const LOG_PARAM_BOUNDS = [-8, 12];
+
+/**
+ * Resolve the prior method (?prior= overrides the stored choice)
+ * @returns {string} One of PRIOR_METHODS
+ */
+function resolvePriorMethod() {
+  const method = readSetting('prior', PRIOR_STORAGE_KEY);
+  if (PRIOR_METHODS.includes(method)) return method;
+
+  if (method) {
+    console.warn(`Unknown prior method "${method}", using ${DEFAULT_PRIOR_METHOD}`);
+  }
+  return DEFAULT_PRIOR_METHOD;
+}
+
+/**
+ * Get the prior method the model should use
+ * @returns {string} One of PRIOR_METHODS
+ */
+function getPriorMethod() {
+  if (!state.priorMethod) {
+    state.priorMethod = resolvePriorMethod();
+  }
+  return state.priorMethod;
+}
+
+/**
+ * Group records into month × regime cells
+ * @param {Array} data - Records with date, regime and extremeEvent flags
+ * @param {Object} seasonalFactors - S_m by month (1-12); missing months get 1
+ * @returns {Array<{month: number, regime: number, S: number, N: number, T: number}>} Cells with
+ *   their month's seasonal factor, events and exposure (days)
+ */
+function buildCells(data, seasonalFactors = {}) {
+  const cells = {};
+  data.forEach(d => {
+    const key = `${d.date.getMonth() + 1}|${d.regime}`;
+    if (!cells[key]) {
+      const month = d.date.getMonth() + 1;
+      const S = seasonalFactors[month];
+      cells[key] = { month, regime: d.regime, S: Number.isFinite(S) ? S : 1, N: 0, T: 0 };
+    }
+    cells[key].N += d.extremeEvent || 0;
+    cells[key].T += 1;
+  });
+  return Object.values(cells);
+}
+
+/**
+ * Negative binomial log marginal likelihood of the cells under their Gamma(a0*S_m, b0) priors
+ * A cell whose month has S_m = 0 has no prior mass above zero, so it only
+ * allows (and adds nothing for) a count of zero.
+ * @param {number} a0 - Prior shape (before the seasonal factor)
+ * @param {number} b0 - Prior rate (days)
+ * @param {Array} cells - Cells from buildCells
+ * @returns {number} Log marginal likelihood
+ */
+function negativeBinomialLogLikelihood(a0, b0, cells) {
+  return cells.reduce((sum, { S, N, T }) => {
+    const a = a0 * (S ?? 1);
+    if (a <= 0) return N === 0 ? sum : -Infinity;
+    return sum +
+      lnGamma(a + N) - lnGamma(a) - lnGamma(N + 1) +
+      a * Math.log(b0 / (b0 + T)) + N * Math.log(T / (b0 + T));
+  }, 0);
+}
+
+/**
+ * Minimize a function of two variables with the Nelder-Mead simplex method
+ * @param {Function} f - Objective ([x, y]) => number
+ * @param {Array<number>} start - Starting point
+ * @param {number} maxIterations - Iteration limit
+ * @returns {{point: Array<number>, value: number, converged: boolean}}
+ */
+function nelderMead(f, start, maxIterations = 500) {
+  let simplex = [start, [start[0] + 0.5, start[1]], [start[0], start[1] + 0.5]]
+    .map(point => ({ point, value: f(point) }));
+
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const [best, middle, worst] = simplex;
+
+    if (Math.abs(worst.value - best.value) < 1e-9) {
+      return { point: best.point, value: best.value, converged: true };
+    }
+
+    const centroid = best.point.map((v, i) => (v + middle.point[i]) / 2);
+    const reflected = combine(centroid, worst.point, -1);
+    const reflectedValue = f(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.point, -2);
+      const expandedValue = f(expanded);
+      simplex[2] = expandedValue < reflectedValue ?
+        { point: expanded, value: expandedValue } : { point: reflected, value: reflectedValue };
+    } else if (reflectedValue < middle.value) {
+      simplex[2] = { point: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.point, 0.5);
+      const contractedValue = f(contracted);
+      if (contractedValue < worst.value) {
+        simplex[2] = { point: contracted, value: contractedValue };
+      } else {
+        // Shrink towards the best point
+        simplex = simplex.map((vertex, i) => {
+          if (i === 0) return vertex;
+          const point = combine(best.point, vertex.point, 0.5);
+          return { point, value: f(point) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return { point: simplex[0].point, value: simplex[0].value, converged: false };
+}
+
+/**
+ * Fit the Gamma prior by maximizing the negative binomial marginal likelihood
+ * @param {Array} data - Records with date, regime and extremeEvent flags (see extreme-events.js)
+ * @param {Object} seasonalFactors - S_m by month (1-12), as the posterior applies them
+ * @returns {Object} {a0, b0, method, logLikelihood, fixedLogLikelihood, cellCount, eventCount, priorMean, priorSd, atBoundary, converged}
+ */
+function fitGammaPrior(data, seasonalFactors = {}) {
+  const cells = buildCells(data, seasonalFactors);
+  const eventCount = cells.reduce((sum, cell) => sum + cell.N, 0);
+
+  if (eventCount === 0 || cells.length < 2) {
+    console.warn('Not enough extreme events to fit the prior, using the fixed prior');
+    return describePrior(FIXED_PRIOR.a0, FIXED_PRIOR.b0, 'fixed', cells);
+  }
+
+  // Method-of-moments start: between-cell variance of the deseasonalized rates
+  // (λ/S_m has a Gamma(a0, b0) prior in every cell) beyond Poisson noise
+  const seasonalCells = cells.filter(cell => cell.S > 0);
+  const pooledRate = eventCount / seasonalCells.reduce((sum, cell) => sum + cell.S * cell.T, 0);
+  const rates = seasonalCells.map(cell => cell.N / (cell.S * cell.T));
+  const rateVariance = rates.reduce((sum, r) => sum + (r - pooledRate) ** 2, 0) / (rates.length - 1);
+  const poissonVariance = pooledRate *
+    seasonalCells.reduce((sum, cell) => sum + 1 / (cell.S * cell.T), 0) / seasonalCells.length;
+  const excessVariance = rateVariance - poissonVariance;
+  const startA0 = excessVariance > 0 ? pooledRate ** 2 / excessVariance : 10;
+  const start = [Math.log(startA0), Math.log(startA0 / pooledRate)];
+
+  const clamp = v => Math.min(LOG_PARAM_BOUNDS[1], Math.max(LOG_PARAM_BOUNDS[0], v));
+  const objective = ([logA0, logB0]) =>
+    -negativeBinomialLogLikelihood(Math.exp(clamp(logA0)), Math.exp(clamp(logB0)), cells);
+
+  const result = nelderMead(objective, start.map(clamp));
+  const [logA0, logB0] = result.point.map(clamp);
+  const fit = describePrior(Math.exp(logA0), Math.exp(logB0), 'empirical-bayes', cells);
+
+  fit.converged = result.converged;
+  fit.atBoundary = [logA0, logB0].some(v => v === LOG_PARAM_BOUNDS[0] || v === LOG_PARAM_BOUNDS[1]);
+
+  return fit;
+}
+
+/**
+ * Summarize a prior and how well it explains the cells
+ * @param {number} a0 - Prior shape
+ * @param {number} b0 - Prior rate
+ * @param {string} method - How the prior was chosen
+ * @param {Array} cells - Cells from buildCells
+ * @returns {Object} Prior description
+ */
+function describePrior(a0, b0, method, cells) {
+  return {
+    a0,
+    b0,
+    method,
+    logLikelihood: negativeBinomialLogLikelihood(a0, b0, cells),
+    fixedLogLikelihood: negativeBinomialLogLikelihood(FIXED_PRIOR.a0, FIXED_PRIOR.b0, cells),
+    cellCount: cells.length,
+    eventCount: cells.reduce((sum, cell) => sum + cell.N, 0),
+    // Prior of a month with S_m = 1
+    priorMean: a0 / b0,
+    priorSd: Math.sqrt(a0) / b0,
+    atBoundary: false,
+    converged: true
+  };
+}
+
+/**
+ * Set state.riskConstants for the data about to be modelled
+ * @param {Array} data - Records with extremeEvent flags for the active definition
+ * @param {Object} seasonalFactors - S_m by month (1-12), as the posterior applies them
+ * @param {string} method - Prior method (defaults to the configured one)
+ * @returns {Object} Risk constants ({a0, b0, method, fit})
+ */
+function updateRiskConstants(data, seasonalFactors = {}, method = getPriorMethod()) {
+  const fit = method === 'fixed' ?
+    describePrior(FIXED_PRIOR.a0, FIXED_PRIOR.b0, 'fixed', buildCells(data, seasonalFactors)) :
+    fitGammaPrior(data, seasonalFactors);
+
+  state.riskConstants = { a0: fit.a0, b0: fit.b0, method: fit.method, fit };
+  return state.riskConstants;
+}
+
+/**
+ * Format the active prior for display, e.g. "a₀=0.84, b₀=412.3, empirical Bayes"
+ * @returns {string} Prior parameters and method
+ */
+function formatRiskConstants() {
+  const { a0, b0, method } = state.riskConstants;
+  return `a₀=${a0.toFixed(2)}, b₀=${b0.toFixed(1)}, ${method === 'empirical-bayes' ? 'empirical Bayes' : 'fixed'}`;
+}
+
+/**
+ * Quantile of a posterior, on the rate and risk scales
+ * @param {Object} posterior - Posterior from summarizePosterior
+ * @param {number} p - Probability (0-1)
+ * @returns {{lambda: number, risk: number}} Rate quantile and the matching risk over the horizon
+ */
+function posteriorQuantile(posterior, p) {
+  const lambda = gammaQuantile(p, posterior.alpha, posterior.beta);
+  return { lambda, risk: 1 - Math.exp(-lambda * posterior.tau) };
+}
+
+/**
+ * Summarize the Gamma(alpha, beta) posterior of a month's crash rate
+ * Risk is monotone in λ, so rate quantiles map directly to risk quantiles.
+ * @param {number} alpha - Posterior shape (a0*S_m + N)
+ * @param {number} beta - Posterior rate (b0 + T)
+ * @param {number} tau - Horizon (same unit as the exposure in beta)
+ * @param {number} points - Points in the density curve
+ * @returns {Object} {alpha, beta, tau, mean, mode, sd, risk, quantiles, density}
+ */
+function summarizePosterior(alpha, beta, tau, points = DENSITY_POINTS) {
+  const mean = alpha / beta;
+  const mode = alpha >= 1 ? (alpha - 1) / beta : 0;
+  const posterior = {
+    alpha,
+    beta,
+    tau,
+    mean,
+    mode,
+    sd: Math.sqrt(alpha) / beta,
+    risk: {
+      atMean: 1 - Math.exp(-mean * tau),
+      atMode: 1 - Math.exp(-mode * tau),
+      // Posterior predictive P(at least one event), integrating over λ
+      predictive: 1 - Math.pow(beta / (beta + tau), alpha)
+    },
+    quantiles: {},
+    density: []
+  };
+
+  STANDARD_QUANTILES.forEach(p => {
+    posterior.quantiles[p] = posteriorQuantile(posterior, p);
+  });
+
+  // A zero shape (no prior weight and no events) is a point mass at λ = 0
+  if (!(alpha > 0)) return posterior;
+
+  // Density over the central 99.8% of the posterior, on both scales:
+  // density(λ) and the density of risk r = 1 - exp(-λτ), dλ/dr = 1 / (τ(1 - r))
+  const from = gammaQuantile(0.001, alpha, beta);
+  const to = gammaQuantile(0.999, alpha, beta);
+  for (let i = 0; i < points; i++) {
+    const lambda = from + (to - from) * i / (points - 1);
+    const risk = 1 - Math.exp(-lambda * tau);
+    const density = gammaPdf(lambda, alpha, beta);
+    posterior.density.push({
+      lambda,
+      risk,
+      density,
+      riskDensity: density / (tau * (1 - risk))
+    });
+  }
+
+  return posterior;
+}
+
+export {
+  PRIOR_METHODS,
+  FIXED_PRIOR,
+  STANDARD_QUANTILES,
+  resolvePriorMethod,
+  getPriorMethod,
+  negativeBinomialLogLikelihood,
+  fitGammaPrior,
+  updateRiskConstants,
+  formatRiskConstants,
+  summarizePosterior,
+  posteriorQuantile
+};
@@ -0,0 +1,334 @@
+/**
+ * Return Generators
+ * How the forecaster's Monte Carlo simulation draws each day's log return once
+ * the state path is drawn:
+ *
+ *   normal     - normal with the state's mean and volatility
+ *   student-t  - Student-t with the state's mean and volatility, and degrees of
+ *                freedom from the kurtosis of the state's returns
+ *   bootstrap  - blocks of consecutive historical days in the state, so the
+ *                state's real tails and short-range dependence are kept; a block
+ *                ends where the state's run of days ended
+ *   garch      - normal, with the state's volatility scaled by a GARCH(1,1)
+ *                variance that starts at today's and follows the simulated returns
+ *
+ * The GARCH(1,1) model is fitted to the returns standardized by their state's
+ * mean and volatility, so it only describes volatility clustering within states.
+ *
+ * `?returns=` overrides the stored generator.
+ */
+
+import { state } from './state.js';
+import { readSetting } from './data-sources.js';
+
+const RETURN_GENERATORS = ['normal', 'student-t', 'bootstrap', 'garch'];
+const DEFAULT_RETURN_GENERATOR = 'normal';
+const RETURN_GENERATOR_STORAGE_KEY = 'rektReturnGenerator';
+
+const BLOCK_LENGTH = 5;             // Days per bootstrap block
+const DEGREES_OF_FREEDOM_RANGE = [2.5, 30];
+const MIN_KURTOSIS_SAMPLES = 20;    // Fewer returns in a state fall back to the upper bound
+
+/**
+ * Resolve the return generator (?returns= overrides the stored choice)
+ * @returns {string} One of RETURN_GENERATORS
+ */
+function resolveReturnGenerator() {
+  const id = readSetting('returns', RETURN_GENERATOR_STORAGE_KEY);
+  if (id && RETURN_GENERATORS.includes(id)) return id;
+
+  if (id) {
+    console.warn(`Unknown return generator "${id}", using ${DEFAULT_RETURN_GENERATOR}`);
+  }
+  return DEFAULT_RETURN_GENERATOR;
+}
+
+/**
+ * Get the generator the forecaster simulates returns with
+ * @returns {string} One of RETURN_GENERATORS
+ */
+function getReturnGenerator() {
+  if (!state.returnGenerator) {
+    state.returnGenerator = resolveReturnGenerator();
+  }
+  return state.returnGenerator;
+}
+
+/**
+ * Make a generator the default and remember it for future visits
+ * Callers recalculate the forecast afterwards.
+ * @param {string} id - One of RETURN_GENERATORS
+ */
+function setReturnGenerator(id) {
+  if (!RETURN_GENERATORS.includes(id)) {
+    throw new Error(`Unknown return generator "${id}". Use one of: ${RETURN_GENERATORS.join(', ')}`);
+  }
+
+  state.returnGenerator = id;
+
+  try {
+    localStorage.setItem(RETURN_GENERATOR_STORAGE_KEY, id);
+  } catch (e) {
+    console.warn('Could not store return generator:', e);
+  }
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {Function} random - Generator in [0, 1)
+ * @returns {number} Draw
+ */
+function sampleNormal(random = Math.random) {
+  // In (0, 1], so the logarithm is finite
+  const u1 = 1 - random();
+  const u2 = random();
+  return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+}
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia-Tsang, boosted for shape < 1)
+ * @param {number} shape - Shape (> 0)
+ * @param {Function} random - Generator in [0, 1)
+ * @returns {number} Draw
+ */
+function sampleGamma(shape, random = Math.random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const z = sampleNormal(random);
+    const v = Math.pow(1 + c * z, 3);
+    if (v <= 0) continue;
+    const u = random();
+    if (Math.log(u) < 0.5 * z * z + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+/**
+ * Student-t draw with unit variance
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 2)
+ * @param {Function} random - Generator in [0, 1)
+ * @returns {number} Draw
+ */
+function sampleStudentT(degreesOfFreedom, random = Math.random) {
+  const chiSquare = 2 * sampleGamma(degreesOfFreedom / 2, random);
+  const t = sampleNormal(random) / Math.sqrt(chiSquare / degreesOfFreedom);
+  return t * Math.sqrt((degreesOfFreedom - 2) / degreesOfFreedom);
+}
+
+/**
+ * Student-t degrees of freedom matching the excess kurtosis of returns
+ * (a t with ν > 4 has excess kurtosis 6 / (ν - 4))
+ * @param {Array<number>} returns - Returns of one state
+ * @returns {number} Degrees of freedom within DEGREES_OF_FREEDOM_RANGE
+ */
+function fitDegreesOfFreedom(returns) {
+  const [min, max] = DEGREES_OF_FREEDOM_RANGE;
+  if (returns.length < MIN_KURTOSIS_SAMPLES) return max;
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const m2 = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+  const m4 = returns.reduce((sum, r) => sum + Math.pow(r - mean, 4), 0) / returns.length;
+  const excessKurtosis = m2 > 0 ? m4 / (m2 * m2) - 3 : 0;
+  if (excessKurtosis <= 0) return max;
+
+  return Math.max(min, Math.min(max, 4 + 6 / excessKurtosis));
+}
+
+/**
+ * Fit GARCH(1,1) to residuals by Gaussian quasi-likelihood
+ * The unconditional variance is held at the sample variance (variance
+ * targeting) and α, β are searched on a 0.02 grid (α ≤ 0.3, β ≥ 0.5, α + β < 1).
+ * @param {Array<number>} residuals - Zero-mean residuals, chronologically
+ * @returns {Object} {omega, alpha, beta, variance (unconditional), lastVariance
+ *   (for the day after the last residual)}
+ */
+function fitGarch(residuals) {
+  const variance = residuals.reduce((sum, u) => sum + u * u, 0) / residuals.length || 1;
+  let best = { alpha: 0, beta: 0, logLikelihood: -Infinity };
+
+  for (let a = 1; a <= 15; a++) {
+    for (let b = 25; a + b < 50; b++) {
+      const alpha = a * 0.02;
+      const beta = b * 0.02;
+      const omega = variance * (1 - alpha - beta);
+      let h = variance;
+      let logLikelihood = 0;
+      for (const u of residuals) {
+        logLikelihood -= 0.5 * (Math.log(h) + u * u / h);
+        h = omega + alpha * u * u + beta * h;
+      }
+      if (logLikelihood > best.logLikelihood) {
+        best = { alpha, beta, logLikelihood };
+      }
+    }
+  }
+
+  const { alpha, beta } = best;
+  const omega = variance * (1 - alpha - beta);
+  return { omega, alpha, beta, variance, lastVariance: garchVariance({ omega, alpha, beta, variance }, residuals) };
+}
+
+/**
+ * Conditional variance for the day after a run of residuals
+ * @param {Object} garch - {omega, alpha, beta, variance}
+ * @param {Array<number>} residuals - Residuals, chronologically
+ * @returns {number} Variance
+ */
+function garchVariance({ omega, alpha, beta, variance }, residuals) {
+  let h = variance;
+  for (const u of residuals) {
+    h = omega + alpha * u * u + beta * h;
+  }
+  return h;
+}
+
+/**
+ * Standardized residual of each day with a return: (return - state mean) / state volatility
+ * @param {Array} stateData - Days with returnState (1-indexed) and logReturn
+ * @param {Array<string>} stateNames - State names
+ * @param {Object} stateReturns - Mean return by state name
+ * @param {Object} stateVolatility - Volatility by state name
+ * @returns {Array<number>} Residuals, chronologically
+ */
+function standardizedResiduals(stateData, stateNames, stateReturns, stateVolatility) {
+  return stateData
+    .filter(d => stateNames[d.returnState - 1] && typeof d.logReturn === 'number' && isFinite(d.logReturn))
+    .map(d => {
+      const name = stateNames[d.returnState - 1];
+      return (d.logReturn - stateReturns[name]) / (stateVolatility[name] || 1);
+    });
+}
+
+/**
+ * Fit what every generator needs from labelled history
+ * @param {Array} stateData - Days with returnState (1-indexed) and logReturn
+ * @param {Array<string>} stateNames - State names
+ * @param {Object} stateReturns - Mean return by state name
+ * @param {Object} stateVolatility - Volatility by state name
+ * @returns {Object} {returnsByState (chronological), runsByState (run number of each of
+ *   those returns; consecutive days in the state share one), degreesOfFreedom by state, garch}
+ */
+function fitReturnGenerators(stateData, stateNames, stateReturns, stateVolatility) {
+  const returnsByState = {};
+  const runsByState = {};
+  const lastDayByState = {};
+  stateNames.forEach(name => {
+    returnsByState[name] = [];
+    runsByState[name] = [];
+  });
+  let run = 0;
+  stateData.forEach((d, day) => {
+    const name = stateNames[d.returnState - 1];
+    if (name && typeof d.logReturn === 'number' && isFinite(d.logReturn)) {
+      // A new run unless the state's previous return was the day before
+      if (lastDayByState[name] !== day - 1) run++;
+      lastDayByState[name] = day;
+      returnsByState[name].push(d.logReturn);
+      runsByState[name].push(run);
+    }
+  });
+
+  const degreesOfFreedom = {};
+  stateNames.forEach(name => {
+    degreesOfFreedom[name] = fitDegreesOfFreedom(returnsByState[name]);
+  });
+
+  const residuals = standardizedResiduals(stateData, stateNames, stateReturns, stateVolatility);
+  const garch = residuals.length > 1 ? fitGarch(residuals) : null;
+
+  return { returnsByState, runsByState, degreesOfFreedom, garch };
+}
+
+/**
+ * Create a sampler of daily returns for simulated paths
+ * Call startPath() for each path and draw each day's return from the function
+ * it returns, in order, with that day's state.
+ * @param {string} generator - One of RETURN_GENERATORS
+ * @param {Object} params - {stateNames, stateReturns, stateVolatility, fit (fitReturnGenerators)}
+ * @param {Function} random - Generator in [0, 1)
+ * @returns {{startPath: Function}} Sampler
+ */
+function createReturnSampler(generator, { stateNames, stateReturns, stateVolatility, fit }, random = Math.random) {
+  if (!RETURN_GENERATORS.includes(generator)) {
+    throw new Error(`Unknown return generator "${generator}". Use one of: ${RETURN_GENERATORS.join(', ')}`);
+  }
+
+  const normalDraw = name => stateReturns[name] + sampleNormal(random) * stateVolatility[name];
+
+  if (generator === 'student-t' && fit) {
+    return {
+      startPath: () => stateIndex => {
+        const name = stateNames[stateIndex];
+        return stateReturns[name] + sampleStudentT(fit.degreesOfFreedom[name], random) * stateVolatility[name];
+      }
+    };
+  }
+
+  if (generator === 'bootstrap' && fit) {
+    return {
+      startPath: () => {
+        let previousState = -1;
+        let position = 0;
+        let blockLeft = 0;
+        return stateIndex => {
+          const name = stateNames[stateIndex];
+          const history = fit.returnsByState[name];
+          const runs = fit.runsByState[name];
+          if (history.length === 0) return normalDraw(name);
+
+          // Continue the block while the simulated and the historical run of the state last,
+          // otherwise start a new one
+          if (stateIndex === previousState && blockLeft > 0 && position + 1 < history.length &&
+              runs[position + 1] === runs[position]) {
+            position++;
+            blockLeft--;
+          } else {
+            position = Math.floor(random() * history.length);
+            blockLeft = BLOCK_LENGTH - 1;
+          }
+          previousState = stateIndex;
+          return history[position];
+        };
+      }
+    };
+  }
+
+  if (generator === 'garch' && fit && fit.garch) {
+    const { omega, alpha, beta, variance, lastVariance } = fit.garch;
+    return {
+      startPath: () => {
+        let h = lastVariance;
+        return stateIndex => {
+          const name = stateNames[stateIndex];
+          const u = Math.sqrt(h) * sampleNormal(random);
+          h = omega + alpha * u * u + beta * h;
+          return stateReturns[name] + stateVolatility[name] * u / Math.sqrt(variance);
+        };
+      }
+    };
+  }
+
+  return { startPath: () => stateIndex => normalDraw(stateNames[stateIndex]) };
+}
+
+export {
+  RETURN_GENERATORS,
+  DEFAULT_RETURN_GENERATOR,
+  BLOCK_LENGTH,
+  resolveReturnGenerator,
+  getReturnGenerator,
+  setReturnGenerator,
+  sampleNormal,
+  sampleGamma,
+  sampleStudentT,
+  fitDegreesOfFreedom,
+  fitGarch,
+  garchVariance,
+  standardizedResiduals,
+  fitReturnGenerators,
+  createReturnSampler
+};
@@ -3,23 +3,73 @@
  */
 
 import { preparePredictionChartData } from './data-service.js';
-import { calculateEnhancedRisk } from './enhanced-risk-model.js';
-import { state } from '../app.js';
+import { markExtremeEvents } from './extreme-events.js';
+import { calculateIntradayRisk, INTRADAY_TIMEFRAMES } from './intraday-risk.js';
+import { state } from './state.js';
+import { runInWorker, isAbortError } from '../workers/compute.js';
 
 // Define the risk model constants
 const a0 = 1.0; // baseline prior shape
 const b0 = 1.0; // baseline prior scale
 
+// Calculation in progress: {controller, promise}
+let riskRun = null;
+
 /**
  * Calculate risk for all timeframes using the enhanced model
+ * The model runs in a worker (see workers/compute-tasks.js calendarRisk). A
+ * call while another runs cancels it; both resolve once the newer one is done.
+ * @returns {Promise<void>} Resolves once state.riskByMonth is up to date
  */
 function calculateRiskForAllTimeframes() {
+  if (riskRun) riskRun.controller.abort();
+  
+  const controller = new AbortController();
+  const run = { controller, promise: null };
+  run.promise = applyRiskForAllTimeframes(controller.signal)
+    .catch(error => {
+      if (isAbortError(error) && riskRun !== run) return riskRun.promise;
+      throw error;
+    })
+    .finally(() => {
+      if (riskRun === run) riskRun = null;
+    });
+  
+  riskRun = run;
+  return run.promise;
+}
+
+/**
+ * Run the calendar model for all timeframes and store its results
+ * @param {AbortSignal} signal - Cancels the run
+ */
+async function applyRiskForAllTimeframes(signal) {
   const timeframes = [1, 7, 14, 30, 90]; // days
   
+  // The worker flags its own copy; the page's records need the same flags
+  markExtremeEvents(state.bitcoinData);
+  
+  const result = await runInWorker('calendarRisk', { timeframes }, { signal });
   timeframes.forEach(timeframe => {
     // Use enhanced model instead of original
-    state.riskByMonth[timeframe] = calculateEnhancedRisk(state.bitcoinData, timeframe);
+    state.riskByMonth[timeframe] = result.riskByMonth[timeframe];
   });
+  state.riskComponents = result.riskComponents;
+  state.monthlyRiskStats = result.monthlyRiskStats;
+  state.riskConstants = result.riskConstants;
+  state.onChainData = result.onChainData;
+  state.latestOnChainMetrics = result.latestOnChainMetrics;
+  state.volatilityMetrics = result.volatilityMetrics;
+
+  // Short horizons use hour-level exposure when hourly candles are loaded
+  if (state.hourlyData && state.hourlyData.length > 0) {
+    INTRADAY_TIMEFRAMES.forEach(timeframe => {
+      const intradayRisk = calculateIntradayRisk(state.hourlyData, timeframe);
+      if (intradayRisk) {
+        state.riskByMonth[timeframe] = { ...state.riskByMonth[timeframe], ...intradayRisk };
+      }
+    });
+  }
   
   console.log("Risk calculation completed for all timeframes using enhanced model");
   
@@ -53,32 +103,8 @@ function calculateRiskForAllTimeframes() {
  * @returns {Object} Risk by month
  */
 function calculateRisk(data, timeframeDays) {
-    // Group data by halving epoch
-    const epochData = {};
-    data.forEach(d => {
-      if (!epochData[d.halvingEpoch]) {
-        epochData[d.halvingEpoch] = [];
-      }
-      epochData[d.halvingEpoch].push(d);
-    });
-    
-    // Calculate 1st percentile thresholds for each epoch
-    const thresholds = {};
-    Object.keys(epochData).forEach(epoch => {
-      const epochLogReturns = epochData[epoch]
-        .map(d => d.logReturn)
-        .filter(r => !isNaN(r) && isFinite(r));
-      
-      epochLogReturns.sort((a, b) => a - b);
-      const threshold = epochLogReturns[Math.floor(epochLogReturns.length * 0.01)];
-      thresholds[epoch] = threshold;
-    });
-    
     // Mark extreme events using epoch-specific thresholds
-    data.forEach(d => {
-      const threshold = thresholds[d.halvingEpoch];
-      d.extremeEvent = d.logReturn < threshold ? 1 : 0;
-    });
+    markExtremeEvents(data);
     
     // Calculate overall extreme event frequency
     const totalExtremeEvents = data.reduce((sum, d) => sum + d.extremeEvent, 0);
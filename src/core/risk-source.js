@@ -0,0 +1,196 @@
+/**
+ * Risk Source
+ * Which registered crash model (model-registry.js, src/models/) the calendar,
+ * the gauge and RektBot read monthly crash risk from. The default is the
+ * Poisson-Gamma calendar model ('calendar'), which is always computed into
+ * state.riskByMonth and shown until the selected model is ready.
+ *
+ * `?risk=<id>` overrides the stored choice. Models are created and fitted per
+ * timeframe on demand (ensureActiveModel) and kept in state.models.
+ */
+
+import { state } from './state.js';
+import { readSetting } from './data-sources.js';
+import { getModelDescriptor, listModels, createModel } from './model-registry.js';
+import { calculateRiskForAllTimeframes } from './risk-model.js';
+import '../models/index.js';
+
+const RISK_SOURCE_STORAGE_KEY = 'rektRiskSource';
+const DEFAULT_RISK_SOURCE = 'calendar';
+
+// Fits in progress by model and timeframe, so repeated requests share one fit,
+// and the controllers that cancel them
+const pendingFits = new Map();
+const fitControllers = new Map();
+
+const modelKey = (id, timeframe) => `${id}:${timeframe}`;
+
+/**
+ * Resolve the risk source (?risk= overrides the stored choice)
+ * @returns {string} A registered model id
+ */
+function resolveRiskSource() {
+  const id = readSetting('risk', RISK_SOURCE_STORAGE_KEY);
+  if (getModelDescriptor(id)) return id;
+
+  if (id) {
+    console.warn(`Unknown risk source "${id}", using ${DEFAULT_RISK_SOURCE}`);
+  }
+  return DEFAULT_RISK_SOURCE;
+}
+
+/**
+ * Get the active risk source
+ * @returns {string} A registered model id
+ */
+function getRiskSource() {
+  if (!state.riskSource) {
+    state.riskSource = resolveRiskSource();
+  }
+  return state.riskSource;
+}
+
+/**
+ * Make a model the active one and remember it for future visits
+ * Callers fit the model (ensureActiveModel) and re-render afterwards.
+ * @param {string} id - A registered model id
+ */
+function setRiskSource(id) {
+  if (!getModelDescriptor(id)) {
+    throw new Error(`Unknown risk source "${id}". Use one of: ${listModels().map(m => m.id).join(', ')}`);
+  }
+
+  state.riskSource = id;
+
+  try {
+    window.localStorage.setItem(RISK_SOURCE_STORAGE_KEY, id);
+  } catch (e) {
+    console.warn('Could not store risk source:', e);
+  }
+}
+
+/**
+ * Descriptor of the active model
+ * @returns {Object} Registry descriptor
+ */
+function getActiveDescriptor() {
+  return getModelDescriptor(getRiskSource());
+}
+
+/**
+ * Whether the active model forecasts a timeframe
+ * @param {number} timeframe - Forecast horizon in days
+ * @returns {boolean}
+ */
+function supportsTimeframe(timeframe = state.currentTimeframe) {
+  return getActiveDescriptor().horizons.includes(timeframe);
+}
+
+/**
+ * Active model for a timeframe, if it has been fitted
+ * @param {number} timeframe - Forecast horizon in days
+ * @returns {CrashDetector|null}
+ */
+function getActiveModel(timeframe = state.currentTimeframe) {
+  const model = state.models[modelKey(getRiskSource(), timeframe)];
+  return model && model.isReady() ? model : null;
+}
+
+/**
+ * Risk by month from the active model, or the calendar model until it is ready
+ * @param {number} timeframe - Forecast horizon in days
+ * @returns {Object} Risk by month (1-12) in the calendar's {risk, lower?, upper?, ...} format
+ */
+function getRiskByMonth(timeframe = state.currentTimeframe) {
+  const model = getActiveModel(timeframe);
+  const riskByMonth = model && model.getRiskByMonth();
+  return riskByMonth || state.riskByMonth[timeframe] || {};
+}
+
+/**
+ * Risk entry for one month from the active model
+ * @param {number} month - Month (1-12)
+ * @param {number} timeframe - Forecast horizon in days
+ * @returns {Object|number|undefined} Risk entry
+ */
+function getMonthRisk(month, timeframe = state.currentTimeframe) {
+  return getRiskByMonth(timeframe)[month];
+}
+
+/**
+ * Create and fit the active model for a timeframe on state.bitcoinData
+ * @param {number} timeframe - Forecast horizon in days
+ * @param {Function} onProgress - Called as (done, total) by models that report progress
+ * @returns {Promise<CrashDetector|null>} The model, null when it does not forecast the
+ *   timeframe or the choice changed while fitting; rejects with an AbortError when the
+ *   data changed (invalidateModels)
+ */
+function ensureActiveModel(timeframe = state.currentTimeframe, onProgress = null) {
+  const id = getRiskSource();
+  if (!supportsTimeframe(timeframe)) return Promise.resolve(null);
+
+  const key = modelKey(id, timeframe);
+  if (state.models[key] && state.models[key].isReady()) return Promise.resolve(state.models[key]);
+  if (pendingFits.has(key)) return pendingFits.get(key);
+
+  const model = createModel(id, { timeframe, onProgress });
+  const controller = new AbortController();
+  const fit = Promise.resolve()
+    .then(() => model.update(state.bitcoinData, controller.signal))
+    .then(() => {
+      // Drop the result if the data changed while fitting
+      if (pendingFits.get(key) !== fit) return null;
+      state.models[key] = model;
+      return state.riskSource === id ? model : null;
+    })
+    .finally(() => {
+      if (pendingFits.get(key) === fit) {
+        pendingFits.delete(key);
+        fitControllers.delete(key);
+      }
+    });
+
+  pendingFits.set(key, fit);
+  fitControllers.set(key, controller);
+  return fit;
+}
+
+/**
+ * Recalculate the calendar model for every timeframe and bring the fitted
+ * models up to date with the latest inputs (e.g. sentiment), without refitting
+ * @returns {Promise<void>} Resolves once the calendar model is up to date
+ */
+async function recalculateRisk() {
+  await calculateRiskForAllTimeframes();
+
+  Object.values(state.models).forEach(model => {
+    try {
+      model.refresh(state.bitcoinData);
+    } catch (error) {
+      console.error('Error refreshing model forecasts:', error);
+    }
+  });
+}
+
+/**
+ * Forget fitted models and cancel fits in progress (after the data or event definition change)
+ */
+function invalidateModels() {
+  state.models = {};
+  fitControllers.forEach(controller => controller.abort());
+  fitControllers.clear();
+  pendingFits.clear();
+}
+
+export {
+  getRiskSource,
+  setRiskSource,
+  getActiveDescriptor,
+  supportsTimeframe,
+  getActiveModel,
+  getRiskByMonth,
+  getMonthRisk,
+  ensureActiveModel,
+  recalculateRisk,
+  invalidateModels
+};
@@ -0,0 +1,105 @@
+/**
+ * Simulation Seed
+ * The seed of the forecaster's random draws: the Monte Carlo paths, the past
+ * forecasts its bands are calibrated on, and the headline classifier's sampled
+ * bigrams. The same seed, records and settings give the same forecast.
+ *
+ * A visit without a seed gets a fresh one, which is remembered, so reloading
+ * the page repeats the forecast. `?seed=` overrides the stored seed.
+ */
+
+import { state } from './state.js';
+import { readSetting } from './data-sources.js';
+import { createRandom, randomSeed } from '../utils/random.js';
+
+const SEED_STORAGE_KEY = 'rektSimulationSeed';
+const MAX_SEED = 4294967295;
+
+/**
+ * Parse a seed
+ * @param {string|number} value - Seed text or number
+ * @returns {number|null} Unsigned 32-bit integer; null when the value is not one
+ */
+function parseSeed(value) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) return null;
+
+  const seed = Number(text);
+  return seed <= MAX_SEED ? seed : null;
+}
+
+/**
+ * Resolve the seed (?seed= overrides the stored one; without either a new one is stored)
+ * @returns {number} Unsigned 32-bit integer
+ */
+function resolveSimulationSeed() {
+  const text = readSetting('seed', SEED_STORAGE_KEY);
+  const seed = text ? parseSeed(text) : null;
+  if (seed !== null) return seed;
+
+  if (text) {
+    console.warn(`Invalid simulation seed "${text}", using a new one`);
+  }
+  const fresh = randomSeed();
+  storeSeed(fresh);
+  return fresh;
+}
+
+/**
+ * Remember a seed for future visits
+ * @param {number} seed - Seed
+ */
+function storeSeed(seed) {
+  try {
+    localStorage.setItem(SEED_STORAGE_KEY, String(seed));
+  } catch (e) {
+    console.warn('Could not store simulation seed:', e);
+  }
+}
+
+/**
+ * Get the seed the forecaster's simulations draw from
+ * @returns {number} Unsigned 32-bit integer
+ */
+function getSimulationSeed() {
+  if (state.simulationSeed === undefined || state.simulationSeed === null) {
+    state.simulationSeed = resolveSimulationSeed();
+  }
+  return state.simulationSeed;
+}
+
+/**
+ * Make a seed the default and remember it for future visits
+ * Callers recalculate the forecast afterwards.
+ * @param {number|string} seed - Unsigned 32-bit integer
+ */
+function setSimulationSeed(seed) {
+  const parsed = parseSeed(seed);
+  if (parsed === null) {
+    throw new Error(`Invalid simulation seed "${seed}". Use a whole number from 0 to ${MAX_SEED}`);
+  }
+
+  state.simulationSeed = parsed;
+  storeSeed(parsed);
+}
+
+/**
+ * Generator for one simulation
+ * Each simulation run with a seed gets its own stream, named by its keys (e.g.
+ * a past forecast's date), so it draws the same numbers whatever ran before it.
+ * @param {number|null} seed - Seed; null or undefined for Math.random
+ * @param {...(string|number)} keys - Names the stream
+ * @returns {Function} Generator in [0, 1)
+ */
+function simulationRandom(seed, ...keys) {
+  if (seed === null || seed === undefined) return Math.random;
+  return createRandom(keys.length > 0 ? [seed, ...keys].join(':') : seed);
+}
+
+export {
+  MAX_SEED,
+  parseSeed,
+  getSimulationSeed,
+  setSimulationSeed,
+  simulationRandom
+};
@@ -0,0 +1,45 @@
+/**
+ * Shared State
+ * The single state object used by the calendar (index.html) and the
+ * forecaster (FORECASTOOOOOR.html). Core modules import it from here so
+ * either page can load them without pulling in the other page's app code.
+ */
+
+// Data fields are filled by data-service.js / onchain-processor.js on both pages;
+// page-specific fields (e.g. the forecaster's unifiedForecasts) are added by each page
+export const state = {
+  bitcoinData: [],
+  onChainData: [],
+  latestOnChainMetrics: null,
+  volatilityMetrics: null, // {recent30Day, medium90Day, historical, byMonth}
+  riskByMonth: {},
+  historicalCrashes: {},
+  timelineData: {},
+  currentTimeframe: 30, // Default to 30 days
+  sentimentData: null,
+  mostSevereMonthlyData: {},
+  asset: null, // Active asset definition from assets.js (Bitcoin when unset)
+  dataSource: null, // {id, label} of the loaded data source
+  dataStatus: null, // {origin: 'cache'|'network', offline, lastDate, fetchedAt}
+  dataQuality: null, // {policy, report} from data-quality.js
+  hourlyData: null, // Hourly candles for the intraday model (intraday-risk.js), if configured
+  hourlySource: null, // {id, label} of the hourly data source
+  eventDefinition: null, // Active extreme event definition (extreme-events.js), resolved on first use
+  priorMethod: null, // Active prior method (poisson-gamma.js), resolved on first use
+  riskSource: null, // Registered model id the calendar, gauge and RektBot read risk from (risk-source.js), resolved on first use
+  models: {}, // Fitted CrashDetector instances keyed "<model id>:<timeframe>" (risk-source.js)
+  // Gamma prior for the crash rate; replaced by the empirical-Bayes fit when
+  // the model runs (see poisson-gamma.js)
+  riskConstants: {
+    a0: 1.0,       // baseline prior shape
+    b0: 1.0,       // baseline prior rate (days)
+    method: 'fixed',
+    fit: null
+  }
+};
+
+// Month names for global use
+export const monthNames = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
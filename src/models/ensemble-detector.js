@@ -0,0 +1,100 @@
+/**
+ * Ensembles of the calendar and Markov models (core/ensemble-model.js)
+ * Fitting the weights runs a walk-forward over the last few years, so it runs
+ * in a worker (the ensembleRisk task in workers/compute-tasks.js) and reports
+ * progress through options.onProgress. Only the weights, their fit and the
+ * blended risk by month come back to the page.
+ *
+ * The pretrained LSTM is not blended here: its network was trained on the years
+ * the weights are fitted on, so its walk-forward forecasts would be in-sample and
+ * the fit would favour it. The Node ensemble (backtest-cli.js --lstm) retrains
+ * an LSTM before each out-of-sample period instead.
+ */
+
+import { registerModel } from '../core/model-registry.js';
+import { EnsembleCrashPredictor } from '../core/ensemble-model.js';
+import { runInWorker, isAbortError } from '../workers/compute.js';
+
+class WorkerEnsembleDetector extends EnsembleCrashPredictor {
+  constructor(options = {}) {
+    super(options);
+    this.refreshing = null;
+  }
+
+  /**
+   * Task arguments: the ensemble options plus, to re-blend without refitting, the weights
+   * @param {boolean} refit - Whether to fit the weights again
+   * @returns {Object} ensembleRisk arguments
+   */
+  taskArgs(refit) {
+    const { method, timeframe, fitYears, minHistoryDays } = this.options;
+    return { method, timeframe, fitYears, minHistoryDays, ...(refit ? {} : { weights: this.weights, fit: this.fit }) };
+  }
+
+  /**
+   * Fits the weights in a worker, then forecasts each month
+   * @param {Array} data - Processed daily records (sent from state.bitcoinData)
+   * @param {AbortSignal} signal - Cancels the fit
+   */
+  async update(data, signal = null) {
+    this.applyResult(await runInWorker('ensembleRisk', this.taskArgs(true),
+      { onProgress: this.options.onProgress, signal }));
+  }
+
+  /**
+   * Re-blends the models' current forecasts in a worker, keeping the fitted weights
+   * The previous forecasts are kept until the new ones arrive.
+   * @param {Array} data - Processed daily records
+   */
+  refresh(data) {
+    if (!this.trained) return;
+
+    if (this.refreshing) this.refreshing.abort();
+    const controller = new AbortController();
+    this.refreshing = controller;
+    runInWorker('ensembleRisk', this.taskArgs(false), { signal: controller.signal })
+      .then(result => this.applyResult(result))
+      .catch(error => {
+        if (!isAbortError(error)) console.error('Error refreshing ensemble forecasts:', error);
+      })
+      .finally(() => {
+        if (this.refreshing === controller) this.refreshing = null;
+      });
+  }
+
+  /**
+   * Keep a worker's weights and forecasts
+   * @param {Object} result - ensembleRisk result
+   */
+  applyResult({ weights, fit, riskByMonth, asOf }) {
+    this.weights = weights;
+    this.fit = fit;
+    this.riskByMonth = riskByMonth;
+    this.asOf = asOf;
+    this.trained = true;
+  }
+}
+
+// Shown in the model picker, so the omission is visible where the ensemble is chosen
+const LSTM_NOTE = 'The pretrained LSTM is left out: it was trained on the years the weights are fitted on, ' +
+  'so its past forecasts would be in-sample';
+
+registerModel({
+  id: 'ensemble-stacking',
+  label: 'Ensemble (stacking, calendar + Markov)',
+  description: 'Calendar and Markov forecasts blended with weights that maximise the likelihood of past outcomes. ' + LSTM_NOTE,
+  inputs: ['price', 'onChain', 'sentiment', 'models'],
+  horizons: [1, 7, 14, 30, 90],
+  create: options => new WorkerEnsembleDetector({ ...options, method: 'stacking' })
+});
+
+registerModel({
+  id: 'ensemble-bma',
+  label: 'Ensemble (Bayesian model averaging, calendar + Markov)',
+  description: 'Calendar and Markov forecasts blended by their posterior model probabilities. ' + LSTM_NOTE,
+  inputs: ['price', 'onChain', 'sentiment', 'models'],
+  horizons: [1, 7, 14, 30, 90],
+  create: options => new WorkerEnsembleDetector({ ...options, method: 'bma' })
+});
+
+export { WorkerEnsembleDetector };
@@ -0,0 +1,11 @@
+/**
+ * Crash models available in the model picker
+ * Each file registers itself with core/model-registry.js; the picker lists
+ * them in this order. To add a model, put a CrashDetector subclass and its
+ * registerModel() call in a new file here and import it below.
+ */
+
+import './poisson-gamma-detector.js';
+import './markov-detector.js';
+import './ensemble-detector.js';
+import './lstm-detector.js';
@@ -0,0 +1,106 @@
+/**
+ * Pretrained LSTM as a CrashDetector
+ * Runs the network saved by lstm_pretraining_script.js in a worker (see
+ * core/lstm-inference.js and workers/compute-tasks.js). Without the model
+ * files, update() fails and the views keep showing the calendar model.
+ */
+
+import { CrashDetector } from '../core/crash-detector.js';
+import { registerModel } from '../core/model-registry.js';
+import { resolveModelPath, formatDriver } from '../core/lstm-inference.js';
+import { runInWorker, isAbortError } from '../workers/compute.js';
+
+class PretrainedLstmDetector extends CrashDetector {
+  constructor(options = {}) {
+    super(options);
+    this.riskByMonth = null;
+    this.regimeSummary = null;
+    this.metrics = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Loads the saved network (once per worker) and forecasts each month
+   * @param {Array} data - Processed daily records (sent from state.bitcoinData)
+   * @param {AbortSignal} signal - Cancels the forecast
+   */
+  async update(data, signal = null) {
+    const { riskByMonth, regimeSummary, metrics } = await runInWorker('lstmRisk', {
+      modelPath: new URL(resolveModelPath(), location.href).href,
+      timeframe: this.timeframe
+    }, { affinity: 'lstm', signal });
+
+    this.riskByMonth = riskByMonth;
+    this.regimeSummary = regimeSummary;
+    this.metrics = metrics;
+    this.trained = true;
+  }
+
+  /**
+   * Re-scores the latest window in the background; the network itself is fixed
+   * The previous forecasts are kept until the new ones arrive.
+   * @param {Array} data - Processed daily records
+   */
+  refresh(data) {
+    if (!this.trained) return;
+
+    if (this.refreshing) this.refreshing.abort();
+    const controller = new AbortController();
+    this.refreshing = controller;
+    this.update(data, controller.signal)
+      .catch(error => {
+        if (!isAbortError(error)) console.error('Error refreshing LSTM forecasts:', error);
+      })
+      .finally(() => {
+        if (this.refreshing === controller) this.refreshing = null;
+      });
+  }
+
+  getProbability(month) {
+    return this.riskByMonth ? this.riskByMonth[month + 1].risk : NaN;
+  }
+
+  getRiskByMonth() {
+    return this.riskByMonth;
+  }
+
+  getSummary() {
+    if (!this.riskByMonth) return '';
+    const { asOf } = this.riskByMonth[1].lstm;
+    const { dailyProbability, threshold, drivers } = this.riskByMonth[asOf.getMonth() + 1].lstm;
+    return `Next-day chance of a ${(-threshold * 100).toFixed(0)}% drop: ${(dailyProbability * 100).toFixed(2)}% ` +
+      `as of ${asOf.toISOString().slice(0, 10)}, compounded over ${this.timeframe} day${this.timeframe === 1 ? '' : 's'}. ` +
+      this.describeRegime() +
+      (drivers && drivers.length > 0 ? ` Drivers this month: ${drivers.map(formatDriver).join(', ')}.` : '');
+  }
+
+  /**
+   * Regime the forecast was routed to and the regimes before it
+   * @returns {string} Text for the summary
+   */
+  describeRegime() {
+    const { regime, confidence, hasModel, weight, history } = this.regimeSummary;
+    const name = value => (value === 'undefined' ? 'unclassified' : value);
+    const routing = hasModel ?
+      `its network weighted ${(weight * 100).toFixed(0)}% against the global one` :
+      'no network for it, global network only';
+    const recent = history.slice(-4).map(run => `${name(run.regime)} from ${run.from.toISOString().slice(0, 10)}`);
+    return `Regime: ${name(regime)} on ${(confidence * 100).toFixed(0)}% of the last ${this.metrics.lookbackWindow} days, ${routing}.` +
+      (recent.length > 1 ? ` Recent regimes: ${recent.join(', ')}.` : '');
+  }
+
+  getMetrics() {
+    return this.metrics ? { ...this.metrics, timeframe: this.timeframe } : { name: 'LSTM Model', trained: false };
+  }
+}
+
+registerModel({
+  id: 'lstm',
+  label: 'LSTM (pretrained)',
+  description: 'Pretrained neural network on recent daily prices; chance of a large one-day drop, compounded over the horizon',
+  inputs: ['price', 'pretrained'],
+  horizons: [1, 7, 14, 30, 90],
+  create: options => new PretrainedLstmDetector(options)
+});
+
+export { PretrainedLstmDetector };
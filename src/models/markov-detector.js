@@ -0,0 +1,108 @@
+/**
+ * Bayesian Markov model as a CrashDetector
+ * Probability of visiting the crash state within the horizon, for each
+ * calendar month (model-comparison.js markovMonthlyProbabilities). The model
+ * has no credible interval, so entries carry only `risk`. The chain is trained
+ * in a worker (the markovRisk task in workers/compute-tasks.js).
+ */
+
+import { CrashDetector } from '../core/crash-detector.js';
+import { registerModel } from '../core/model-registry.js';
+import { markovMonthlyProbabilities } from '../core/model-comparison.js';
+import { getEventDefinition } from '../core/extreme-events.js';
+import { state } from '../core/state.js';
+import { runInWorker, isAbortError } from '../workers/compute.js';
+
+class MarkovDetector extends CrashDetector {
+  constructor(options = {}) {
+    super(options);
+    this.riskByMonth = null;
+    this.asOf = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Trains the chain in a worker and forecasts each month
+   * @param {Array} data - Processed daily records (sent from state.bitcoinData)
+   * @param {AbortSignal} signal - Cancels the fit
+   */
+  async update(data, signal = null) {
+    const { riskByMonth, asOf } = await runInWorker('markovRisk', { timeframe: this.timeframe }, { signal });
+    this.riskByMonth = riskByMonth;
+    this.asOf = asOf;
+    this.trained = true;
+  }
+
+  /**
+   * Trains the chain on the records and forecasts each month, on this thread
+   * @param {Array} data - Processed daily records, chronologically sorted
+   */
+  fit(data) {
+    // The model reads state.bitcoinData and marks events on its records
+    const history = data.map(r => ({ ...r }));
+    const date = history[history.length - 1].date;
+    const savedData = state.bitcoinData;
+    let probabilities;
+    try {
+      state.bitcoinData = history;
+      probabilities = markovMonthlyProbabilities(history, { date, timeframe: this.timeframe, definition: getEventDefinition() });
+    } finally {
+      state.bitcoinData = savedData;
+    }
+
+    this.riskByMonth = {};
+    for (let month = 1; month <= 12; month++) {
+      this.riskByMonth[month] = { risk: probabilities[month] };
+    }
+    this.asOf = date;
+    this.trained = true;
+  }
+
+  /**
+   * The chain's prior uses on-chain metrics and the latest volatility, so it is retrained
+   * The previous forecasts are kept until the new ones arrive.
+   * @param {Array} data - Processed daily records
+   */
+  refresh(data) {
+    if (!this.trained) return;
+
+    if (this.refreshing) this.refreshing.abort();
+    const controller = new AbortController();
+    this.refreshing = controller;
+    this.update(data, controller.signal)
+      .catch(error => {
+        if (!isAbortError(error)) console.error('Error refreshing Markov forecasts:', error);
+      })
+      .finally(() => {
+        if (this.refreshing === controller) this.refreshing = null;
+      });
+  }
+
+  getProbability(month) {
+    return this.riskByMonth ? this.riskByMonth[month + 1].risk : NaN;
+  }
+
+  getRiskByMonth() {
+    return this.riskByMonth;
+  }
+
+  getMetrics() {
+    return {
+      name: 'Bayesian Markov',
+      timeframe: this.timeframe,
+      trained: this.trained,
+      asOf: this.asOf
+    };
+  }
+}
+
+registerModel({
+  id: 'markov',
+  label: 'Bayesian Markov',
+  description: 'Regime-switching chain over daily return states; the probability of reaching the crash state',
+  inputs: ['price', 'onChain'],
+  horizons: [1, 7, 14, 30, 90],
+  create: options => new MarkovDetector(options)
+});
+
+export { MarkovDetector };
@@ -0,0 +1,56 @@
+/**
+ * Poisson-Gamma calendar model as a CrashDetector
+ * The calendar model computes every horizon at once into state.riskByMonth
+ * (risk-model.js calculateRiskForAllTimeframes), which the other models and
+ * the fallback views also read, so this detector only exposes that table.
+ */
+
+import { CrashDetector } from '../core/crash-detector.js';
+import { registerModel } from '../core/model-registry.js';
+import { calculateRiskForAllTimeframes } from '../core/risk-model.js';
+import { state } from '../core/state.js';
+
+class PoissonGammaDetector extends CrashDetector {
+  /**
+   * Computes the calendar risk if it has not been computed yet
+   * @param {Array} data - Processed daily records (read from state.bitcoinData)
+   */
+  async update(data) {
+    if (!state.riskByMonth[this.timeframe]) {
+      await calculateRiskForAllTimeframes();
+    }
+  }
+
+  isReady() {
+    return !!state.riskByMonth[this.timeframe];
+  }
+
+  getProbability(month) {
+    const entry = this.isReady() ? state.riskByMonth[this.timeframe][month + 1] : undefined;
+    return typeof entry === 'object' && entry !== null ? entry.risk : (entry ?? NaN);
+  }
+
+  getRiskByMonth() {
+    return state.riskByMonth[this.timeframe] || null;
+  }
+
+  getMetrics() {
+    return {
+      name: 'Poisson-Gamma',
+      timeframe: this.timeframe,
+      trained: this.isReady(),
+      prior: { ...state.riskConstants }
+    };
+  }
+}
+
+registerModel({
+  id: 'calendar',
+  label: 'Calendar model (Poisson-Gamma)',
+  description: 'Bayesian crash rate by calendar month, weighted by volatility, on-chain metrics and sentiment',
+  inputs: ['price', 'onChain', 'sentiment', 'hourly'],
+  horizons: [1, 7, 14, 30, 90],
+  create: options => new PoissonGammaDetector(options)
+});
+
+export { PoissonGammaDetector };
@@ -1,9 +1,28 @@
+import { state } from './core/state.js';
+import { fetchBitcoinData, fetchCryptoNews } from './core/data-service.js';
+import { markExtremeEvents, getEventDefinition, formatEventDefinition } from './core/extreme-events.js';
+import { getStateCount, setStateCount } from './core/markov-model.js';
+import { FORECASTER_MODELS, getForecasterModel, setForecasterModel } from './core/hidden-markov-model.js';
+import { getCoverage, setCoverage, calibrationOptions, applyCalibration } from './core/conformal.js';
+import { getReturnGenerator, setReturnGenerator } from './core/return-generators.js';
+import { getSimulationSeed, setSimulationSeed, simulationRandom } from './core/simulation-seed.js';
+import { randomSeed } from './utils/random.js';
+import { touchProbability } from './core/path-metrics.js';
+import { DEFAULT_SOURCE_ID, resolveActiveDataSourceId, getDataSource } from './core/data-sources.js';
+import { DEFAULT_REPAIR_POLICY, resolveRepairPolicy } from './core/data-quality.js';
+import { runInWorker, isAbortError } from './workers/compute.js';
+
 /**
  * Naive Bayes Classifier for sentiment analysis of cryptocurrency headlines.
  * Supports loading pretrained data and runtime training with stop word removal.
  */
 class NaiveBayesClassifier {
-  constructor(priceData = null) {
+  /**
+   * @param {Array} priceData - Price records for the price-trend features
+   * @param {Function} random - Generator for the sampled bigrams, in [0, 1)
+   *   (default Math.random; seed it to score headlines the same every time)
+   */
+  constructor(priceData = null, random = Math.random) {
     this.classes = ['negative', 'neutral', 'positive'];
     this.wordCounts = {};
     this.classCounts = { negative: 0, neutral: 0, positive: 0 };
@@ -17,6 +36,7 @@ class NaiveBayesClassifier {
     // Enhanced features
     this.useBigrams = true;
     this.useNegation = true;
+    this.random = random;
     
     // Emoji map with crypto Twitter vernacular
     this.emojiMap = {
@@ -618,7 +638,7 @@ class NaiveBayesClassifier {
         const bigram = `${tokens[i]}_${tokens[i+1]}`;
         
         // Add significant or probabilistically sampled bigrams
-        if (this.significantBigrams.has(bigram) || Math.random() < 0.7) {
+        if (this.significantBigrams.has(bigram) || this.random() < 0.7) {
           result.push(bigram);
         }
         
@@ -637,7 +657,7 @@ class NaiveBayesClassifier {
       for (let i = 0; i < tokens.length - 2; i++) {
         if (this.highValueTokens.has(tokens[i]) || this.highValueTokens.has(tokens[i+2])) {
           const skipBigram = `${tokens[i]}__${tokens[i+2]}`;
-          if (Math.random() < 0.5) {
+          if (this.random() < 0.5) {
             result.push(skipBigram);
           }
         }
@@ -1215,1491 +1235,301 @@ class NaiveBayesClassifier {
   }
 }
 
-// Fetch and analyze sentiment data from news headlines
-async function fetchSentimentAnalysis() {
-  try {
-    // Get crypto news headlines
-    const newsData = await fetchCryptoNews();
-    
-    if (!newsData || !newsData.length) {
-      throw new Error('No news data available');
-    }
-    
-    // Perform sentiment analysis on the headlines using NBC
-    const sentimentData = analyzeHeadlinesWithNBC(newsData, state.bitcoinData);
-    
-    return sentimentData;
-  } catch (error) {
-    console.error('Error analyzing sentiment:', error);
-    // Default to neutral sentiment if analysis fails
-    return {
-      value: 50,
-      sentiment: 'Neutral',
-      timestamp: new Date().toISOString(),
-      headlines: []
-    };
-  }
+// Forecaster-specific state on top of the shared state contract (src/core/state.js)
+Object.assign(state, {
+  unifiedForecasts: {},
+  priceChart: null
+});
+
+// Utility functions
+function formatPrice(price) {
+  return new Intl.NumberFormat('en-US', { 
+    style: 'currency', 
+    currency: 'USD',
+    maximumFractionDigits: 0
+  }).format(price);
 }
 
-/**
- * Unified Bayesian Markov-Switching Model for Bitcoin Price Forecasting
- * Implements a coherent Bayesian framework where transition probabilities follow Dirichlet priors
- */
-class UnifiedBayesianMarkovModel {
-  constructor(stateCount = 3) {
-    this.stateCount = stateCount;
-    this.stateNames = ['crash', 'normal', 'pump'];
-    
-    // Initialize transition count matrix - each row is transitions FROM state i
-    this.transitionCounts = Array(stateCount).fill().map(() => 
-      Array(stateCount).fill(0)
-    );
-    
-    // Prior concentration parameters for Dirichlet distribution (one set per row)
-    // These represent our initial beliefs about transition probabilities
-    this.priorConcentration = Array(stateCount).fill().map(() => 
-      Array(stateCount).fill(1.0)  // Symmetric Dirichlet(1,...,1) prior initially
-    );
-    
-    // Adjusted prior parameters (modified by seasonal, cyclical factors)
-    this.adjustedPrior = JSON.parse(JSON.stringify(this.priorConcentration));
-    
-    // Posterior parameters will be adjusted prior + counts
-    this.posteriorConcentration = JSON.parse(JSON.stringify(this.priorConcentration));
-    
-    // State marginal probabilities (steady state)
-    this.steadyStateProbs = Array(stateCount).fill(1/stateCount);
-    
-    // Average returns for each state
-    this.stateReturns = {
-      crash: -0.1,   // Default values, will be updated with actual data
-      normal: 0.002,
-      pump: 0.1
-    };
-    
-    // Return volatility for each state
-    this.stateVolatility = {
-      crash: 0.05,
-      normal: 0.02,
-      pump: 0.05
-    };
-    
-    // Current state distribution (initialization)
-    this.currentStateDist = Array(stateCount).fill(1/stateCount);
-    
-    // Maximum number of simulation paths
-    this.maxSimulationPaths = 10000;
-    
-    // Context factors
-    this.seasonalFactors = {};
-    this.monthlyStats = {};
-    this.currentMonth = new Date().getMonth() + 1;
-  }
+function formatPercentage(value) {
+  return (value * 100).toFixed(1) + '%';
+}
+
+// Calculate sentiment-adjusted forecast
+function calculateSentimentAdjustedForecast(forecast, sentimentData) {
+  if (!sentimentData) return forecast;
   
-  /**
-   * Categorize each day into states based on return thresholds
-   * @param {Array} data - Time series data with price and returns
-   * @returns {Array} - Same data with state labels added
-   */
-  categorizeDataIntoStates(data) {
-    if (!data || data.length === 0) {
-      console.error('No data provided for state categorization');
-      return [];
-    }
-    
-    // Group data by halving epoch
-    const epochData = {};
-    data.forEach(d => {
-      if (!epochData[d.halvingEpoch]) {
-        epochData[d.halvingEpoch] = [];
-      }
-      epochData[d.halvingEpoch].push(d);
-    });
-    
-    // Calculate thresholds for each epoch to define our states
-    const crashThresholds = {};
-    const pumpThresholds = {};
-    
-    Object.keys(epochData).forEach(epoch => {
-      const epochLogReturns = epochData[epoch]
-        .map(d => d.logReturn)
-        .filter(r => !isNaN(r) && isFinite(r));
-      
-      if (epochLogReturns.length > 0) {
-        epochLogReturns.sort((a, b) => a - b);
-        // 1st percentile for crash threshold
-        crashThresholds[epoch] = epochLogReturns[Math.floor(epochLogReturns.length * 0.01)];
-        // 99th percentile for pump threshold
-        pumpThresholds[epoch] = epochLogReturns[Math.floor(epochLogReturns.length * 0.99)];
-      } else {
-        crashThresholds[epoch] = -0.05; // Default thresholds if no data
-        pumpThresholds[epoch] = 0.05;
-      }
-    });
-    
-    // Categorize each day into one of three states
-    // Creates a new data array to avoid modifying original
-    return data.map(d => {
-      const newPoint = {...d}; // Create a copy of data point
-      
-      const crashThreshold = crashThresholds[d.halvingEpoch] || -0.05;
-      const pumpThreshold = pumpThresholds[d.halvingEpoch] || 0.05;
-      
-      if (d.logReturn < crashThreshold) {
-        newPoint.returnState = 1; // Crash (state index 0)
-      } else if (d.logReturn > pumpThreshold) {
-        newPoint.returnState = 3; // Pump (state index 2)
-      } else {
-        newPoint.returnState = 2; // Normal (state index 1)
-      }
-      
-      return newPoint;
-    });
-  }
+  const sentimentValue = sentimentData.value; // 0-100 scale
   
-  /**
-   * Calculate seasonal factors and statistics by month
-   * @param {Array} stateData - Data points with state labels
-   * @returns {Object} - Monthly statistics and factors
-   */
-  calculateMonthlyFactors(stateData) {
-    // First, calculate global state counts
-    let totalCrashEvents = 0;
-    let totalNormalEvents = 0;
-    let totalPumpEvents = 0;
-    let totalDays = 0;
-    
-    stateData.forEach(d => {
-      if (d.returnState === 1) totalCrashEvents++;
-      else if (d.returnState === 2) totalNormalEvents++;
-      else if (d.returnState === 3) totalPumpEvents++;
-      totalDays++;
-    });
-    
-    // Calculate global state frequencies
-    const globalFreqs = {
-      crash: totalCrashEvents / totalDays,
-      normal: totalNormalEvents / totalDays,
-      pump: totalPumpEvents / totalDays
-    };
-    
-    // Stats by month
-    const monthlyStats = {};
-    
-    // Calculate factors by month
-    for (let m = 1; m <= 12; m++) {
-      const monthlyData = stateData.filter(d => {
-        const date = d.date instanceof Date ? d.date : new Date(d.date);
-        return date.getMonth() + 1 === m;
-      });
-      
-      if (monthlyData.length === 0) continue;
-      
-      // Count states for this month
-      let monthlyCrashEvents = 0;
-      let monthlyNormalEvents = 0;
-      let monthlyPumpEvents = 0;
-      
-      monthlyData.forEach(d => {
-        if (d.returnState === 1) monthlyCrashEvents++;
-        else if (d.returnState === 2) monthlyNormalEvents++;
-        else if (d.returnState === 3) monthlyPumpEvents++;
-      });
-      
-      // Calculate monthly frequencies
-      const totalMonthDays = monthlyData.length;
-      const monthlyFreqs = {
-        crash: monthlyCrashEvents / totalMonthDays,
-        normal: monthlyNormalEvents / totalMonthDays,
-        pump: monthlyPumpEvents / totalMonthDays
-      };
-      
-      // Calculate seasonal factors (ratio of monthly frequency to global frequency)
-      const seasonalFactors = {
-        crash: globalFreqs.crash > 0 ? monthlyFreqs.crash / globalFreqs.crash : 1.0,
-        normal: globalFreqs.normal > 0 ? monthlyFreqs.normal / globalFreqs.normal : 1.0,
-        pump: globalFreqs.pump > 0 ? monthlyFreqs.pump / globalFreqs.pump : 1.0
-      };
-      
-      // Calculate monthly transition counts
-      const monthlyTransitionCounts = Array(this.stateCount).fill().map(() => 
-        Array(this.stateCount).fill(0)
-      );
-      
-      for (let i = 1; i < monthlyData.length; i++) {
-        const prevState = monthlyData[i-1].returnState - 1; // Convert to 0-indexed
-        const currState = monthlyData[i].returnState - 1;   // Convert to 0-indexed
-        
-        if (prevState >= 0 && prevState < this.stateCount && 
-            currState >= 0 && currState < this.stateCount) {
-          monthlyTransitionCounts[prevState][currState]++;
-        }
-      }
-      
-      // Store monthly statistics
-      monthlyStats[m] = {
-        totalDays: totalMonthDays,
-        stateCounts: {
-          crash: monthlyCrashEvents,
-          normal: monthlyNormalEvents,
-          pump: monthlyPumpEvents
-        },
-        frequencies: monthlyFreqs,
-        seasonalFactors: seasonalFactors,
-        transitionCounts: monthlyTransitionCounts
-      };
-    }
-    
-    return {
-      globalFreqs,
-      monthlyStats
-    };
-  }
+  // Convert to a factor between 0.8 and 1.2 (normalized around 1.0)
+  // 0 = very bearish (0.8), 50 = neutral (1.0), 100 = very bullish (1.2)
+  const sentimentFactor = 0.8 + (sentimentValue / 100) * 0.4;
   
-  /**
-   * Train the model with data
-   * @param {Array} data - Time series price data
-   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
-   */
-  train(data) {
-    // First categorize data into states
-    const stateData = this.categorizeDataIntoStates(data);
-    
-    // Calculate monthly statistics and seasonal factors
-    const { globalFreqs, monthlyStats } = this.calculateMonthlyFactors(stateData);
-    this.monthlyStats = monthlyStats;
-    this.steadyStateProbs = [globalFreqs.crash, globalFreqs.normal, globalFreqs.pump];
-    
-    // Reset transition counts
-    this.transitionCounts = Array(this.stateCount).fill().map(() => 
-      Array(this.stateCount).fill(0)
-    );
-    
-    // Count transitions across all data
-    for (let i = 1; i < stateData.length; i++) {
-      const prevState = stateData[i-1].returnState - 1; // Convert to 0-indexed
-      const currState = stateData[i].returnState - 1;   // Convert to 0-indexed
-      
-      if (prevState >= 0 && prevState < this.stateCount && 
-          currState >= 0 && currState < this.stateCount) {
-        this.transitionCounts[prevState][currState]++;
-      }
-    }
-    
-    // Calculate average returns for each state
-    const returnsInState = [[], [], []];
-    
-    stateData.forEach(d => {
-      if (d.returnState && d.logReturn !== undefined) {
-        const stateIndex = d.returnState - 1;
-        if (stateIndex >= 0 && stateIndex < 3) {
-          returnsInState[stateIndex].push(d.logReturn);
-        }
-      }
-    });
-    
-    // Update state returns with actual data
-    for (let i = 0; i < 3; i++) {
-      const stateReturns = returnsInState[i];
-      if (stateReturns.length > 0) {
-        const avgReturn = stateReturns.reduce((sum, r) => sum + r, 0) / stateReturns.length;
-        this.stateReturns[this.stateNames[i]] = avgReturn;
-        
-        // Also calculate volatility within each state
-        const squaredDiffs = stateReturns.map(r => Math.pow(r - avgReturn, 2));
-        const variance = squaredDiffs.reduce((sum, sq) => sum + sq, 0) / stateReturns.length;
-        this.stateVolatility[this.stateNames[i]] = Math.sqrt(variance);
-      }
-    }
-    
-    // Set current state based on most recent data point
-    if (stateData.length > 0) {
-      const lastState = stateData[stateData.length - 1].returnState - 1;
-      this.setCurrentState(lastState);
-    }
-    
-    // Update posterior with base prior + counts
-    this.updatePosterior();
-    
-    return this;
-  }
+  console.log(`Sentiment adjustment factor: ${sentimentFactor.toFixed(3)} based on sentiment ${sentimentValue}/100`);
   
-  /**
-   * Adjust the prior concentration parameters based on context
-   * @param {Object} context - The context factors to adjust for
-   * @returns {Array} - The adjusted prior concentration parameters
-   */
-  adjustPrior(context = {}) {
-  // Extract context parameters
-  const cyclePosition = context.cyclePosition !== undefined ? context.cyclePosition : 0.5;
-  const onChainMetrics = context.onChainMetrics || {};
-  const volatilityRatio = context.volatilityRatio || 1.0;
-  const currentMonth = context.currentMonth || this.currentMonth;
-  const monthlyStats = context.monthlyStats || this.monthlyStats;
-  
-  // Access required data from state
-  const allBitcoinData = window.state ? window.state.bitcoinData || [] : [];
-  const sentimentData = window.state ? window.state.sentimentData : null;
-  const globalSentimentScore = sentimentData ? sentimentData.value : 50; // Default to neutral
-  
-  console.log(`Adjusting prior for current month: ${currentMonth}, cycle position: ${cyclePosition.toFixed(2)}`);
-  
-  // Create a deep copy of base prior
-  const adjustedPrior = JSON.parse(JSON.stringify(this.priorConcentration));
-  
-  // Extract volatility metrics from state or context
-  let recent30DayVolatility = 0.02; // Default value
-  let currentMonthHistoricalVolatility = 0.02; // Default value
-  let historicalVolatility = 0.02; // Default value
-  
-  if (context.volatilityMetrics) {
-    recent30DayVolatility = context.volatilityMetrics.recent30Day || recent30DayVolatility;
-    currentMonthHistoricalVolatility = context.volatilityMetrics.currentMonthHistorical || currentMonthHistoricalVolatility;
-    historicalVolatility = context.volatilityMetrics.historical || historicalVolatility;
-  } else if (window.state && window.state.volatilityMetrics) {
-    recent30DayVolatility = window.state.volatilityMetrics.recent30Day || recent30DayVolatility;
-    historicalVolatility = window.state.volatilityMetrics.historical || historicalVolatility;
-    
-    // Use month-specific historical volatility if available
-    if (window.state.volatilityMetrics.byMonth && window.state.volatilityMetrics.byMonth[currentMonth-1]) {
-      currentMonthHistoricalVolatility = window.state.volatilityMetrics.byMonth[currentMonth-1];
-    }
-  } else if (window.state && window.state.latestOnChainMetrics && window.state.latestOnChainMetrics.volatility) {
-    recent30DayVolatility = window.state.latestOnChainMetrics.volatility.recent || recent30DayVolatility;
-    historicalVolatility = window.state.latestOnChainMetrics.volatility.historical || historicalVolatility;
-    
-    // Estimate current month historical volatility if not available
-    currentMonthHistoricalVolatility = historicalVolatility * (1 + (Math.random() * 0.2 - 0.1));
-  }
+  // Adjust expected return based on sentiment
+  const adjustedExpectedReturn = forecast.expectedReturn * sentimentFactor;
   
-  // Get Bitcoin fundamental metrics
-  const bitcoinFundamentals = onChainMetrics.bitcoinFundamentals || 
-    calculateBitcoinInflationRateAndSupply(allBitcoinData, new Date());
+  // Recalculate forecast price
+  const adjustedForecastPrice = forecast.currentPrice * Math.exp(adjustedExpectedReturn);
   
-  // Calculate all factor components
-  // 1. Base seasonal factor
-  const baseSeasonalFactor = this._calculateBaseSeasonalFactor(currentMonth, allBitcoinData);
+  // Adjust bounds proportionally
+  const lowerRatio = forecast.lowerBound / forecast.forecastPrice;
+  const upperRatio = forecast.upperBound / forecast.forecastPrice;
   
-  // 2. Volatility components
-  const volatilityComponents = this._calculateVolatilityComponents(
-    currentMonth, 
-    recent30DayVolatility, 
-    currentMonthHistoricalVolatility, 
-    historicalVolatility
-  );
+  const adjustedLowerBound = adjustedForecastPrice * lowerRatio;
+  const adjustedUpperBound = adjustedForecastPrice * upperRatio;
   
-  // Calculate volatility adjustment (combined factor)
-  const volatilityAdjustment = Math.sqrt(
-    volatilityComponents.shortTermRatio * 0.5 + 
-    volatilityComponents.monthRatio * 0.5
-  );
+  // Create adjusted forecast
+  const adjustedForecast = {
+    ...forecast,
+    forecastPrice: adjustedForecastPrice,
+    lowerBound: adjustedLowerBound,
+    upperBound: adjustedUpperBound,
+    expectedReturn: adjustedExpectedReturn,
+    sentimentFactor: sentimentFactor,
+    originalForecast: {
+      forecastPrice: forecast.forecastPrice,
+      expectedReturn: forecast.expectedReturn,
+      lowerBound: forecast.lowerBound,
+      upperBound: forecast.upperBound
+    }
+  };
   
-  // 3. On-chain factor
-  const currentOnChainFactor = this._calculateCurrentOnChainFactor(onChainMetrics);
+  return adjustedForecast;
+}
+
+// Update crash risk gauge
+function updateCrashGauge(risk) {
+  const percentage = (risk * 100).toFixed(1);
   
-  // 4. Sentiment factor
-  const currentMonthSentimentFactor = this._calculateCurrentMonthSentimentFactor(
-    currentMonth, 
-    globalSentimentScore, 
-    allBitcoinData
-  );
+  // Update prominent percentage
+  const crashPercentage = document.getElementById('crashPercentage');
+  crashPercentage.textContent = percentage + '%';
   
-  // 5. Bitcoin fundamental factors
-  const fundamentalFactors = this._calculateFundamentalBitcoinFactor(bitcoinFundamentals);
+  // Update gauge fill
+  const crashGaugeFill = document.getElementById('crashGaugeFill');
+  crashGaugeFill.style.width = percentage + '%';
   
-  // 6. Cycle factor (now incorporating bitcoin fundamentals)
-  const currentMonthCycleFactor = this._calculateCurrentMonthCycleFactor(
-    currentMonth, 
-    cyclePosition, 
-    allBitcoinData,
-    bitcoinFundamentals
-  );
+  // Update gauge marker
+  const crashGaugeMarker = document.getElementById('crashGaugeMarker');
+  crashGaugeMarker.style.left = percentage + '%';
   
-  console.log('Final adjustment factors:');
-  console.log(`- Base seasonal factor: ${baseSeasonalFactor.toFixed(2)}`);
-  console.log(`- Volatility adjustment: ${volatilityAdjustment.toFixed(2)}`);
-  console.log(`- On-chain factor: ${currentOnChainFactor.toFixed(2)}`);
-  console.log(`- Sentiment factor: ${currentMonthSentimentFactor.toFixed(2)}`);
-  console.log(`- Bitcoin inflation factor: ${fundamentalFactors.inflationFactor_val.toFixed(2)}`);
-  console.log(`- Bitcoin scarcity factor: ${fundamentalFactors.scarcityFactor_val.toFixed(2)}`);
-  console.log(`- Halving cycle phase factor: ${fundamentalFactors.halvingCyclePhaseFactor_val.toFixed(2)}`);
-  console.log(`- Cycle factor: ${currentMonthCycleFactor.toFixed(2)}`);
-  
-  // Apply all factors to the prior - for each "from" state
-  for (let i = 0; i < this.stateCount; i++) {
-    let crashModifier = 1.0;
-    let pumpModifier = 1.0;
-    let normalModifier = 1.0;
-    
-    // 1. Apply base seasonal factor (affects crash probability)
-    if (baseSeasonalFactor > 1.2) {
-      // Month is more crash-prone than average
-      crashModifier *= baseSeasonalFactor;
-    } else if (baseSeasonalFactor < 0.8) {
-      // Month is less crash-prone than average
-      pumpModifier *= (1 / baseSeasonalFactor);
-    }
-    
-    // 2. Apply volatility adjustment (affects both crash and pump)
-    if (volatilityAdjustment > 1.1) {
-      // Higher volatility means both pump and crash more likely
-      crashModifier *= volatilityAdjustment;
-      pumpModifier *= volatilityAdjustment;
-      normalModifier /= Math.min(2.0, volatilityAdjustment * volatilityAdjustment);
-    } else if (volatilityAdjustment < 0.9) {
-      // Lower volatility means more normal periods
-      normalModifier *= (1 / volatilityAdjustment);
-    }
-    
-    // 3. Apply on-chain factor (primarily affects crash probability)
-    if (currentOnChainFactor > 1.1) {
-      // Higher on-chain risk means more crash probability
-      crashModifier *= currentOnChainFactor;
-    } else if (currentOnChainFactor < 0.9) {
-      // Lower on-chain risk means less crash, more pump probability
-      pumpModifier *= (1 / currentOnChainFactor);
-    }
-    
-    // 4. Apply sentiment factor (affects both crash and pump)
-    if (currentMonthSentimentFactor > 1.1) {
-      // Negative sentiment increases crash probability
-      crashModifier *= currentMonthSentimentFactor;
-    } else if (currentMonthSentimentFactor < 0.9) {
-      // Positive sentiment increases pump probability
-      pumpModifier *= (1 / currentMonthSentimentFactor);
-    }
-    
-    // 5. Apply cycle factor (primarily affects extremes depending on cycle position)
-    if (currentMonthCycleFactor > 1.1) {
-      // Late cycle increases crash probability
-      crashModifier *= currentMonthCycleFactor;
-    } else if (currentMonthCycleFactor < 0.9) {
-      // Early cycle increases pump probability
-      pumpModifier *= (1 / currentMonthCycleFactor);
-    }
-    
-    // 6. Apply Bitcoin fundamental factors
-    
-    // 6.1 Inflation factor - lower inflation is bullish
-    if (fundamentalFactors.inflationFactor_val < 0.9) {
-      // Low inflation increases pump probability
-      pumpModifier *= (1 / fundamentalFactors.inflationFactor_val);
-      crashModifier *= fundamentalFactors.inflationFactor_val;
-    } else if (fundamentalFactors.inflationFactor_val > 1.1) {
-      // High inflation increases crash probability
-      crashModifier *= fundamentalFactors.inflationFactor_val;
-    }
-    
-    // 6.2 Scarcity factor - higher scarcity is bullish
-    if (fundamentalFactors.scarcityFactor_val < 0.9) {
-      // High scarcity (low factor) increases pump probability
-      pumpModifier *= (1 / fundamentalFactors.scarcityFactor_val);
-    }
-    
-    // Balance normal state probability based on extreme state modifications
-    normalModifier = 1 / (Math.sqrt(crashModifier * pumpModifier) || 1);
-    
-    // Bound normal modifier to avoid extreme values
-    normalModifier = Math.max(0.5, Math.min(1.5, normalModifier));
-    
-    // Apply the modifiers to our prior for each target state
-    // Remember: adjustedPrior[i][j] where j=0 is crash, j=1 is normal, j=2 is pump
-    adjustedPrior[i][0] = Math.max(0.01, this.priorConcentration[i][0] * crashModifier);
-    adjustedPrior[i][1] = Math.max(0.01, this.priorConcentration[i][1] * normalModifier);
-    adjustedPrior[i][2] = Math.max(0.01, this.priorConcentration[i][2] * pumpModifier);
-    
-    // Log the adjustments
-    console.log(`From state ${i} adjustments: Crash=${crashModifier.toFixed(2)}, Normal=${normalModifier.toFixed(2)}, Pump=${pumpModifier.toFixed(2)}`);
-  }
+  // Update gauge value
+  const crashGaugeValue = document.getElementById('crashGaugeValue');
+  crashGaugeValue.textContent = percentage + '%';
+}
+
+// Update pump probability gauge
+function updatePumpGauge(probability) {
+  const percentage = (probability * 100).toFixed(1);
+  
+  // Update prominent percentage
+  const pumpPercentage = document.getElementById('pumpPercentage');
+  pumpPercentage.textContent = percentage + '%';
   
-  // Store the adjusted prior
-  this.adjustedPrior = adjustedPrior;
+  // Update gauge fill
+  const pumpGaugeFill = document.getElementById('pumpGaugeFill');
+  pumpGaugeFill.style.width = percentage + '%';
+  
+  // Update gauge marker
+  const pumpGaugeMarker = document.getElementById('pumpGaugeMarker');
+  pumpGaugeMarker.style.left = percentage + '%';
   
-  return adjustedPrior;
+  // Update gauge value
+  const pumpGaugeValue = document.getElementById('pumpGaugeValue');
+  pumpGaugeValue.textContent = percentage + '%';
 }
+
+// Update price forecast display
+function updatePriceForecast(forecast) {
+  // Update current price
+  const currentPriceEl = document.getElementById('currentPrice');
+  currentPriceEl.textContent = formatPrice(forecast.currentPrice);
   
-  /**
-   * Update posterior parameters by adding counts to adjusted prior
-   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
-   */
-  updatePosterior() {
-    for (let i = 0; i < this.stateCount; i++) {
-      for (let j = 0; j < this.stateCount; j++) {
-        this.posteriorConcentration[i][j] = this.adjustedPrior[i][j] + this.transitionCounts[i][j];
-      }
-    }
-    return this;
-  }
+  // Update lower bound
+  const lowerBoundEl = document.getElementById('lowerBound');
+  lowerBoundEl.textContent = formatPrice(forecast.lowerBound);
   
-  /**
-   * Calculate transition matrix from concentration parameters
-   * @param {Array} concentrationParams - Optional specific concentration parameters
-   * @returns {Array} - The transition probability matrix
-   */
-  getTransitionMatrix(concentrationParams = null) {
-    const params = concentrationParams || this.posteriorConcentration;
-    
-    // For each state, calculate transition probabilities
-    return params.map(row => {
-      const rowSum = row.reduce((sum, val) => sum + val, 0);
-      return row.map(param => param / rowSum);
-    });
-  }
+  // Update upper bound
+  const upperBoundEl = document.getElementById('upperBound');
+  upperBoundEl.textContent = formatPrice(forecast.upperBound);
   
-  /**
-   * Set the current state distribution
-   * @param {number} stateIndex - The current state (0 = crash, 1 = normal, 2 = pump)
-   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
-   */
-  setCurrentState(stateIndex) {
-    this.currentStateDist = Array(this.stateCount).fill(0);
-    if (stateIndex >= 0 && stateIndex < this.stateCount) {
-      this.currentStateDist[stateIndex] = 1.0;
-    } else {
-      // If invalid state, use steady state distribution
-      this.currentStateDist = [...this.steadyStateProbs];
-    }
-    return this;
-  }
+  // Update coverage of the bounds
+  updateCoverageNote(forecast);
   
-  /**
-   * Set current state probabilistically
-   * @param {Array} distribution - Probability distribution over states
-   * @returns {UnifiedBayesianMarkovModel} - This instance for chaining
-   */
-  setCurrentStateDist(distribution) {
-    if (Array.isArray(distribution) && distribution.length === this.stateCount) {
-      const sum = distribution.reduce((sum, val) => sum + val, 0);
-      if (sum > 0) {
-        this.currentStateDist = distribution.map(val => val / sum);
-      }
-    }
-    return this;
-  }
-  
-  /**
-   * Forecast state probabilities over time using matrix multiplication
-   * @param {number} steps - Number of time steps to predict
-   * @param {Array} transitionMatrix - Optional specific transition matrix
-   * @returns {Array} - State probability distributions for each time step
-   */
-  forecastStateDistribution(steps, transitionMatrix = null) {
-    const tMatrix = transitionMatrix || this.getTransitionMatrix();
-    const distributions = [this.currentStateDist];
-    
-    let currentDist = [...this.currentStateDist];
-    
-    for (let t = 0; t < steps; t++) {
-      // Matrix multiply: currentDist * transitionMatrix
-      const nextDist = Array(this.stateCount).fill(0);
-      
-      for (let i = 0; i < this.stateCount; i++) {
-        for (let j = 0; j < this.stateCount; j++) {
-          nextDist[j] += currentDist[i] * tMatrix[i][j];
-        }
-      }
-      
-      distributions.push(nextDist);
-      currentDist = nextDist;
-    }
-    
-    return distributions;
-  }
-  
-  /**
-   * Calculate expected returns for each time step
-   * @param {number} steps - Number of time steps to predict
-   * @param {Array} transitionMatrix - Optional specific transition matrix
-   * @returns {Array} - Expected return for each time step
-   */
-  calculateExpectedReturns(steps, transitionMatrix = null) {
-    const distributions = this.forecastStateDistribution(steps, transitionMatrix);
-    
-    return distributions.map(dist => {
-      let expectedReturn = 0;
-      for (let i = 0; i < this.stateCount; i++) {
-        expectedReturn += dist[i] * this.stateReturns[this.stateNames[i]];
-      }
-      return expectedReturn;
-    });
-  }
-  
-  /**
-   * Calculate probability of at least one occurrence of a specific state
-   * @param {number} steps - Number of time steps
-   * @param {number} targetState - The state we're interested in (0 = crash, 2 = pump)
-   * @param {Array} transitionMatrix - Optional specific transition matrix
-   * @returns {number} - Probability of seeing state at least once
-   */
-  calculateCumulativeStateProbability(steps, targetState, transitionMatrix = null) {
-    if (targetState < 0 || targetState >= this.stateCount) {
-      console.error('Invalid target state:', targetState);
-      return 0;
-    }
-    
-    const tMatrix = transitionMatrix || this.getTransitionMatrix();
-    
-    // We need to modify the transition matrix to calculate this efficiently
-    // Make a deep copy first to avoid modifying the original
-    const modifiedMatrix = JSON.parse(JSON.stringify(tMatrix));
-    
-    // Make the target state "sticky" (an absorbing state)
-    for (let i = 0; i < this.stateCount; i++) {
-      if (i === targetState) {
-        // Set row to all zeros except self-transition = 1
-        modifiedMatrix[i] = Array(this.stateCount).fill(0);
-        modifiedMatrix[i][i] = 1;
-      }
-    }
-    
-    // Calculate probability of ending up in this absorbing state
-    const distributions = this.forecastStateDistribution(steps, modifiedMatrix);
-    const finalDist = distributions[distributions.length - 1];
-    
-    // The probability of the absorbing state is the probability of seeing it at least once
-    return finalDist[targetState];
-  }
-  
-  /**
-   * Generate sample paths for Monte Carlo simulation
-   * @param {number} steps - Number of time steps
-   * @param {number} numPaths - Number of paths to generate
-   * @param {Array} transitionMatrix - Optional specific transition matrix
-   * @returns {Array} - Array of state paths
-   */
-  generateStatePaths(steps, numPaths = 1000, transitionMatrix = null) {
-    const tMatrix = transitionMatrix || this.getTransitionMatrix();
-    const paths = [];
-    
-    // Limit number of paths to avoid excessive computation
-    numPaths = Math.min(numPaths, this.maxSimulationPaths);
-    
-    for (let n = 0; n < numPaths; n++) {
-      // Sample initial state from current distribution
-      let currentState = this.sampleFromDistribution(this.currentStateDist);
-      const path = [currentState];
-      
-      // Generate the path
-      for (let t = 0; t < steps; t++) {
-        // Sample next state from current state's transition probabilities
-        const nextState = this.sampleFromDistribution(tMatrix[currentState]);
-        path.push(nextState);
-        currentState = nextState;
-      }
-      
-      paths.push(path);
-    }
-    
-    return paths;
-  }
-  
-  /**
-   * Sample from a discrete probability distribution
-   * @param {Array} probabilities - Array of probabilities that sum to 1
-   * @returns {number} - Sampled index
-   */
-  sampleFromDistribution(probabilities) {
-    const sum = probabilities.reduce((a, b) => a + b, 0);
-    if (sum === 0) return 0; // Default to first state if all zeros
-    
-    // Normalize to ensure sum is 1
-    const normProbs = probabilities.map(p => p / sum);
-    
-    const r = Math.random();
-    let cumulativeProb = 0;
-    
-    for (let i = 0; i < normProbs.length; i++) {
-      cumulativeProb += normProbs[i];
-      if (r < cumulativeProb) {
-        return i;
-      }
-    }
-    
-    // Fallback (shouldn't normally reach here)
-    return normProbs.length - 1;
-  }
-  
-  /**
-   * Generate price paths from state paths
-   * @param {Array} statePaths - Array of state paths
-   * @param {number} currentPrice - Current price to start from
-   * @param {boolean} addRandomness - Whether to add randomness within states
-   * @returns {Array} - Array of price paths
-   */
-  statesToPricePaths(statePaths, currentPrice, addRandomness = true) {
-    return statePaths.map(statePath => {
-      let price = currentPrice;
-      const pricePath = [price];
-      
-      for (let t = 1; t < statePath.length; t++) {
-        const state = statePath[t];
-        let returnValue = this.stateReturns[this.stateNames[state]];
-        
-        // Add random variation within state if requested
-        if (addRandomness) {
-          const stateStdDev = this.stateVolatility[this.stateNames[state]];
-          // Generate normal random number using Box-Muller transform
-          const u1 = Math.random();
-          const u2 = Math.random();
-          const z = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-          returnValue += z * stateStdDev;
-        }
-        
-        // Apply return to get new price
-        price *= Math.exp(returnValue);
-        pricePath.push(price);
-      }
-      
-      return pricePath;
-    });
-  }
-  
-  /**
-   * Create a full Monte Carlo price simulation
-   * @param {number} steps - Number of time steps
-   * @param {number} currentPrice - Current price to start from
-   * @param {number} numPaths - Number of paths to generate
-   * @returns {Object} - Simulation results with price paths and statistics
-   */
-  simulatePricePaths(steps, currentPrice, numPaths = 1000) {
-    // Generate state paths
-    const statePaths = this.generateStatePaths(steps, numPaths);
-    
-    // Convert to price paths
-    const pricePaths = this.statesToPricePaths(statePaths, currentPrice);
-    
-    // Calculate summary statistics for each timepoint
-    const summaryStats = [];
-    
-    for (let t = 0; t <= steps; t++) {
-      const prices = pricePaths.map(path => path[t]);
-      
-      // Sort for percentiles
-      prices.sort((a, b) => a - b);
-      
-      // Calculate percentiles
-      const median = prices[Math.floor(prices.length / 2)];
-      const lower5 = prices[Math.floor(prices.length * 0.05)];
-      const lower25 = prices[Math.floor(prices.length * 0.25)];
-      const upper75 = prices[Math.floor(prices.length * 0.75)];
-      const upper95 = prices[Math.floor(prices.length * 0.95)];
-      
-      // Calculate mean
-      const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
-      
-      summaryStats.push({
-        timeStep: t,
-        mean,
-        median,
-        lower5,
-        lower25,
-        upper75,
-        upper95
-      });
-    }
-    
-    return {
-      pricePaths,
-      summaryStats
-    };
-  }
-  
-  /**
-   * Generate a comprehensive forecast for a given timeframe
-   * @param {number} timeframeDays - Number of days to forecast
-   * @param {number} currentPrice - Current price to start from
-   * @param {Object} context - Context factors for adjustment
-   * @returns {Object} - Complete forecast with all metrics
-   */
-  generateForecast(timeframeDays, currentPrice, context = {}) {
-    // Adjust prior based on context
-    this.adjustPrior({
-      cyclePosition: context.cyclePosition,
-      onChainMetrics: context.onChainMetrics,
-      volatilityRatio: context.volatilityRatio,
-      currentMonth: context.currentMonth || this.currentMonth,
-      monthlyStats: this.monthlyStats
-    });
-    
-    // Update posterior parameters
-    this.updatePosterior();
-    
-    // Get transition matrix
-    const transitionMatrix = this.getTransitionMatrix();
-    
-    // Calculate expected returns
-    const expectedReturns = this.calculateExpectedReturns(timeframeDays, transitionMatrix);
-    
-    // Calculate cumulative expected return
-    const dailyReturns = expectedReturns.slice(1); // Skip initial position
-    const cumulativeReturn = dailyReturns.reduce((sum, ret) => sum + ret, 0);
-    
-    // Calculate forecast price using the expected return
-    const forecastPrice = currentPrice * Math.exp(cumulativeReturn);
-    
-    // Calculate crash and pump probabilities
-    const crashProb = this.calculateCumulativeStateProbability(timeframeDays, 0, transitionMatrix);
-    const pumpProb = this.calculateCumulativeStateProbability(timeframeDays, 2, transitionMatrix);
-    
-    // Run Monte Carlo simulation for price distribution
-    const simulation = this.simulatePricePaths(timeframeDays, currentPrice, 5000);
-    
-    // Extract price bounds from simulation
-    const finalStats = simulation.summaryStats[simulation.summaryStats.length - 1];
-    const lowerBound = finalStats.lower5;
-    const upperBound = finalStats.upper95;
-    
-    // Format complete forecast
-    return {
-      currentPrice,
-      forecastPrice,
-      lowerBound,
-      upperBound,
-      expectedReturn: cumulativeReturn,
-      dailyReturns: dailyReturns,
-      expectedDailyReturn: cumulativeReturn / timeframeDays,
-      volatility: (upperBound - lowerBound) / (2 * 1.96 * forecastPrice),
-      crashProbability: crashProb,
-      pumpProbability: pumpProb,
-      timeframeDays,
-      stateReturns: this.stateReturns,
-      stateVolatility: this.stateVolatility,
-      steadyStateProbs: this.steadyStateProbs,
-      transitionMatrix,
-      currentStateDist: this.currentStateDist, // <--- ADD THIS LINE
-      simulationSummary: simulation.summaryStats,
-      // Include a subset of paths for visualization
-      forecastPaths: simulation.pricePaths.slice(0, 100)
-    };
-  }
-}
-
-/**
- * Main wrapper function to process data and create a forecast
- * @param {Array} data - Bitcoin price data
- * @param {number} timeframeDays - Forecast horizon in days
- * @param {Object} context - Context factors like cycle position
- * @returns {Object} - Complete forecast
- */
-function calculateUnifiedBayesianForecast(data, timeframeDays, context = {}) {
-  console.log(`Calculating unified Bayesian forecast for ${timeframeDays}-day timeframe`);
-  
-  if (!data || !Array.isArray(data) || data.length === 0) {
-    console.error('Invalid data for forecast');
-    return null;
-  }
-  
-  try {
-    // Create model
-    const model = new UnifiedBayesianMarkovModel();
-    
-    // Train model
-    model.train(data);
-    
-    // Get current price
-    const currentPrice = data[data.length - 1].price;
-    
-    // Generate forecast
-    const forecast = model.generateForecast(timeframeDays, currentPrice, context);
-    
-    // Enhance forecast with additional data for UI
-    forecast.modelType = 'UnifiedBayesianMarkov';
-    forecast.forecastDate = new Date();
-    
-    return forecast;
-  } catch (error) {
-    console.error('Error calculating forecast:', error);
-    return null;
-  }
-}
-
-// Main application state
-const state = {
-  bitcoinData: [],
-  onChainData: [],
-  latestOnChainMetrics: {},
-  sentimentData: null,
-  unifiedForecasts: {},
-  currentTimeframe: 30,
-  priceChart: null
-};
-
-// Utility functions
-function formatPrice(price) {
-  return new Intl.NumberFormat('en-US', { 
-    style: 'currency', 
-    currency: 'USD',
-    maximumFractionDigits: 0
-  }).format(price);
-}
-
-function formatPercentage(value) {
-  return (value * 100).toFixed(1) + '%';
-}
-
-function calculateStandardDeviation(values) {
-  if (!values || values.length === 0) return 0;
-  
-  const avg = values.reduce((sum, val) => sum + val, 0) / values.length;
-  const squareDiffs = values.map(value => Math.pow(value - avg, 2));
-  const avgSquareDiff = squareDiffs.reduce((sum, val) => sum + val, 0) / squareDiffs.length;
-  return Math.sqrt(avgSquareDiff);
-}
-
-// Get the halving epoch for a given date
-function getHalvingEpoch(date) {
-  // Bitcoin halving dates
-  const halvingDates = [
-    new Date('2009-01-03'), // Genesis block
-    new Date('2012-11-28'), // First halving
-    new Date('2016-07-09'), // Second halving
-    new Date('2020-05-11'), // Third halving
-    new Date('2024-04-20')  // Fourth halving
-  ];
-  
-  // Find the appropriate epoch
-  for (let i = halvingDates.length - 1; i >= 0; i--) {
-    if (date >= halvingDates[i]) {
-      return i;
-    }
-  }
-  
-  return 0; // Default to first epoch if before first halving
-}
-
-// Process CSV data into structured Bitcoin data objects
-function processData(csvText) {
-  const lines = csvText.trim().split('\n');
-  const headers = lines[0].split(',');
-  
-  // Find index of critical columns
-  const timeIndex = headers.indexOf('time');
-  const priceIndex = headers.indexOf('PriceUSD');
-  
-  // Find indices for on-chain metrics
-  const mvrvIndex = headers.indexOf('CapMVRVCur');
-  const nvtIndex = headers.indexOf('NVTAdj');
-  const nvt90Index = headers.indexOf('NVTAdj90');
-  const activeAddressesIndex = headers.indexOf('AdrActCnt');
-  const txCountIndex = headers.indexOf('TxCnt');
-  const txVolumeIndex = headers.indexOf('TxTfrValAdjUSD');
-  const splyAct1dIndex = headers.indexOf('SplyAct1d');
-  const splyAct1yrIndex = headers.indexOf('SplyAct1yr');
-  const currentSupplyIndex = headers.indexOf('SplyCur');
-  const hashRateIndex = headers.indexOf('HashRate');
-  const minerRevenueIndex = headers.indexOf('RevNtv');
-  const whaleSupplyIndex = headers.indexOf('SplyAdrTop10Pct'); // Top 10% addresses
-  
-  if (timeIndex === -1 || priceIndex === -1) {
-    throw new Error('CSV format is not as expected');
-  }
-  
-  // Parse ALL data
-  const data = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',');
-    const dateString = values[timeIndex];
-    const price = parseFloat(values[priceIndex]);
-    
-    if (!isNaN(price)) {
-      const date = new Date(dateString);
-      const dataPoint = {
-        date: date,
-        price: price,
-        halvingEpoch: getHalvingEpoch(date)
-      };
-      
-      // Add on-chain metrics
-      if (mvrvIndex !== -1 && values[mvrvIndex]) {
-        dataPoint.MVRV = parseFloat(values[mvrvIndex]);
-      }
-      
-      if (nvtIndex !== -1 && values[nvtIndex]) {
-        dataPoint.NVT = parseFloat(values[nvtIndex]);
-      }
-      
-      if (nvt90Index !== -1 && values[nvt90Index]) {
-        dataPoint.NVT_90 = parseFloat(values[nvt90Index]);
-      }
-      
-      if (activeAddressesIndex !== -1 && values[activeAddressesIndex]) {
-        dataPoint.ACTIVE_ADDRESSES = parseFloat(values[activeAddressesIndex]);
-      }
-      
-      if (txCountIndex !== -1 && values[txCountIndex]) {
-        dataPoint.TX_COUNT = parseFloat(values[txCountIndex]);
-      }
-      
-      if (txVolumeIndex !== -1 && values[txVolumeIndex]) {
-        dataPoint.TX_VOLUME_USD = parseFloat(values[txVolumeIndex]);
-      }
-
-      if (splyAct1dIndex !== -1 && values[splyAct1dIndex]) {
-        dataPoint.ACTIVE_SUPPLY_1D = parseFloat(values[splyAct1dIndex]);
-      }
-        
-      if (splyAct1yrIndex !== -1 && values[splyAct1yrIndex]) {
-        dataPoint.ACTIVE_SUPPLY_1YR = parseFloat(values[splyAct1yrIndex]);
-      }
-      
-      // New on-chain metrics
-      if (currentSupplyIndex !== -1 && values[currentSupplyIndex]) {
-        dataPoint.CURRENT_SUPPLY = parseFloat(values[currentSupplyIndex]);
-      }
-      
-      if (hashRateIndex !== -1 && values[hashRateIndex]) {
-        dataPoint.HASH_RATE = parseFloat(values[hashRateIndex]);
-      }
-      
-      if (minerRevenueIndex !== -1 && values[minerRevenueIndex]) {
-        dataPoint.MINER_REVENUE = parseFloat(values[minerRevenueIndex]);
-      }
-      
-      if (whaleSupplyIndex !== -1 && values[whaleSupplyIndex]) {
-        dataPoint.WHALE_SUPPLY = parseFloat(values[whaleSupplyIndex]);
-      }
-
-      data.push(dataPoint);
-    }
-  }
-  
-  // Sort by date to ensure chronological order
-  data.sort((a, b) => a.date - b.date);
-  
-  // Calculate log returns
-  for (let i = 1; i < data.length; i++) {
-    data[i].logReturn = Math.log(data[i].price / data[i-1].price);
-  }
-  data[0].logReturn = 0;
-  
-  // Group data by halving epoch to calculate extreme event thresholds
-  const epochData = {};
-  data.forEach(d => {
-    if (!epochData[d.halvingEpoch]) {
-      epochData[d.halvingEpoch] = [];
-    }
-    epochData[d.halvingEpoch].push(d);
-  });
-  
-  // Calculate thresholds for each epoch (1st percentile of returns)
-  const thresholds = {};
-  Object.keys(epochData).forEach(epoch => {
-    const epochLogReturns = epochData[epoch]
-      .map(d => d.logReturn)
-      .filter(r => !isNaN(r) && isFinite(r));
-    
-    epochLogReturns.sort((a, b) => a - b);
-    const threshold = epochLogReturns[Math.floor(epochLogReturns.length * 0.01)];
-    thresholds[epoch] = threshold;
-  });
-  
-  // Mark extreme events using epoch-specific thresholds
-  data.forEach(d => {
-    const threshold = thresholds[d.halvingEpoch];
-    d.isExtremeEvent = d.logReturn < threshold ? 1 : 0;
-  });
-  
-  return data;
-}
-
-// Extract and process on-chain metrics
-function processOnChainData(data) {
-  // Extract relevant metrics from the raw data
-  const extractedData = data.map(d => ({
-    date: d.date instanceof Date ? d.date : new Date(d.date),
-    price: parseFloat(d.price),
-    MVRV: d.MVRV,
-    NVT: d.NVT,
-    ACTIVE_ADDRESSES: d.ACTIVE_ADDRESSES,
-    halvingEpoch: d.halvingEpoch,
-    logReturn: d.logReturn
-  }));
-  
-  // Calculate derived metrics 
-  const enhancedData = calculateDerivedMetrics(extractedData);
-  
-  // Get the latest metrics for display
-  const latestMetrics = getLatestOnChainMetrics(enhancedData);
-  
-  return {
-    enhancedData,
-    latestMetrics
-  };
-}
-
-function calculateDerivedMetrics(data) {
-  // Create a copy to avoid modifying the original data
-  const enhancedData = [...data];
-  
-  // Calculate volatility metrics for different timeframes
-  const all30DayWindows = [];
-  const all90DayWindows = [];
-  const allByMonth = Array(12).fill().map(() => []);
-  
-  enhancedData.forEach((dataPoint, index) => {
-    // Group by month for monthly historical volatility
-    if (dataPoint.date instanceof Date) {
-      const month = dataPoint.date.getMonth();
-      if (dataPoint.logReturn !== undefined && !isNaN(dataPoint.logReturn)) {
-        allByMonth[month].push(dataPoint.logReturn);
-      }
-    }
-    
-    // Calculate MVRV Z-Score if we have enough data
-    if (index >= 90 && dataPoint.MVRV !== undefined) {
-      const window90 = enhancedData.slice(index - 90, index);
-      const mvrvValues = window90.map(d => d.MVRV).filter(m => !isNaN(m));
-      
-      if (mvrvValues.length > 0) {
-        const mvrvMean = mvrvValues.reduce((sum, m) => sum + m, 0) / mvrvValues.length;
-        const mvrvStdDev = calculateStandardDeviation(mvrvValues);
-        if (mvrvStdDev > 0) {
-          dataPoint.MVRV_Z_SCORE = (dataPoint.MVRV - mvrvMean) / mvrvStdDev;
-        }
-      }
-    }
-    
-    // Calculate NVT Z-Score if we have enough data
-    if (index >= 90 && dataPoint.NVT !== undefined) {
-      const window90 = enhancedData.slice(index - 90, index);
-      const nvtValues = window90.map(d => d.NVT).filter(n => !isNaN(n));
-      
-      if (nvtValues.length > 0) {
-        const nvtMean = nvtValues.reduce((sum, n) => sum + n, 0) / nvtValues.length;
-        const nvtStdDev = calculateStandardDeviation(nvtValues);
-        if (nvtStdDev > 0) {
-          dataPoint.NVT_Z_SCORE = (dataPoint.NVT - nvtMean) / nvtStdDev;
-        }
-      }
-    }
-    
-    // Calculate Supply Shock Ratio (active supply 1d / active supply 1yr)
-    if (dataPoint.ACTIVE_SUPPLY_1D !== undefined && 
-        dataPoint.ACTIVE_SUPPLY_1YR !== undefined && 
-        dataPoint.ACTIVE_SUPPLY_1YR > 0) {
-      dataPoint.SUPPLY_SHOCK_RATIO = dataPoint.ACTIVE_SUPPLY_1D / dataPoint.ACTIVE_SUPPLY_1YR;
-    }
-    
-    // Calculate Whale Dominance Change
-    if (dataPoint.WHALE_SUPPLY !== undefined && index > 0 && 
-        enhancedData[index - 1].WHALE_SUPPLY !== undefined) {
-      dataPoint.WHALE_DOMINANCE_CHANGE = dataPoint.WHALE_SUPPLY - enhancedData[index - 1].WHALE_SUPPLY;
-    }
-    
-    // Calculate Puell Multiple (current miner revenue vs 365-day average)
-    if (dataPoint.MINER_REVENUE !== undefined && index >= 365) {
-      const yearWindow = enhancedData.slice(index - 365, index);
-      const revenueValues = yearWindow
-        .map(d => d.MINER_REVENUE)
-        .filter(r => !isNaN(r) && r !== undefined);
-      
-      if (revenueValues.length > 180) {
-        const avgRevenue = revenueValues.reduce((sum, r) => sum + r, 0) / revenueValues.length;
-        if (avgRevenue > 0) {
-          dataPoint.PUELL_MULTIPLE = dataPoint.MINER_REVENUE / avgRevenue;
-        }
-      }
-    }
-    
-    // Collect data for volatility calculations
-    if (index >= 30 && index < enhancedData.length) {
-      const window30 = enhancedData.slice(index - 30, index);
-      const returns30 = window30.map(d => d.logReturn).filter(r => !isNaN(r) && isFinite(r));
-      if (returns30.length > 15) { // Ensure sufficient data points
-        all30DayWindows.push(returns30);
-      }
-    }
-    
-    if (index >= 90 && index < enhancedData.length) {
-      const window90 = enhancedData.slice(index - 90, index);
-      const returns90 = window90.map(d => d.logReturn).filter(r => !isNaN(r) && isFinite(r));
-      if (returns90.length > 45) { // Ensure sufficient data points
-        all90DayWindows.push(returns90);
-      }
-    }
-  });
-  
-  // Calculate volatility metrics
-  const volatilityData = {
-    recent30Day: all30DayWindows.length > 0 ? 
-      calculateStandardDeviation(all30DayWindows[all30DayWindows.length - 1]) : 0.02,
-    medium90Day: all90DayWindows.length > 0 ? 
-      calculateStandardDeviation(all90DayWindows[all90DayWindows.length - 1]) : 0.03,
-    historical: calculateStandardDeviation(
-      enhancedData.map(d => d.logReturn).filter(r => !isNaN(r) && isFinite(r))
-    ),
-    byMonth: allByMonth.map(monthReturns => calculateStandardDeviation(monthReturns))
-  };
-  
-  // Store the volatility metrics in the state for future use
-  if (typeof window !== 'undefined' && window.state) {
-    window.state.volatilityMetrics = volatilityData;
-  }
-  
-  // Add cyclical metrics based on MVRV
-  addCyclicalMetrics(enhancedData);
-  
-  return enhancedData;
-}
-
-function addCyclicalMetrics(data) {
-  if (!data || data.length < 365) return;
-  
-  // Find the all-time high price before each data point
-  let ath = 0;
-  data.forEach((dataPoint, index) => {
-    if (dataPoint.price > ath) {
-      ath = dataPoint.price;
-    }
-    dataPoint.PRICE_FROM_ATH = ath > 0 ? dataPoint.price / ath : 1;
-  });
-  
-  // Calculate cyclical metrics using MVRV
-  const recentData = data.slice(-730); // Last 2 years
-  if (recentData.length > 365) {
-    const mvrvValues = recentData.map(d => d.MVRV).filter(m => !isNaN(m));
-    if (mvrvValues.length > 180) {
-      const mvrvMax = Math.max(...mvrvValues);
-      const mvrvMin = Math.min(...mvrvValues);
-      const mvrvRange = mvrvMax - mvrvMin;
-      
-      // Add cycle position for recent data points (normalized 0-1 where 0 is bottom, 1 is top)
-      recentData.forEach(dataPoint => {
-        if (dataPoint.MVRV !== undefined && mvrvRange > 0) {
-          dataPoint.CYCLE_POSITION = (dataPoint.MVRV - mvrvMin) / mvrvRange;
-        }
-      });
-    }
-  }
-}
-
-function getLatestOnChainMetrics(enhancedData) {
-  if (!enhancedData || enhancedData.length === 0) {
-    return null;
-  }
-  
-  // Get the most recent data point
-  const latest = enhancedData[enhancedData.length - 1];
-  
-  // Get previous data point for comparison
-  const previous = enhancedData.length > 1 ? enhancedData[enhancedData.length - 2] : null;
-  
-  // Find most recent data point with supply metrics
-  let supplyShockData = null;
-  for (let i = enhancedData.length - 1; i >= 0; i--) {
-    if (enhancedData[i].SUPPLY_SHOCK_RATIO !== undefined) {
-      supplyShockData = {
-        value: enhancedData[i].SUPPLY_SHOCK_RATIO,
-        date: enhancedData[i].date
-      };
-      break;
-    }
-  }
-  
-  // Find most recent data point with Puell Multiple
-  let puellMultipleData = null;
-  for (let i = enhancedData.length - 1; i >= 0; i--) {
-    if (enhancedData[i].PUELL_MULTIPLE !== undefined) {
-      puellMultipleData = {
-        value: enhancedData[i].PUELL_MULTIPLE,
-        date: enhancedData[i].date
-      };
-      break;
-    }
-  }
-  
-  // Calculate volatility from most recent data
-  const recentVolatility = window.state && window.state.volatilityMetrics ? 
-    window.state.volatilityMetrics.recent30Day : 0.02;
-  const historicalVolatility = window.state && window.state.volatilityMetrics ? 
-    window.state.volatilityMetrics.historical : 0.03;
-  
-  const volatilityData = {
-    recent: recentVolatility,
-    historical: historicalVolatility,
-    ratio: recentVolatility / historicalVolatility
-  };
-  
-  // Calculate Bitcoin fundamental metrics
-  const bitcoinFundamentals = calculateBitcoinInflationRateAndSupply(enhancedData, new Date());
-  
-  // Extract key metrics for display
-  return {
-    lastUpdated: latest.date,
-    price: {
-      value: latest.price,
-      change: previous ? (latest.price / previous.price - 1) * 100 : 0
-    },
-    mvrv: {
-      value: latest.MVRV,
-      zScore: latest.MVRV_Z_SCORE,
-      change: previous && previous.MVRV ? (latest.MVRV / previous.MVRV - 1) * 100 : 0
-    },
-    nvt: {
-      value: latest.NVT,
-      zScore: latest.NVT_Z_SCORE,
-      change: previous && previous.NVT ? (latest.NVT / previous.NVT - 1) * 100 : 0
-    },
-    activeAddresses: {
-      value: latest.ACTIVE_ADDRESSES,
-      change: previous && previous.ACTIVE_ADDRESSES ? 
-        (latest.ACTIVE_ADDRESSES / previous.ACTIVE_ADDRESSES - 1) * 100 : 0
-    },
-    supplyShock: supplyShockData ? {
-      value: supplyShockData.value,
-      change: previous && previous.SUPPLY_SHOCK_RATIO ? 
-        (supplyShockData.value / previous.SUPPLY_SHOCK_RATIO - 1) * 100 : 0,
-      asOfDate: supplyShockData.date
-    } : undefined,
-    puellMultiple: puellMultipleData ? {
-      value: puellMultipleData.value,
-      change: previous && previous.PUELL_MULTIPLE ? 
-        (puellMultipleData.value / previous.PUELL_MULTIPLE - 1) * 100 : 0,
-      asOfDate: puellMultipleData.date
-    } : undefined,
-    whaleDominance: latest.WHALE_DOMINANCE_CHANGE !== undefined ? {
-      change: latest.WHALE_DOMINANCE_CHANGE,
-      value: latest.WHALE_SUPPLY
-    } : undefined,
-    volatility: volatilityData,
-    cyclePosition: latest.CYCLE_POSITION,
-    bitcoinFundamentals: bitcoinFundamentals,
-    riskLevel: calculateCurrentRiskLevel(latest, bitcoinFundamentals)
-  };
-}
-
-function calculateCurrentRiskLevel(latest, bitcoinFundamentals) {
-  if (!latest) return 'Unknown';
-  
-  // Calculate composite risk score based on key metrics
-  let riskScore = 0;
-  let factorCount = 0;
-  
-  // MVRV Z-Score risk
-  if (latest.MVRV_Z_SCORE !== undefined) {
-    riskScore += Math.min(1, Math.max(0, (latest.MVRV_Z_SCORE + 1) / 3));
-    factorCount++;
-  }
-  
-  // Cycle position risk
-  if (latest.CYCLE_POSITION !== undefined) {
-    riskScore += latest.CYCLE_POSITION;
-    factorCount++;
-  }
-  
-  // Calculate average risk score
-  const avgRisk = factorCount > 0 ? riskScore / factorCount : 0.5;
-  
-  // Map to risk level
-  if (avgRisk >= 0.8) return 'Extreme';
-  if (avgRisk >= 0.65) return 'High';
-  if (avgRisk >= 0.45) return 'Moderate';
-  if (avgRisk >= 0.3) return 'Low';
-  return 'Very Low';
-}
-
-// Calculate sentiment-adjusted forecast
-function calculateSentimentAdjustedForecast(forecast, sentimentData) {
-  if (!sentimentData) return forecast;
-  
-  const sentimentValue = sentimentData.value; // 0-100 scale
-  
-  // Convert to a factor between 0.8 and 1.2 (normalized around 1.0)
-  // 0 = very bearish (0.8), 50 = neutral (1.0), 100 = very bullish (1.2)
-  const sentimentFactor = 0.8 + (sentimentValue / 100) * 0.4;
-  
-  console.log(`Sentiment adjustment factor: ${sentimentFactor.toFixed(3)} based on sentiment ${sentimentValue}/100`);
-  
-  // Adjust expected return based on sentiment
-  const adjustedExpectedReturn = forecast.expectedReturn * sentimentFactor;
-  
-  // Recalculate forecast price
-  const adjustedForecastPrice = forecast.currentPrice * Math.exp(adjustedExpectedReturn);
-  
-  // Adjust bounds proportionally
-  const lowerRatio = forecast.lowerBound / forecast.forecastPrice;
-  const upperRatio = forecast.upperBound / forecast.forecastPrice;
-  
-  const adjustedLowerBound = adjustedForecastPrice * lowerRatio;
-  const adjustedUpperBound = adjustedForecastPrice * upperRatio;
+  // Update chart
+  updatePriceChart(forecast);
+}
+
+// Show how often past bands held the price, next to the target coverage
+function updateCoverageNote(forecast) {
+  const note = document.getElementById('coverageNote');
+  if (!note) return;
+  
+  const percent = value => (value * 100).toFixed(0) + '%';
+  const { conformal } = forecast;
+  note.classList.remove('failed');
+  if (!conformal) {
+    note.textContent = `${percent(forecast.coverage)} Monte Carlo band (not enough history to check its coverage)`;
+    return;
+  }
   
-  // Create adjusted forecast
-  const adjustedForecast = {
-    ...forecast,
-    forecastPrice: adjustedForecastPrice,
-    lowerBound: adjustedLowerBound,
-    upperBound: adjustedUpperBound,
-    expectedReturn: adjustedExpectedReturn,
-    sentimentFactor: sentimentFactor,
-    originalForecast: {
-      forecastPrice: forecast.forecastPrice,
-      expectedReturn: forecast.expectedReturn,
-      lowerBound: forecast.lowerBound,
-      upperBound: forecast.upperBound
-    }
+  note.textContent = `Target ${percent(conformal.coverage)}, empirical ${percent(conformal.empiricalCoverage)} ` +
+    `over ${conformal.forecasts} past ${forecast.timeframeDays}-day forecasts ` +
+    `(Monte Carlo band alone: ${percent(conformal.rawCoverage)}; ${conformal.adjustment >= 0 ? 'widened' : 'narrowed'} ` +
+    `${percent(Math.abs(Math.exp(conformal.adjustment) - 1))} at each end)`;
+}
+
+// Report a failed forecast update next to the band; the previous forecast stays on screen
+function showForecastError(error) {
+  console.error('Error updating forecast:', error);
+  const note = document.getElementById('coverageNote');
+  if (note) {
+    note.textContent = `Forecast update failed (${error.message}) - showing the previous forecast`;
+    note.classList.add('failed');
+  }
+  document.getElementById('loading').style.display = 'none';
+}
+
+// Update the forecast from an event handler, reporting a failure instead of rejecting
+function refreshForecast() {
+  return updateForecast().catch(showForecastError);
+}
+
+// Link that repeats the current forecast on the same records: its horizon,
+// settings and simulation seed as URL parameters. The record settings (source,
+// sourceUrl, repair) are only added when they differ from the defaults.
+function forecastLink() {
+  const url = new URL(window.location.href);
+  url.searchParams.set('timeframe', state.currentTimeframe);
+  url.searchParams.set('coverage', getCoverage());
+  url.searchParams.set('forecaster', getForecasterModel());
+  url.searchParams.set('states', getStateCount());
+  url.searchParams.set('returns', getReturnGenerator());
+  url.searchParams.set('event', formatEventDefinition(getEventDefinition()));
+  url.searchParams.set('seed', getSimulationSeed());
+  
+  const setOrClear = (param, value, isDefault) => {
+    if (isDefault) url.searchParams.delete(param);
+    else url.searchParams.set(param, value);
   };
-  
-  return adjustedForecast;
+  const sourceId = resolveActiveDataSourceId();
+  const { config, defaultConfig } = getDataSource(sourceId);
+  const sourceUrl = config.url || '';
+  const defaultUrl = sourceUrl === (defaultConfig.url || '');
+  // ?sourceUrl= is only read together with ?source=
+  setOrClear('source', sourceId, sourceId === DEFAULT_SOURCE_ID && defaultUrl);
+  setOrClear('sourceUrl', sourceUrl, defaultUrl);
+  const repair = resolveRepairPolicy();
+  setOrClear('repair', repair, repair === DEFAULT_REPAIR_POLICY);
+  return url.href;
 }
 
-// Update crash risk gauge
-function updateCrashGauge(risk) {
-  const percentage = (risk * 100).toFixed(1);
-  
-  // Update prominent percentage
-  const crashPercentage = document.getElementById('crashPercentage');
-  crashPercentage.textContent = percentage + '%';
-  
-  // Update gauge fill
-  const crashGaugeFill = document.getElementById('crashGaugeFill');
-  crashGaugeFill.style.width = percentage + '%';
-  
-  // Update gauge marker
-  const crashGaugeMarker = document.getElementById('crashGaugeMarker');
-  crashGaugeMarker.style.left = percentage + '%';
+// Put the forecast's link in the address bar and copy it to the clipboard
+function copyForecastLink() {
+  const button = document.getElementById('copyForecastLink');
+  const link = forecastLink();
+  window.history.replaceState(null, '', link);
+  
+  const showCopied = text => {
+    if (!button) return;
+    button.textContent = text;
+    setTimeout(() => {
+      button.textContent = 'Copy link';
+    }, 2000);
+  };
   
-  // Update gauge value
-  const crashGaugeValue = document.getElementById('crashGaugeValue');
-  crashGaugeValue.textContent = percentage + '%';
+  if (!navigator.clipboard) {
+    showCopied('In address bar');
+    return;
+  }
+  navigator.clipboard.writeText(link)
+    .then(() => showCopied('Copied!'))
+    .catch(error => {
+      console.error('Failed to copy forecast link:', error);
+      showCopied('In address bar');
+    });
 }
 
-// Update pump probability gauge
-function updatePumpGauge(probability) {
-  const percentage = (probability * 100).toFixed(1);
-  
-  // Update prominent percentage
-  const pumpPercentage = document.getElementById('pumpPercentage');
-  pumpPercentage.textContent = percentage + '%';
-  
-  // Update gauge fill
-  const pumpGaugeFill = document.getElementById('pumpGaugeFill');
-  pumpGaugeFill.style.width = percentage + '%';
-  
-  // Update gauge marker
-  const pumpGaugeMarker = document.getElementById('pumpGaugeMarker');
-  pumpGaugeMarker.style.left = percentage + '%';
+// Open the horizon a link names (?timeframe=), if the page has a tab for it
+function applyLinkedTimeframe() {
+  const days = new URLSearchParams(window.location.search).get('timeframe');
+  if (!days) return;
+  
+  const tabs = Array.from(document.querySelectorAll('.timeframe-tab'));
+  const linked = tabs.find(tab => tab.getAttribute('data-days') === days);
+  if (!linked) {
+    console.warn(`No ${days}-day forecast, using ${state.currentTimeframe} days`);
+    return;
+  }
   
-  // Update gauge value
-  const pumpGaugeValue = document.getElementById('pumpGaugeValue');
-  pumpGaugeValue.textContent = percentage + '%';
+  tabs.forEach(tab => tab.classList.remove('active'));
+  linked.classList.add('active');
+  state.currentTimeframe = parseInt(days, 10);
 }
 
-// Update price forecast display
-function updatePriceForecast(forecast) {
-  // Update current price
-  const currentPriceEl = document.getElementById('currentPrice');
-  currentPriceEl.textContent = formatPrice(forecast.currentPrice);
-  
-  // Update lower bound
-  const lowerBoundEl = document.getElementById('lowerBound');
-  lowerBoundEl.textContent = formatPrice(forecast.lowerBound);
+// Compare the band and crash calibration of each return generator at the current horizon
+function runGeneratorComparison() {
+  const button = document.getElementById('compareGenerators');
+  const container = document.getElementById('generatorComparison');
+  if (!button || !container) return;
   
-  // Update upper bound
-  const upperBoundEl = document.getElementById('upperBound');
-  upperBoundEl.textContent = formatPrice(forecast.upperBound);
+  button.disabled = true;
+  container.textContent = 'Forecasting from past dates with each generator...';
   
-  // Update chart
-  updatePriceChart(forecast);
+  const timeframe = state.currentTimeframe;
+  runInWorker('compareGenerators', {
+    timeframe,
+    coverage: getCoverage(),
+    options: { forecaster: getForecasterModel(), stateCount: getStateCount(), seed: getSimulationSeed() }
+  }, {
+    onProgress: (done, total) => {
+      container.textContent = `Forecasting from past dates with each generator (${Math.round(done / total * 100)}%)...`;
+    }
+  })
+    .then(results => renderGeneratorComparison(results, timeframe))
+    .catch(error => {
+      console.error('Error comparing return generators:', error);
+      container.textContent = `Comparison failed: ${error.message}`;
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+// Render the return generator comparison table
+function renderGeneratorComparison(results, timeframe) {
+  const container = document.getElementById('generatorComparison');
+  if (!container) return;
+  
+  const labels = { normal: 'Normal', 'student-t': 'Student-t', bootstrap: 'Block bootstrap', garch: 'GARCH(1,1)' };
+  const percent = value => (value === null || isNaN(value) ? 'n/a' : (value * 100).toFixed(0) + '%');
+  const number = value => (value === null || isNaN(value) ? 'n/a' : value.toFixed(3));
+  
+  const rows = results.map(r => `
+    <tr${r.returnGenerator === getReturnGenerator() ? ' class="selected"' : ''}>
+      <td>${labels[r.returnGenerator] || r.returnGenerator}</td>
+      <td>${percent(r.rawCoverage)}</td>
+      <td>${percent(r.empiricalCoverage)}</td>
+      <td>${number(r.meanLogWidth)}</td>
+      <td>${percent(r.meanCrashProbability)}</td>
+      <td>${number(r.crashBrier)}</td>
+    </tr>
+  `).join('');
+  
+  const forecasts = results.find(r => r.forecasts > 0);
+  container.innerHTML = `
+    <table class="generator-comparison-table">
+      <thead>
+        <tr><th>Returns</th><th>Raw coverage</th><th>Calibrated</th><th>Log width</th><th>Crash prob.</th><th>Crash Brier</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="coverage-note">
+      ${forecasts ? `${forecasts.forecasts} past ${timeframe}-day forecasts; a crash day followed ${percent(forecasts.crashRate)} of them. ` : 'Not enough history. '}
+      Raw coverage is the Monte Carlo band's; narrower bands (lower log width) with the target coverage after calibration, and a lower Brier score, are better.
+    </p>
+  `;
 }
 
 // Update metrics indicators
@@ -2784,11 +1614,11 @@ function updatePriceChart(forecast) {
       })),
       lower: forecast.simulationSummary.map((stats, i) => ({
         x: dates[i], // Use consistent dates
-        y: stats.lower5 // Or lower25 if preferred for tighter bounds
+        y: forecast.conformal ? stats.conformalLower : stats.lower // Calibrated band when available
       })),
       upper: forecast.simulationSummary.map((stats, i) => ({
         x: dates[i], // Use consistent dates
-        y: stats.upper95 // Or upper75 if preferred
+        y: forecast.conformal ? stats.conformalUpper : stats.upper
       }))
     };
   } else {
@@ -2826,6 +1656,11 @@ function updatePriceChart(forecast) {
     };
   }
 
+  // Band labels name the coverage and whether it was calibrated
+  const bandName = `${(forecast.coverage * 100).toFixed(0)}% ${forecast.conformal ? 'conformal' : 'Monte Carlo'}`;
+  const lowerBoundLabel = `Lower Bound (${bandName})`;
+  const forecastRangeLabel = `Forecast Range (${bandName})`;
+
   // Sample paths for background visualization (if available)
   let backgroundPaths = [];
   if (forecast.forecastPaths && forecast.forecastPaths.length > 0) {
@@ -2860,7 +1695,7 @@ function updatePriceChart(forecast) {
       datasets: [
         ...backgroundPaths,
         {
-          label: 'Lower Bound (5th Pctl)',
+          label: lowerBoundLabel,
           data: chartData.lower,
           borderColor: 'rgba(255, 59, 48, 0.5)', // risk-red
           borderDash: [5, 5],
@@ -2869,7 +1704,7 @@ function updatePriceChart(forecast) {
           fill: false // No fill for this line
         },
         {
-          label: 'Upper Bound (95th Pctl)',
+          label: `Upper Bound (${bandName})`,
           data: chartData.upper,
           borderColor: 'rgba(52, 199, 89, 0.5)', // pump-green
           borderDash: [5, 5],
@@ -2881,7 +1716,7 @@ function updatePriceChart(forecast) {
         },
          // Dataset for the fill area
         {
-          label: 'Forecast Range (5th-95th Pctl)',
+          label: forecastRangeLabel,
           data: chartData.upper, // Use upper bound data
           borderColor: 'transparent',
           backgroundColor: 'rgba(90, 200, 250, 0.1)', // neutral-blue with alpha
@@ -3011,8 +1846,8 @@ function updatePriceChart(forecast) {
 
   // Adjust fill for the forecast range
   // Find the index of the 'Lower Bound' and 'Upper Bound' datasets
-  const lowerBoundIndex = state.priceChart.data.datasets.findIndex(ds => ds.label === 'Lower Bound (5th Pctl)');
-  const upperBoundIndex = state.priceChart.data.datasets.findIndex(ds => ds.label === 'Forecast Range (5th-95th Pctl)'); // This is our fill dataset
+  const lowerBoundIndex = state.priceChart.data.datasets.findIndex(ds => ds.label === lowerBoundLabel);
+  const upperBoundIndex = state.priceChart.data.datasets.findIndex(ds => ds.label === forecastRangeLabel); // This is our fill dataset
 
   if (lowerBoundIndex !== -1 && upperBoundIndex !== -1) {
     state.priceChart.data.datasets[upperBoundIndex].fill = {
@@ -3057,6 +1892,23 @@ function updatePriceChart(forecast) {
   }
 }
 
+// Display name of a Markov state ('severe-crash' -> 'Severe Crash')
+function formatStateName(name) {
+  return name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Color of a Markov state: red for the lowest returns, through blue, to green for the highest
+function stateColor(index, count, alpha = 1) {
+  const red = [255, 59, 48];
+  const blue = [90, 200, 250];
+  const green = [52, 199, 89];
+  
+  const position = count > 1 ? index / (count - 1) : 0.5;
+  const [from, to, t] = position < 0.5 ? [red, blue, position * 2] : [blue, green, position * 2 - 1];
+  const rgb = from.map((c, k) => Math.round(c + (to[k] - c) * t));
+  return `rgba(${rgb.join(', ')}, ${alpha})`;
+}
+
 // Create a visualization of the transition matrix
 function createTransitionMatrixVisualization(forecast) {
   if (!forecast || !forecast.transitionMatrix) return null;
@@ -3090,7 +1942,7 @@ function createTransitionMatrixVisualization(forecast) {
   headerRow.appendChild(emptyCell);
   
   // Add column headers (to states)
-  const stateNames = ['Crash', 'Normal', 'Pump'];
+  const stateNames = forecast.stateNames.map(formatStateName);
   stateNames.forEach(name => {
     const th = document.createElement('th');
     th.style.padding = '5px';
@@ -3338,26 +2190,94 @@ function createAdvancedVisualizationsDashboard(forecast) {
   return container;
 }
 
+// Band calibrations by horizon and model, with the records they were made from;
+// scenario re-runs of a forecast reuse its calibration
+const calibrationRuns = new Map();
+
+// The forecast update in progress, cancelled when a newer one starts
+let forecastRun = null;
+
+// Calibrate a horizon's band on past forecasts in a worker (see conformal.js getCalibration)
+function calibrateInWorker(timeframe, coverage, options) {
+  const key = `${timeframe}:${coverage}:${JSON.stringify(options)}`;
+  const cached = calibrationRuns.get(key);
+  if (cached && cached.data === state.bitcoinData) return cached.promise;
+  
+  const promise = runInWorker('calibration', { timeframe, coverage, options }, {
+    onProgress: (done, total) => {
+      const note = document.getElementById('coverageNote');
+      if (note) note.textContent = `Calibrating the band on past forecasts (${done} of ${total})...`;
+    }
+  });
+  calibrationRuns.set(key, { data: state.bitcoinData, promise });
+  promise.catch(() => {
+    if (calibrationRuns.get(key)?.promise === promise) calibrationRuns.delete(key);
+  });
+  return promise;
+}
+
+// Forecast with its band calibrated on past forecasts, both computed in workers
+async function computeCalibratedForecast(timeframe, context, signal) {
+  const calibration = calibrateInWorker(timeframe, context.coverage, calibrationOptions(context));
+  const forecast = await runInWorker('forecast', { timeframe, context }, { signal });
+  if (!forecast) return forecast;
+  
+  try {
+    return applyCalibration(forecast, await calibration);
+  } catch (error) {
+    console.error('Error calibrating forecast bands:', error);
+    return { ...forecast, conformal: null };
+  }
+}
+
+// Start a forecast update, cancelling the one in progress
+function startForecastRun() {
+  if (forecastRun) forecastRun.abort();
+  forecastRun = new AbortController();
+  return forecastRun.signal;
+}
+
+// Whether a stored forecast was made with the current model settings
+function isCurrentForecast(forecast, { coverage, forecaster, stateCount, returnGenerator, seed }) {
+  return Boolean(forecast) && forecast.coverage === coverage && forecast.forecaster === forecaster &&
+    forecast.returnGenerator === returnGenerator && forecast.seed === seed &&
+    (!FORECASTER_MODELS[forecaster].usesStateCount || forecast.stateCount === stateCount);
+}
+
 // Update forecasts and UI
 async function updateForecast() {
   const timeframe = state.currentTimeframe;
   const currentMonth = new Date().getMonth() + 1;
-  
-  // First, check if we already have a forecast for this timeframe
-  if (!state.unifiedForecasts[timeframe]) {
+  const coverage = getCoverage();
+  const forecaster = getForecasterModel();
+  const stateCount = getStateCount();
+  const returnGenerator = getReturnGenerator();
+  const seed = getSimulationSeed();
+  const signal = startForecastRun();
+  
+  // First, check if we already have a forecast for this timeframe and these settings
+  if (!isCurrentForecast(state.unifiedForecasts[timeframe], { coverage, forecaster, stateCount, returnGenerator, seed })) {
     // Calculate a new forecast with context factors
     const context = {
       cyclePosition: state.latestOnChainMetrics?.cyclePosition,
       onChainMetrics: state.latestOnChainMetrics,
       volatilityRatio: state.latestOnChainMetrics?.volatility?.ratio,
-      currentMonth: currentMonth
+      currentMonth: currentMonth,
+      coverage: coverage,
+      forecaster: forecaster,
+      stateCount: stateCount,
+      returnGenerator: returnGenerator,
+      seed: seed
     };
     
-    state.unifiedForecasts[timeframe] = calculateUnifiedBayesianForecast(
-      state.bitcoinData, 
-      timeframe,
-      context
-    );
+    // Forecast and calibrate the band on past forecasts of the same horizon
+    try {
+      state.unifiedForecasts[timeframe] = await computeCalibratedForecast(timeframe, context, signal);
+    } catch (error) {
+      // A newer update replaced this one
+      if (isAbortError(error)) return;
+      throw error;
+    }
   }
   
   // Get the forecast
@@ -3403,28 +2323,108 @@ async function updateForecast() {
 // Initialize the application
 async function initApp() {
   try {
-    // Fetch Bitcoin data
-    const response = await fetch('https://raw.githubusercontent.com/coinmetrics/data/master/csv/btc.csv');
-    if (!response.ok) {
-      throw new Error('Failed to fetch Bitcoin data');
-    }
-    const csvText = await response.text();
-    
-    // Process data
-    state.bitcoinData = processData(csvText);
+    // Load and process Bitcoin data through the same pipeline as the calendar page
+    state.bitcoinData = await fetchBitcoinData();
+    markExtremeEvents(state.bitcoinData);
     console.log(`Processed ${state.bitcoinData.length} Bitcoin data points`);
     
-    // Process on-chain metrics
-    const onChainResult = processOnChainData(state.bitcoinData);
-    state.onChainData = onChainResult.enhancedData;
-    state.latestOnChainMetrics = onChainResult.latestMetrics;
+    // Process on-chain metrics (in a worker, as the forecasts are)
+    const onChainResult = await runInWorker('onChainMetrics');
+    state.onChainData = onChainResult.onChainData;
+    state.latestOnChainMetrics = onChainResult.latestOnChainMetrics;
+    state.volatilityMetrics = onChainResult.volatilityMetrics;
     
     // Start sentiment analysis in parallel with forecast calculation
     const sentimentPromise = integrateNewsSentiment();
     
-    // Update the forecast for the current timeframe
+    // Update the forecast for the current timeframe (or a shared link's)
+    applyLinkedTimeframe();
     await updateForecast();
     
+    // Set up the band coverage selector
+    const coverageSelect = document.getElementById('coverageLevel');
+    if (coverageSelect) {
+      coverageSelect.value = String(getCoverage());
+      coverageSelect.addEventListener('change', function() {
+        setCoverage(parseFloat(this.value));
+        refreshForecast();
+      });
+    }
+    
+    // Set up the Markov state count selector
+    const stateCountSelect = document.getElementById('markovStates');
+    if (stateCountSelect) {
+      stateCountSelect.value = String(getStateCount());
+      stateCountSelect.disabled = !FORECASTER_MODELS[getForecasterModel()].usesStateCount;
+      stateCountSelect.addEventListener('change', function() {
+        setStateCount(parseInt(this.value, 10));
+        refreshForecast();
+      });
+    }
+    
+    // Set up the forecaster model selector (the hidden Markov model has its own regimes)
+    const forecasterSelect = document.getElementById('forecasterModel');
+    if (forecasterSelect) {
+      forecasterSelect.value = getForecasterModel();
+      forecasterSelect.addEventListener('change', function() {
+        setForecasterModel(this.value);
+        if (stateCountSelect) {
+          stateCountSelect.disabled = !FORECASTER_MODELS[this.value].usesStateCount;
+        }
+        refreshForecast();
+      });
+    }
+    
+    // Set up the return generator selector
+    const returnGeneratorSelect = document.getElementById('returnGenerator');
+    if (returnGeneratorSelect) {
+      returnGeneratorSelect.value = getReturnGenerator();
+      returnGeneratorSelect.addEventListener('change', function() {
+        setReturnGenerator(this.value);
+        refreshForecast();
+      });
+    }
+    
+    // Set up the return generator comparison
+    const compareButton = document.getElementById('compareGenerators');
+    if (compareButton) {
+      compareButton.addEventListener('click', runGeneratorComparison);
+    }
+    
+    // Set up the simulation seed (the same seed repeats the forecast)
+    const seedInput = document.getElementById('simulationSeed');
+    if (seedInput) {
+      seedInput.value = String(getSimulationSeed());
+      seedInput.addEventListener('change', function() {
+        try {
+          setSimulationSeed(this.value);
+        } catch (error) {
+          console.warn(error.message);
+          this.classList.add('invalid');
+          return;
+        }
+        this.classList.remove('invalid');
+        refreshForecast();
+      });
+    }
+    
+    const newSeedButton = document.getElementById('newSeed');
+    if (newSeedButton) {
+      newSeedButton.addEventListener('click', function() {
+        setSimulationSeed(randomSeed());
+        if (seedInput) {
+          seedInput.value = String(getSimulationSeed());
+          seedInput.classList.remove('invalid');
+        }
+        refreshForecast();
+      });
+    }
+    
+    const copyLinkButton = document.getElementById('copyForecastLink');
+    if (copyLinkButton) {
+      copyLinkButton.addEventListener('click', copyForecastLink);
+    }
+    
     // Set up event listeners for timeframe tabs
     document.querySelectorAll('.timeframe-tab').forEach(tab => {
       tab.addEventListener('click', function() {
@@ -3438,7 +2438,7 @@ async function initApp() {
         state.currentTimeframe = parseInt(this.getAttribute('data-days'));
         
         // Update forecast
-        updateForecast();
+        refreshForecast();
       });
     });
     
@@ -3529,116 +2529,11 @@ function updateSentimentDisplay(sentiment) {
   }
 }
 
-// Fetch crypto news headlines
-async function fetchCryptoNews() {
-  try {
-    // Google News RSS feed URLs for Bitcoin and Cryptocurrency
-    const bitcoinRssUrl = 'https://news.google.com/rss/search?q=Bitcoin&hl=en-US&gl=US&ceid=US:en';
-    const cryptoRssUrl = 'https://news.google.com/rss/search?q=Cryptocurrency&hl=en-US&gl=US&ceid=US:en';
-    const cryptoMarketRssUrl = 'https://news.google.com/rss/search?q=Crypto+Market&hl=en-US&gl=US&ceid=US:en';
-    const btcPriceRssUrl = 'https://news.google.com/rss/search?q=Bitcoin+Price&hl=en-US&gl=US&ceid=US:en';
-    
-    // Convert RSS to JSON using rss2json service
-    const bitcoinApiUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(bitcoinRssUrl)}`;
-    const cryptoApiUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(cryptoRssUrl)}`;
-    const marketApiUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(cryptoMarketRssUrl)}`;
-    const priceApiUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(btcPriceRssUrl)}`;
-    
-    // Fetch all feeds in parallel
-    const [bitcoinResponse, cryptoResponse, marketResponse, priceResponse] = await Promise.all([
-      fetch(bitcoinApiUrl),
-      fetch(cryptoApiUrl),
-      fetch(marketApiUrl),
-      fetch(priceApiUrl)
-    ]);
-    
-    // Process responses
-    const newsItems = [];
-    
-    // Process Bitcoin news
-    if (bitcoinResponse.ok) {
-      const bitcoinData = await bitcoinResponse.json();
-      if (bitcoinData.status === 'ok' && bitcoinData.items) {
-        const bitcoinItems = bitcoinData.items.map(item => ({
-          title: item.title || 'No title',
-          timestamp: item.pubDate || new Date().toISOString(),
-          url: item.link || '#',
-          source: item.author || 'Google News'
-        }));
-        newsItems.push(...bitcoinItems);
-      }
-    }
-    
-    // Process Crypto news
-    if (cryptoResponse.ok) {
-      const cryptoData = await cryptoResponse.json();
-      if (cryptoData.status === 'ok' && cryptoData.items) {
-        const cryptoItems = cryptoData.items.map(item => ({
-          title: item.title || 'No title',
-          timestamp: item.pubDate || new Date().toISOString(),
-          url: item.link || '#',
-          source: item.author || 'Google News'
-        }));
-        newsItems.push(...cryptoItems);
-      }
-    }
-    
-    // Process Market news
-    if (marketResponse.ok) {
-      const marketData = await marketResponse.json();
-      if (marketData.status === 'ok' && marketData.items) {
-        const marketItems = marketData.items.map(item => ({
-          title: item.title || 'No title',
-          timestamp: item.pubDate || new Date().toISOString(),
-          url: item.link || '#',
-          source: item.author || 'Google News'
-        }));
-        newsItems.push(...marketItems);
-      }
-    }
-
-    // Process Price news
-    if (priceResponse.ok) {
-      const priceData = await priceResponse.json();
-      if (priceData.status === 'ok' && priceData.items) {
-        const priceItems = priceData.items.map(item => ({
-          title: item.title || 'No title',
-          timestamp: item.pubDate || new Date().toISOString(),
-          url: item.link || '#',
-          source: item.author || 'Google News'
-        }));
-        newsItems.push(...priceItems);
-      }
-    }
-    
-    // Sort by date (newest first) and remove duplicates
-    return newsItems
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .filter((item, index, self) => 
-        index === self.findIndex(t => t.title === item.title)
-      );
-  } catch (error) {
-    console.error('Error fetching news:', error);
-    // Return fallback headlines in case of error
-    return [
-      {
-        title: "Bitcoin holds above $90,000 amid market consolidation",
-        timestamp: new Date().toISOString(),
-        source: "Fallback News"
-      },
-      {
-        title: "Crypto market sentiment remains cautiously optimistic",
-        timestamp: new Date().toISOString(),
-        source: "Fallback News"
-      }
-    ];
-  }
-}
-
 // Analyze headlines using NBC
 function analyzeHeadlinesWithNBC(headlines, priceData) {
-  // Create a new instance of NaiveBayesClassifier with price data
-  const classifier = new NaiveBayesClassifier(priceData);
+  // Create a new instance of NaiveBayesClassifier with price data, seeded like
+  // the simulations so the same headlines get the same score
+  const classifier = new NaiveBayesClassifier(priceData, simulationRandom(getSimulationSeed(), 'headlines'));
   
   // Analyze the headlines
   const result = classifier.analyzeHeadlines(headlines);
@@ -3843,30 +2738,19 @@ function createStateProbabilityVisualization(forecast) {
   container.appendChild(canvas);
   
   // Get state probabilities
-  const stateProbs = [
-    forecast.steadyStateProbs[0], // Crash
-    forecast.steadyStateProbs[1], // Normal
-    forecast.steadyStateProbs[2]  // Pump
-  ];
+  const stateProbs = forecast.steadyStateProbs;
+  const stateCount = stateProbs.length;
   
   // Create chart
   new Chart(canvas.getContext('2d'), {
     type: 'bar',
     data: {
-      labels: ['Crash', 'Normal', 'Pump'],
+      labels: forecast.stateNames.map(formatStateName),
       datasets: [{
         label: 'State Probability',
         data: stateProbs.map(p => p * 100), // Convert to percentage
-        backgroundColor: [
-          'rgba(255, 59, 48, 0.7)',
-          'rgba(90, 200, 250, 0.7)',
-          'rgba(52, 199, 89, 0.7)'
-        ],
-        borderColor: [
-          'rgba(255, 59, 48, 1)',
-          'rgba(90, 200, 250, 1)',
-          'rgba(52, 199, 89, 1)'
-        ],
+        backgroundColor: stateProbs.map((_, i) => stateColor(i, stateCount, 0.7)),
+        borderColor: stateProbs.map((_, i) => stateColor(i, stateCount)),
         borderWidth: 1
       }]
     },
@@ -4180,11 +3064,12 @@ document.addEventListener('DOMContentLoaded', initApp);
 
 /**
  * Creates a visual representation of Markov state transition flows using D3.js
- * @param {Array} transitionMatrix - 3x3 matrix of transition probabilities
- * @param {Array} steadyStateProbs - Array of 3 probabilities for steady states
+ * @param {Array} transitionMatrix - NxN matrix of transition probabilities
+ * @param {Array} steadyStateProbs - Array of N probabilities for steady states
+ * @param {Array} stateNames - Names of the N states, lowest returns first
  * @returns {HTMLElement} - Container with the D3 visualization
  */
-function createMarkovFlowDiagram(transitionMatrix, steadyStateProbs) {
+function createMarkovFlowDiagram(transitionMatrix, steadyStateProbs, stateNames) {
   // Create container for the diagram
   const container = document.createElement('div');
   container.className = 'markov-flow-diagram';
@@ -4193,9 +3078,9 @@ function createMarkovFlowDiagram(transitionMatrix, steadyStateProbs) {
   container.style.position = 'relative';
   
   // Check if input data is valid
-  if (!transitionMatrix || !steadyStateProbs || 
+  if (!transitionMatrix || !steadyStateProbs || !stateNames ||
       !Array.isArray(transitionMatrix) || !Array.isArray(steadyStateProbs) ||
-      transitionMatrix.length !== 3 || steadyStateProbs.length !== 3) {
+      transitionMatrix.length !== stateNames.length || steadyStateProbs.length !== stateNames.length) {
     const errorMsg = document.createElement('div');
     errorMsg.textContent = 'Insufficient data for Markov flow visualization';
     errorMsg.style.color = 'var(--risk-red)';
@@ -4210,11 +3095,11 @@ function createMarkovFlowDiagram(transitionMatrix, steadyStateProbs) {
     const script = document.createElement('script');
     script.src = 'https://d3js.org/d3.v7.min.js';
     script.onload = function() {
-      renderD3Diagram(container, transitionMatrix, steadyStateProbs);
+      renderD3Diagram(container, transitionMatrix, steadyStateProbs, stateNames);
     };
     document.head.appendChild(script);
   } else {
-    renderD3Diagram(container, transitionMatrix, steadyStateProbs);
+    renderD3Diagram(container, transitionMatrix, steadyStateProbs, stateNames);
   }
   
   return container;
@@ -4223,23 +3108,18 @@ function createMarkovFlowDiagram(transitionMatrix, steadyStateProbs) {
 /**
  * Renders the D3.js Markov flow diagram
  * @param {HTMLElement} container - Container element to render into
- * @param {Array} transitionMatrix - 3x3 matrix of transition probabilities
- * @param {Array} steadyStateProbs - Array of 3 probabilities for steady states
+ * @param {Array} transitionMatrix - NxN matrix of transition probabilities
+ * @param {Array} steadyStateProbs - Array of N probabilities for steady states
+ * @param {Array} stateNames - Names of the N states, lowest returns first
  */
-function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
+function renderD3Diagram(container, transitionMatrix, steadyStateProbs, stateNames) {
   // Clear container
   container.innerHTML = '';
   
-  // State names and colors
-  const stateNames = ['Crash', 'Normal', 'Pump'];
-  const stateColors = ['var(--risk-red)', 'var(--neutral-blue)', 'var(--pump-green)'];
-  
-  // Convert CSS variable colors to actual RGB values for D3
-  const computedStyle = getComputedStyle(document.documentElement);
-  const riskRed = computedStyle.getPropertyValue('--risk-red').trim() || '#ff3b30';
-  const neutralBlue = computedStyle.getPropertyValue('--neutral-blue').trim() || '#5ac8fa';
-  const pumpGreen = computedStyle.getPropertyValue('--pump-green').trim() || '#34c759';
-  const actualColors = [riskRed, neutralBlue, pumpGreen];
+  // State labels and colors (red for the lowest returns to green for the highest)
+  const stateCount = stateNames.length;
+  const stateLabels = stateNames.map(formatStateName);
+  const actualColors = stateNames.map((_, i) => stateColor(i, stateCount));
   
   // Create SVG container
   const width = container.clientWidth;
@@ -4251,16 +3131,22 @@ function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
     .append('g')
     .attr('transform', `translate(${width/2}, ${height/2})`);
   
-  // Node positions (in a triangle formation)
+  // Node positions on an arc from bottom left, over the top, to bottom right
+  // (a triangle for three states)
   const radius = Math.min(width, height) * 0.35;
-  const nodePositions = [
-    { x: -radius * 0.866, y: radius * 0.5 },   // Crash (bottom left)
-    { x: 0, y: -radius },                       // Normal (top)
-    { x: radius * 0.866, y: radius * 0.5 }      // Pump (bottom right)
-  ];
+  const nodeAngles = stateNames.map((_, i) =>
+    (210 - 240 * (stateCount > 1 ? i / (stateCount - 1) : 0.5)) * (Math.PI / 180));
+  const nodePositions = nodeAngles.map(angle => ({
+    x: radius * Math.cos(angle),
+    y: -radius * Math.sin(angle)
+  }));
+  
+  // Smaller nodes when there are more of them
+  const nodeRadius = stateCount > 3 ? 18 : 25;
+  const labelSize = stateCount > 3 ? '9px' : '12px';
   
   // Create nodes
-  const nodes = stateNames.map((name, i) => ({
+  const nodes = stateLabels.map((name, i) => ({
     id: i,
     name: name,
     color: actualColors[i],
@@ -4271,8 +3157,8 @@ function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
   
   // Create links (transitions)
   const links = [];
-  for (let i = 0; i < 3; i++) {
-    for (let j = 0; j < 3; j++) {
+  for (let i = 0; i < stateCount; i++) {
+    for (let j = 0; j < stateCount; j++) {
       // Only include transitions with non-zero probability
       if (transitionMatrix[i][j] > 0.001) {
         links.push({
@@ -4289,7 +3175,8 @@ function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
     const node = nodes[d.source];
     const r = 15; // Node radius
     const loopRadius = 20; // Radius of the self-loop
-    const startAngle = (node.id === 0) ? 225 : (node.id === 1) ? 90 : -45;
+    // Open towards the outside of the arc
+    const startAngle = 90 - nodeAngles[node.id] * (180 / Math.PI) - 135;
     const endAngle = startAngle + 270;
     
     // Create an arc path
@@ -4355,7 +3242,7 @@ function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
     .data(nodes)
     .enter()
     .append('circle')
-    .attr('r', 25)
+    .attr('r', nodeRadius)
     .attr('cx', d => d.x)
     .attr('cy', d => d.y)
     .attr('fill', d => d.color)
@@ -4374,6 +3261,7 @@ function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
     .attr('text-anchor', 'middle')
     .attr('fill', 'white')
     .attr('font-weight', 'bold')
+    .attr('font-size', labelSize)
     .text(d => d.name);
   
   // Add probability labels
@@ -4383,7 +3271,7 @@ function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
     .append('text')
     .attr('class', 'prob-label')
     .attr('x', d => d.x)
-    .attr('y', d => d.y + 35)
+    .attr('y', d => d.y + nodeRadius + 10)
     .attr('text-anchor', 'middle')
     .attr('fill', 'white')
     .attr('font-size', '12px')
@@ -4415,7 +3303,7 @@ function renderD3Diagram(container, transitionMatrix, steadyStateProbs) {
   
   // Add tooltips for links (showing exact probabilities)
   link.append('title')
-    .text(d => `${stateNames[d.source]} → ${stateNames[d.target]}: ${(d.value * 100).toFixed(1)}%`);
+    .text(d => `${stateLabels[d.source]} → ${stateLabels[d.target]}: ${(d.value * 100).toFixed(1)}%`);
 }
 
 /**
@@ -4721,12 +3609,15 @@ function createScenarioModelerControls() {
   description.textContent = 'Adjust the parameters below to see how changes in market conditions could affect the forecast';
   container.appendChild(description);
   
+  // Start from the active scenario, as the dashboard is rebuilt on every forecast
+  const scenario = state.currentScenario && state.currentScenario.isActive ? state.currentScenario : null;
+  
   // Create sentiment override control
   const sentimentControl = createSliderControl(
     'sentiment-override',
     'Market Sentiment Override',
     'Override the calculated sentiment with a custom value (0-100)',
-    0, 100, 50,
+    0, 100, scenario ? scenario.sentimentOverride : 50,
     'var(--risk-red)', 'var(--pump-green)'
   );
   container.appendChild(sentimentControl);
@@ -4736,7 +3627,7 @@ function createScenarioModelerControls() {
     'market-condition',
     'Market Condition Factor',
     'Adjust market conditions from bearish to bullish (-2 to +2)',
-    -2, 2, 0,
+    -2, 2, scenario ? scenario.marketConditionFactor : 0,
     'var(--risk-red)', 'var(--pump-green)'
   );
   container.appendChild(marketConditionControl);
@@ -4746,17 +3637,27 @@ function createScenarioModelerControls() {
     'volatility-factor',
     'Volatility Factor',
     'Adjust market volatility from low to high (0.5 to 2.0)',
-    0.5, 2, 1,
+    0.5, 2, scenario ? scenario.volatilityFactor : 1,
     'var(--neutral-blue)', 'var(--btc-orange)',
     0.1 // Step
   );
   container.appendChild(volatilityControl);
   
+  // While a scenario is active, re-run it when a slider is released (the
+  // forecast runs in a worker, and a newer run cancels the one in progress)
+  container.querySelectorAll('input[type="range"]').forEach(slider => {
+    slider.addEventListener('change', function() {
+      if (state.currentScenario && state.currentScenario.isActive) {
+        applyScenario();
+      }
+    });
+  });
+  
   // Create Apply button
   const applyButton = document.createElement('button');
   applyButton.className = 'scenario-apply-button';
-  applyButton.textContent = 'Apply Scenario';
-  applyButton.style.backgroundColor = 'var(--btc-orange)';
+  applyButton.textContent = scenario ? 'Update Scenario' : 'Apply Scenario';
+  applyButton.style.backgroundColor = scenario ? 'var(--pump-green)' : 'var(--btc-orange)';
   applyButton.style.color = 'black';
   applyButton.style.border = 'none';
   applyButton.style.borderRadius = '5px';
@@ -4970,7 +3871,7 @@ function applyScenario() {
   state.unifiedForecasts[state.currentTimeframe] = null;
   
   // Update forecast with scenario
-  updateForecast();
+  refreshForecast();
 }
 
 /**
@@ -5003,17 +3904,18 @@ function resetScenario() {
   state.unifiedForecasts[state.currentTimeframe] = null;
   
   // Update forecast without scenario
-  updateForecast();
+  refreshForecast();
 }
 
 /**
- * Extension of calculateUnifiedBayesianForecast to incorporate scenarios
- * @param {Array} data - Bitcoin price data
+ * Extension of calculateForecasterForecast to incorporate scenarios
+ * Computed in workers from state.bitcoinData, with the band calibrated.
  * @param {number} timeframeDays - Forecast horizon in days
  * @param {Object} context - Context factors like cycle position
- * @returns {Object} - Complete forecast
+ * @param {AbortSignal} signal - Cancels the forecast
+ * @returns {Promise<Object>} - Complete forecast
  */
-function calculateScenarioAdjustedForecast(data, timeframeDays, context = {}) {
+async function calculateScenarioAdjustedForecast(timeframeDays, context = {}, signal = null) {
   // Check if there's an active scenario
   if (state.currentScenario && state.currentScenario.isActive) {
     // Deep copy context to avoid modifying the original
@@ -5037,7 +3939,7 @@ function calculateScenarioAdjustedForecast(data, timeframeDays, context = {}) {
     }
     
     // Calculate the base forecast with adjusted context
-    let forecast = calculateUnifiedBayesianForecast(data, timeframeDays, adjustedContext);
+    let forecast = await computeCalibratedForecast(timeframeDays, adjustedContext, signal);
     
     // Apply sentiment override
     const sentimentValue = {
@@ -5053,23 +3955,269 @@ function calculateScenarioAdjustedForecast(data, timeframeDays, context = {}) {
       if (value >= 25) return "Negative";
       return "Very Negative";
     }
-    
-    // Adjust forecast with sentiment
-    forecast = calculateSentimentAdjustedForecast(forecast, sentimentValue);
-    
-    // Mark as a scenario forecast
-    forecast.isScenario = true;
-    forecast.scenarioSettings = {
-      sentimentOverride: state.currentScenario.sentimentOverride,
-      marketConditionFactor: state.currentScenario.marketConditionFactor,
-      volatilityFactor: state.currentScenario.volatilityFactor
-    };
-    
-    return forecast;
-  } else {
-    // No active scenario, use regular forecast
-    return calculateUnifiedBayesianForecast(data, timeframeDays, context);
-  }
+    
+    // Adjust forecast with sentiment
+    forecast = calculateSentimentAdjustedForecast(forecast, sentimentValue);
+    
+    // Mark as a scenario forecast
+    forecast.isScenario = true;
+    forecast.scenarioSettings = {
+      sentimentOverride: state.currentScenario.sentimentOverride,
+      marketConditionFactor: state.currentScenario.marketConditionFactor,
+      volatilityFactor: state.currentScenario.volatilityFactor
+    };
+    
+    return forecast;
+  } else {
+    // No active scenario, use regular forecast
+    return computeCalibratedForecast(timeframeDays, context, signal);
+  }
+}
+
+/**
+ * Creates the chance of touching each price level before the horizon, with a
+ * field for the chance of touching any price (e.g. a liquidation price)
+ * @param {Object} forecast - Forecast with pathMetrics (see path-metrics.js)
+ * @returns {HTMLElement} - Container with the chart
+ */
+function createTouchProbabilityChart(forecast) {
+  const container = document.createElement('div');
+  container.className = 'touch-probability-chart';
+  const metrics = forecast.pathMetrics;
+  
+  // Chance of touching a price the user enters
+  const lookup = document.createElement('div');
+  lookup.className = 'touch-lookup';
+  const label = document.createElement('label');
+  label.textContent = 'Touch price $';
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.step = 'any';
+  input.value = String(Math.round(metrics.startPrice * 0.8));
+  label.appendChild(input);
+  const result = document.createElement('span');
+  result.className = 'touch-result';
+  lookup.appendChild(label);
+  lookup.appendChild(result);
+  container.appendChild(lookup);
+  
+  const showTouch = () => {
+    const price = parseFloat(input.value);
+    if (!(price > 0)) {
+      result.textContent = '';
+      return;
+    }
+    const direction = price < metrics.startPrice ? 'falling to' : 'rising to';
+    result.textContent = `${formatPercentage(touchProbability(metrics, price))} chance of ${direction} ` +
+      `${formatPrice(price)} at a daily close within ${forecast.timeframeDays} days`;
+  };
+  input.addEventListener('input', showTouch);
+  showTouch();
+  
+  // Touch probability by level, falls and rises
+  const chartBox = document.createElement('div');
+  chartBox.style.height = '220px';
+  const canvas = document.createElement('canvas');
+  chartBox.appendChild(canvas);
+  container.appendChild(chartBox);
+  
+  const points = metrics.touch.map(level => ({ x: level.change * 100, y: level.probability * 100, price: level.price }));
+  
+  new Chart(canvas, {
+    type: 'line',
+    data: {
+      datasets: [{
+        label: 'Falls to level',
+        data: points.filter(point => point.x < 0),
+        borderColor: 'rgba(255, 59, 48, 1)',
+        backgroundColor: 'rgba(255, 59, 48, 0.2)',
+        fill: true,
+        tension: 0.3
+      }, {
+        label: 'Rises to level',
+        data: points.filter(point => point.x > 0),
+        borderColor: 'rgba(52, 199, 89, 1)',
+        backgroundColor: 'rgba(52, 199, 89, 0.2)',
+        fill: true,
+        tension: 0.3
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: {
+          type: 'linear',
+          title: {
+            display: true,
+            text: 'Price level vs today (%)',
+            color: 'rgba(255, 255, 255, 0.7)'
+          },
+          grid: {
+            color: 'rgba(255, 255, 255, 0.1)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Chance of touching (%)',
+            color: 'rgba(255, 255, 255, 0.7)'
+          },
+          min: 0,
+          max: 100,
+          grid: {
+            color: 'rgba(255, 255, 255, 0.1)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        }
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return `${formatPrice(context.raw.price)} (${context.raw.x > 0 ? '+' : ''}${context.raw.x.toFixed(0)}%): ${context.raw.y.toFixed(1)}%`;
+            }
+          }
+        }
+      }
+    }
+  });
+  
+  return container;
+}
+
+/**
+ * Creates the maximum drawdown quantiles and the chance of a first crash day
+ * by each day of the horizon
+ * @param {Object} forecast - Forecast with pathMetrics (see path-metrics.js)
+ * @returns {HTMLElement} - Container with the summary and chart
+ */
+function createDrawdownAndCrashTimingChart(forecast) {
+  const container = document.createElement('div');
+  container.className = 'drawdown-crash-timing';
+  const { maxDrawdown, firstCrash, endBelowStart } = forecast.pathMetrics;
+  
+  // Summary of the paths
+  const summary = document.createElement('div');
+  summary.className = 'path-risk-summary';
+  const quantileText = maxDrawdown.quantiles
+    .map(q => `${(q.quantile * 100).toFixed(0)}%: ${formatPercentage(q.drawdown)}`)
+    .join(', ');
+  summary.innerHTML = `
+    <div>Ends below today's price: <strong>${formatPercentage(endBelowStart)}</strong></div>
+    <div>Expected maximum drawdown: <strong>${formatPercentage(maxDrawdown.mean)}</strong></div>
+    <div class="path-risk-detail">Drawdown quantiles of the paths (${quantileText})</div>
+    <div>Crash day within ${forecast.timeframeDays} days: <strong>${formatPercentage(firstCrash.probability)}</strong>` +
+      `${firstCrash.medianDay !== null ? `, first one on day ${Math.round(firstCrash.medianDay)} at the median` : ''}</div>
+  `;
+  container.appendChild(summary);
+  
+  // Chance of the first crash day by each day
+  const chartBox = document.createElement('div');
+  chartBox.style.height = '200px';
+  const canvas = document.createElement('canvas');
+  chartBox.appendChild(canvas);
+  container.appendChild(chartBox);
+  
+  const days = firstCrash.cumulative.map((_, i) => i + 1);
+  
+  new Chart(canvas, {
+    type: 'bar',
+    data: {
+      labels: days,
+      datasets: [{
+        type: 'line',
+        label: 'Crash day by then',
+        data: firstCrash.cumulative.map(p => p * 100),
+        borderColor: 'rgba(255, 59, 48, 1)',
+        backgroundColor: 'rgba(255, 59, 48, 0.1)',
+        pointRadius: 0,
+        yAxisID: 'y'
+      }, {
+        label: 'First crash day',
+        data: firstCrash.byDay.map(p => p * 100),
+        backgroundColor: 'rgba(247, 147, 26, 0.6)',
+        yAxisID: 'y1'
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Day',
+            color: 'rgba(255, 255, 255, 0.7)'
+          },
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            maxTicksLimit: 10
+          }
+        },
+        y: {
+          position: 'left',
+          min: 0,
+          title: {
+            display: true,
+            text: 'By then (%)',
+            color: 'rgba(255, 255, 255, 0.7)'
+          },
+          grid: {
+            color: 'rgba(255, 255, 255, 0.1)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        },
+        y1: {
+          position: 'right',
+          min: 0,
+          title: {
+            display: true,
+            text: 'On the day (%)',
+            color: 'rgba(255, 255, 255, 0.7)'
+          },
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        }
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`;
+            }
+          }
+        }
+      }
+    }
+  });
+  
+  return container;
 }
 
 // We need to store the original function before replacing it
@@ -5109,7 +4257,8 @@ function createEnhancedAdvancedVisualizationsDashboard(forecast) {
   
   const markovDiagram = createMarkovFlowDiagram(
     forecast.transitionMatrix, 
-    forecast.steadyStateProbs
+    forecast.steadyStateProbs,
+    forecast.stateNames
   );
   markovCard.appendChild(markovDiagram);
   newRow.appendChild(markovCard);
@@ -5128,6 +4277,29 @@ function createEnhancedAdvancedVisualizationsDashboard(forecast) {
   // Add the row to the container
   container.appendChild(newRow);
   
+  // Create row for the path-dependent risk of the simulated paths
+  if (forecast.pathMetrics) {
+    const pathRow = document.createElement('div');
+    pathRow.style.display = 'grid';
+    pathRow.style.gridTemplateColumns = 'repeat(2, 1fr)';
+    pathRow.style.gap = '20px';
+    pathRow.style.marginTop = '20px';
+    
+    const touchCard = document.createElement('div');
+    touchCard.className = 'card';
+    touchCard.innerHTML = '<div class="card-title">Chance of Touching a Price</div>';
+    touchCard.appendChild(createTouchProbabilityChart(forecast));
+    pathRow.appendChild(touchCard);
+    
+    const drawdownCard = document.createElement('div');
+    drawdownCard.className = 'card';
+    drawdownCard.innerHTML = '<div class="card-title">Drawdowns and Time to First Crash</div>';
+    drawdownCard.appendChild(createDrawdownAndCrashTimingChart(forecast));
+    pathRow.appendChild(drawdownCard);
+    
+    container.appendChild(pathRow);
+  }
+  
   // Create third row for sentiment breakdown and scenario modeler
   const thirdRow = document.createElement('div');
   thirdRow.style.display = 'grid';
@@ -5168,23 +4340,37 @@ const originalUpdateForecast = updateForecast;
 updateForecast = async function() {
   const timeframe = state.currentTimeframe;
   const currentMonth = new Date().getMonth() + 1;
+  const coverage = getCoverage();
+  const forecaster = getForecasterModel();
+  const stateCount = getStateCount();
+  const returnGenerator = getReturnGenerator();
+  const seed = getSimulationSeed();
+  const signal = startForecastRun();
   
   // Check if there's an active scenario or if we need to calculate a new forecast
-  if ((state.currentScenario && state.currentScenario.isActive) || !state.unifiedForecasts[timeframe]) {
+  if ((state.currentScenario && state.currentScenario.isActive) ||
+      !isCurrentForecast(state.unifiedForecasts[timeframe], { coverage, forecaster, stateCount, returnGenerator, seed })) {
     // Calculate a new forecast with context factors
     const context = {
       cyclePosition: state.latestOnChainMetrics?.cyclePosition,
       onChainMetrics: state.latestOnChainMetrics,
       volatilityRatio: state.latestOnChainMetrics?.volatility?.ratio,
-      currentMonth: currentMonth
+      currentMonth: currentMonth,
+      coverage: coverage,
+      forecaster: forecaster,
+      stateCount: stateCount,
+      returnGenerator: returnGenerator,
+      seed: seed
     };
     
     // Use scenario-adjusted calculation if there's an active scenario
-    state.unifiedForecasts[timeframe] = calculateScenarioAdjustedForecast(
-      state.bitcoinData, 
-      timeframe,
-      context
-    );
+    try {
+      state.unifiedForecasts[timeframe] = await calculateScenarioAdjustedForecast(timeframe, context, signal);
+    } catch (error) {
+      // A newer update (e.g. a moved scenario slider) replaced this one
+      if (isAbortError(error)) return;
+      throw error;
+    }
   }
   
   // Continue with original update logic
@@ -5252,16 +4438,24 @@ function calculateImminentOutlook(currentForecast, daysAhead) {
   // Multiply current state distribution by the future probability matrix
   const futureDistribution = multiplyVectorMatrix(currentStateDist, futureProbMatrix);
   
-  // Return the probabilities for each state
+  // Return the probabilities of the crash states, the pump states and the rest
+  // (for hidden regimes, of a crash or pump day in the regime mix)
+  const tailEvents = currentForecast.tailEvents;
+  const probabilityOf = states => states.reduce((sum, i) => sum + futureDistribution[i], 0);
+  const tailProbability = dayProbs => futureDistribution.reduce((sum, p, i) => sum + p * dayProbs[i], 0);
+  const crashProb = tailEvents ? tailProbability(tailEvents.crash) : probabilityOf(currentForecast.crashStates);
+  const pumpProb = tailEvents ? tailProbability(tailEvents.pump) : probabilityOf(currentForecast.pumpStates);
   return {
-    crashProb: futureDistribution[0],
-    normalProb: futureDistribution[1],
-    pumpProb: futureDistribution[2]
+    crashProb,
+    normalProb: 1 - crashProb - pumpProb,
+    pumpProb
   };
 }
 
 /**
  * Extract the average percentage price changes for Crash and Pump states
+ * With several crash (pump) states, their returns are averaged weighted by
+ * how often each occurs.
  * @param {Object} currentForecast - The current forecast object with state returns
  * @returns {Object} - Average impact percentages for crash and pump states
  */
@@ -5274,9 +4468,25 @@ function getAverageStateImpacts(currentForecast) {
   // Extract log returns from the forecast
   const stateReturns = currentForecast.stateReturns;
   
+  // Hidden regimes: the expected return of a crash or pump day
+  if (currentForecast.tailEvents) {
+    return {
+      crashImpactPercent: (Math.exp(currentForecast.tailEvents.crashReturn) - 1) * 100,
+      pumpImpactPercent: (Math.exp(currentForecast.tailEvents.pumpReturn) - 1) * 100
+    };
+  }
+  
   // Convert log returns to percentage changes: (e^μ - 1) * 100%
-  const crashImpactPercent = (Math.exp(stateReturns.crash) - 1) * 100;
-  const pumpImpactPercent = (Math.exp(stateReturns.pump) - 1) * 100;
+  const impactOf = states => {
+    const weights = states.map(i => currentForecast.steadyStateProbs[i] || 0);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    return states.reduce((sum, i, k) => {
+      const weight = totalWeight > 0 ? weights[k] / totalWeight : 1 / states.length;
+      return sum + weight * (Math.exp(stateReturns[currentForecast.stateNames[i]]) - 1) * 100;
+    }, 0);
+  };
+  const crashImpactPercent = impactOf(currentForecast.crashStates);
+  const pumpImpactPercent = impactOf(currentForecast.pumpStates);
   
   return {
     crashImpactPercent,
@@ -5511,21 +4721,14 @@ function updateImminentOutlookUI() {
 }
 
 /**
- * Safely hook into the updateForecast function once it's available
+ * Hook the imminent outlook refresh into updateForecast
  */
 function setupImminentOutlookHooks() {
-  // Check if updateForecast exists
-  if (typeof window.updateForecast !== 'function') {
-    console.log('updateForecast not available yet, will try again');
-    setTimeout(setupImminentOutlookHooks, 300);
-    return;
-  }
-  
   // Store reference to original updateForecast
-  const originalUpdateForecast = window.updateForecast;
+  const originalUpdateForecast = updateForecast;
   
   // Override updateForecast
-  window.updateForecast = async function() {
+  updateForecast = async function() {
     // Call the original first
     await originalUpdateForecast.apply(this, arguments);
     
@@ -5544,586 +4747,3 @@ window.addEventListener('load', function() {
   // Give some time for the app to initialize
   setTimeout(setupImminentOutlookHooks, 1500);
 });
-// New Helper Function for Bitcoin Fundamentals
-function calculateBitcoinInflationRateAndSupply(allBitcoinData, currentDate) {
-  // Determine current halving epoch
-  const currentEpoch = getHalvingEpoch(currentDate);
-  
-  // Get block reward based on epoch
-  // Each epoch reduces block reward by half, starting from 50 BTC
-  const baseReward = 50;
-  const currentBlockReward = baseReward / Math.pow(2, currentEpoch);
-  
-  // Approximate blocks per year (10-minute target block time)
-  const blocksPerYear = 6 * 24 * 365.25; // ~52,560 blocks
-  
-  // Calculate new coins issued per year
-  const newCoinsPerYear = currentBlockReward * blocksPerYear;
-  
-  // Get current circulating supply from data or estimate it
-  let currentCirculatingSupply;
-  if (allBitcoinData && allBitcoinData.length > 0) {
-    const latestDataPoint = allBitcoinData[allBitcoinData.length - 1];
-    if (latestDataPoint.CURRENT_SUPPLY) {
-      currentCirculatingSupply = latestDataPoint.CURRENT_SUPPLY;
-    } else {
-      // Estimate based on halving epochs
-      currentCirculatingSupply = 19700000; // Approximate as of May 2025
-    }
-  } else {
-    currentCirculatingSupply = 19700000; // Fallback value
-  }
-  
-  // Calculate inflation rate
-  const inflationRate = newCoinsPerYear / currentCirculatingSupply;
-  
-  // Calculate percentage of max supply issued
-  const maxSupply = 21000000;
-  const percentageOfMaxSupplyIssued = currentCirculatingSupply / maxSupply;
-  
-  // Calculate days since last halving
-  const halvingDates = [
-    new Date('2009-01-03'), // Genesis block
-    new Date('2012-11-28'), // First halving
-    new Date('2016-07-09'), // Second halving
-    new Date('2020-05-11'), // Third halving
-    new Date('2024-04-20')  // Fourth halving
-  ];
-  
-  const lastHalvingDate = halvingDates[currentEpoch];
-  const daysSinceLastHalving = (currentDate.getTime() - lastHalvingDate.getTime()) / (1000 * 60 * 60 * 24);
-  
-  return {
-    inflationRate,
-    currentBlockReward,
-    currentCirculatingSupply,
-    percentageOfMaxSupplyIssued,
-    currentEpoch,
-    daysSinceLastHalving,
-    newCoinsPerYear
-  };
-}
-
-// Helper methods for UnifiedBayesianMarkovModel class
-UnifiedBayesianMarkovModel.prototype._calculateBaseSeasonalFactor = function(currentMonth, allBitcoinData) {
-  // Filter data for the current month
-  const monthlyData = allBitcoinData.filter(d => {
-    const date = d.date instanceof Date ? d.date : new Date(d.date);
-    return date.getMonth() + 1 === currentMonth;
-  });
-  
-  if (monthlyData.length === 0) {
-    console.warn(`No historical data available for month ${currentMonth}`);
-    return 1.0; // Default to neutral factor
-  }
-  
-  // Count extreme events in this month
-  const monthlyExtremeEvents = monthlyData.filter(d => d.isExtremeEvent === 1).length;
-  const monthlyFreq = monthlyExtremeEvents / monthlyData.length;
-  
-  // Count overall extreme events
-  const totalExtremeEvents = allBitcoinData.filter(d => d.isExtremeEvent === 1).length;
-  const overallFreq = totalExtremeEvents / allBitcoinData.length;
-  
-  // Calculate the ratio (seasonal factor)
-  const baseSeasonalFactor = overallFreq > 0 ? monthlyFreq / overallFreq : 1.0;
-  
-  return baseSeasonalFactor;
-}
-
-UnifiedBayesianMarkovModel.prototype._calculateVolatilityComponents = function(currentMonth, recent30DayVolatility, currentMonthHistoricalVolatility, historicalVolatility) {
-  if (!historicalVolatility || historicalVolatility === 0) {
-    return { shortTermRatio: 1.0, monthRatio: 1.0 };
-  }
-  
-  // Calculate short-term volatility ratio (recent vs. historical)
-  const shortTermVolatilityRatio = recent30DayVolatility / historicalVolatility;
-  
-  // Calculate current month's historical volatility ratio
-  const currentMonthVolatilityRatio = currentMonthHistoricalVolatility / historicalVolatility;
-  
-  return { shortTermRatio: shortTermVolatilityRatio, monthRatio: currentMonthVolatilityRatio };
-}
-
-UnifiedBayesianMarkovModel.prototype._calculateCurrentOnChainFactor = function(currentOnChainMetrics) {
-  if (!currentOnChainMetrics) {
-    return 1.0; // Default to neutral factor
-  }
-  
-  let onChainFactor = 1.0;
-  let contributingFactors = 0;
-  
-  // 1. Adjust based on MVRV Z-Score
-  if (currentOnChainMetrics.mvrv && currentOnChainMetrics.mvrv.zScore !== undefined) {
-    const mvrvZScore = currentOnChainMetrics.mvrv.zScore;
-    let mvrvFactor = 1.0;
-    
-    if (mvrvZScore > 1.5) {
-      // High MVRV Z-Score increases risk (more likely to crash)
-      mvrvFactor = 1.2 + Math.min(0.6, (mvrvZScore - 1.5) * 0.2);
-    } else if (mvrvZScore < -0.5) {
-      // Low MVRV Z-Score decreases risk (less likely to crash)
-      mvrvFactor = 0.8 + Math.max(-0.4, (mvrvZScore + 0.5) * 0.2);
-    } else {
-      // Neutral zone
-      mvrvFactor = 1.0 + (mvrvZScore - 0.5) * 0.2;
-    }
-    
-    onChainFactor *= mvrvFactor;
-    contributingFactors++;
-  }
-  
-  // 2. Adjust based on NVT Z-Score
-  if (currentOnChainMetrics.nvt && currentOnChainMetrics.nvt.zScore !== undefined) {
-    const nvtZScore = currentOnChainMetrics.nvt.zScore;
-    let nvtFactor = 1.0;
-    
-    if (nvtZScore > 1.5) {
-      // High NVT Z-Score increases risk
-      nvtFactor = 1.2 + Math.min(0.5, (nvtZScore - 1.5) * 0.2);
-    } else if (nvtZScore < -0.5) {
-      // Low NVT Z-Score decreases risk
-      nvtFactor = 0.8 + Math.max(-0.3, (nvtZScore + 0.5) * 0.2);
-    } else {
-      // Neutral zone
-      nvtFactor = 1.0 + (nvtZScore - 0.5) * 0.15;
-    }
-    
-    onChainFactor *= nvtFactor;
-    contributingFactors++;
-  }
-  
-  // 3. Adjust based on Supply Shock Ratio
-  if (currentOnChainMetrics.supplyShock && currentOnChainMetrics.supplyShock.value !== undefined) {
-    const supplyShockRatio = currentOnChainMetrics.supplyShock.value;
-    let supplyShockFactor = 1.0;
-    
-    if (supplyShockRatio < 0.05) {
-      // Very low ratio - bullish signal (coins moving to strong hands)
-      supplyShockFactor = 0.7;
-    } else if (supplyShockRatio < 0.1) {
-      // Low ratio - somewhat bullish
-      supplyShockFactor = 0.85;
-    } else if (supplyShockRatio > 0.2) {
-      // High ratio - bearish signal (many coins available to sell)
-      supplyShockFactor = 1.3;
-    } else if (supplyShockRatio > 0.15) {
-      // Moderately high ratio - somewhat bearish
-      supplyShockFactor = 1.15;
-    }
-    
-    onChainFactor *= supplyShockFactor;
-    contributingFactors++;
-  }
-  
-  // 4. Adjust based on Whale Dominance Change
-  if (currentOnChainMetrics.whaleDominance && 
-      currentOnChainMetrics.whaleDominance.change !== undefined) {
-    const whaleDominanceChange = currentOnChainMetrics.whaleDominance.change;
-    let whaleFactor = 1.0;
-    
-    // Normalize the change to a meaningful scale - depends on data representation
-    const normalizedChange = whaleDominanceChange * 100; // Adjust scaling factor as needed
-    
-    if (normalizedChange > 0.5) {
-      // Significant whale accumulation - can be a mixed signal
-      // Sometimes presages dumps, sometimes indicates strength
-      // Taking a slightly bearish interpretation for caution
-      whaleFactor = 1.1;
-    } else if (normalizedChange < -0.5) {
-      // Significant whale distribution - can also be a mixed signal
-      // Often precedes market weakness, but sometimes profit-taking at tops
-      whaleFactor = 1.2;
-    } else if (normalizedChange > 0.1) {
-      // Modest whale accumulation
-      whaleFactor = 1.05;
-    } else if (normalizedChange < -0.1) {
-      // Modest whale distribution
-      whaleFactor = 1.1;
-    }
-    
-    onChainFactor *= whaleFactor;
-    contributingFactors++;
-  }
-  
-  // 5. Adjust based on Puell Multiple
-  if (currentOnChainMetrics.puellMultiple && 
-      currentOnChainMetrics.puellMultiple.value !== undefined) {
-    const puellMultiple = currentOnChainMetrics.puellMultiple.value;
-    let puellFactor = 1.0;
-    
-    if (puellMultiple > 2.5) {
-      // Very high Puell Multiple - miners heavily profitable, often near market tops
-      puellFactor = 1.4;
-    } else if (puellMultiple > 1.5) {
-      // Elevated Puell Multiple - caution warranted
-      puellFactor = 1.2;
-    } else if (puellMultiple < 0.5) {
-      // Very low Puell Multiple - miners under pressure, historically good buying zones
-      puellFactor = 0.7;
-    } else if (puellMultiple < 0.8) {
-      // Low Puell Multiple - miners less profitable, often accumulation zones
-      puellFactor = 0.85;
-    }
-    
-    onChainFactor *= puellFactor;
-    contributingFactors++;
-  }
-  
-  // 6. Adjust based on overall risk level if available
-  if (currentOnChainMetrics.riskLevel) {
-    let riskLevelFactor = 1.0;
-    
-    // Map risk levels to factors
-    switch (currentOnChainMetrics.riskLevel) {
-      case 'Extreme':
-        riskLevelFactor = 1.5;
-        break;
-      case 'High':
-        riskLevelFactor = 1.3;
-        break;
-      case 'Moderate':
-        riskLevelFactor = 1.0;
-        break;
-      case 'Low':
-        riskLevelFactor = 0.8;
-        break;
-      case 'Very Low':
-        riskLevelFactor = 0.6;
-        break;
-    }
-    
-    onChainFactor *= riskLevelFactor;
-    contributingFactors++;
-  }
-  
-  // If we have no contributing factors, return neutral
-  if (contributingFactors === 0) {
-    return 1.0;
-  }
-  
-  // Ensure factor is within reasonable bounds (0.5 to 2.5)
-  onChainFactor = Math.min(2.5, Math.max(0.5, onChainFactor));
-  
-  return onChainFactor;
-}
-
-UnifiedBayesianMarkovModel.prototype._calculateCurrentMonthSentimentFactor = function(currentMonth, globalSentimentScore, allBitcoinData) {
-  // Start with a default factor
-  let monthSentimentFactor = 1.0;
-  
-  // Convert global sentiment score (0-100) to a factor (0.7-1.5)
-  // 50 = neutral (1.0), 0 = very negative (1.5), 100 = very positive (0.7)
-  if (globalSentimentScore !== undefined) {
-    if (globalSentimentScore <= 25) {
-      // Very negative sentiment increases risk significantly
-      monthSentimentFactor = 1.5;
-    } else if (globalSentimentScore <= 40) {
-      // Negative sentiment increases risk moderately
-      monthSentimentFactor = 1.25;
-    } else if (globalSentimentScore <= 60) {
-      // Neutral sentiment - no adjustment
-      monthSentimentFactor = 1.0;
-    } else if (globalSentimentScore <= 75) {
-      // Positive sentiment decreases risk moderately
-      monthSentimentFactor = 0.85;
-    } else {
-      // Very positive sentiment decreases risk significantly
-      monthSentimentFactor = 0.7;
-    }
-  }
-  
-  // Analyze historical returns for this month
-  const monthData = allBitcoinData.filter(d => {
-    const date = d.date instanceof Date ? d.date : new Date(d.date);
-    return date.getMonth() + 1 === currentMonth;
-  });
-  
-  if (monthData.length > 0) {
-    // Calculate average return for this month
-    const returns = monthData.map(d => d.logReturn).filter(r => !isNaN(r) && isFinite(r));
-    const avgReturn = returns.length > 0 ? 
-      returns.reduce((sum, val) => sum + val, 0) / returns.length : 0;
-    
-    // Adjust based on historical returns
-    if (avgReturn < -0.001) {
-      // Historical negative returns suggest higher risk
-      monthSentimentFactor *= 1.1;
-    } else if (avgReturn > 0.001) {
-      // Historical positive returns suggest lower risk
-      monthSentimentFactor *= 0.9;
-    }
-  }
-  
-  // Analyze historical trends by month - Adjust based on calendar seasonality
-  switch(currentMonth) {
-    // January - Often positive after year-end tax selling
-    case 1:
-      monthSentimentFactor *= 0.9; // More positive sentiment
-      break;
-      
-    // February - Mixed, relatively neutral
-    case 2:
-      // Standard factor
-      break;
-      
-    // March - Historically volatile, tax season in US
-    case 3:
-      monthSentimentFactor *= 1.1; // Slightly more negative sentiment
-      break;
-      
-    // April - Tax deadline, often relief afterward
-    case 4:
-      // Standard factor
-      break;
-      
-    // May - Often marks seasonal inflection "Sell in May and go away"
-    case 5:
-      monthSentimentFactor *= 1.15; // More negative sentiment
-      break;
-      
-    // June - Summer doldrums begin
-    case 6:
-      monthSentimentFactor *= 1.05; // Slightly more negative
-      break;
-      
-    // July - Summer doldrums continue
-    case 7:
-      // Standard factor
-      break;
-      
-    // August - Late summer volatility
-    case 8:
-      monthSentimentFactor *= 1.1; // More negative sentiment
-      break;
-      
-    // September - Historically worst month for markets
-    case 9:
-      monthSentimentFactor *= 1.2; // Most negative sentiment
-      break;
-      
-    // October - Historical crash month, but often bottoms
-    case 10:
-      monthSentimentFactor *= 1.15; // More negative, but can signal bottoms
-      break;
-      
-    // November - Beginning of seasonal strength
-    case 11:
-      monthSentimentFactor *= 0.95; // Slightly more positive
-      break;
-      
-    // December - Holiday sentiment, tax considerations
-    case 12:
-      monthSentimentFactor *= 0.9; // More positive sentiment
-      break;
-  }
-  
-  // Ensure reasonable bounds (0.5 to 2.0)
-  monthSentimentFactor = Math.min(2.0, Math.max(0.5, monthSentimentFactor));
-  
-  return monthSentimentFactor;
-}
-
-UnifiedBayesianMarkovModel.prototype._calculateFundamentalBitcoinFactor = function(bitcoinFundamentals) {
-  if (!bitcoinFundamentals) {
-    console.warn('No Bitcoin fundamentals available');
-    return {
-      inflationFactor_val: 1.0,
-      halvingCyclePhaseFactor_val: 1.0,
-      scarcityFactor_val: 1.0
-    };
-  }
-  
-  // 1. Calculate Inflation Factor
-  let inflationFactor_val = 1.0;
-  
-  if (bitcoinFundamentals.inflationRate !== undefined) {
-    if (bitcoinFundamentals.inflationRate < 0.005) { // < 0.5%
-      // Very low inflation is bullish
-      inflationFactor_val = 0.7;
-    } else if (bitcoinFundamentals.inflationRate < 0.01) { // < 1%
-      // Low inflation is somewhat bullish
-      inflationFactor_val = 0.8;
-    } else if (bitcoinFundamentals.inflationRate < 0.02) { // < 2%
-      // Moderate inflation
-      inflationFactor_val = 0.9;
-    } else if (bitcoinFundamentals.inflationRate < 0.03) { // < 3%
-      // Moderate-high inflation
-      inflationFactor_val = 1.0;
-    } else if (bitcoinFundamentals.inflationRate < 0.04) { // < 4%
-      // High inflation
-      inflationFactor_val = 1.1;
-    } else { // >= 4%
-      // Very high inflation
-      inflationFactor_val = 1.2;
-    }
-  }
-  
-  // 2. Calculate Halving Cycle Phase Factor
-  let halvingCyclePhaseFactor_val = 1.0;
-  
-  if (bitcoinFundamentals.daysSinceLastHalving !== undefined && 
-      bitcoinFundamentals.currentEpoch !== undefined) {
-    
-    // Typical halving cycle is about 4 years = ~1461 days
-    const fullCycleLength = 1461;
-    const cycleProgress = bitcoinFundamentals.daysSinceLastHalving / fullCycleLength;
-    
-    if (cycleProgress < 0.15) {
-      // Very early cycle (first 6-7 months after halving)
-      // This is typically the post-halving consolidation phase
-      halvingCyclePhaseFactor_val = 0.9;
-    } else if (cycleProgress < 0.3) {
-      // Early-mid cycle (accumulation phase starting)
-      halvingCyclePhaseFactor_val = 0.8;
-    } else if (cycleProgress < 0.6) {
-      // Middle of cycle (strongest bull phase historically)
-      halvingCyclePhaseFactor_val = 0.7;
-    } else if (cycleProgress < 0.8) {
-      // Late cycle (euphoria and volatility phase)
-      halvingCyclePhaseFactor_val = 1.1;
-    } else if (cycleProgress < 0.9) {
-      // Very late cycle (correction and redistribution phase)
-      halvingCyclePhaseFactor_val = 1.2;
-    } else {
-      // End of cycle (pre-halving anticipation phase)
-      halvingCyclePhaseFactor_val = 1.0; // Mixed signals - anticipation but uncertainty
-    }
-    
-    // Add epoch-specific adjustment - later epochs may have dampened cycle effects
-    if (bitcoinFundamentals.currentEpoch >= 4) { // Post-2024 halving
-      // Later halvings have less dramatic effects, so dampen the factor toward 1.0
-      halvingCyclePhaseFactor_val = 1.0 + (halvingCyclePhaseFactor_val - 1.0) * 0.8;
-    }
-  }
-  
-  // 3. Calculate Scarcity Factor
-  let scarcityFactor_val = 1.0;
-  
-  if (bitcoinFundamentals.percentageOfMaxSupplyIssued !== undefined) {
-    const completion = bitcoinFundamentals.percentageOfMaxSupplyIssued;
-    
-    if (completion > 0.99) {
-      // Over 99% issued - extreme scarcity
-      scarcityFactor_val = 0.7;
-    } else if (completion > 0.95) {
-      // 95-99% issued - very high scarcity
-      scarcityFactor_val = 0.8;
-    } else if (completion > 0.9) {
-      // 90-95% issued - high scarcity
-      scarcityFactor_val = 0.85;
-    } else if (completion > 0.85) {
-      // 85-90% issued - moderate-high scarcity
-      scarcityFactor_val = 0.9;
-    } else if (completion > 0.8) {
-      // 80-85% issued - moderate scarcity
-      scarcityFactor_val = 0.95;
-    }
-    // Below 80% remains at neutral 1.0
-  }
-  
-  return {
-    inflationFactor_val,
-    halvingCyclePhaseFactor_val,
-    scarcityFactor_val
-  };
-}
-
-UnifiedBayesianMarkovModel.prototype._calculateCurrentMonthCycleFactor = function(currentMonth, currentCyclePosition, allBitcoinData, bitcoinFundamentals) {
-  // Start with a default factor
-  let monthCycleFactor = 1.0;
-  
-  // Apply cycle position adjustment
-  if (currentCyclePosition !== undefined) {
-    if (currentCyclePosition > 0.8) {
-      // Late cycle - high risk of crash
-      monthCycleFactor = 1.3 + (currentCyclePosition - 0.8) * 1.0;
-    } else if (currentCyclePosition > 0.6) {
-      // Mid-late cycle - elevated risk
-      monthCycleFactor = 1.1 + (currentCyclePosition - 0.6) * 1.0;
-    } else if (currentCyclePosition < 0.2) {
-      // Early cycle - low risk
-      monthCycleFactor = 0.8 - (0.2 - currentCyclePosition) * 0.5;
-    } else if (currentCyclePosition < 0.4) {
-      // Early-mid cycle - reduced risk
-      monthCycleFactor = 0.9 - (0.4 - currentCyclePosition) * 0.5;
-    } else {
-      // Mid cycle - neutral risk
-      monthCycleFactor = 1.0;
-    }
-  }
-  
-  // Analyze if this month appears early or late in market cycles
-  // This is based on empirical analysis of Bitcoin market cycles
-  
-  // Early-cycle months (typically stronger)
-  if ([11, 12, 1, 2].includes(currentMonth)) {
-    // Reduce cycle factor (less risk) in early-cycle months
-    monthCycleFactor *= 0.9;
-  }
-  
-  // Mid-cycle months (typically steady)
-  else if ([3, 4, 5, 6].includes(currentMonth)) {
-    // Neutral effect
-  }
-  
-  // Late-cycle months (typically weaker)
-  else if ([7, 8, 9, 10].includes(currentMonth)) {
-    // Increase cycle factor (more risk) in late-cycle months
-    monthCycleFactor *= 1.15;
-  }
-  
-  // Further refine based on this month's position in previous halvings
-  // Bitcoin halving months: May 2020, July 2016, November 2012
-  // For months near halvings, adjust the cycle factor
-  const halvingMonths = [5, 7, 11]; // May, July, November
-  const postHalvingMonths = [6, 8, 12, 1]; // Months after halvings
-  
-  if (halvingMonths.includes(currentMonth)) {
-    // Halving months often have increased interest and volatility
-    monthCycleFactor *= 1.1;
-  } else if (postHalvingMonths.includes(currentMonth)) {
-    // Post-halving months often see positive momentum
-    monthCycleFactor *= 0.95;
-  }
-  
-  // Analyze historical extreme events frequency in this month
-  const monthData = allBitcoinData.filter(d => {
-    const date = d.date instanceof Date ? d.date : new Date(d.date);
-    return date.getMonth() + 1 === currentMonth;
-  });
-  
-  if (monthData.length > 0) {
-    const extremeEventsCount = monthData.filter(d => d.isExtremeEvent === 1).length;
-    const extremeEventRate = extremeEventsCount / monthData.length;
-    
-    // If this month historically has more extreme events, increase the cycle factor
-    if (extremeEventRate > 0.015) { // More than 1.5% of days have extreme events
-      monthCycleFactor *= 1.1;
-    } else if (extremeEventRate < 0.005) { // Less than 0.5% of days
-      monthCycleFactor *= 0.9;
-    }
-  }
-  
-  // Integrate Bitcoin fundamentals - halving cycle phase
-  if (bitcoinFundamentals && bitcoinFundamentals.halvingCyclePhaseFactor_val !== undefined) {
-    // If both market cycle position and halving cycle phase align, amplify the effect
-    const halvingCycleFactor = bitcoinFundamentals.halvingCyclePhaseFactor_val;
-    
-    if (halvingCycleFactor < 0.9 && currentCyclePosition < 0.4) {
-      // Both indicators suggest early cycle - strongly bullish
-      monthCycleFactor *= 0.8;
-    } else if (halvingCycleFactor > 1.1 && currentCyclePosition > 0.7) {
-      // Both indicators suggest late cycle - strongly bearish
-      monthCycleFactor *= 1.3;
-    } else {
-      // Mixed signals or moderate alignment
-      monthCycleFactor *= halvingCycleFactor;
-    }
-  }
-  
-  // Ensure reasonable bounds (0.5 to 2.0)
-  monthCycleFactor = Math.min(2.0, Math.max(0.5, monthCycleFactor));
-  
-  return monthCycleFactor;
-}
@@ -0,0 +1,169 @@
+/**
+ * Forecast Verification Metrics
+ * Scores for probability forecasts of binary outcomes (crash / no crash).
+ */
+
+// Forecasts are clipped to [LOG_LOSS_EPSILON, 1 - LOG_LOSS_EPSILON] before taking logs
+const LOG_LOSS_EPSILON = 1e-6;
+
+/**
+ * Brier score: mean squared difference between forecast and outcome
+ * @param {Array<number>} forecasts Forecast probabilities (0-1)
+ * @param {Array<number>} outcomes Outcomes (1 = event, 0 = no event)
+ * @returns {number} Brier score (0 is perfect), NaN without forecasts
+ */
+function brierScore(forecasts, outcomes) {
+  if (!forecasts || forecasts.length === 0) return NaN;
+  return forecasts.reduce((sum, p, i) => sum + (p - outcomes[i]) ** 2, 0) / forecasts.length;
+}
+
+/**
+ * Log loss: mean negative log likelihood of the outcomes
+ * @param {Array<number>} forecasts Forecast probabilities (0-1)
+ * @param {Array<number>} outcomes Outcomes (1 = event, 0 = no event)
+ * @param {number} epsilon Clipping applied to the forecasts
+ * @returns {number} Log loss in nats (0 is perfect), NaN without forecasts
+ */
+function logLoss(forecasts, outcomes, epsilon = LOG_LOSS_EPSILON) {
+  if (!forecasts || forecasts.length === 0) return NaN;
+  return -forecasts.reduce((sum, p, i) => {
+    const clipped = Math.min(1 - epsilon, Math.max(epsilon, p));
+    return sum + (outcomes[i] ? Math.log(clipped) : Math.log(1 - clipped));
+  }, 0) / forecasts.length;
+}
+
+/**
+ * Skill of a score relative to a reference forecast (e.g. climatology)
+ * @param {number} score Score of the forecast (lower is better)
+ * @param {number} referenceScore Score of the reference forecast
+ * @returns {number} 1 - score / reference: positive beats the reference, 1 is perfect
+ */
+function skillScore(score, referenceScore) {
+  if (!(referenceScore > 0)) return NaN;
+  return 1 - score / referenceScore;
+}
+
+/**
+ * Reliability diagram: observed event frequency by forecast probability bin
+ * @param {Array<number>} forecasts Forecast probabilities (0-1)
+ * @param {Array<number>} outcomes Outcomes (1 = event, 0 = no event)
+ * @param {number} binCount Number of equal-width bins over [0, 1]
+ * @returns {Array<{lower: number, upper: number, count: number, meanForecast: number, observedFrequency: number}>}
+ *   Bins in order; meanForecast and observedFrequency are NaN for empty bins
+ */
+function reliabilityDiagram(forecasts, outcomes, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: i / binCount,
+    upper: (i + 1) / binCount,
+    count: 0,
+    forecastSum: 0,
+    eventCount: 0
+  }));
+
+  forecasts.forEach((p, i) => {
+    const bin = bins[Math.min(binCount - 1, Math.max(0, Math.floor(p * binCount)))];
+    bin.count++;
+    bin.forecastSum += p;
+    bin.eventCount += outcomes[i] ? 1 : 0;
+  });
+
+  return bins.map(({ lower, upper, count, forecastSum, eventCount }) => ({
+    lower,
+    upper,
+    count,
+    meanForecast: count > 0 ? forecastSum / count : NaN,
+    observedFrequency: count > 0 ? eventCount / count : NaN
+  }));
+}
+
+/**
+ * Expected calibration error: count-weighted mean gap between forecast and observed frequency
+ * @param {Array} reliability Bins from reliabilityDiagram
+ * @returns {number} Calibration error (0 is perfectly calibrated), NaN without forecasts
+ */
+function expectedCalibrationError(reliability) {
+  const total = reliability.reduce((sum, bin) => sum + bin.count, 0);
+  if (total === 0) return NaN;
+  return reliability.reduce((sum, bin) =>
+    bin.count > 0 ? sum + bin.count * Math.abs(bin.meanForecast - bin.observedFrequency) : sum, 0) / total;
+}
+
+/**
+ * ROC curve and the area under it
+ * Trapezoids over the forecasts sorted in descending order, with tied forecasts
+ * sharing one curve point; LSTMCrashPredictor.calculateMetrics reports this auroc.
+ * @param {Array<number>} forecasts Forecast probabilities (0-1)
+ * @param {Array<number>} outcomes Outcomes (1 = event, 0 = no event)
+ * @returns {{points: Array<{threshold: number, fpr: number, tpr: number}>, auroc: number}}
+ *   Curve from (0, 0) to (1, 1); auroc is 0.5 when only one class occurs
+ */
+function rocCurve(forecasts, outcomes) {
+  const sortedPairs = forecasts.map((p, i) => ({ pred: p, label: outcomes[i] ? 1 : 0 }))
+    .sort((a, b) => b.pred - a.pred);
+
+  const numPositives = sortedPairs.filter(pair => pair.label === 1).length;
+  const numNegatives = sortedPairs.length - numPositives;
+
+  const points = [{ threshold: Infinity, fpr: 0, tpr: 0 }];
+  let truePositives = 0;
+  let falsePositives = 0;
+  let prevTruePositives = 0;
+  let prevFalsePositives = 0;
+  let area = 0;
+
+  sortedPairs.forEach((pair, i) => {
+    if (pair.label === 1) {
+      truePositives++;
+    } else {
+      falsePositives++;
+    }
+
+    // Close the point once every forecast with this value has been counted
+    const next = sortedPairs[i + 1];
+    if (!next || next.pred !== pair.pred) {
+      area += (falsePositives - prevFalsePositives) * (truePositives + prevTruePositives) / 2;
+      prevTruePositives = truePositives;
+      prevFalsePositives = falsePositives;
+      points.push({
+        threshold: pair.pred,
+        fpr: numNegatives > 0 ? falsePositives / numNegatives : 0,
+        tpr: numPositives > 0 ? truePositives / numPositives : 0
+      });
+    }
+  });
+
+  return {
+    points,
+    auroc: numPositives > 0 && numNegatives > 0 ? area / (numPositives * numNegatives) : 0.5
+  };
+}
+
+/**
+ * Sharpness: how far forecasts move away from their average (independent of outcomes)
+ * @param {Array<number>} forecasts Forecast probabilities (0-1)
+ * @returns {{mean: number, sd: number, min: number, max: number}} NaN fields without forecasts
+ */
+function sharpness(forecasts) {
+  if (!forecasts || forecasts.length === 0) {
+    return { mean: NaN, sd: NaN, min: NaN, max: NaN };
+  }
+
+  const mean = forecasts.reduce((sum, p) => sum + p, 0) / forecasts.length;
+  const variance = forecasts.reduce((sum, p) => sum + (p - mean) ** 2, 0) / forecasts.length;
+  return {
+    mean,
+    sd: Math.sqrt(variance),
+    min: Math.min(...forecasts),
+    max: Math.max(...forecasts)
+  };
+}
+
+export {
+  brierScore,
+  logLoss,
+  skillScore,
+  reliabilityDiagram,
+  expectedCalibrationError,
+  rocCurve,
+  sharpness
+};
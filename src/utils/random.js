@@ -0,0 +1,86 @@
+/**
+ * Random Number Utilities
+ * Math.random cannot be seeded, so code that has to give the same result on
+ * every run draws from a generator made by createRandom(seed) instead.
+ */
+
+/**
+ * Create a seeded generator (mulberry32)
+ * @param {number|string} seed - Integer seed, or any string (hashed to one)
+ * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+  let state = (typeof seed === 'string' ? hashString(seed) : Number(seed)) >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A fresh seed, for runs that were not given one (record it to repeat the run)
+ * @returns {number} Unsigned 32-bit integer
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Generator in [0, 1), default Math.random
+ * @returns {Array} The array
+ */
+function shuffle(array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Run a function with Math.random replaced by a seeded generator
+ * For libraries that draw from Math.random and take no seed (TensorFlow.js
+ * weight initialisers, dropout masks and fit() shuffling). Anything else that
+ * calls Math.random while fn runs, including across its awaits, draws from the
+ * same stream, so use this only where nothing else runs meanwhile (Node scripts).
+ * @param {Function} random - Seeded generator from createRandom()
+ * @param {Function} fn - Function to run; may be async
+ * @returns {Promise<*>} fn's result
+ */
+async function withRandom(random, fn) {
+  const mathRandom = Math.random;
+  Math.random = random;
+  try {
+    return await fn();
+  } finally {
+    Math.random = mathRandom;
+  }
+}
+
+export {
+  createRandom,
+  hashString,
+  randomSeed,
+  shuffle,
+  withRandom
+};
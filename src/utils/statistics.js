@@ -71,9 +71,167 @@ function calculatePercentile(values, percentile) {
   return sortedValues[lowerIndex] * (1 - weight) + sortedValues[upperIndex] * weight;
 }
 
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Natural logarithm of the gamma function
+ * @param {number} x Positive argument
+ * @returns {number} ln Γ(x)
+ */
+function lnGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * Series expansion below a + 1, continued fraction above.
+ * @param {number} a Shape (> 0)
+ * @param {number} x Argument (>= 0)
+ * @returns {number} P(a, x)
+ */
+function regularizedGammaP(a, x) {
+  if (x <= 0) return 0;
+
+  const logPrefix = a * Math.log(x) - x - lnGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return Math.min(1, sum * Math.exp(logPrefix));
+  }
+
+  // Lentz's continued fraction for Q(a, x)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 1000; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.max(0, 1 - Math.exp(logPrefix) * h);
+}
+
+/**
+ * Density of a Gamma(shape, rate) distribution
+ * @param {number} x Value (>= 0)
+ * @param {number} shape Shape parameter
+ * @param {number} rate Rate parameter
+ * @returns {number} Density at x
+ */
+function gammaPdf(x, shape, rate) {
+  if (x < 0) return 0;
+  if (x === 0) return shape === 1 ? rate : (shape < 1 ? Infinity : 0);
+  return Math.exp(shape * Math.log(rate) + (shape - 1) * Math.log(x) - rate * x - lnGamma(shape));
+}
+
+/**
+ * Quantile of a Gamma(shape, rate) distribution
+ * Newton steps on the CDF, falling back to bisection when a step leaves the bracket.
+ * @param {number} p Probability (0-1)
+ * @param {number} shape Shape parameter
+ * @param {number} rate Rate parameter
+ * @returns {number} Value x with P(X <= x) = p
+ */
+function gammaQuantile(p, shape, rate) {
+  if (p <= 0) return 0;
+  if (p >= 1) return Infinity;
+
+  // Work on the unit-rate distribution, then rescale
+  let low = 0;
+  let high = Math.max(1, shape);
+  while (regularizedGammaP(shape, high) < p) {
+    low = high;
+    high *= 2;
+  }
+
+  let x = (low + high) / 2;
+  for (let i = 0; i < 100; i++) {
+    const error = regularizedGammaP(shape, x) - p;
+    if (Math.abs(error) < 1e-12) break;
+
+    if (error < 0) low = x; else high = x;
+
+    const density = gammaPdf(x, shape, 1);
+    let next = density > 0 ? x - error / density : NaN;
+    if (!(next > low && next < high)) {
+      next = (low + high) / 2;
+    }
+    if (Math.abs(next - x) < 1e-14 * Math.max(1, x)) {
+      x = next;
+      break;
+    }
+    x = next;
+  }
+
+  return x / rate;
+}
+
+/**
+ * Density of a Normal(mean, sd) distribution
+ * @param {number} x Value
+ * @param {number} mean Mean
+ * @param {number} sd Standard deviation (> 0)
+ * @returns {number} Density at x
+ */
+function normalPdf(x, mean = 0, sd = 1) {
+  const z = (x - mean) / sd;
+  return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+}
+
+/**
+ * Cumulative distribution function of a Normal(mean, sd) distribution
+ * Uses erf(z) = P(1/2, z²).
+ * @param {number} x Value
+ * @param {number} mean Mean
+ * @param {number} sd Standard deviation (> 0)
+ * @returns {number} P(X <= x)
+ */
+function normalCdf(x, mean = 0, sd = 1) {
+  const z = (x - mean) / (sd * Math.SQRT2);
+  const erf = regularizedGammaP(0.5, z * z);
+  return z < 0 ? 0.5 * (1 - erf) : 0.5 * (1 + erf);
+}
+
 export { 
   calculateStandardDeviation,
   calculateMean,
   calculateMedian,
-  calculatePercentile
+  calculatePercentile,
+  lnGamma,
+  regularizedGammaP,
+  gammaPdf,
+  gammaQuantile,
+  normalPdf,
+  normalCdf
 };
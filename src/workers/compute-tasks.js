@@ -0,0 +1,171 @@
+/**
+ * Compute Tasks
+ * The heavy computations the worker pool runs off the main thread:
+ *
+ *   onChainMetrics    - on-chain metrics and volatility summary (processOnChainData)
+ *   calendarRisk      - the calendar model for several horizons (calculateEnhancedRisk)
+ *   forecast          - the forecaster's Monte Carlo forecast (calculateForecasterForecast)
+ *   calibration       - conformal calibration of its band (getCalibration)
+ *   compareGenerators - calibration with every return generator (compareReturnGenerators)
+ *   lstmRisk          - the pretrained LSTM's risk by month, with attributions
+ *   markovRisk        - the Bayesian Markov model's risk by month (MarkovDetector.fit)
+ *   ensembleRisk      - the ensembles' weights and blended risk by month
+ *
+ * Each task is called as (args, onProgress) and reads the records and settings
+ * from state: in a worker, the copy compute-worker.js keeps in sync with the
+ * page; without workers, the page's own. Results must be structured-cloneable,
+ * and side effects on state the page needs are returned rather than kept.
+ */
+
+import { state } from '../core/state.js';
+import { markExtremeEvents } from '../core/extreme-events.js';
+import { processOnChainData } from '../core/onchain-processor.js';
+import { calculateEnhancedRisk } from '../core/enhanced-risk-model.js';
+import { calculateForecasterForecast } from '../core/hidden-markov-model.js';
+import { getCalibration, compareReturnGenerators } from '../core/conformal.js';
+import { loadPretrainedLstm, forecastLstmMonths } from '../core/lstm-inference.js';
+import { EnsembleCrashPredictor } from '../core/ensemble-model.js';
+import { MarkovDetector } from '../models/markov-detector.js';
+
+const COMPUTE_TASKS = {
+  /**
+   * On-chain metrics of the records
+   * @returns {Object} {onChainData, latestOnChainMetrics, volatilityMetrics}
+   */
+  onChainMetrics() {
+    const { enhancedData, latestMetrics } = processOnChainData(state.bitcoinData);
+    return {
+      onChainData: enhancedData,
+      latestOnChainMetrics: latestMetrics,
+      volatilityMetrics: state.volatilityMetrics
+    };
+  },
+
+  /**
+   * Calendar risk by month for each horizon
+   * @param {Object} args - {timeframes}
+   * @param {Function} onProgress - Called as (done, total) after each horizon
+   * @returns {Object} {riskByMonth (by horizon), riskComponents, monthlyRiskStats,
+   *   riskConstants, onChainData, latestOnChainMetrics, volatilityMetrics}
+   */
+  calendarRisk({ timeframes }, onProgress) {
+    const riskByMonth = {};
+    timeframes.forEach((timeframe, i) => {
+      riskByMonth[timeframe] = calculateEnhancedRisk(state.bitcoinData, timeframe);
+      onProgress(i + 1, timeframes.length);
+    });
+
+    return {
+      riskByMonth,
+      riskComponents: state.riskComponents,
+      monthlyRiskStats: state.monthlyRiskStats,
+      riskConstants: state.riskConstants,
+      onChainData: state.onChainData,
+      latestOnChainMetrics: state.latestOnChainMetrics,
+      volatilityMetrics: state.volatilityMetrics
+    };
+  },
+
+  /**
+   * Forecaster forecast, before calibration
+   * @param {Object} args - {timeframe, context (see calculateForecasterForecast)}
+   * @returns {Object|null} Forecast
+   */
+  forecast({ timeframe, context }) {
+    return calculateForecasterForecast(state.bitcoinData, timeframe, context);
+  },
+
+  /**
+   * Conformal calibration of a horizon's band, reused while the records are the same
+   * @param {Object} args - {timeframe, coverage, options (see DEFAULT_CONFORMAL_OPTIONS)}
+   * @param {Function} onProgress - Called as (done, total) after each past forecast
+   * @returns {Object|null} Calibration (see calibrateBands)
+   */
+  calibration({ timeframe, coverage, options }, onProgress) {
+    return getCalibration(state.bitcoinData, timeframe, coverage, { ...options, onProgress });
+  },
+
+  /**
+   * Calibration of every return generator
+   * @param {Object} args - {timeframe, coverage, options (see DEFAULT_CONFORMAL_OPTIONS)}
+   * @param {Function} onProgress - Called as (done, total) after each past forecast
+   * @returns {Array<Object>} See compareReturnGenerators
+   */
+  compareGenerators({ timeframe, coverage, options }, onProgress) {
+    return compareReturnGenerators(state.bitcoinData, timeframe, coverage, { ...options, onProgress });
+  },
+
+  /**
+   * Pretrained LSTM risk by month (the network is loaded once per worker)
+   * @param {Object} args - {modelPath (absolute URL of the model directory), timeframe}
+   * @returns {Promise<Object>} {riskByMonth, regimeSummary, metrics}
+   */
+  async lstmRisk({ modelPath, timeframe }) {
+    const predictor = await loadPretrainedLstm(modelPath);
+    const riskByMonth = forecastLstmMonths(predictor, state.bitcoinData, timeframe);
+    return {
+      riskByMonth,
+      regimeSummary: predictor.getRegimeSummary(),
+      metrics: predictor.getMetrics()
+    };
+  },
+
+  /**
+   * Bayesian Markov risk by month, with the chain trained on the records
+   * @param {Object} args - {timeframe}
+   * @returns {Object} {riskByMonth, asOf}
+   */
+  markovRisk({ timeframe }) {
+    const model = new MarkovDetector({ timeframe });
+    model.fit(state.bitcoinData);
+    return { riskByMonth: model.riskByMonth, asOf: model.asOf };
+  },
+
+  /**
+   * Ensemble weights fitted on the walk-forward, and the blended risk by month
+   * Given weights (and their fit), only re-blends the models' current forecasts.
+   * @param {Object} args - {method, timeframe, fitYears, minHistoryDays, weights?, fit?}
+   * @param {Function} onProgress - Called as (done, total) during the walk-forward
+   * @returns {Promise<Object>} {weights, fit, riskByMonth, asOf}
+   */
+  async ensembleRisk({ weights, fit, ...options }, onProgress) {
+    const ensemble = new EnsembleCrashPredictor({ ...options, onProgress });
+    if (weights) {
+      Object.assign(ensemble, { weights, fit, trained: true });
+      ensemble.refreshForecasts(state.bitcoinData);
+    } else {
+      await ensemble.update(state.bitcoinData);
+    }
+    const { riskByMonth, asOf } = ensemble;
+    return { weights: ensemble.weights, fit: ensemble.fit, riskByMonth, asOf };
+  }
+};
+
+/**
+ * Copy shared values into state, re-flagging the records' events when they or
+ * the event definition changed
+ * @param {Object} values - Values by state key
+ */
+function applySharedState(values) {
+  Object.assign(state, values);
+
+  if ('bitcoinData' in values || 'eventDefinition' in values) {
+    markExtremeEvents(state.bitcoinData);
+  }
+}
+
+/**
+ * Run a task
+ * @param {string} task - Task name (a key of COMPUTE_TASKS)
+ * @param {Object} args - Task arguments
+ * @param {Function} onProgress - Called as (done, total)
+ * @returns {Promise<*>} Task result
+ */
+async function runComputeTask(task, args, onProgress = () => {}) {
+  if (!COMPUTE_TASKS[task]) {
+    throw new Error(`Unknown compute task "${task}". Use one of: ${Object.keys(COMPUTE_TASKS).join(', ')}`);
+  }
+  return COMPUTE_TASKS[task](args, onProgress);
+}
+
+export { COMPUTE_TASKS, applySharedState, runComputeTask };
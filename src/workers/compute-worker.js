@@ -0,0 +1,38 @@
+/**
+ * Compute Worker
+ * Module worker that runs compute-tasks.js for worker-pool.js.
+ *
+ * Messages in:  {type: 'share', values}  - values to copy into this worker's state
+ *               {type: 'run', id, task, args}
+ * Messages out: {type: 'ready'} once the modules have loaded, then per task
+ *               {type: 'progress', id, done, total}, and
+ *               {type: 'result', id, result} or {type: 'error', id, message, stack}
+ */
+
+import { applySharedState, runComputeTask } from './compute-tasks.js';
+
+// The page reads the logs; a worker's would only duplicate them
+console.log = () => {};
+
+self.addEventListener('message', async event => {
+  const message = event.data;
+
+  if (message.type === 'share') {
+    applySharedState(message.values);
+    return;
+  }
+
+  if (message.type === 'run') {
+    const { id, task, args } = message;
+    try {
+      const result = await runComputeTask(task, args, (done, total) => {
+        self.postMessage({ type: 'progress', id, done, total });
+      });
+      self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+      self.postMessage({ type: 'error', id, message: error.message, stack: error.stack });
+    }
+  }
+});
+
+self.postMessage({ type: 'ready' });
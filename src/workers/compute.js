@@ -0,0 +1,63 @@
+/**
+ * Compute
+ * The pages' entry point to the worker pool: runs compute-tasks.js tasks in
+ * workers with the page's records and settings, and a promise for the result.
+ *
+ * Every task is sent the state the tasks read (records, sentiment, metrics and
+ * the settings they would otherwise resolve from the URL or localStorage, which
+ * workers cannot read); the pool copies only what a worker has not seen.
+ */
+
+import { state } from '../core/state.js';
+import { getEventDefinition } from '../core/extreme-events.js';
+import { getPriorMethod } from '../core/poisson-gamma.js';
+import { getActiveAsset } from '../core/assets.js';
+import { WorkerPool, isAbortError } from './worker-pool.js';
+
+let pool = null;
+
+/**
+ * State the tasks read, by state key
+ * @returns {Object} Shared values
+ */
+function sharedState() {
+  return {
+    bitcoinData: state.bitcoinData,
+    sentimentData: state.sentimentData,
+    latestOnChainMetrics: state.latestOnChainMetrics,
+    volatilityMetrics: state.volatilityMetrics,
+    eventDefinition: getEventDefinition(),
+    priorMethod: getPriorMethod(),
+    asset: getActiveAsset()
+  };
+}
+
+/**
+ * The page's worker pool, started on first use
+ * @returns {WorkerPool} Pool
+ */
+function getComputePool() {
+  if (!pool) {
+    pool = new WorkerPool(new URL('./compute-worker.js', import.meta.url), {
+      // Loaded only when needed, so pages with workers do not load the tasks twice
+      runLocally: async (task, args, shared, onProgress) => {
+        const { runComputeTask } = await import('./compute-tasks.js');
+        return runComputeTask(task, args, onProgress);
+      }
+    });
+  }
+  return pool;
+}
+
+/**
+ * Run a compute task off the main thread
+ * @param {string} task - Task name (see compute-tasks.js)
+ * @param {Object} args - Task arguments
+ * @param {Object} options - {onProgress (done, total), signal (AbortSignal), affinity}
+ * @returns {Promise<*>} Task result; rejects with an AbortError when cancelled
+ */
+function runInWorker(task, args = {}, options = {}) {
+  return getComputePool().run(task, args, { ...options, shared: sharedState() });
+}
+
+export { runInWorker, getComputePool, isAbortError };
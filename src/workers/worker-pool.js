@@ -0,0 +1,318 @@
+/**
+ * Worker Pool
+ * Runs named tasks on a small pool of module workers (see compute-worker.js)
+ * and returns a promise for each result.
+ *
+ * Shared values (the records, settings) are copied to a worker only when it
+ * has not seen that exact object yet, so repeated tasks on the same data cost
+ * a message, not a copy of the records. A task with an affinity key runs on
+ * the worker that last ran that key, keeping what the worker cached for it
+ * (e.g. a loaded network).
+ *
+ * A queued task is cancelled by dropping it; a running one by terminating its
+ * worker, which is replaced on the next task. Either way its promise rejects
+ * with an AbortError.
+ *
+ * Where module workers are unavailable (Node, old browsers, a worker that
+ * fails to load) tasks run on the main thread through the same task functions.
+ */
+
+const MAX_WORKERS = 4;
+
+/**
+ * Error a cancelled task rejects with
+ * @returns {Error} Error named AbortError
+ */
+function abortError() {
+  const error = new Error('Task cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Whether an error is a cancellation rather than a failure
+ * @param {Error} error - Rejection reason
+ * @returns {boolean} True for AbortError
+ */
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Workers to use on this device: all cores but the page's, up to MAX_WORKERS
+ * @returns {number} Pool size
+ */
+function defaultPoolSize() {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+class WorkerPool {
+  /**
+   * @param {URL|string} workerUrl - Module worker script
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Maximum number of workers
+   * @param {Function} options.runLocally - Called as (task, args, shared, onProgress) to run a
+   *   task on the main thread when workers are unavailable
+   */
+  constructor(workerUrl, { size = defaultPoolSize(), runLocally } = {}) {
+    this.workerUrl = workerUrl;
+    this.size = size;
+    this.runLocally = runLocally;
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.disabled = typeof Worker === 'undefined';
+  }
+
+  /**
+   * Run a task
+   * @param {string} task - Task name (see compute-tasks.js)
+   * @param {Object} args - Task arguments (structured-cloneable)
+   * @param {Object} options - Run options
+   * @param {Object} options.shared - Values the worker's state needs, by state key
+   * @param {Function} options.onProgress - Called as (done, total) while the task runs
+   * @param {AbortSignal} options.signal - Cancels the task
+   * @param {string} options.affinity - Run on the worker that last ran this key
+   * @returns {Promise<*>} Task result
+   */
+  run(task, args = {}, { shared = {}, onProgress = null, signal = null, affinity = null } = {}) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, task, args, shared, onProgress, affinity, resolve, reject, slot: null };
+
+      if (signal) {
+        signal.addEventListener('abort', () => this.cancel(job), { once: true });
+      }
+
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Start queued jobs on idle workers
+   */
+  dispatch() {
+    if (this.disabled) {
+      this.queue.splice(0).forEach(job => this.runOnMainThread(job));
+      return;
+    }
+
+    for (let i = 0; i < this.queue.length; i++) {
+      const job = this.queue[i];
+      const slot = this.pickSlot(job.affinity);
+      if (this.disabled) {
+        this.dispatch();
+        return;
+      }
+      if (!slot) continue;
+
+      this.queue.splice(i--, 1);
+      this.start(slot, job);
+    }
+  }
+
+  /**
+   * Idle worker for a job, starting a new one while the pool is below its size
+   * @param {string|null} affinity - The job's affinity key
+   * @returns {Object|null} Slot, or null when the job has to wait
+   */
+  pickSlot(affinity) {
+    if (affinity) {
+      const owner = this.slots.find(slot => slot.affinity === affinity);
+      if (owner) return owner.job ? null : owner;
+    }
+
+    const idle = this.slots.find(slot => !slot.job && (!affinity || !slot.affinity));
+    if (idle) return idle;
+
+    if (this.slots.length < this.size) {
+      return this.createSlot();
+    }
+    return this.slots.find(slot => !slot.job) || null;
+  }
+
+  /**
+   * Start a worker
+   * @returns {Object|null} Slot {worker, job, shared, affinity, started (it has
+   *   loaded)}; null when workers cannot be created (the pool then runs tasks on
+   *   the main thread)
+   */
+  createSlot() {
+    let worker;
+    try {
+      worker = new Worker(this.workerUrl, { type: 'module' });
+    } catch (error) {
+      console.warn('Could not start a worker, running tasks on the main thread:', error);
+      this.disabled = true;
+      return null;
+    }
+
+    const slot = { worker, job: null, shared: {}, affinity: null, started: false };
+    worker.addEventListener('message', event => this.handleMessage(slot, event.data));
+    worker.addEventListener('error', event => this.handleError(slot, event));
+    this.slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Send a job, and the shared values its worker has not seen, to a worker
+   * @param {Object} slot - Idle slot
+   * @param {Object} job - Queued job
+   */
+  start(slot, job) {
+    const changed = {};
+    Object.entries(job.shared).forEach(([key, value]) => {
+      if (slot.shared[key] !== value) {
+        changed[key] = value;
+        slot.shared[key] = value;
+      }
+    });
+
+    slot.job = job;
+    job.slot = slot;
+    if (job.affinity) slot.affinity = job.affinity;
+
+    try {
+      if (Object.keys(changed).length > 0) {
+        slot.worker.postMessage({ type: 'share', values: changed });
+      }
+      slot.worker.postMessage({ type: 'run', id: job.id, task: job.task, args: job.args });
+    } catch (error) {
+      // e.g. a value that cannot be cloned; resend everything next time
+      slot.shared = {};
+      this.finish(slot);
+      job.reject(error);
+    }
+  }
+
+  /**
+   * Handle a worker's progress, result or error message
+   * @param {Object} slot - The worker's slot
+   * @param {Object} message - {type: 'ready'|'progress'|'result'|'error', id, ...}
+   */
+  handleMessage(slot, message) {
+    slot.started = true;
+    const { job } = slot;
+    if (!job || message.id !== job.id) return;
+
+    if (message.type === 'progress') {
+      if (job.onProgress) job.onProgress(message.done, message.total);
+      return;
+    }
+
+    this.finish(slot);
+    if (message.type === 'result') {
+      job.resolve(message.result);
+    } else {
+      const error = new Error(message.message);
+      error.stack = message.stack || error.stack;
+      job.reject(error);
+    }
+  }
+
+  /**
+   * Handle a worker that failed outside a task (e.g. its modules did not load)
+   * @param {Object} slot - The worker's slot
+   * @param {ErrorEvent} event - Error event
+   */
+  handleError(slot, event) {
+    console.error('Worker error:', event.message || event);
+    const { job } = slot;
+    this.remove(slot);
+
+    if (!slot.started) {
+      // Module workers are not supported here: fall back for this and later tasks
+      console.warn('Workers are unavailable, running tasks on the main thread');
+      this.disabled = true;
+      const running = this.slots.map(other => other.job);
+      this.slots.slice().forEach(other => this.remove(other));
+      this.queue.unshift(...[job, ...running].filter(Boolean));
+    } else if (job) {
+      job.reject(new Error(event.message || 'Worker failed'));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Cancel a job: drop it from the queue, or stop the worker running it
+   * @param {Object} job - Job to cancel
+   */
+  cancel(job) {
+    if (job.local) {
+      // A task on the main thread cannot be stopped once started; its result is dropped
+      job.cancelled = true;
+      job.reject(abortError());
+      return;
+    }
+
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      job.reject(abortError());
+      return;
+    }
+
+    if (job.slot && job.slot.job === job) {
+      this.remove(job.slot);
+      job.reject(abortError());
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Mark a slot idle and start the next queued job
+   * @param {Object} slot - Slot whose job ended
+   */
+  finish(slot) {
+    slot.job = null;
+    // Start the next job once the caller has handled this one's result
+    Promise.resolve().then(() => this.dispatch());
+  }
+
+  /**
+   * Terminate a slot's worker and forget it
+   * @param {Object} slot - Slot to remove
+   */
+  remove(slot) {
+    slot.worker.terminate();
+    slot.job = null;
+    this.slots = this.slots.filter(other => other !== slot);
+  }
+
+  /**
+   * Run a job on the main thread
+   * @param {Object} job - Job
+   */
+  runOnMainThread(job) {
+    if (!this.runLocally) {
+      job.reject(new Error(`Cannot run task "${job.task}" without workers`));
+      return;
+    }
+
+    // Let the caller's UI update (e.g. show progress) before the task blocks the page
+    job.local = true;
+    setTimeout(() => {
+      if (job.cancelled) return;
+      Promise.resolve()
+        .then(() => this.runLocally(job.task, job.args, job.shared, job.onProgress || (() => {})))
+        .then(job.resolve, job.reject);
+    }, 0);
+  }
+
+  /**
+   * Stop every worker and reject the queued and running tasks
+   */
+  terminate() {
+    this.queue.splice(0).forEach(job => job.reject(abortError()));
+    this.slots.slice().forEach(slot => {
+      const { job } = slot;
+      this.remove(slot);
+      if (job) job.reject(abortError());
+    });
+  }
+}
+
+export { WorkerPool, MAX_WORKERS, defaultPoolSize, abortError, isAbortError };